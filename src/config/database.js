@@ -292,6 +292,557 @@ async function getAtendimentoByMessageId(messageId) {
     return await executeQuery(query, [messageId]);
 }
 
+/**
+ * Busca o atendimento mais recente de um cliente
+ * @param {number} cliente - ID do cliente
+ * @returns {Promise} Dados do atendimento
+ */
+async function getUltimoAtendimentoCliente(cliente) {
+    const query = `
+        SELECT id, messageId, cliente, cnpj, data, conversa
+        FROM whapi_atendimento
+        WHERE cliente = ?
+        ORDER BY data DESC, id DESC
+        LIMIT 1
+    `;
+
+    console.log('getUltimoAtendimentoCliente: ', cliente);
+
+    return await executeQuery(query, [cliente]);
+}
+
+/**
+ * Lista as conversas mais recentes de whapi_atendimento
+ * (usado para extrair frases reais de clientes e rotular intenções)
+ * @param {number} limite - Quantidade máxima de atendimentos
+ * @returns {Promise} Atendimentos (id, messageId, data, conversa)
+ */
+async function listarConversasAtendimento(limite = 200) {
+    const query = `
+        SELECT id, messageId, data, conversa
+        FROM whapi_atendimento
+        WHERE conversa IS NOT NULL
+        ORDER BY data DESC
+        LIMIT ?
+    `;
+
+    console.log('listarConversasAtendimento: ', limite);
+
+    return await executeQuery(query, [parseInt(limite, 10) || 200]);
+}
+
+/**
+ * Tabelas auxiliares já verificadas nesta execução
+ */
+const tabelasVerificadas = new Set();
+
+/**
+ * Cria tabela auxiliar caso ainda não exista (executa uma vez por processo)
+ * @param {string} nome - Nome da tabela
+ * @param {string} ddl - Instrução CREATE TABLE IF NOT EXISTS
+ * @returns {Promise<boolean>} True se a tabela está disponível
+ */
+async function garantirTabela(nome, ddl) {
+    if (tabelasVerificadas.has(nome)) {
+        return true;
+    }
+
+    const result = await executeQuery(ddl);
+
+    if (result.success) {
+        tabelasVerificadas.add(nome);
+    }
+
+    return result.success;
+}
+
+/**
+ * Estrutura da tabela whapi_sessao (estado das conversas em andamento)
+ */
+const DDL_SESSAO = `
+    CREATE TABLE IF NOT EXISTS whapi_sessao (
+        namespace VARCHAR(30) NOT NULL,
+        telefone VARCHAR(20) NOT NULL,
+        estado LONGTEXT NOT NULL,
+        ultimaInteracao BIGINT NOT NULL,
+        expiraEm DATETIME NOT NULL,
+        PRIMARY KEY (namespace, telefone),
+        KEY idx_whapi_sessao_expira (expiraEm)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Busca sessão na tabela whapi_sessao
+ * @param {string} namespace - Fluxo dono da sessão (atendimento, megazap, legado)
+ * @param {string} telefone - Número do telefone
+ * @returns {Promise} Registro da sessão
+ */
+async function getSessao(namespace, telefone) {
+    await garantirTabela('whapi_sessao', DDL_SESSAO);
+
+    const query = `
+        SELECT namespace, telefone, estado, ultimaInteracao, expiraEm
+        FROM whapi_sessao
+        WHERE namespace = ? AND telefone = ?
+        LIMIT 1
+    `;
+
+    return await executeQuery(query, [namespace, telefone]);
+}
+
+/**
+ * Grava (insere ou atualiza) sessão na tabela whapi_sessao
+ * @param {string} namespace - Fluxo dono da sessão
+ * @param {string} telefone - Número do telefone
+ * @param {Object} estado - Estado da conversa
+ * @param {number} ttl - Tempo de vida em milissegundos
+ * @returns {Promise} Resultado da gravação
+ */
+async function salvarSessao(namespace, telefone, estado, ttl) {
+    await garantirTabela('whapi_sessao', DDL_SESSAO);
+
+    const ultimaInteracao = estado.ultimaInteracao || Date.now();
+    const query = `
+        INSERT INTO whapi_sessao (namespace, telefone, estado, ultimaInteracao, expiraEm)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            estado = VALUES(estado),
+            ultimaInteracao = VALUES(ultimaInteracao),
+            expiraEm = VALUES(expiraEm)
+    `;
+
+    return await executeQuery(query, [
+        namespace,
+        telefone,
+        JSON.stringify(estado),
+        ultimaInteracao,
+        new Date(ultimaInteracao + ttl)
+    ]);
+}
+
+/**
+ * Remove sessão da tabela whapi_sessao
+ * @param {string} namespace - Fluxo dono da sessão
+ * @param {string} telefone - Número do telefone
+ * @returns {Promise} Resultado da remoção
+ */
+async function removerSessao(namespace, telefone) {
+    await garantirTabela('whapi_sessao', DDL_SESSAO);
+
+    const query = `
+        DELETE FROM whapi_sessao
+        WHERE namespace = ? AND telefone = ?
+    `;
+
+    return await executeQuery(query, [namespace, telefone]);
+}
+
+/**
+ * Lista sessões de um fluxo
+ * @param {string} namespace - Fluxo dono das sessões
+ * @returns {Promise} Lista de sessões
+ */
+async function listarSessoes(namespace) {
+    await garantirTabela('whapi_sessao', DDL_SESSAO);
+
+    const query = `
+        SELECT namespace, telefone, estado, ultimaInteracao, expiraEm
+        FROM whapi_sessao
+        WHERE namespace = ?
+        ORDER BY ultimaInteracao ASC
+    `;
+
+    return await executeQuery(query, [namespace]);
+}
+
+/**
+ * Remove sessões expiradas de um fluxo
+ * @param {string} namespace - Fluxo dono das sessões
+ * @returns {Promise} Resultado da remoção
+ */
+async function removerSessoesExpiradas(namespace) {
+    await garantirTabela('whapi_sessao', DDL_SESSAO);
+
+    const query = `
+        DELETE FROM whapi_sessao
+        WHERE namespace = ? AND expiraEm < ?
+    `;
+
+    return await executeQuery(query, [namespace, new Date()]);
+}
+
+/**
+ * Estrutura da tabela whapi_mensagem_processada (messageIds já recebidos pelo webhook)
+ */
+const DDL_MENSAGEM_PROCESSADA = `
+    CREATE TABLE IF NOT EXISTS whapi_mensagem_processada (
+        messageId VARCHAR(100) NOT NULL PRIMARY KEY,
+        recebidaEm DATETIME NOT NULL,
+        KEY idx_whapi_mensagem_recebida (recebidaEm)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Registra messageId recebido (INSERT IGNORE: affectedRows 0 indica duplicada)
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise} Resultado da inserção
+ */
+async function registrarMensagemProcessada(messageId) {
+    await garantirTabela('whapi_mensagem_processada', DDL_MENSAGEM_PROCESSADA);
+
+    const query = `
+        INSERT IGNORE INTO whapi_mensagem_processada (messageId, recebidaEm)
+        VALUES (?, ?)
+    `;
+
+    return await executeQuery(query, [messageId, new Date()]);
+}
+
+/**
+ * Remove messageId registrado (permite reprocessar após erro)
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise} Resultado da remoção
+ */
+async function removerMensagemProcessada(messageId) {
+    await garantirTabela('whapi_mensagem_processada', DDL_MENSAGEM_PROCESSADA);
+
+    const query = `
+        DELETE FROM whapi_mensagem_processada
+        WHERE messageId = ?
+    `;
+
+    return await executeQuery(query, [messageId]);
+}
+
+/**
+ * Remove messageIds recebidos antes da data informada
+ * @param {Date} limite - Data limite
+ * @returns {Promise} Resultado da remoção
+ */
+async function removerMensagensProcessadasAntigas(limite) {
+    await garantirTabela('whapi_mensagem_processada', DDL_MENSAGEM_PROCESSADA);
+
+    const query = `
+        DELETE FROM whapi_mensagem_processada
+        WHERE recebidaEm < ?
+    `;
+
+    return await executeQuery(query, [limite]);
+}
+
+/**
+ * Estrutura da tabela whapi_atendimento_humano (transições do modo atendimento humano)
+ */
+const DDL_ATENDIMENTO_HUMANO = `
+    CREATE TABLE IF NOT EXISTS whapi_atendimento_humano (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        telefone VARCHAR(20) NOT NULL,
+        evento VARCHAR(20) NOT NULL,
+        origem VARCHAR(40) NOT NULL,
+        setor VARCHAR(30) NULL,
+        agente VARCHAR(100) NULL,
+        cliente INT NULL,
+        detalhes TEXT NULL,
+        data DATETIME NOT NULL,
+        KEY idx_whapi_atendimento_humano_telefone (telefone, data)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Registra transição do atendimento humano (inicio/fim)
+ * @param {Object} eventoData - { telefone, evento, origem, setor, agente, cliente, detalhes }
+ * @returns {Promise} Resultado da inserção
+ */
+async function registrarEventoAtendimentoHumano(eventoData) {
+    await garantirTabela('whapi_atendimento_humano', DDL_ATENDIMENTO_HUMANO);
+
+    const { telefone, evento, origem, setor, agente, cliente, detalhes } = eventoData;
+    const query = `
+        INSERT INTO whapi_atendimento_humano (telefone, evento, origem, setor, agente, cliente, detalhes, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    return await executeQuery(query, [
+        telefone,
+        evento,
+        origem,
+        setor || null,
+        agente || null,
+        cliente || null,
+        detalhes ? JSON.stringify(detalhes) : null
+    ]);
+}
+
+/**
+ * Lista transições do atendimento humano de um telefone
+ * @param {string} telefone - Número do telefone
+ * @param {number} limite - Quantidade máxima de eventos
+ * @returns {Promise} Eventos (mais recentes primeiro)
+ */
+async function listarEventosAtendimentoHumano(telefone, limite = 50) {
+    await garantirTabela('whapi_atendimento_humano', DDL_ATENDIMENTO_HUMANO);
+
+    const query = `
+        SELECT id, telefone, evento, origem, setor, agente, cliente, detalhes, data
+        FROM whapi_atendimento_humano
+        WHERE telefone = ?
+        ORDER BY data DESC, id DESC
+        LIMIT ?
+    `;
+
+    return await executeQuery(query, [telefone, parseInt(limite, 10) || 50]);
+}
+
+/**
+ * Estrutura da tabela whapi_ticket (fila de tickets das transferências para a equipe)
+ */
+const DDL_TICKET = `
+    CREATE TABLE IF NOT EXISTS whapi_ticket (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        telefone VARCHAR(20) NOT NULL,
+        cliente INT NULL,
+        empresa VARCHAR(150) NULL,
+        documento VARCHAR(20) NULL,
+        setor VARCHAR(30) NOT NULL,
+        motivo VARCHAR(255) NULL,
+        ultimasMensagens TEXT NULL,
+        origem VARCHAR(20) NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'aberto',
+        agente VARCHAR(100) NULL,
+        dataAbertura DATETIME NOT NULL,
+        dataFechamento DATETIME NULL,
+        KEY idx_whapi_ticket_fila (status, setor, id),
+        KEY idx_whapi_ticket_telefone (telefone, status)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Registra ticket na fila (status aberto), encaminhado ao Megazap ou recado fora do horário
+ * @param {Object} ticketData - { telefone, cliente, empresa, documento, setor, motivo, ultimasMensagens, origem, status }
+ * @returns {Promise} Resultado da inserção (data.insertId = número do ticket)
+ */
+async function registrarTicket(ticketData) {
+    await garantirTabela('whapi_ticket', DDL_TICKET);
+
+    const { telefone, cliente, empresa, documento, setor, motivo, ultimasMensagens, origem, status } = ticketData;
+    const query = `
+        INSERT INTO whapi_ticket (telefone, cliente, empresa, documento, setor, motivo, ultimasMensagens, origem, status, dataAbertura)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    console.log('registrarTicket: ', telefone, setor);
+    return await executeQuery(query, [
+        telefone,
+        cliente || null,
+        empresa || null,
+        documento || null,
+        setor,
+        motivo || null,
+        JSON.stringify(ultimasMensagens || []),
+        origem || null,
+        status || 'aberto'
+    ]);
+}
+
+/**
+ * Busca o ticket em andamento (aberto ou em atendimento) de um telefone
+ * @param {string} telefone - Número do telefone
+ * @returns {Promise} Ticket mais recente
+ */
+async function getTicketEmAndamento(telefone) {
+    await garantirTabela('whapi_ticket', DDL_TICKET);
+
+    const query = `
+        SELECT id, telefone, cliente, empresa, documento, setor, motivo, status, agente, dataAbertura
+        FROM whapi_ticket
+        WHERE telefone = ? AND status IN ('aberto', 'em_atendimento')
+        ORDER BY id DESC
+        LIMIT 1
+    `;
+
+    return await executeQuery(query, [telefone]);
+}
+
+/**
+ * Calcula a posição do ticket na fila do setor (tickets abertos até ele)
+ * @param {number} id - Número do ticket
+ * @param {string} setor - Setor da fila
+ * @returns {Promise} data[0].posicao
+ */
+async function getPosicaoTicket(id, setor) {
+    await garantirTabela('whapi_ticket', DDL_TICKET);
+
+    const query = `
+        SELECT COUNT(*) AS posicao
+        FROM whapi_ticket
+        WHERE status = 'aberto' AND setor = ? AND id <= ?
+    `;
+
+    return await executeQuery(query, [setor, id]);
+}
+
+/**
+ * Atualiza o status dos tickets em andamento de um telefone
+ * @param {string} telefone - Número do telefone
+ * @param {string} status - Novo status (em_atendimento ou fechado)
+ * @param {string} agente - Agente responsável (opcional)
+ * @returns {Promise} Resultado da atualização
+ */
+async function atualizarStatusTickets(telefone, status, agente = null) {
+    await garantirTabela('whapi_ticket', DDL_TICKET);
+
+    const query = `
+        UPDATE whapi_ticket
+        SET status = ?,
+            agente = COALESCE(?, agente),
+            dataFechamento = IF(? = 'fechado', NOW(), dataFechamento)
+        WHERE telefone = ? AND status IN ('aberto', 'em_atendimento')
+    `;
+
+    console.log('atualizarStatusTickets: ', telefone, status);
+    return await executeQuery(query, [status, agente, status, telefone]);
+}
+
+/**
+ * Estrutura da tabela whapi_atendimento_avaliacao (pesquisa de satisfação - CSAT)
+ */
+const DDL_AVALIACAO = `
+    CREATE TABLE IF NOT EXISTS whapi_atendimento_avaliacao (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        atendimentoId INT NULL,
+        telefone VARCHAR(20) NOT NULL,
+        cliente INT NULL,
+        nota TINYINT NOT NULL,
+        comentario TEXT NULL,
+        intencao VARCHAR(40) NULL,
+        agente VARCHAR(100) NULL,
+        origem VARCHAR(30) NULL,
+        data DATETIME NOT NULL,
+        KEY idx_whapi_atendimento_avaliacao_data (data),
+        KEY idx_whapi_atendimento_avaliacao_atendimento (atendimentoId)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Agrupamentos aceitos no relatório de avaliações (coluna → expressão SQL)
+ */
+const AGRUPAMENTOS_AVALIACAO = {
+    dia: 'DATE(data)',
+    intencao: "COALESCE(intencao, 'nao_identificada')",
+    agente: "COALESCE(agente, 'bot')"
+};
+
+/**
+ * Registra a nota da pesquisa de satisfação
+ * @param {Object} avaliacaoData - { atendimentoId, telefone, cliente, nota, intencao, agente, origem }
+ * @returns {Promise} Resultado da inserção (data.insertId)
+ */
+async function registrarAvaliacao(avaliacaoData) {
+    await garantirTabela('whapi_atendimento_avaliacao', DDL_AVALIACAO);
+
+    const { atendimentoId, telefone, cliente, nota, intencao, agente, origem } = avaliacaoData;
+    const query = `
+        INSERT INTO whapi_atendimento_avaliacao (atendimentoId, telefone, cliente, nota, intencao, agente, origem, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    console.log('registrarAvaliacao: ', telefone, nota);
+    return await executeQuery(query, [
+        atendimentoId || null,
+        telefone,
+        cliente || null,
+        nota,
+        intencao || null,
+        agente || null,
+        origem || null
+    ]);
+}
+
+/**
+ * Grava o comentário da avaliação
+ * @param {number} id - ID da avaliação
+ * @param {string} comentario - Comentário do cliente
+ * @returns {Promise} Resultado da atualização
+ */
+async function atualizarComentarioAvaliacao(id, comentario) {
+    const query = `
+        UPDATE whapi_atendimento_avaliacao
+        SET comentario = ?
+        WHERE id = ?
+    `;
+
+    return await executeQuery(query, [comentario, id]);
+}
+
+/**
+ * Relatório de avaliações (CSAT = % de notas 4 e 5)
+ * @param {string} agrupamento - dia, intencao, agente ou null (geral)
+ * @param {Date} inicio - Início do período
+ * @param {Date} fim - Fim do período
+ * @returns {Promise} Linhas { chave, total, media, satisfeitos, csat }
+ */
+async function relatorioAvaliacoes(agrupamento, inicio, fim) {
+    await garantirTabela('whapi_atendimento_avaliacao', DDL_AVALIACAO);
+
+    const expressao = AGRUPAMENTOS_AVALIACAO[agrupamento];
+    const query = `
+        SELECT ${expressao ? `${expressao} AS chave,` : ''}
+            COUNT(*) AS total,
+            ROUND(AVG(nota), 2) AS media,
+            SUM(nota >= 4) AS satisfeitos,
+            ROUND(100 * SUM(nota >= 4) / COUNT(*), 1) AS csat
+        FROM whapi_atendimento_avaliacao
+        WHERE data >= ? AND data < ?
+        ${expressao ? 'GROUP BY chave ORDER BY chave' : ''}
+    `;
+
+    return await executeQuery(query, [inicio, fim]);
+}
+
+/**
+ * Estrutura da tabela whapi_proposta_resposta (respostas dos clientes às propostas comerciais)
+ */
+const DDL_PROPOSTA_RESPOSTA = `
+    CREATE TABLE IF NOT EXISTS whapi_proposta_resposta (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        idProposta VARCHAR(30) NOT NULL,
+        numero VARCHAR(30) NULL,
+        idParceiro VARCHAR(30) NULL,
+        cnpj VARCHAR(20) NULL,
+        telefone VARCHAR(20) NOT NULL,
+        resposta VARCHAR(20) NOT NULL,
+        mensagem TEXT NULL,
+        data DATETIME NOT NULL,
+        KEY idx_whapi_proposta_resposta_proposta (idProposta)
+    ) DEFAULT CHARSET=utf8mb4
+`;
+
+/**
+ * Registra resposta do cliente a uma proposta comercial
+ * @param {Object} respostaData - Dados da resposta
+ * @returns {Promise} Resultado da inserção
+ */
+async function registrarRespostaProposta(respostaData) {
+    await garantirTabela('whapi_proposta_resposta', DDL_PROPOSTA_RESPOSTA);
+
+    const { idProposta, numero, idParceiro, cnpj, telefone, resposta, mensagem } = respostaData;
+    const query = `
+        INSERT INTO whapi_proposta_resposta (idProposta, numero, idParceiro, cnpj, telefone, resposta, mensagem, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    console.log('registrarRespostaProposta: ', respostaData);
+    return await executeQuery(query, [
+        String(idProposta),
+        numero ? String(numero) : null,
+        idParceiro ? String(idParceiro) : null,
+        cnpj || null,
+        telefone,
+        resposta,
+        mensagem || null
+    ]);
+}
+
 /**
  * Testa conexão com o banco de dados
  * @returns {Promise} Status da conexão
@@ -336,6 +887,27 @@ module.exports = {
     registrarAtendimento,
     atualizarConversa,
     getAtendimentoByMessageId,
+    getUltimoAtendimentoCliente,
+    listarConversasAtendimento,
+    garantirTabela,
+    registrarRespostaProposta,
+    getSessao,
+    salvarSessao,
+    removerSessao,
+    listarSessoes,
+    removerSessoesExpiradas,
+    registrarMensagemProcessada,
+    removerMensagemProcessada,
+    removerMensagensProcessadasAntigas,
+    registrarEventoAtendimentoHumano,
+    listarEventosAtendimentoHumano,
+    registrarTicket,
+    getTicketEmAndamento,
+    getPosicaoTicket,
+    atualizarStatusTickets,
+    registrarAvaliacao,
+    atualizarComentarioAvaliacao,
+    relatorioAvaliacoes,
     testConnection,
     closePool
 };
\ No newline at end of file
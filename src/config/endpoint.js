@@ -2,6 +2,7 @@ require('dotenv').config();
 const https = require('https');
 const axios = require('axios');
 const tokenManager = require('../services/tokenManagerService');
+const nfseService = require('../services/nfseService');
 
 /**
  * Configuração para aceitar certificados SSL auto-assinados
@@ -814,89 +815,98 @@ async function geraBoletoData(idConta) {
     };
 }
 
-async function getNotaByCNPJ(idParceiro) {
-    console.log('getNotaByCNPJ:', idParceiro);
-
-    /*
-        //Mock ( Cliente Supra )
-        if(idParceiro==724 || idParceiro==257){
-            idParceiro = 2136; //BNT BUSINESS
-            idParceiro = 2401; //INCOMED PRODUTOS E EQUIPAMENTOS LTDA
-        }
-    */
+/**
+ * Quantidade padrão de notas por página na listagem
+ */
+const NOTAS_POR_PAGINA = parseInt(process.env.NOTAS_POR_PAGINA) || 10;
 
-    const result = await executeRequest('GET', '/financeiro/parcelas', {
-        params: {
-            max: 10,
-            consolidada: false,
-            contaPagarReceber: 'RECEBER',
-            idParceiro: idParceiro,
-            idsSituacaoDocumento: '[1,2]',
-            quitada: false
-        }
-    });
+/**
+ * Período padrão (em dias) da listagem de notas quando não informado
+ */
+const NOTAS_PERIODO_DIAS = parseInt(process.env.NOTAS_PERIODO_DIAS) || 90;
 
-    if (!result.success) {
-        return result;
-    }
+/**
+ * Formata data para o padrão aceito pelo ERP (YYYY-MM-DD)
+ * @param {Date|string} data - Data
+ * @returns {string|undefined} Data formatada ou undefined se inválida
+ */
+function formatarDataFiltroERP(data) {
+    if (!data) return undefined;
 
-    //Sem Resultados
-    if (!result.data.data) {
-        return result;
-    }
+    const dataObj = data instanceof Date ? data : new Date(data);
+    if (isNaN(dataObj.getTime())) return undefined;
 
-    return {
-        success: true,
-        data: result.data.data || [],
-        error: null
-    };
+    const ano = dataObj.getFullYear();
+    const mes = String(dataObj.getMonth() + 1).padStart(2, '0');
+    const dia = String(dataObj.getDate()).padStart(2, '0');
+    return `${ano}-${mes}-${dia}`;
 }
 
-
 /**
- * Busca notas fiscais por ID do parceiro (CNPJ)
+ * Busca notas fiscais de serviço (NFSe) por ID do parceiro
  * @param {number} idParceiro - ID do parceiro
- * @returns {Promise} Lista de notas fiscais
-
-async function getNotaByCNPJ(idParceiro) {
-    console.log('getNotaByCNPJ:', idParceiro);
+ * @param {Object} filtros - Filtros da consulta
+ * @param {Date|string} filtros.dataInicial - Emissão a partir de (padrão: NOTAS_PERIODO_DIAS atrás)
+ * @param {Date|string} filtros.dataFinal - Emissão até (padrão: hoje)
+ * @param {string} filtros.status - Situação da nota no ERP (ex: AUTORIZADA, CANCELADA)
+ * @param {number} filtros.pagina - Página (inicia em 1)
+ * @param {number} filtros.max - Notas por página
+ * @returns {Promise<Object>} Lista de notas e dados de paginação
+ */
+async function getNotaByCNPJ(idParceiro, filtros = {}) {
+    console.log('getNotaByCNPJ:', idParceiro, filtros);
 
-    //Mock ( Cliente Supra > Cliente: BNT BUSINESS )
-    if(idParceiro==724){
-        idParceiro = 2136;
-    }
+    const max = parseInt(filtros.max) || NOTAS_POR_PAGINA;
+    const pagina = Math.max(parseInt(filtros.pagina) || 1, 1);
+    const dataFinal = filtros.dataFinal || new Date();
+    const dataInicial = filtros.dataInicial ||
+        new Date(Date.now() - NOTAS_PERIODO_DIAS * 24 * 60 * 60 * 1000);
 
-    // Mock: ID fixo para teste
-    const idConta = 25960;
-    const result = await geraNotaXML(idConta);
+    const result = await executeRequest('GET', '/comercial/notaFiscalServico', {
+        params: {
+            idParceiro: idParceiro,
+            dataEmissaoInicial: formatarDataFiltroERP(dataInicial),
+            dataEmissaoFinal: formatarDataFiltroERP(dataFinal),
+            situacao: filtros.status || process.env.NOTAS_STATUS || undefined,
+            max: max,
+            offset: (pagina - 1) * max
+        }
+    });
 
     if (!result.success) {
-        return {
-            success: false,
-            error: result.error,
-            data: []
-        };
+        return { ...result, data: [] };
     }
 
-    // Verificar se há dados
-    if (!result.data) {
+    //Sem Resultados
+    if (!result.data.data) {
         return {
-            success: false,
-            error: 'Nenhuma nota fiscal encontrada',
-            data: []
+            success: true,
+            data: [],
+            paginacao: { pagina, max, total: 0, temMais: false },
+            error: null
         };
     }
 
-    // Retornar array de notas (mockado com apenas 1 nota)
-    // Estrutura similar a getBoletosByCNPJ que retorna array de boletos
+    // Normaliza o identificador usado em geraNotaXML
+    const notas = result.data.data.map(nota => ({
+        ...nota,
+        idNotaFiscalServico: nota.idNotaFiscalServico || nota.id
+    }));
+
+    const total = parseInt(result.data.total) || null;
+
     return {
         success: true,
-        data: [result.data], // Array com os dados da nota
+        data: notas,
+        paginacao: {
+            pagina: pagina,
+            max: max,
+            total: total,
+            temMais: total !== null ? pagina * max < total : notas.length === max
+        },
         error: null
     };
 }
-*/
-
 
 /**
  * Extrai a chave de acesso do campo OutrasInformacoes
@@ -922,11 +932,12 @@ function extrairChaveAcesso(outrasInformacoes) {
 }
 
 /**
- * Faz parsing do XML da Nota Fiscal e extrai informações
+ * Faz parsing do XML da Nota Fiscal via regex (layout ABRASF)
+ * Mantido como fallback quando o XML não é reconhecido pelo nfseService
  * @param {string} xmlString - String XML completa
  * @returns {Object} Objeto com dados extraídos da nota
  */
-function parseNotaFiscalXML(xmlString) {
+function parseNotaFiscalXMLRegex(xmlString) {
     try {
         // Extrair Número da Nota
         const numeroMatch = xmlString.match(/<Numero>([^<]+)<\/Numero>/i);
@@ -972,6 +983,37 @@ function parseNotaFiscalXML(xmlString) {
     }
 }
 
+/**
+ * Faz parsing do XML da Nota Fiscal e extrai informações
+ * Usa o nfseService (ABRASF 1.x/2.x, padrão nacional e São Paulo);
+ * quando o layout não é reconhecido, recorre ao parsing por regex.
+ * @param {string} xmlString - String XML completa
+ * @returns {Object} Objeto com dados extraídos da nota (nfse traz a estrutura completa)
+ */
+function parseNotaFiscalXML(xmlString) {
+    const resultado = nfseService.parseNFSe(xmlString);
+
+    if (!resultado.success) {
+        console.warn(`# NFSe não interpretada pelo nfseService (${resultado.error}), usando regex`);
+        return { ...parseNotaFiscalXMLRegex(xmlString), nfse: null, cancelada: false };
+    }
+
+    const nota = resultado.data;
+
+    return {
+        numero: nota.numero,
+        codigoVerificacao: nota.codigoVerificacao,
+        dataEmissao: nota.dataEmissao,
+        //valorLiquidoNfse,
+        valorLiquidoNfse: nota.valores.valorLiquido !== null ? String(nota.valores.valorLiquido) : null,
+        outrasInformacoes: nota.outrasInformacoes,
+        //chaveAcesso
+        chaveAcesso: nota.chaveAcesso || extrairChaveAcesso(nota.outrasInformacoes),
+        cancelada: nota.cancelada,
+        nfse: nota
+    };
+}
+
 /**
  * Gera XML da NFE/NFSE
  * @param {number} idConta - ID da conta
@@ -1053,6 +1095,7 @@ async function geraNotaXML(idConta) {
         console.log('Data Emissão:', dadosNota.dataEmissao);
         console.log('Valor Líquido:', dadosNota.valorLiquidoNfse);
         console.log('Chave de Acesso:', dadosNota.chaveAcesso);
+        console.log('Layout:', dadosNota.nfse ? dadosNota.nfse.layout : 'regex');
 
         return {
             success: true,
@@ -1066,7 +1109,9 @@ async function geraNotaXML(idConta) {
                 dataEmissao: dadosNota.dataEmissao,
                 valorLiquidoNfse: dadosNota.valorLiquidoNfse,
                 chaveAcesso: dadosNota.chaveAcesso,
-                outrasInformacoes: dadosNota.outrasInformacoes
+                outrasInformacoes: dadosNota.outrasInformacoes,
+                cancelada: dadosNota.cancelada,
+                nfse: dadosNota.nfse // Estrutura completa (nfseService)
             },
             error: null
         };
@@ -1083,6 +1128,121 @@ async function geraNotaXML(idConta) {
 }
 
 
+/**
+ * Quantidade máxima de propostas listadas
+ */
+const PROPOSTAS_POR_PAGINA = parseInt(process.env.PROPOSTAS_POR_PAGINA) || 10;
+
+/**
+ * Busca propostas comerciais em aberto por ID do parceiro
+ * @param {number} idParceiro - ID do parceiro
+ * @param {Object} filtros - Filtros da consulta
+ * @param {string} filtros.status - Situação da proposta no ERP (padrão: PROPOSTAS_STATUS ou ABERTA)
+ * @param {number} filtros.max - Quantidade máxima de propostas
+ * @returns {Promise<Object>} Lista de propostas
+ */
+async function getPropostasByCNPJ(idParceiro, filtros = {}) {
+    console.log('getPropostasByCNPJ:', idParceiro, filtros);
+
+    const result = await executeRequest('GET', '/comercial/proposta', {
+        params: {
+            idParceiro: idParceiro,
+            situacao: filtros.status || process.env.PROPOSTAS_STATUS || 'ABERTA',
+            max: parseInt(filtros.max) || PROPOSTAS_POR_PAGINA
+        }
+    });
+
+    if (!result.success) {
+        return { ...result, data: [] };
+    }
+
+    //Sem Resultados
+    if (!result.data.data) {
+        return {
+            success: true,
+            data: [],
+            error: null
+        };
+    }
+
+    // Normaliza o identificador usado em geraPropostaPDF
+    return {
+        success: true,
+        data: result.data.data.map(proposta => ({
+            ...proposta,
+            idProposta: proposta.idProposta || proposta.id
+        })),
+        error: null
+    };
+}
+
+/**
+ * Gera PDF da proposta comercial
+ * @param {number} idProposta - ID da proposta
+ * @returns {Promise<Object>} Dados da proposta em base64
+ */
+async function geraPropostaPDF(idProposta) {
+    console.log('# geraPropostaPDF - Iniciando:', idProposta);
+
+    try {
+        const response = await apiClient({
+            method: 'GET',
+            url: '/comercial/propostaPDF',
+            params: { idProposta: idProposta },
+            responseType: 'arraybuffer',
+            validateStatus: function (status) {
+                // Aceitar qualquer status para tratar manualmente
+                return status >= 200 && status < 600;
+            }
+        });
+
+        console.log('# Status da resposta:', response.status);
+        console.log('Content-Type:', response.headers['content-type']);
+
+        const arquivo = Buffer.from(response.data);
+
+        // Erros do ERP chegam como JSON
+        if (response.status !== 200 || !arquivo.toString('utf-8', 0, 5).startsWith('%PDF')) {
+            let errorMessage = 'Erro ao gerar proposta';
+
+            try {
+                const errorData = JSON.parse(arquivo.toString('utf-8'));
+                errorMessage = errorData.message || errorMessage;
+                console.log('Erro JSON detectado:', errorData);
+            } catch (e) {
+                console.log('# Resposta não é PDF nem JSON válido');
+            }
+
+            return {
+                success: false,
+                error: errorMessage,
+                data: null
+            };
+        }
+
+        console.log('# Proposta PDF gerada com sucesso!');
+        console.log('Tamanho:', arquivo.length, 'bytes');
+
+        return {
+            success: true,
+            data: {
+                base64: arquivo.toString('base64'),
+                filename: `proposta_${idProposta}.pdf`
+            },
+            error: null
+        };
+
+    } catch (error) {
+        console.error('# Erro ao gerar proposta PDF:', error.message);
+
+        return {
+            success: false,
+            error: error.message || 'Erro ao gerar proposta',
+            data: null
+        };
+    }
+}
+
 /**
  * Gera novo token ERP
  * @returns {Promise<Object>} Token e dados de validade
@@ -1184,6 +1344,8 @@ module.exports = {
     geraBoletoData,
     getNotaByCNPJ,
     geraNotaXML,
+    getPropostasByCNPJ,
+    geraPropostaPDF,
     gerarTokenERP,
     testConnection,
     validarBloqueio,
@@ -333,6 +333,60 @@ async function sendDocument(phoneNumber, base64, filename, caption = '') {
 }
 
 
+/**
+ * Envia imagem (PNG, JPEG)
+ * @param {string} phoneNumber - Número do telefone
+ * @param {string} base64 - Imagem em base64
+ * @param {string} filename - Nome do arquivo
+ * @param {string} caption - Legenda (opcional)
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendImage(phoneNumber, base64, filename, caption = '') {
+    try {
+        console.log(`🖼️ Enviando imagem para ${phoneNumber}: ${filename}`);
+
+        // Limpar base64 (remover quebras de linha e prefixos)
+        const base64Clean = base64
+            .replace(/data:image\/[a-z]+;base64,/g, '')
+            .replace(/\r?\n|\r/g, '')
+            .trim();
+
+        const payload = {
+            number: phoneNumber,
+            mediatype: 'image',
+            mimetype: 'image/png',
+            media: base64Clean,
+            fileName: filename,
+            caption: caption || ''
+        };
+
+        const response = await evolutionAPI.post(`/message/sendMedia/${evolutionConfig.instanceName}`, payload);
+
+        if (response.data) {
+            console.log('✅ Imagem enviada com sucesso');
+            return {
+                success: true,
+                data: response.data,
+                error: null
+            };
+        }
+
+        return {
+            success: false,
+            data: null,
+            error: 'Resposta inválida da API'
+        };
+
+    } catch (error) {
+        console.error('❌ Erro ao enviar imagem:', error.message);
+        return {
+            success: false,
+            data: null,
+            error: error.response?.data?.response?.message || error.message
+        };
+    }
+}
+
 /**
  * Configura webhook para receber mensagens
  * @param {string} webhookUrl - URL do webhook
@@ -523,6 +577,7 @@ module.exports = {
     evolutionAPI,
     sendTextMessage,
     sendDocument,
+    sendImage,
     sendButtonMessage,
     sendListMessage,
     setWebhook,
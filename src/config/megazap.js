@@ -8,6 +8,31 @@
 
 require('dotenv').config();
 
+/**
+ * Monta o newTicket do payload Megazap
+ * Sem departamento não há ticket (antes caía no departamento 1020 / usuário 123456 fixos)
+ * @param {Object} newTicket - { departmentUUID, userUUID }
+ * @returns {Object|null} newTicket do payload ou null
+ */
+function montarNewTicket(newTicket) {
+    if (!newTicket || (!newTicket.departmentUUID && !newTicket.userUUID)) {
+        return null;
+    }
+
+    if (!newTicket.departmentUUID) {
+        console.log('⚠️ [MEGAZAP] newTicket sem departmentUUID ignorado');
+        return null;
+    }
+
+    const ticket = { departmentUUID: newTicket.departmentUUID };
+
+    if (newTicket.userUUID) {
+        ticket.userUUID = newTicket.userUUID;
+    }
+
+    return ticket;
+}
+
 /**
  * Envia mensagem de texto
  * @param {string} phoneNumber - Número do destinatário (mantido para compatibilidade futura)
@@ -25,12 +50,10 @@ function sendTextMessage(phoneNumber, message, newTicket = null) {
         };
 
         // Adicionar newTicket se fornecido
-        if (newTicket && (newTicket.departmentUUID || newTicket.userUUID)) {
-            payload.newTicket = {
-                departmentUUID: newTicket.departmentUUID || 1020,
-                userUUID: newTicket.userUUID || 123456
-            };
-            console.log(`🎫 [MEGAZAP] Novo ticket incluído - Dept: ${payload.newTicket.departmentUUID}, User: ${payload.newTicket.userUUID}`);
+        const ticket = montarNewTicket(newTicket);
+        if (ticket) {
+            payload.newTicket = ticket;
+            console.log(`🎫 [MEGAZAP] Novo ticket incluído - Dept: ${ticket.departmentUUID}, User: ${ticket.userUUID || '-'}`);
         }
 
         console.log('✅ [MEGAZAP] JSON de texto gerado com sucesso');
@@ -84,12 +107,10 @@ function sendDocument(phoneNumber, base64, filename, message = '', newTicket = n
         };
 
         // Adicionar newTicket se fornecido
-        if (newTicket && (newTicket.departmentUUID || newTicket.userUUID)) {
-            payload.newTicket = {
-                departmentUUID: newTicket.departmentUUID || 1020,
-                userUUID: newTicket.userUUID || 123456
-            };
-            console.log(`🎫 [MEGAZAP] Novo ticket incluído - Dept: ${payload.newTicket.departmentUUID}, User: ${payload.newTicket.userUUID}`);
+        const ticket = montarNewTicket(newTicket);
+        if (ticket) {
+            payload.newTicket = ticket;
+            console.log(`🎫 [MEGAZAP] Novo ticket incluído - Dept: ${ticket.departmentUUID}, User: ${ticket.userUUID || '-'}`);
         }
 
         console.log('✅ [MEGAZAP] JSON de documento gerado com sucesso');
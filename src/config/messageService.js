@@ -22,6 +22,96 @@ const MESSAGE_FORMATS = {
     MEGAZAP: '2'
 };
 
+/**
+ * Envios recentes do bot: distingue o eco "fromMe" das mensagens enviadas pela API
+ * das respostas digitadas pela equipe no celular (chave → expiração)
+ */
+const enviosRecentes = new Map();
+
+/**
+ * Tempo em que um envio é lembrado (5 minutos)
+ */
+const JANELA_ENVIOS = 5 * 60 * 1000;
+
+/**
+ * Momento do último envio do bot por telefone (telefone → data)
+ * Usado pela pesquisa de satisfação para saber se a pergunta foi a última mensagem enviada
+ */
+const ultimosEnvios = new Map();
+
+/**
+ * Tempo em que o último envio de cada telefone é lembrado (1 hora)
+ */
+const JANELA_ULTIMO_ENVIO = 60 * 60 * 1000;
+
+/**
+ * Registra texto e/ou ID de mensagem enviada pelo bot
+ * O texto é registrado antes do envio (o eco pode chegar antes da resposta da API)
+ * @param {string} phoneNumber - Número do destinatário
+ * @param {string} texto - Texto enviado (opcional)
+ * @param {Object} resultado - Resultado do envio (opcional, contém data.key.id na Evolution)
+ */
+function registrarEnvioBot(phoneNumber, texto, resultado = null) {
+    const agora = Date.now();
+
+    for (const [chave, expiraEm] of enviosRecentes) {
+        if (expiraEm > agora) {
+            break;
+        }
+        enviosRecentes.delete(chave);
+    }
+
+    const chaves = [];
+
+    if (texto && String(texto).trim()) {
+        chaves.push(`texto:${String(phoneNumber).replace(/\D/g, '')}:${String(texto).trim()}`);
+    }
+
+    const id = resultado?.data?.key?.id;
+    if (id) {
+        chaves.push(`id:${id}`);
+    }
+
+    // Reinsere no fim para manter a ordem de expiração
+    for (const chave of chaves) {
+        enviosRecentes.delete(chave);
+        enviosRecentes.set(chave, agora + JANELA_ENVIOS);
+    }
+
+    for (const [telefone, data] of ultimosEnvios) {
+        if (agora - data <= JANELA_ULTIMO_ENVIO) {
+            break;
+        }
+        ultimosEnvios.delete(telefone);
+    }
+
+    const telefone = String(phoneNumber || '').replace(/\D/g, '');
+    ultimosEnvios.delete(telefone);
+    ultimosEnvios.set(telefone, agora);
+}
+
+/**
+ * Obtém o momento do último envio do bot para o telefone
+ * @param {string} phoneNumber - Número do contato
+ * @returns {number|null} Timestamp do envio ou null se nada foi enviado na última hora
+ */
+function obterUltimoEnvioBot(phoneNumber) {
+    const data = ultimosEnvios.get(String(phoneNumber || '').replace(/\D/g, ''));
+    return data && Date.now() - data <= JANELA_ULTIMO_ENVIO ? data : null;
+}
+
+/**
+ * Verifica se uma mensagem "fromMe" foi enviada pelo próprio bot
+ * @param {string} messageId - ID da mensagem
+ * @param {string} phoneNumber - Número do contato
+ * @param {string} texto - Texto da mensagem
+ * @returns {boolean} True se foi enviada pelo bot
+ */
+function foiEnviadaPeloBot(messageId, phoneNumber, texto) {
+    return enviosRecentes.has(`id:${messageId}`) ||
+        enviosRecentes.has(`texto:${String(phoneNumber).replace(/\D/g, '')}:${String(texto || '').trim()}`);
+}
+
 /**
  * Obtém o formato de mensagem configurado
  * @returns {string} Formato configurado (1 ou 2)
@@ -62,7 +152,10 @@ function getMessageService() {
  */
 async function sendTextMessage(phoneNumber, message, newTicket = null) {
     const service = getMessageService();
-    return await service.sendTextMessage(phoneNumber, message, newTicket);
+    registrarEnvioBot(phoneNumber, message);
+    const resultado = await service.sendTextMessage(phoneNumber, message, newTicket);
+    registrarEnvioBot(phoneNumber, null, resultado);
+    return resultado;
 }
 
 /**
@@ -76,7 +169,33 @@ async function sendTextMessage(phoneNumber, message, newTicket = null) {
  */
 async function sendDocument(phoneNumber, base64, filename, message = '', newTicket = null) {
     const service = getMessageService();
-    return await service.sendDocument(phoneNumber, base64, filename, message, newTicket);
+    registrarEnvioBot(phoneNumber, message);
+    const resultado = await service.sendDocument(phoneNumber, base64, filename, message, newTicket);
+    registrarEnvioBot(phoneNumber, null, resultado);
+    return resultado;
+}
+
+/**
+ * Envia imagem (QR Code, etc)
+ * Para Megazap, envia como anexo de documento
+ * @param {string} phoneNumber - Número do telefone
+ * @param {string} base64 - Imagem em base64
+ * @param {string} filename - Nome do arquivo
+ * @param {string} message - Mensagem/caption (opcional)
+ * @param {Object} newTicket - Objeto opcional (apenas Megazap)
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendImage(phoneNumber, base64, filename, message = '', newTicket = null) {
+    const service = getMessageService();
+    registrarEnvioBot(phoneNumber, message);
+
+    // Fallback: envia como documento
+    const resultado = service.sendImage
+        ? await service.sendImage(phoneNumber, base64, filename, message)
+        : await service.sendDocument(phoneNumber, base64, filename, message, newTicket);
+
+    registrarEnvioBot(phoneNumber, null, resultado);
+    return resultado;
 }
 
 /**
@@ -88,7 +207,10 @@ async function sendDocument(phoneNumber, base64, filename, message = '', newTick
  */
 async function sendButtonMessage(phoneNumber, text, buttons) {
     const service = getMessageService();
-    return await service.sendButtonMessage(phoneNumber, text, buttons);
+    registrarEnvioBot(phoneNumber, text);
+    const resultado = await service.sendButtonMessage(phoneNumber, text, buttons);
+    registrarEnvioBot(phoneNumber, null, resultado);
+    return resultado;
 }
 
 /**
@@ -101,7 +223,10 @@ async function sendButtonMessage(phoneNumber, text, buttons) {
  */
 async function sendListMessage(phoneNumber, title, description, sections) {
     const service = getMessageService();
-    return await service.sendListMessage(phoneNumber, title, description, sections);
+    registrarEnvioBot(phoneNumber, description);
+    const resultado = await service.sendListMessage(phoneNumber, title, description, sections);
+    registrarEnvioBot(phoneNumber, null, resultado);
+    return resultado;
 }
 
 /**
@@ -121,7 +246,7 @@ async function sendQuestion(phoneNumber, message, endpoint) {
     } else {
         // Fallback para Evolution: envia como texto
         console.log('[MessageService] sendQuestion não suportado em Evolution, enviando como texto');
-        return await service.sendTextMessage(phoneNumber, message);
+        return await sendTextMessage(phoneNumber, message);
     }
 }
 
@@ -299,6 +424,7 @@ module.exports = {
     // Funções principais (compatíveis com ambos os serviços)
     sendTextMessage,
     sendDocument,
+    sendImage,
     sendButtonMessage,
     sendListMessage,
     sendQuestion,          // Específico Megazap, fallback Evolution
@@ -315,6 +441,9 @@ module.exports = {
     markMessageAsRead,
 
     // Utilidades
+    registrarEnvioBot,     // Envios feitos direto pela Evolution API (fora deste módulo)
+    foiEnviadaPeloBot,
+    obterUltimoEnvioBot,
     MESSAGE_FORMATS,
     getMessageFormat,
     getMessageService,
@@ -5,6 +5,14 @@ const atendimentoService = require('../services/atendimentoService');
 const validacaoService = require('../services/validacaoService');
 const messageFormatAdapter = require('../services/messageFormatAdapter');
 const atendimentoMegaZap = require('../services/atendimentoMegaZap');
+const inatividadeService = require('../services/inatividadeService');
+const deduplicacaoService = require('../services/deduplicacaoService');
+const filaContatoService = require('../services/filaContatoService');
+const filaEntradaService = require('../services/filaEntradaService');
+const atendimentoHumanoService = require('../services/atendimentoHumanoService');
+const ticketService = require('../services/ticketService');
+const horarioAtendimentoService = require('../services/horarioAtendimentoService');
+const messageService = require('../config/messageService');
 const MENSAGENS = require('../utils/mensagens');
 
 /**
@@ -48,11 +56,65 @@ async function receberMensagem(req, res) {
 
         console.log(`📊 [WEBHOOK] Total de mensagens: ${mensagensAdaptadas.length}`);
 
+        // Verificar formato de resposta
+        const messageFormat = process.env.MESSAGE_FORMAT || '1';
+
+        // Evolution: grava na fila local e responde na hora (Megazap precisa da resposta no retorno)
+        const enfileirar = messageFormat !== '2' && filaEntradaService.estaAtiva();
+
         const resultados = [];
 
         for (const mensagemAdaptada of mensagensAdaptadas) {
+            // Reenvio da mesma mensagem (webhook respondeu devagar): não processar de novo
+            if (await deduplicacaoService.registrarRecebida(mensagemAdaptada.messageId)) {
+                // Megazap: o retorno anterior se perdeu, devolve a mesma resposta
+                const respostaAnterior = messageFormat === '2'
+                    ? deduplicacaoService.obterResposta(mensagemAdaptada.messageId)
+                    : null;
+
+                if (respostaAnterior) {
+                    console.log(`♻️ [WEBHOOK] Reenviando resposta Megazap de ${mensagemAdaptada.messageId}`);
+                    resultados.push({ ...await respostaAnterior, reenvio: true });
+                    continue;
+                }
+
+                resultados.push({
+                    success: true,
+                    messageId: mensagemAdaptada.messageId,
+                    status: 'ignorada',
+                    motivo: 'Mensagem duplicada'
+                });
+                continue;
+            }
+
+            if (enfileirar) {
+                const enfileirada = filaEntradaService.enfileirar(mensagemAdaptada);
+
+                if (enfileirada.success) {
+                    resultados.push({
+                        success: true,
+                        messageId: mensagemAdaptada.messageId,
+                        status: 'enfileirada',
+                        fila: enfileirada.data.id
+                    });
+                    continue;
+                }
+
+                // Falha ao gravar na fila: processa na hora
+                console.log('⚠️ [WEBHOOK] Fila indisponível, processando de forma síncrona:', enfileirada.error);
+            }
+
             try {
-                const resultado = await processarMensagemWebhook(mensagemAdaptada);
+                const processamento = processarMensagemEmOrdem(mensagemAdaptada);
+
+                if (messageFormat === '2') {
+                    deduplicacaoService.guardarResposta(
+                        mensagemAdaptada.messageId,
+                        processamento.catch(error => ({ success: false, webhook: messageFormat, error: error.message }))
+                    );
+                }
+
+                const resultado = await processamento;
                 resultados.push(resultado);
             } catch (error) {
                 console.error('❌ [WEBHOOK] Erro ao processar mensagem:', error);
@@ -64,10 +126,8 @@ async function receberMensagem(req, res) {
             }
         }
 
-        mensagensProcessadas += mensagensAdaptadas.length;
-
-        // Verificar formato de resposta
-        const messageFormat = process.env.MESSAGE_FORMAT || '1';
+        const ignoradas = resultados.filter(r => r.status === 'ignorada' || r.reenvio).length;
+        mensagensProcessadas += mensagensAdaptadas.length - ignoradas;
 
         // Megazap espera apenas o conteúdo de "data", sem wrapper
         if (messageFormat === '2') {
@@ -93,7 +153,9 @@ async function receberMensagem(req, res) {
         res.status(200).json({
             success: true,
             webhook: messageFormat,
-            processadas: mensagensAdaptadas.length,
+            processadas: resultados.filter(r => r.status !== 'ignorada' && r.status !== 'enfileirada').length,
+            enfileiradas: resultados.filter(r => r.status === 'enfileirada').length,
+            ignoradas: ignoradas,
             resultados: resultados
         });
 
@@ -107,6 +169,27 @@ async function receberMensagem(req, res) {
     }
 }
 
+/**
+ * Processa a mensagem na fila do contato (uma por vez para cada telefone)
+ * Em caso de erro, libera o messageId para que o reenvio seja processado
+ * @param {Object} mensagemAdaptada - Dados da mensagem no formato padrão adaptado
+ * @returns {Promise<Object>} Resultado do processamento
+ */
+async function processarMensagemEmOrdem(mensagemAdaptada) {
+    try {
+        return await filaContatoService.executar(
+            mensagemAdaptada.telefone,
+            () => processarMensagemWebhook(mensagemAdaptada)
+        );
+    } catch (error) {
+        await deduplicacaoService.liberar(mensagemAdaptada.messageId);
+        throw error;
+    }
+}
+
+// Worker da fila local de entrada (formato Evolution)
+filaEntradaService.definirProcessador(processarMensagemEmOrdem);
+
 /**
  * FLUXO PADRAO WHATSAPP
  * Processa uma única mensagem do webhook (já adaptada pelo messageFormatAdapter)
@@ -161,11 +244,19 @@ async function processarMensagemWebhook(mensagemAdaptada) {
 */
 
 async function processarMensagemWebhook(mensagemAdaptada) {
-    const { telefone, messageText, messageId, megazap } = mensagemAdaptada;
+    const { telefone, messageText, messageId, megazap, fromMe } = mensagemAdaptada;
     
     // Verificar formato
     const messageFormat = process.env.MESSAGE_FORMAT || '1';
     
+    // Mensagem enviada pelo número da empresa: eco do bot ou resposta da equipe pelo celular
+    if (fromMe) {
+        return await atendimentoHumanoService.registrarMensagemEquipe(telefone, messageText, messageId);
+    }
+    
+    // Últimas mensagens do cliente (resumo do ticket em caso de transferência)
+    ticketService.registrarMensagem(telefone, messageText);
+    
     if (messageFormat === '2' && megazap) {
         // Usar fluxo Megazap unificado
         return await atendimentoMegaZap.fluxoAtendimentoMegazap(
@@ -235,7 +326,7 @@ async function processarComNovoFluxo(telefone, messageText, messageId) {
     
     try {
         // 1. Verificar timeout de sessão
-        const sessaoValida = atendimentoService.verificarTimeoutSessao(telefone);
+        const sessaoValida = await atendimentoService.verificarTimeoutSessao(telefone);
         
         if (!sessaoValida) {
             console.log('⏱️ [WEBHOOK] Sessão expirou - reiniciando');
@@ -352,8 +443,7 @@ async function processarComFluxoAntigo(messageData) {
 async function enviarMensagemTimeout(telefone) {
     const getMessageFormat = process.env.MESSAGE_FORMAT;
     if(getMessageFormat==1){
-        const evolutionAPI = require('../config/evolution');
-        await evolutionAPI.sendTextMessage(
+        await messageService.sendTextMessage(
             telefone,
             MENSAGENS.ENCERRAMENTO.TIMEOUT()
         );
@@ -368,8 +458,7 @@ async function enviarMensagemTimeout(telefone) {
 async function enviarMensagemBloqueio(telefone, mensagemPersonalizada) {
     const getMessageFormat = process.env.MESSAGE_FORMAT;
     if(getMessageFormat==1){
-        const evolutionAPI = require('../config/evolution');
-        await evolutionAPI.sendTextMessage(
+        await messageService.sendTextMessage(
             telefone,
             mensagemPersonalizada || MENSAGENS.BLOQUEIO.CLIENTE_BLOQUEADO()
         );
@@ -384,8 +473,7 @@ async function enviarMensagemBloqueio(telefone, mensagemPersonalizada) {
 async function enviarMensagemSemPermissao(telefone, mensagemPersonalizada) {
     const getMessageFormat = process.env.MESSAGE_FORMAT;
     if(getMessageFormat==1){
-        const evolutionAPI = require('../config/evolution');
-        await evolutionAPI.sendTextMessage(
+        await messageService.sendTextMessage(
             telefone,
             mensagemPersonalizada || MENSAGENS.PERMISSAO.SEM_PERMISSAO()
         );
@@ -399,8 +487,7 @@ async function enviarMensagemSemPermissao(telefone, mensagemPersonalizada) {
 async function enviarMensagemErro(telefone) {
     const getMessageFormat = process.env.MESSAGE_FORMAT;
     if(getMessageFormat==1){
-        const evolutionAPI = require('../config/evolution');
-        await evolutionAPI.sendTextMessage(
+        await messageService.sendTextMessage(
             telefone,
             '❌ Desculpe, ocorreu um erro temporário.\n\n' +
             'Por favor, tente novamente em alguns instantes.'
@@ -488,7 +575,12 @@ function verificarStatus(req, res) {
         configuracoes: {
             validarComAPI: WEBHOOK_CONFIG.VALIDAR_COM_API,
             timeoutSessao: WEBHOOK_CONFIG.TIMEOUT_SESSAO / 1000 + 's'
-        }
+        },
+        inatividade: inatividadeService.obterStatus(),
+        deduplicacao: deduplicacaoService.obterStatus(),
+        filas: filaContatoService.obterStatus(),
+        filaEntrada: filaEntradaService.obterStatus(),
+        horario: horarioAtendimentoService.obterStatus()
     });
 }
 
@@ -530,6 +622,25 @@ function validarToken(req, res, next) {
     });
 }
 
+/**
+ * Middleware de validação de token obrigatório (rotas com dados de clientes)
+ * Diferente de validarToken, recusa o acesso quando WEBHOOK_TOKEN não está configurado
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} next - Next
+ */
+function exigirToken(req, res, next) {
+    if (!process.env.WEBHOOK_TOKEN) {
+        console.log('🚫 WEBHOOK_TOKEN não configurado, acesso recusado');
+        return res.status(401).json({
+            success: false,
+            error: 'Token não configurado no servidor'
+        });
+    }
+
+    return validarToken(req, res, next);
+}
+
 /**
  * Health check
  * @param {Object} req - Request
@@ -573,5 +684,6 @@ module.exports = {
     verificarStatus,
     healthCheck,
     logRequest,
-    validarToken
+    validarToken,
+    exigirToken
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
+const validacaoService = require('../services/validacaoService');
 const WhatsAppMessageService = require('../services/whatsappMessageService');
 const EmailMessageService = require('../services/emailMessageService');
 
@@ -171,12 +172,12 @@ class WebhookMessagesController {
 
             const { cnpj, mensagem } = body;
 
-            // Validação do CNPJ (formato básico)
-            const cnpjLimpo = cnpj.replace(/\D/g, '');
-            if (cnpjLimpo.length !== 14) {
+            // Validação do CPF/CNPJ (formato básico, CNPJ numérico ou alfanumérico)
+            const cnpjLimpo = validacaoService.normalizarCpfCnpj(cnpj);
+            if (![11, 14].includes(cnpjLimpo.length)) {
                 return {
                     valida: false,
-                    motivo: 'CNPJ deve conter 14 dígitos'
+                    motivo: 'CPF deve conter 11 dígitos ou CNPJ 14 caracteres'
                 };
             }
 
@@ -320,13 +321,15 @@ class WebhookMessagesController {
     }
 
     /**
-     * Formata CNPJ para padrão XX.XXX.XXX/XXXX-XX
-     * @param {string} cnpj - CNPJ apenas números
-     * @returns {string} CNPJ formatado
+     * Formata CNPJ para padrão XX.XXX.XXX/XXXX-XX (numérico ou alfanumérico)
+     * ou CPF para XXX.XXX.XXX-XX
+     * @param {string} cnpj - CPF/CNPJ sem formatação
+     * @returns {string} CPF/CNPJ formatado
      */
     static formatarCNPJ(cnpj) {
-        const cnpjLimpo = cnpj.replace(/\D/g, '');
-        return cnpjLimpo.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+        //const cnpjLimpo = cnpj.replace(/\D/g, '');
+        //return cnpjLimpo.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+        return validacaoService.formatarCpfCnpj(cnpj);
     }
 
     /**
@@ -0,0 +1,150 @@
+/**
+ * Definição do Fluxo de Atendimento (Evolution)
+ *
+ * Executado pelo motor em src/services/fluxoService.js.
+ * Ações e detectores são registrados em src/services/atendimentoService.js.
+ *
+ * Para alterar a ordem do menu, basta reordenar as opções: a numeração
+ * exibida ao cliente segue a posição na lista.
+ */
+
+module.exports = {
+    nome: 'atendimento',
+    estadoInicial: 'inicial',
+    estadoPadrao: 'inicial',
+
+    /**
+     * Intenções verificadas antes da ação da etapa (na ordem da lista)
+     * Cada estado informa quais intenções aceita em "intencoes"
+     */
+    intencoesGlobais: [
+        {
+            nome: 'encerrar',
+            detector: 'comandoSaida',
+            acao: 'encerrar'
+        },
+        {
+            // Despedidas reconhecidas pelo classificador ("era só isso, obrigado"):
+            // fora das etapas em que o texto livre é a resposta (proposta, recado)
+            nome: 'despedida',
+            detector: 'despedida',
+            acao: 'encerrar'
+        },
+        {
+            nome: 'atendimento',
+            detector: 'palavrasChaveAtendimento',
+            acao: 'menuPrincipal',
+            exigeCliente: true
+        },
+        {
+            nome: 'boletos',
+            detector: 'palavrasChaveBoleto',
+            acao: 'menuPrincipal',
+            valor: 'boletos',
+            exigeCliente: true
+        }
+    ],
+
+    /**
+     * Estados (etapas) do atendimento
+     * - acao: executada quando nenhuma intenção global é detectada
+     * - intencoes: intenções globais permitidas na etapa
+     * - transicoes: status retornado pela ação → próxima etapa
+     */
+    estados: {
+        inicial: {
+            acao: 'etapaInicial',
+            intencoes: ['encerrar', 'despedida', 'atendimento'],
+            transicoes: {
+                bloqueado: 'bloqueado',
+                aguardando_cnpj: 'aguardando_cnpj',
+                escolhendo_empresa: 'escolhendo_empresa'
+            }
+        },
+        escolhendo_empresa: {
+            acao: 'escolherEmpresa',
+            intencoes: ['encerrar', 'despedida'],
+            transicoes: {
+                empresa_selecionada: 'menu_principal'
+            }
+        },
+        aguardando_cnpj: {
+            acao: 'validarCNPJ',
+            intencoes: ['encerrar', 'despedida', 'atendimento']
+        },
+        aguardando_novo_cnpj: {
+            acao: 'validarNovoCNPJ',
+            intencoes: ['encerrar', 'despedida', 'atendimento']
+        },
+        escolhendo_documento: {
+            acao: 'escolherDocumento',
+            intencoes: ['encerrar', 'despedida', 'atendimento']
+        },
+        aguardando_recado: {
+            acao: 'registrarRecado',
+            intencoes: ['encerrar']
+        },
+        sem_permissao: {
+            acao: 'etapaInicial',
+            intencoes: ['encerrar', 'despedida', 'atendimento']
+        },
+        menu_principal: {
+            acao: 'menuPrincipal',
+            intencoes: ['encerrar', 'despedida', 'atendimento', 'boletos'],
+            transicoes: {
+                aguardando_novo_cnpj: 'aguardando_novo_cnpj'
+            }
+        },
+        selecionando_boletos: {
+            acao: 'selecionarBoletos',
+            intencoes: ['encerrar', 'despedida', 'atendimento'],
+            transicoes: {
+                boletos_enviados: 'menu_principal'
+            }
+        },
+        selecionando_certificados: {
+            acao: 'selecionarCertificados',
+            intencoes: ['encerrar', 'despedida', 'atendimento'],
+            transicoes: {
+                certificados_enviados: 'menu_principal'
+            }
+        },
+        selecionando_proposta: {
+            acao: 'selecionarProposta',
+            intencoes: ['encerrar', 'despedida', 'atendimento']
+        },
+        respondendo_proposta: {
+            acao: 'responderProposta',
+            intencoes: ['encerrar', 'atendimento']
+        },
+        consultando_boletos: {
+            acao: 'menuPrincipal',
+            intencoes: ['encerrar', 'despedida', 'atendimento', 'boletos']
+        },
+        bloqueado: {
+            acao: 'etapaInicial',
+            intencoes: ['encerrar']
+        }
+    },
+
+    /**
+     * Menus exibidos ao cliente
+     * - atalhos: palavras aceitas além do número da opção
+     * - intencao: intenção do intencaoService que leva à opção (texto livre)
+     */
+    menus: {
+        principal: {
+            titulo: '📋 *Menu de Opções*',
+            instrucao: 'Escolha uma das opções abaixo digitando o número correspondente:',
+            opcoes: [
+                { rotulo: 'Boletos em Aberto', acao: 'boletos', atalhos: ['boletos'], intencao: 'boleto' },
+                { rotulo: 'Notas Fiscais', acao: 'notas', atalhos: ['notas', 'nota', 'nfe', 'nfse'], intencao: 'nota' },
+                { rotulo: 'Certificados', acao: 'certificados', atalhos: ['certificados', 'certificado', 'laudo', 'laudos'], intencao: 'certificado' },
+                { rotulo: 'Propostas Comerciais', acao: 'propostas', atalhos: ['propostas', 'proposta', 'orcamento', 'orçamento'], intencao: 'proposta' },
+                { rotulo: 'Informar outro CPF/CNPJ', acao: 'alterarCNPJ', atalhos: ['alterar', 'cnpj', 'cpf', 'trocar'], intencao: 'trocarDocumento' },
+                { rotulo: 'Falar com Atendente', acao: 'transferirAtendente', atalhos: ['atendente'], intencao: 'atendente' },
+                { rotulo: 'Falar com Suporte', acao: 'transferirSuporte', atalhos: ['suporte'], intencao: 'suporte' }
+            ]
+        }
+    }
+};
@@ -12,6 +12,8 @@ const webhookGroupRoutes = require('./routes/webhookGroup');
 const webhookMessageRoutes = require('./routes/webhookMessage');
 const qrcodeRoutes = require('./routes/qrcode');
 const tokenRoutes = require('./routes/token');
+const atendimentoHumanoRoutes = require('./routes/atendimentoHumano');
+const satisfacaoRoutes = require('./routes/satisfacao');
 
 // Cron:
 const scheduledRoutes = require('./modules/scheduled-messages/routes/scheduled');
@@ -69,6 +71,12 @@ class WhatsAppBot {
             // Inicializar renovação automática de token ERP
             await this.initializeTokenRenewal();
 
+            // Inicializar varredura de sessões inativas
+            this.initializeSessionSweeper();
+
+            // Retomar mensagens que ficaram na fila local de entrada
+            this.resumeInboundQueue();
+
             // Inicia servidor
             await this.startServer();
 
@@ -96,8 +104,9 @@ class WhatsAppBot {
     setupMiddlewares() {
         logger.debug('⚙️ Configurando middlewares...', { context: 'setup' });
 
-        this.app.use(express.json());
-        this.app.use(express.urlencoded({ extended: true }));
+        // Mesmo limite do body parser abaixo (documentos em base64 via /atendimento-humano)
+        this.app.use(express.json({ limit: '5mb' }));
+        this.app.use(express.urlencoded({ extended: true, limit: '5mb' }));
         
         // Middleware de debug - captura TODAS as requisições
         this.app.use((req, res, next) => {
@@ -186,6 +195,8 @@ class WhatsAppBot {
                     webhook: '/webhook',
                     qrcode: '/qrcode',
                     token: '/token',
+                    atendimentoHumano: '/atendimento-humano',
+                    satisfacao: '/satisfacao',
                     scheduled: '/scheduled',
                     health: '/health',
                     info: '/info'
@@ -208,6 +219,12 @@ class WhatsAppBot {
         // Rotas de gerenciamento de token ERP
         this.app.use('/token', tokenRoutes);
 
+        // Rotas de atendimento humano (bot em silêncio)
+        this.app.use('/atendimento-humano', atendimentoHumanoRoutes);
+
+        // Rotas da pesquisa de satisfação (CSAT)
+        this.app.use('/satisfacao', satisfacaoRoutes);
+
         // Rotas CRON (micro-serviço)
         this.app.use('/scheduled', scheduledRoutes);
 
@@ -324,7 +341,53 @@ class WhatsAppBot {
         }
     }
 
+    /**
+     * Inicializa a varredura de sessões inativas (aviso e encerramento por inatividade)
+     */
+    initializeSessionSweeper() {
+        try {
+            const inatividadeService = require('./services/inatividadeService');
 
+            if (inatividadeService.iniciar()) {
+                logger.info('✅ Varredura de sessões inativas ativa', {
+                    context: 'session-sweeper',
+                    configuracao: inatividadeService.obterStatus().configuracao
+                });
+            }
+
+        } catch (error) {
+            logger.error('❌ Erro ao inicializar varredura de sessões inativas', {
+                context: 'session-sweeper',
+                error: error.message
+            });
+
+            logger.warn('⚠️ Aplicação continuará sem varredura de sessões inativas', {
+                context: 'session-sweeper'
+            });
+        }
+    }
+
+    /**
+     * Retoma mensagens pendentes da fila local de entrada (webhook Evolution)
+     */
+    resumeInboundQueue() {
+        try {
+            const filaEntradaService = require('./services/filaEntradaService');
+            const retomadas = filaEntradaService.iniciar();
+
+            logger.info('📥 Fila local de entrada verificada', {
+                context: 'inbound-queue',
+                ativo: filaEntradaService.estaAtiva(),
+                retomadas: retomadas
+            });
+
+        } catch (error) {
+            logger.error('❌ Erro ao retomar fila local de entrada', {
+                context: 'inbound-queue',
+                error: error.message
+            });
+        }
+    }
 
     /**
      * Configura tratamento de erros
@@ -496,6 +559,15 @@ class WhatsAppBot {
             } catch (error) {
                 logger.warn('⚠️ Erro ao parar renovação de token:', error.message);
             }
+
+            // Parar varredura de sessões inativas
+            try {
+                const inatividadeService = require('./services/inatividadeService');
+                inatividadeService.parar();
+                logger.info('✅ Varredura de sessões inativas parada', { context: 'shutdown' });
+            } catch (error) {
+                logger.warn('⚠️ Erro ao parar varredura de sessões:', error.message);
+            }
             
             // Para de aceitar novas conexões
             if (this.server) {
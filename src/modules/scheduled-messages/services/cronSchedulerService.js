@@ -2,6 +2,8 @@ const moment = require('moment');
 const database = require('../../../config/database');
 const scheduledWhatsappService = require('./scheduledWhatsappService');
 const scheduledEmailService = require('./scheduledEmailService');
+const pixService = require('../../../services/pixService');
+const boletoService = require('../../../services/boletoService');
 
 /**
  * Serviço principal para agendamento e execução de envios programados
@@ -205,18 +207,41 @@ class CronSchedulerService {
 
             console.log(`📄 [CRON] Encontrados ${boletosResult.data.length} boleto(s) pendente(s)`);
 
+            // REGRA VALIDACAO: Reter boletos com linha digitável/código de barras inválidos
+            // (permanecem com status=0 e não são enviados ao cliente)
+            const { validos, invalidos } = boletoService.filtrarBoletosValidos(
+                boletosResult.data,
+                `cron:${clienteCron.cliente}`
+            );
+
+            if (validos.length === 0) {
+                console.log(`🚫 [CRON] Todos os boletos do cliente ${clienteCron.cliente} foram retidos por código inválido`);
+                return {
+                    success: true,
+                    cliente: clienteCron.cliente,
+                    mensagensEnviadas: 0,
+                    boletos: [],
+                    boletosRetidos: invalidos.map(item => ({
+                        conta: item.boleto.idConta || item.boleto.conta,
+                        numero: item.boleto.numero,
+                        erro: item.erro
+                    })),
+                    message: 'Boletos retidos por código inválido'
+                };
+            }
+
             // Agrupar boletos por cliente para envio
-            const clienteData = boletosResult.data[0]; // Pegar dados do primeiro boleto para info do cliente
+            const clienteData = validos[0]; // Pegar dados do primeiro boleto para info do cliente
             
             // REGRA DE ENVIO: Usar mesmos critérios da função processarBoletos
-            const resultadoEnvio = await this.enviarMensagensBoletos(clienteData, boletosResult.data);
+            const resultadoEnvio = await this.enviarMensagensBoletos(clienteData, validos);
             
             if (!resultadoEnvio.success) {
                 throw new Error(`Erro no envio: ${resultadoEnvio.error}`);
             }
 
             // Atualizar status dos boletos enviados
-            await this.atualizarStatusBoletos(boletosResult.data);
+            await this.atualizarStatusBoletos(validos);
 
             console.log(`✅ [CRON] Cliente ${clienteCron.cliente} processado com sucesso`);
 
@@ -224,12 +249,17 @@ class CronSchedulerService {
                 success: true,
                 cliente: clienteCron.cliente,
                 mensagensEnviadas: resultadoEnvio.mensagensEnviadas,
-                boletos: boletosResult.data.map(b => ({
+                boletos: validos.map(b => ({
                     conta: b.idConta || b.conta,
                     numero: b.numero,
                     valor: b.valor,
                     vencimento: b.dataVencimento
                 })),
+                boletosRetidos: invalidos.map(item => ({
+                    conta: item.boleto.idConta || item.boleto.conta,
+                    numero: item.boleto.numero,
+                    erro: item.erro
+                })),
                 envio: resultadoEnvio.detalhes
             };
 
@@ -430,6 +460,12 @@ class CronSchedulerService {
             mensagem += `*Valor:* ${valor}\n\n`;
             mensagem += `*Linha Digitável:*\n${boleto.linhaDigitavel}\n\n`;
             mensagem += `*Link Impressão:*\n${boleto.url}\n`;
+
+            // PIX Copia e Cola (se configurado)
+            const pix = pixService.gerarPixBoleto(boleto);
+            if (pix.success) {
+                mensagem += `\n*PIX Copia e Cola:*\n${pix.data.payload}\n`;
+            }
             
             // // Link para impressão (se disponível)
             // if (boleto.url) {
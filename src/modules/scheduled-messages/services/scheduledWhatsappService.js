@@ -1,4 +1,5 @@
 const evolutionAPI = require('../../../config/evolution');
+const messageService = require('../../../config/messageService');
 const moment = require('moment');
 
 /**
@@ -117,7 +118,10 @@ class ScheduledWhatsappService {
             console.log(`📤 [SCHEDULED-WHATSAPP] Enviando texto para: ${phoneNumber}`);
             
             // Usar o método existente do evolutionAPI
+            // Registrado como envio do bot para o eco "fromMe" não ser tratado como resposta da equipe
+            messageService.registrarEnvioBot(phoneNumber, message);
             const resultado = await evolutionAPI.sendTextMessage(phoneNumber, message);
+            messageService.registrarEnvioBot(phoneNumber, null, resultado);
             
             if (!resultado.success) {
                 throw new Error(resultado.error || 'Falha no envio via Evolution API');
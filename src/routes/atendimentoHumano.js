@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const atendimentoHumanoService = require('../services/atendimentoHumanoService');
+const database = require('../config/database');
+
+/**
+ * Rotas para controle do atendimento humano (bot em silêncio)
+ * Todas exigem o token de um agente (HUMANO_AGENTES); as ações são registradas em nome dele
+ */
+router.use((req, res, next) => {
+    const agente = atendimentoHumanoService.identificarAgente(req.headers.authorization || req.query.token);
+
+    if (!agente) {
+        console.log('🚫 [HUMANO] Token de agente inválido ou ausente');
+        return res.status(401).json({
+            success: false,
+            error: 'Token de agente inválido ou ausente'
+        });
+    }
+
+    req.agente = agente;
+    next();
+});
+
+/**
+ * GET /atendimento-humano
+ * Lista as conversas em atendimento humano com o histórico (whapi_atendimento)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const conversas = await atendimentoHumanoService.listarConversas();
+
+        res.json({
+            success: true,
+            data: conversas
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /atendimento-humano/:telefone
+ * Obtém a conversa em atendimento humano com o histórico
+ */
+router.get('/:telefone', async (req, res) => {
+    try {
+        const conversa = await atendimentoHumanoService.obterConversa(req.params.telefone);
+
+        if (!conversa) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contato não está em atendimento humano'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: conversa
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /atendimento-humano/:telefone/responder
+ * Envia resposta do agente ao cliente (texto ou documento) pelo WhatsApp do bot
+ * Body: { mensagem, documento: { base64, nome } }
+ */
+router.post('/:telefone/responder', async (req, res) => {
+    try {
+        const { mensagem, documento } = req.body || {};
+
+        const resultado = await atendimentoHumanoService.responder(req.params.telefone, {
+            agente: req.agente,
+            mensagem,
+            documento
+        });
+
+        if (!resultado.success) {
+            return res.status(400).json({
+                success: false,
+                error: resultado.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: resultado.data
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /atendimento-humano/:telefone/iniciar
+ * Coloca o contato em atendimento humano
+ * Body: { setor }
+ */
+router.post('/:telefone/iniciar', async (req, res) => {
+    try {
+        const { setor } = req.body || {};
+
+        const resultado = await atendimentoHumanoService.iniciar(req.params.telefone, {
+            origem: atendimentoHumanoService.ORIGENS.API,
+            setor,
+            agente: req.agente
+        });
+
+        if (!resultado.success) {
+            return res.status(400).json({
+                success: false,
+                error: resultado.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: resultado.data
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /atendimento-humano/:telefone/encerrar
+ * Devolve o contato ao bot
+ */
+router.post('/:telefone/encerrar', async (req, res) => {
+    try {
+        const resultado = await atendimentoHumanoService.encerrar(
+            req.params.telefone,
+            atendimentoHumanoService.ORIGENS.API,
+            { agente: req.agente }
+        );
+
+        if (!resultado.success) {
+            return res.status(404).json({
+                success: false,
+                error: resultado.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: resultado.data
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /atendimento-humano/:telefone/eventos
+ * Histórico de entradas e saídas do atendimento humano
+ */
+router.get('/:telefone/eventos', async (req, res) => {
+    try {
+        const resultado = await database.listarEventosAtendimentoHumano(
+            req.params.telefone.replace(/\D/g, ''),
+            parseInt(req.query.limite) || 50
+        );
+
+        if (!resultado.success) {
+            return res.status(500).json({
+                success: false,
+                error: resultado.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: resultado.data
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
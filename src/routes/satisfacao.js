@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const satisfacaoService = require('../services/satisfacaoService');
+const { exigirToken } = require('../controllers/webhookController');
+
+/**
+ * Rotas da pesquisa de satisfação (CSAT)
+ * Todas exigem o WEBHOOK_TOKEN (sem token configurado o acesso é recusado)
+ */
+router.use(exigirToken);
+
+/**
+ * Período padrão do relatório (últimos 30 dias)
+ */
+const DIAS_PADRAO = 30;
+
+/**
+ * Converte data YYYY-MM-DD do query string
+ * @param {string} valor - Data informada
+ * @returns {Date|null} Data ou null se inválida
+ */
+function lerData(valor) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(valor || ''))) {
+        return null;
+    }
+
+    const data = new Date(`${valor}T00:00:00`);
+    return Number.isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * GET /satisfacao/relatorio?inicio=YYYY-MM-DD&fim=YYYY-MM-DD
+ * CSAT (% de notas 4 e 5), média e total de avaliações: geral, por dia, por intenção e por agente
+ * O dia "fim" entra no período; sem datas considera os últimos 30 dias
+ */
+router.get('/relatorio', async (req, res) => {
+    try {
+        const { inicio, fim } = req.query;
+
+        if ((inicio && !lerData(inicio)) || (fim && !lerData(fim))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Datas devem estar no formato YYYY-MM-DD'
+            });
+        }
+
+        const dataFim = fim ? lerData(fim) : new Date();
+        dataFim.setHours(0, 0, 0, 0);
+        dataFim.setDate(dataFim.getDate() + 1);
+
+        const dataInicio = inicio ? lerData(inicio) : new Date(dataFim);
+        if (!inicio) {
+            dataInicio.setDate(dataInicio.getDate() - DIAS_PADRAO);
+        }
+
+        if (dataInicio >= dataFim) {
+            return res.status(400).json({
+                success: false,
+                error: 'Data inicial deve ser anterior à final'
+            });
+        }
+
+        const resultado = await satisfacaoService.relatorio(dataInicio, dataFim);
+
+        if (!resultado.success) {
+            return res.status(500).json({
+                success: false,
+                error: resultado.error
+            });
+        }
+
+        res.json({
+            success: true,
+            periodo: { inicio: dataInicio, fim: dataFim },
+            data: resultado.data
+        });
+
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
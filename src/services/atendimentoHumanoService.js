@@ -0,0 +1,615 @@
+/**
+ * Serviço de Atendimento Humano (handoff)
+ *
+ * Enquanto um contato está com a equipe, o bot fica em silêncio: as mensagens do
+ * cliente são apenas registradas e não passam pelo fluxo de atendimento.
+ *
+ * Entrada no modo:
+ * - transferência para atendente/suporte (processarTransferenciaAtendente/Suporte)
+ * - resposta a uma proposta comercial (processarTransferenciaComercial)
+ * - resposta da equipe pelo celular (mensagem "fromMe" que não foi enviada pelo bot)
+ * - chamada à API (/atendimento-humano/:telefone/iniciar)
+ * - resposta de um agente pela API (/atendimento-humano/:telefone/responder)
+ *
+ * Saída do modo:
+ * - inatividade da equipe por HUMANO_INATIVIDADE, contada a partir da primeira resposta
+ *   (enquanto ninguém respondeu o ticket está na fila e o contato aguarda o agente)
+ * - fila sem resposta da equipe por HUMANO_FILA_TIMEOUT: o ticket é fechado e o cliente
+ *   avisado (sem pesquisa de satisfação, não houve atendimento)
+ * - palavra-chave enviada pela equipe ou pelo cliente (HUMANO_PALAVRAS_FIM)
+ * - chamada à API (/atendimento-humano/:telefone/encerrar)
+ * Ao sair do modo o cliente recebe a pesquisa de satisfação (avaliação do agente).
+ *
+ * Toda transição é gravada em whapi_atendimento_humano.
+ *
+ * As mensagens trocadas durante o atendimento humano (cliente, respostas da equipe
+ * pela API ou pelo celular) são acrescentadas à conversa em whapi_atendimento, com a
+ * identificação do agente em cada resposta. O atendimento vinculado é o último do
+ * cliente; sem cliente identificado um novo registro é criado.
+ *
+ * Configuração (.env):
+ * - HUMANO_ATIVO: 'false' desativa o modo (transferência apenas envia a mensagem)
+ * - HUMANO_INATIVIDADE: tempo sem mensagens da equipe para devolver ao bot em ms (padrão 30 minutos)
+ * - HUMANO_FILA_TIMEOUT: tempo na fila sem resposta da equipe para encerrar em ms (padrão 4 horas)
+ * - HUMANO_PALAVRAS_FIM: palavras que encerram o modo, separadas por vírgula (padrão #bot)
+ * - HUMANO_AGENTES: agentes das rotas /atendimento-humano no formato nome:token, separados
+ *   por vírgula (ex.: ana:abc123,joao:def456). Sem agentes configurados as rotas recusam o acesso
+ */
+
+require('dotenv').config();
+
+const sessaoService = require('./sessaoService');
+const messageService = require('../config/messageService');
+const database = require('../config/database');
+const MENSAGENS = require('../utils/mensagens');
+const ticketService = require('./ticketService');
+const satisfacaoService = require('./satisfacaoService');
+
+/**
+ * Origens das transições
+ */
+const ORIGENS = {
+    TRANSFERENCIA_ATENDENTE: 'transferencia_atendente',
+    TRANSFERENCIA_SUPORTE: 'transferencia_suporte',
+    TRANSFERENCIA_COMERCIAL: 'transferencia_comercial',
+    RESPOSTA_EQUIPE: 'resposta_equipe',
+    INATIVIDADE: 'inatividade',
+    FILA_EXPIRADA: 'fila_expirada',
+    PALAVRA_CHAVE: 'palavra_chave',
+    API: 'api'
+};
+
+/**
+ * Eventos gravados em whapi_atendimento_humano
+ */
+const EVENTOS = {
+    INICIO: 'inicio',
+    FIM: 'fim'
+};
+
+/**
+ * Tempo sem mensagens da equipe para devolver o contato ao bot (30 minutos padrão)
+ */
+const INATIVIDADE_HUMANO = parseInt(process.env.HUMANO_INATIVIDADE) || 30 * 60 * 1000;
+
+/**
+ * Tempo na fila sem resposta da equipe para encerrar e fechar o ticket (4 horas padrão)
+ */
+const FILA_HUMANO = parseInt(process.env.HUMANO_FILA_TIMEOUT) || 4 * 60 * 60 * 1000;
+
+/**
+ * Contatos em atendimento humano (ultimaInteracao = última atividade da equipe)
+ * O TTL do armazenamento é só uma garantia de limpeza (sempre maior que a fila);
+ * inatividade e fila são controladas aqui
+ */
+const atendimentosHumanos = sessaoService.criarArmazenamento('humano', {
+    ttl: Math.max(24 * 60 * 60 * 1000, FILA_HUMANO * 2)
+});
+
+/**
+ * Sessões do fluxo de atendimento (descartadas ao entrar no modo humano)
+ */
+const sessoesAtendimento = sessaoService.criarArmazenamento('atendimento');
+
+/**
+ * Verifica se o modo atendimento humano está ativo
+ * @returns {boolean} True se ativo
+ */
+function estaAtivo() {
+    return process.env.HUMANO_ATIVO !== 'false';
+}
+
+/**
+ * Normaliza telefone para chave do armazenamento
+ * @param {string} telefone - Número do telefone
+ * @returns {string} Apenas números
+ */
+function normalizarTelefone(telefone) {
+    return String(telefone || '').replace(/\D/g, '');
+}
+
+/**
+ * Verifica se a mensagem é uma palavra-chave de fim do atendimento humano
+ * @param {string} mensagem - Texto da mensagem
+ * @returns {boolean} True se encerra o modo
+ */
+function ehPalavraFim(mensagem) {
+    const palavras = (process.env.HUMANO_PALAVRAS_FIM || '#bot')
+        .split(',')
+        .map(palavra => palavra.trim().toLowerCase())
+        .filter(Boolean);
+
+    return palavras.includes(String(mensagem || '').trim().toLowerCase());
+}
+
+/**
+ * Identifica o agente pelo token das rotas /atendimento-humano (HUMANO_AGENTES)
+ * @param {string} token - Token informado (aceita "Bearer <token>")
+ * @returns {string|null} Nome do agente ou null se o token não pertence a nenhum agente
+ */
+function identificarAgente(token) {
+    const informado = String(token || '').replace(/^Bearer\s+/i, '').trim();
+
+    if (!informado) {
+        return null;
+    }
+
+    for (const item of (process.env.HUMANO_AGENTES || '').split(',')) {
+        const separador = item.indexOf(':');
+        const nome = item.slice(0, separador).trim();
+
+        if (separador > 0 && nome && item.slice(separador + 1).trim() === informado) {
+            return nome;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Registra transição (log e tabela whapi_atendimento_humano)
+ * @param {string} telefone - Número do telefone
+ * @param {string} evento - EVENTOS.INICIO ou EVENTOS.FIM
+ * @param {string} origem - Origem da transição (ORIGENS)
+ * @param {Object} dados - { setor, agente, cliente, detalhes }
+ */
+async function registrarTransicao(telefone, evento, origem, dados = {}) {
+    console.log(`👥 [HUMANO] ${telefone}: ${evento} (${origem})${dados.agente ? ` por ${dados.agente}` : ''}`);
+
+    const result = await database.registrarEventoAtendimentoHumano({
+        telefone,
+        evento,
+        origem,
+        setor: dados.setor,
+        agente: dados.agente,
+        cliente: dados.cliente,
+        detalhes: dados.detalhes
+    });
+
+    if (!result.success) {
+        console.error(`[HUMANO] Erro ao registrar transição de ${telefone}:`, result.error);
+    }
+}
+
+/**
+ * Coloca o contato em atendimento humano
+ * @param {string} telefone - Número do telefone
+ * @param {Object} opcoes - { origem, setor, agente, cliente, ticket, messageId, detalhes }
+ * @returns {Promise<Object>} { success, data: estado, error }
+ */
+async function iniciar(telefone, opcoes = {}) {
+    const chave = normalizarTelefone(telefone);
+
+    if (!estaAtivo()) {
+        return { success: false, data: null, error: 'Atendimento humano desativado' };
+    }
+
+    const atual = await atendimentosHumanos.obter(chave);
+
+    if (atual) {
+        // Já está com a equipe: apenas renova a atividade
+        atual.ultimaInteracao = Date.now();
+        atual.agente = opcoes.agente || atual.agente;
+        await atendimentosHumanos.definir(chave, atual);
+        return { success: true, data: atual, error: null };
+    }
+
+    const estado = {
+        origem: opcoes.origem || ORIGENS.API,
+        setor: opcoes.setor || null,
+        agente: opcoes.agente || null,
+        cliente: opcoes.cliente || null,
+        ticket: opcoes.ticket || null,
+        atendimento: await vincularAtendimento(chave, opcoes),
+        inicio: Date.now(),
+        ultimaInteracao: Date.now(),
+        mensagensCliente: 0,
+        ultimaMensagemCliente: null,
+        respostasEquipe: 0
+    };
+
+    await atendimentosHumanos.definir(chave, estado);
+
+    // O fluxo do bot recomeça do início quando o contato voltar
+    await sessoesAtendimento.remover(chave);
+
+    await registrarTransicao(chave, EVENTOS.INICIO, estado.origem, {
+        setor: estado.setor,
+        agente: estado.agente,
+        cliente: estado.cliente,
+        detalhes: opcoes.detalhes
+    });
+
+    return { success: true, data: estado, error: null };
+}
+
+/**
+ * Devolve o contato ao bot
+ * @param {string} telefone - Número do telefone
+ * @param {string} origem - Origem da transição (ORIGENS)
+ * @param {Object} opcoes - { agente, notificar (padrão true) }
+ * @returns {Promise<Object>} { success, data: estado encerrado, error }
+ */
+async function encerrar(telefone, origem, opcoes = {}) {
+    const chave = normalizarTelefone(telefone);
+    const estado = await atendimentosHumanos.obter(chave);
+
+    if (!estado) {
+        return { success: false, data: null, error: 'Contato não está em atendimento humano' };
+    }
+
+    await atendimentosHumanos.remover(chave);
+    await ticketService.fechar(chave, opcoes.agente || estado.agente);
+
+    await registrarTransicao(chave, EVENTOS.FIM, origem, {
+        setor: estado.setor,
+        agente: opcoes.agente || estado.agente,
+        cliente: estado.cliente,
+        detalhes: {
+            duracao: Math.round((Date.now() - estado.inicio) / 1000),
+            mensagensCliente: estado.mensagensCliente
+        }
+    });
+
+    await registrarNaConversa(estado, {
+        tipo: 'bot',
+        mensagem: 'Atendimento humano encerrado',
+        status: 'humano_encerrado',
+        agente: opcoes.agente || estado.agente,
+        origem
+    });
+
+    if (opcoes.notificar !== false && origem === ORIGENS.FILA_EXPIRADA) {
+        await messageService.sendTextMessage(chave, MENSAGENS.ATENDIMENTO.FILA_EXPIRADA(estado.ticket));
+    } else if (opcoes.notificar !== false) {
+        await messageService.sendTextMessage(chave, MENSAGENS.ATENDIMENTO.HUMANO_ENCERRADO());
+
+        await satisfacaoService.solicitar(chave, {
+            origem: 'humano',
+            messageId: estado.atendimento,
+            cliente: estado.cliente,
+            intencao: estado.setor || 'atendimento_humano',
+            agente: opcoes.agente || estado.agente
+        });
+    }
+
+    return { success: true, data: estado, error: null };
+}
+
+/**
+ * Lê a conversa de um registro de whapi_atendimento
+ * @param {Object} atendimento - Registro do atendimento
+ * @returns {Array} Histórico da conversa
+ */
+function lerConversa(atendimento) {
+    try {
+        return typeof atendimento.conversa === 'string' ? JSON.parse(atendimento.conversa) : (atendimento.conversa || []);
+    } catch (error) {
+        console.log(`[HUMANO] Conversa inválida no atendimento ${atendimento.id}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Vincula o atendimento humano a um registro de whapi_atendimento
+ * Procura pelo messageId, depois pelo último atendimento do cliente; se não achar, cria um novo
+ * @param {string} telefone - Número do telefone (normalizado)
+ * @param {Object} opcoes - { messageId, cliente }
+ * @returns {Promise<string|null>} messageId do atendimento vinculado
+ */
+async function vincularAtendimento(telefone, opcoes) {
+    if (opcoes.messageId) {
+        const result = await database.getAtendimentoByMessageId(opcoes.messageId);
+        if (result.success && result.data.length > 0) {
+            return result.data[0].messageId;
+        }
+    }
+
+    if (opcoes.cliente) {
+        const result = await database.getUltimoAtendimentoCliente(opcoes.cliente);
+        if (result.success && result.data.length > 0) {
+            return result.data[0].messageId;
+        }
+    }
+
+    const messageId = opcoes.messageId || `humano-${telefone}-${Date.now()}`;
+    const result = await database.registrarAtendimento({
+        messageId,
+        cliente: opcoes.cliente || null,
+        cnpj: null,
+        conversa: []
+    });
+
+    if (!result.success) {
+        console.error(`[HUMANO] Erro ao criar atendimento de ${telefone}:`, result.error);
+        return null;
+    }
+
+    return messageId;
+}
+
+/**
+ * Acrescenta uma entrada à conversa do atendimento vinculado
+ * @param {Object} estado - Estado do atendimento humano
+ * @param {Object} entrada - { tipo, mensagem, agente, ... }
+ * @returns {Promise<boolean>} True se a conversa foi atualizada
+ */
+async function registrarNaConversa(estado, entrada) {
+    if (!estado?.atendimento) {
+        return false;
+    }
+
+    const result = await database.getAtendimentoByMessageId(estado.atendimento);
+
+    if (!result.success || result.data.length === 0) {
+        return false;
+    }
+
+    const conversa = lerConversa(result.data[0]);
+    conversa.push({ tipo: entrada.tipo, data: new Date(), ...entrada });
+
+    const atualizacao = await database.atualizarConversa(estado.atendimento, conversa);
+    return atualizacao.success;
+}
+
+/**
+ * Verifica se o atendimento humano deve ser encerrado
+ * - equipe inativa há mais de HUMANO_INATIVIDADE depois de responder
+ * - contato na fila (ninguém respondeu) há mais de HUMANO_FILA_TIMEOUT
+ * @param {Object} estado - Estado do atendimento humano
+ * @returns {string|null} Origem do encerramento (ORIGENS) ou null se continua
+ */
+function motivoEncerramento(estado) {
+    if (estado.respostasEquipe > 0) {
+        return Date.now() - estado.ultimaInteracao > INATIVIDADE_HUMANO ? ORIGENS.INATIVIDADE : null;
+    }
+
+    return Date.now() - estado.inicio > FILA_HUMANO ? ORIGENS.FILA_EXPIRADA : null;
+}
+
+/**
+ * Obtém o atendimento humano em andamento
+ * Se a equipe ficou inativa ou a fila expirou encerra como a varredura
+ * @param {string} telefone - Número do telefone
+ * @returns {Promise<Object|null>} Estado ou null se o bot deve responder
+ */
+async function obterAtivo(telefone) {
+    if (!estaAtivo()) {
+        return null;
+    }
+
+    const estado = await atendimentosHumanos.obter(normalizarTelefone(telefone));
+
+    if (!estado) {
+        return null;
+    }
+
+    const motivo = motivoEncerramento(estado);
+
+    if (motivo) {
+        await encerrar(telefone, motivo);
+        return null;
+    }
+
+    return estado;
+}
+
+/**
+ * Registra mensagem do cliente durante o atendimento humano
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Texto da mensagem
+ * @returns {Promise<Object>} { encerrado } - true se a palavra-chave devolveu o contato ao bot
+ */
+async function registrarMensagemCliente(telefone, mensagem) {
+    const chave = normalizarTelefone(telefone);
+
+    if (ehPalavraFim(mensagem)) {
+        // O fluxo do bot responde em seguida (não precisa de aviso)
+        await encerrar(chave, ORIGENS.PALAVRA_CHAVE, { agente: 'cliente', notificar: false });
+        return { encerrado: true };
+    }
+
+    const estado = await atendimentosHumanos.obter(chave);
+
+    if (estado) {
+        // Não altera ultimaInteracao: a inatividade considera apenas a equipe
+        estado.mensagensCliente++;
+        estado.ultimaMensagemCliente = Date.now();
+        await atendimentosHumanos.definir(chave, estado);
+        await registrarNaConversa(estado, { tipo: 'cliente', mensagem });
+    }
+
+    console.log(`🤫 [HUMANO] ${chave} em atendimento humano, bot em silêncio`);
+    return { encerrado: false };
+}
+
+/**
+ * Trata mensagem "fromMe" (enviada pelo número da empresa)
+ * Ecos das mensagens do bot são ignorados; as demais são da equipe pelo celular
+ * @param {string} telefone - Número do contato
+ * @param {string} mensagem - Texto da mensagem
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Resultado do processamento
+ */
+async function registrarMensagemEquipe(telefone, mensagem, messageId) {
+    if (!estaAtivo() || !mensagem || messageService.foiEnviadaPeloBot(messageId, telefone, mensagem)) {
+        return { success: true, status: 'ignorada', motivo: 'Mensagem do próprio bot' };
+    }
+
+    // Grupos (ex.: aviso de ticket no grupo da equipe) e status não são atendimentos
+    if (String(telefone).includes('@g.us') || String(telefone).includes('broadcast')) {
+        return { success: true, status: 'ignorada', motivo: 'Mensagem de grupo' };
+    }
+
+    if (ehPalavraFim(mensagem)) {
+        const resultado = await encerrar(telefone, ORIGENS.PALAVRA_CHAVE, { agente: 'equipe' });
+        return { success: true, status: resultado.success ? 'humano_encerrado' : 'ignorada' };
+    }
+
+    const resultado = await iniciar(telefone, { origem: ORIGENS.RESPOSTA_EQUIPE, agente: 'equipe' });
+
+    if (resultado.success) {
+        await registrarResposta(telefone, resultado.data, { tipo: 'agente', agente: 'equipe', mensagem, messageId, canal: 'celular' });
+    }
+
+    return { success: true, status: 'atendimento_humano' };
+}
+
+/**
+ * Registra resposta da equipe no estado e na conversa
+ * @param {string} telefone - Número do telefone
+ * @param {Object} estado - Estado do atendimento humano
+ * @param {Object} entrada - Entrada da conversa (tipo agente)
+ */
+async function registrarResposta(telefone, estado, entrada) {
+    const chave = normalizarTelefone(telefone);
+
+    // Primeira resposta da equipe: o ticket sai da fila
+    if (!estado.respostasEquipe) {
+        await ticketService.assumir(chave, entrada.agente);
+    }
+
+    estado.respostasEquipe = (estado.respostasEquipe || 0) + 1;
+    estado.ultimaInteracao = Date.now();
+    await atendimentosHumanos.definir(chave, estado);
+
+    await registrarNaConversa(estado, entrada);
+}
+
+/**
+ * Envia resposta de um agente ao cliente pelo WhatsApp do bot
+ * Coloca o contato em atendimento humano caso ainda não esteja
+ * @param {string} telefone - Número do telefone
+ * @param {Object} resposta - { agente, mensagem, documento: { base64, nome } }
+ * @returns {Promise<Object>} { success, data: { estado, envio }, error }
+ */
+async function responder(telefone, resposta = {}) {
+    const { agente, mensagem, documento } = resposta;
+
+    if (!agente) {
+        return { success: false, data: null, error: 'Agente não informado' };
+    }
+
+    if (!mensagem && !documento?.base64) {
+        return { success: false, data: null, error: 'Informe a mensagem ou o documento' };
+    }
+
+    if (documento?.base64 && !documento.nome) {
+        return { success: false, data: null, error: 'Nome do documento não informado' };
+    }
+
+    const inicio = await iniciar(telefone, { origem: ORIGENS.API, agente });
+
+    if (!inicio.success) {
+        return inicio;
+    }
+
+    const chave = normalizarTelefone(telefone);
+    const envio = documento?.base64
+        ? await messageService.sendDocument(chave, documento.base64, documento.nome, mensagem || '')
+        : await messageService.sendTextMessage(chave, mensagem);
+
+    if (!envio.success) {
+        console.error(`[HUMANO] Falha ao enviar resposta de ${agente} para ${chave}:`, envio.error);
+        return { success: false, data: null, error: envio.error || 'Falha no envio' };
+    }
+
+    console.log(`💬 [HUMANO] ${agente} respondeu ${chave}${documento?.base64 ? ` (documento ${documento.nome})` : ''}`);
+
+    await registrarResposta(chave, inicio.data, {
+        tipo: 'agente',
+        agente,
+        mensagem: mensagem || null,
+        arquivo: documento?.base64 ? documento.nome : undefined,
+        messageId: envio.data?.key?.id,
+        canal: 'api'
+    });
+
+    return { success: true, data: { estado: inicio.data, envio: envio.data || null }, error: null };
+}
+
+/**
+ * Obtém o atendimento humano de um contato com o histórico de whapi_atendimento
+ * @param {string} telefone - Número do telefone
+ * @param {Object} estado - Estado já carregado (opcional)
+ * @returns {Promise<Object|null>} { telefone, ...estado, conversa } ou null se não está em atendimento humano
+ */
+async function obterConversa(telefone, estado = null) {
+    const chave = normalizarTelefone(telefone);
+    const atual = estado || await obterAtivo(chave);
+
+    if (!atual) {
+        return null;
+    }
+
+    let conversa = [];
+
+    if (atual.atendimento) {
+        const result = await database.getAtendimentoByMessageId(atual.atendimento);
+        if (result.success && result.data.length > 0) {
+            conversa = lerConversa(result.data[0]);
+        }
+    }
+
+    return { telefone: chave, ...atual, conversa };
+}
+
+/**
+ * Lista as conversas em atendimento humano com o histórico
+ * @returns {Promise<Array>} Lista de { telefone, ...estado, conversa }
+ */
+async function listarConversas() {
+    const conversas = [];
+
+    for (const { telefone, estado } of await listarAtivos()) {
+        conversas.push(await obterConversa(telefone, estado));
+    }
+
+    return conversas;
+}
+
+/**
+ * Lista contatos em atendimento humano
+ * @returns {Promise<Array>} Lista de { telefone, estado }
+ */
+async function listarAtivos() {
+    return (await atendimentosHumanos.listar())
+        .filter(({ estado }) => estado && !motivoEncerramento(estado));
+}
+
+/**
+ * Devolve ao bot os contatos com a equipe inativa ou com a fila expirada
+ * (chamado pela varredura de inatividade)
+ * @returns {Promise<number>} Quantidade encerrada
+ */
+async function encerrarInativos() {
+    let encerrados = 0;
+
+    for (const { telefone, estado } of await atendimentosHumanos.listar()) {
+        const motivo = estado && motivoEncerramento(estado);
+
+        if (motivo) {
+            await encerrar(telefone, motivo);
+            encerrados++;
+        }
+    }
+
+    return encerrados;
+}
+
+module.exports = {
+    ORIGENS,
+    EVENTOS,
+    estaAtivo,
+    identificarAgente,
+    iniciar,
+    encerrar,
+    obterAtivo,
+    registrarMensagemCliente,
+    registrarMensagemEquipe,
+    responder,
+    obterConversa,
+    listarConversas,
+    listarAtivos,
+    encerrarInativos
+};
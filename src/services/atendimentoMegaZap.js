@@ -14,6 +14,16 @@
 const endpoint = require('../config/endpoint');
 const messageService = require('../config/messageService');
 const validacaoService = require('./validacaoService');
+const sessaoService = require('./sessaoService');
+const boletoService = require('./boletoService');
+const pixService = require('./pixService');
+const danfseService = require('./danfseService');
+const certificadoService = require('./certificadoService');
+const propostaService = require('./propostaService');
+const ticketService = require('./ticketService');
+const horarioAtendimentoService = require('./horarioAtendimentoService');
+const intencaoService = require('./intencaoService');
+const MENSAGENS = require('../utils/mensagens');
 
 /**
  * Timeout de sessão (30 minutos padrão)
@@ -22,8 +32,9 @@ const TIMEOUT_SESSAO = parseInt(process.env.TIMEOUT_SESSAO) || 30 * 60 * 1000;
 
 /**
  * Gerenciador de estado do usuário
+ * Backend configurável via SESSAO_BACKEND (memoria | mysql)
  */
-const estadosUsuarios = new Map();
+const estadosUsuarios = sessaoService.criarArmazenamento('megazap');
 
 /**
  * Mapeamento de opções Megazap
@@ -32,7 +43,9 @@ const estadosUsuarios = new Map();
 const OPCOES_MEGAZAP = {
     '1': 'boleto',
     '2': 'notafiscal',
-    '3': 'atendimento'
+    '3': 'atendimento',
+    '4': 'certificado',
+    '5': 'proposta'
 };
 
 /**
@@ -75,10 +88,10 @@ function formatarDataNfeERP(dataERP) {
 /**
  * Verifica se a sessão ainda é válida
  * @param {string} telefone - Número do telefone
- * @returns {boolean} True se sessão válida
+ * @returns {Promise<boolean>} True se sessão válida
  */
-function verificarTimeoutSessao(telefone) {
-    const estado = estadosUsuarios.get(telefone);
+async function verificarTimeoutSessao(telefone) {
+    const estado = await estadosUsuarios.obter(telefone);
 
     if (!estado || !estado.ultimaInteracao) {
         return false; // Sessão não existe ou não tem timestamp
@@ -89,7 +102,7 @@ function verificarTimeoutSessao(telefone) {
 
     if (tempoDecorrido > TIMEOUT_SESSAO) {
         console.log(`[MEGAZAP] Sessão expirou para ${telefone}`);
-        estadosUsuarios.delete(telefone);
+        await estadosUsuarios.remover(telefone);
         return false;
     }
 
@@ -100,19 +113,25 @@ function verificarTimeoutSessao(telefone) {
  * Atualiza timestamp da última interação
  * @param {string} telefone - Número do telefone
  */
-function atualizarTimestamp(telefone) {
-    const estado = estadosUsuarios.get(telefone);
-    if (estado) {
-        estado.ultimaInteracao = Date.now();
-        estadosUsuarios.set(telefone, estado);
-    }
+async function atualizarTimestamp(telefone) {
+    await estadosUsuarios.tocar(telefone);
 }
 
 /**
- * Verifica se a mensagem contém palavras-chave para boleto
- * @param {string} mensagem - Mensagem recebida do cliente
- * @returns {boolean} True se contém palavra-chave de boleto
+ * Intenções reconhecidas em texto livre → ações Megazap
  */
+const ACOES_POR_INTENCAO = {
+    boleto: 'boleto',
+    nota: 'notafiscal',
+    certificado: 'certificado',
+    proposta: 'proposta',
+    atendente: 'atendimento',
+    suporte: 'suporte'
+};
+
+// Palavras-chave por substring: "2 boletos" e qualquer mensagem com "1" caíam em boleto,
+// "bolêto" e "segunda via" não eram reconhecidos. Substituídas pelo intencaoService.
+/*
 function verificarPalavrasChaveBoleto(mensagem) {
     const palavrasChave = [
         '1',
@@ -127,11 +146,6 @@ function verificarPalavrasChaveBoleto(mensagem) {
     return palavrasChave.some(palavra => mensagemLower.includes(palavra));
 }
 
-/**
- * Verifica se a mensagem contém palavras-chave para Nota Fiscal
- * @param {string} mensagem - Mensagem recebida do cliente
- * @returns {boolean} True se contém palavra-chave de Nota Fiscal
- */
 function verificarPalavrasChaveNotaFiscal(mensagem) {
     const palavrasChave = [
         '2',
@@ -147,6 +161,47 @@ function verificarPalavrasChaveNotaFiscal(mensagem) {
     return palavrasChave.some(palavra => mensagemLower.includes(palavra));
 }
 
+function verificarPalavrasChaveCertificado(mensagem) {
+    const palavrasChave = [
+        'certificado',
+        'certificados',
+        'laudo',
+        'laudos'
+    ];
+
+    const mensagemLower = mensagem.toLowerCase().trim();
+    return palavrasChave.some(palavra => mensagemLower.includes(palavra));
+}
+
+function verificarPalavrasChaveProposta(mensagem) {
+    const palavrasChave = [
+        'proposta',
+        'propostas',
+        'orcamento',
+        'orçamento'
+    ];
+
+    const mensagemLower = mensagem.toLowerCase().trim();
+    return palavrasChave.some(palavra => mensagemLower.includes(palavra));
+}
+*/
+
+/**
+ * Reconhece a intenção do cliente em texto livre
+ * @param {string} mensagem - Mensagem recebida do cliente
+ * @returns {Object} Resultado do intencaoService com a ação Megazap correspondente
+ */
+function reconhecerIntencao(mensagem) {
+    const resultado = intencaoService.reconhecer(mensagem, {
+        intencoes: Object.keys(ACOES_POR_INTENCAO)
+    });
+
+    return {
+        ...resultado,
+        acao: ACOES_POR_INTENCAO[resultado.intencao] || null
+    };
+}
+
 /**
  * Fluxo principal de atendimento Megazap
  * @param {string} telefone - Número do telefone
@@ -164,35 +219,77 @@ async function fluxoAtendimentoMegazap(telefone, mensagem, messageId, megazapDat
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     // Verificar timeout de sessão
-    const sessaoValida = verificarTimeoutSessao(telefone);
+    const sessaoValida = await verificarTimeoutSessao(telefone);
     if (!sessaoValida) {
         console.log('[MEGAZAP] Sessão expirou ou não existe - criando nova');
     }
 
     // Obter ou criar estado do usuário
-    let estado = estadosUsuarios.get(telefone) || {
+    let estado = await estadosUsuarios.obter(telefone) || {
         etapa: 'inicial',
         ultimaInteracao: Date.now()
     };
 
+    // Resposta ao resumo de boletos ("1,3", "todos" ou "vencidos")
+    if (estado.etapa === 'selecionando_boletos') {
+        const respostaSelecao = await processarSelecaoBoletos(telefone, mensagem, estado);
+        if (respostaSelecao) {
+            return respostaSelecao;
+        }
+    }
+
+    // Resposta ao resumo de certificados (número da nota ou "todos")
+    if (estado.etapa === 'selecionando_certificados') {
+        const respostaCertificados = await processarSelecaoCertificados(telefone, mensagem, estado);
+        if (respostaCertificados) {
+            return respostaCertificados;
+        }
+    }
+
+    // Recado deixado fora do horário de atendimento
+    if (estado.etapa === 'aguardando_recado') {
+        return await processarRecado(telefone, mensagem, messageId, estado);
+    }
+
+    // Escolha da proposta no resumo ou resposta à proposta enviada
+    if (estado.etapa === 'selecionando_proposta' || estado.etapa === 'respondendo_proposta') {
+        const respostaProposta = await processarEtapaProposta(telefone, mensagem, estado);
+        if (respostaProposta) {
+            return respostaProposta;
+        }
+    }
+
+    // Resposta à pergunta "Você quis dizer...?": segue com a mensagem original
+    let acaoConfirmada = null;
+    if (estado.etapa === 'confirmando_intencao') {
+        if (intencaoService.ehConfirmacao(mensagem) && estado.acaoSugerida) {
+            acaoConfirmada = estado.acaoSugerida;
+            mensagem = estado.mensagemSugerida || mensagem;
+            console.log(`[MEGAZAP] Intenção confirmada: ${acaoConfirmada}`);
+        }
+
+        estado.etapa = 'inicial';
+        estado.acaoSugerida = null;
+        estado.mensagemSugerida = null;
+        await estadosUsuarios.definir(telefone, estado);
+    }
+
     // Mapear opção numérica para ação
     const opcao = OPCOES_MEGAZAP[mensagem.trim()];
     console.log(`[MEGAZAP] Opção mapeada: ${mensagem} → ${opcao || 'não reconhecida'}`);
 
-    // Verificar palavras-chave: Boleto > Determinar ação
-    const temPalavraBoleto = verificarPalavrasChaveBoleto(mensagem);
-    let acao = opcao;
-        if (!acao && temPalavraBoleto) {
-            acao = 'boleto';
-            console.log('[MEGAZAP] Palavra-chave de boleto detectada');
-        }
+    // Reconhecer intenção em texto livre (acentos, erros de digitação, confiança)
+    let acao = acaoConfirmada || opcao;
+    if (!acao) {
+        const intencao = reconhecerIntencao(mensagem);
 
-    // Verificar palavras-chave: NotaFiscal > Determinar ação
-    const temPalavraNota = verificarPalavrasChaveNotaFiscal(mensagem);
-        if (!acao && temPalavraNota) {
-            acao = 'notafiscal';
-            console.log('[MEGAZAP] Palavra-chave de notafiscal detectada');
+        if (intencao.decisao === intencaoService.DECISOES.ACEITA) {
+            acao = intencao.acao;
+            console.log(`[MEGAZAP] Intenção detectada: ${intencao.intencao} (${intencao.confianca})`);
+        } else if (intencao.decisao === intencaoService.DECISOES.CONFIRMAR) {
+            return await confirmarIntencao(telefone, mensagem, intencao, estado);
         }
+    }
 
     // Se não há ação identificada, retornar Menu
     if (!acao) {
@@ -222,7 +319,16 @@ async function fluxoAtendimentoMegazap(telefone, mensagem, messageId, megazapDat
             return await processarFluxoNotaFiscal(telefone, mensagem, messageId, megazapData, estado);
 
         case 'atendimento':
-            return await processarFluxoAtendimento(telefone);
+            return await processarFluxoAtendimento(telefone, ticketService.SETORES.FINANCEIRO);
+
+        case 'suporte':
+            return await processarFluxoAtendimento(telefone, ticketService.SETORES.SUPORTE);
+
+        case 'certificado':
+            return await processarFluxoCertificado(telefone, mensagem, messageId, megazapData, estado);
+
+        case 'proposta':
+            return await processarFluxoProposta(telefone, mensagem, messageId, megazapData, estado);
 
         default:
             return await messageService.sendTextMessage(
@@ -232,6 +338,29 @@ async function fluxoAtendimentoMegazap(telefone, mensagem, messageId, megazapDat
     }
 }
 
+/**
+ * Pergunta ao cliente se entendemos a intenção (confiança abaixo do limiar de aceite)
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Mensagem original (reaproveitada após o "sim")
+ * @param {Object} intencao - Resultado de reconhecerIntencao
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object>} Resposta unificada
+ */
+async function confirmarIntencao(telefone, mensagem, intencao, estado) {
+    console.log(`[MEGAZAP] Confirmando intenção: ${intencao.intencao} (${intencao.confianca})`);
+
+    estado.etapa = 'confirmando_intencao';
+    estado.acaoSugerida = intencao.acao;
+    estado.mensagemSugerida = mensagem;
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.MENU.CONFIRMAR_INTENCAO(intencaoService.rotuloIntencao(intencao.intencao))
+    );
+}
+
 /**
  * Processa fluxo unificado de boletos para Megazap
  * @param {string} telefone - Número do telefone
@@ -291,6 +420,11 @@ async function processarFluxoBoleto(telefone, mensagem, messageId, megazapData,
 
         const boletos = await endpoint.getBoletosByCNPJ(empresa.id);
 
+        // Boletos com linha digitável inválida não são enviados
+        if (boletos.success && boletos.data) {
+            boletos.data = boletoService.filtrarBoletosValidos(boletos.data, `megazap:${telefone}`).validos;
+        }
+
         if (boletos.success && boletos.data && boletos.data.length > 0) {
             console.log(`[MEGAZAP] ${boletos.data.length} boleto(s) encontrado(s) para ${empresa.nome}`);
 
@@ -314,14 +448,86 @@ async function processarFluxoBoleto(telefone, mensagem, messageId, megazapData,
 
     console.log(`\n[MEGAZAP] Total: ${empresasComBoletos.length} empresa(s) com boletos`);
 
+    const boletosDisponiveis = listarBoletosEmpresas(empresasComBoletos);
+
     // Salvar no estado
     estado.empresas = empresasComBoletos;
+    estado.etapa = boletosDisponiveis.length > 1 ? 'selecionando_boletos' : 'processando_boletos';
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    // 7. Um único boleto: gerar resposta unificada diretamente
+    if (boletosDisponiveis.length === 1) {
+        return await gerarRespostaBoletosUnificada(telefone, empresasComBoletos);
+    }
+
+    // 8. Resumo para o cliente escolher quais boletos deseja receber
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.BOLETOS.RESUMO(boletosDisponiveis.length, boletoService.montarResumoBoletos(boletosDisponiveis))
+    );
+}
+
+/**
+ * Lista boletos de todas as empresas na ordem do resumo (numeração contínua)
+ * @param {Array} empresasComBoletos - Array de empresas com seus boletos
+ * @returns {Array} Boletos com a empresa de origem
+ */
+function listarBoletosEmpresas(empresasComBoletos) {
+    return empresasComBoletos.flatMap(empresa =>
+        empresa.boletos.map(boleto => ({
+            ...boleto,
+            empresa: { id: empresa.id, nome: empresa.nome, nomeFantasia: empresa.nomeFantasia }
+        }))
+    );
+}
+
+/**
+ * Processa resposta de seleção de boletos e gera resposta unificada apenas com os escolhidos
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Object} estado - Estado atual do usuário (empresas com boletos)
+ * @returns {Promise<Object|null>} Resposta unificada ou null se não for uma seleção
+ */
+async function processarSelecaoBoletos(telefone, mensagem, estado) {
+    const boletosDisponiveis = listarBoletosEmpresas(estado.empresas || []);
+    const selecao = boletoService.interpretarSelecao(mensagem, boletosDisponiveis);
+
+    // Números fora do intervalo do resumo
+    if (!selecao && /^[\d\s,;e-]+$/.test(mensagem.trim())) {
+        return await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.BOLETOS.SELECAO_INVALIDA(boletosDisponiveis.length)
+        );
+    }
+
+    if (!selecao) {
+        console.log('[MEGAZAP] Mensagem não é uma seleção de boletos - seguindo fluxo');
+        estado.etapa = 'inicial';
+        await estadosUsuarios.definir(telefone, estado);
+        return null;
+    }
+
+    if (selecao.boletos.length === 0) {
+        return await messageService.sendTextMessage(telefone, MENSAGENS.BOLETOS.SEM_VENCIDOS());
+    }
+
+    console.log(`[MEGAZAP] Boletos selecionados (${selecao.criterio}): ${selecao.boletos.map(boleto => boleto.numeroDocumento).join(', ')}`);
+
+    // Reagrupar boletos selecionados por empresa
+    const selecionados = new Set(selecao.boletos.map(boleto => boleto.idConta));
+    const empresasSelecionadas = estado.empresas
+        .map(empresa => ({
+            ...empresa,
+            boletos: empresa.boletos.filter(boleto => selecionados.has(boleto.idConta))
+        }))
+        .filter(empresa => empresa.boletos.length > 0);
+
     estado.etapa = 'processando_boletos';
     estado.ultimaInteracao = Date.now();
-    estadosUsuarios.set(telefone, estado);
+    await estadosUsuarios.definir(telefone, estado);
 
-    // 7. Gerar resposta unificada com todas as empresas e boletos
-    return await gerarRespostaBoletosUnificada(telefone, empresasComBoletos);
+    return await gerarRespostaBoletosUnificada(telefone, empresasSelecionadas);
 }
 
 /**
@@ -350,7 +556,7 @@ async function gerarRespostaBoletosUnificada(telefone, empresasComBoletos) {
         // Adicionar nome da empresa na mensagem
         mensagem += `━━━━━━━━━━━━━━━━━━━━━━\n`;
         mensagem += `*${empresa.nomeFantasia || empresa.nome}*\n`;
-        mensagem += `CNPJ: ${empresa.cpfCnpj}\n`;
+        mensagem += `${validacaoService.rotuloDocumento(empresa.cpfCnpj)}: ${validacaoService.formatarCpfCnpj(empresa.cpfCnpj)}\n`;
         mensagem += `━━━━━━━━━━━━━━━━━━━━━━\n\n`;
 
         // Processar cada boleto da empresa
@@ -394,6 +600,25 @@ async function gerarRespostaBoletosUnificada(telefone, empresasComBoletos) {
                 });
             }
 
+            // PIX Copia e Cola + QR Code (se configurado)
+            if (pixService.estaConfigurado()) {
+                const pix = pixService.gerarPixBoleto(boleto);
+
+                if (pix.success) {
+                    mensagem += `*PIX Copia e Cola:*\n${pix.data.payload}\n`;
+
+                    const qrcode = await pixService.gerarQRCode(pix.data.payload, `PIX_${pix.data.txid}.png`);
+                    if (qrcode.success) {
+                        attachments.push({
+                            position: "AFTER",
+                            type: "DOCUMENT",
+                            name: `${empresa.nomeFantasia || empresa.nome}_${qrcode.data.filename}`,
+                            base64: qrcode.data.base64
+                        });
+                    }
+                }
+            }
+
             mensagem += '\n'; // Separador entre boletos
         }
 
@@ -487,6 +712,7 @@ async function processarFluxoNotaFiscal(telefone, mensagem, messageId, megazapDa
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
     const empresasComNotas = [];
+    let temMaisNotas = false;
 
     for (const empresa of empresas) {
         console.log(`\n[MEGAZAP] Processando empresa: ${empresa.nome} (ID: ${empresa.id})`);
@@ -495,6 +721,7 @@ async function processarFluxoNotaFiscal(telefone, mensagem, messageId, megazapDa
 
         if (notas.success && notas.data && notas.data.length > 0) {
             console.log(`[MEGAZAP] ${notas.data.length} nota(s) encontrado(s) para ${empresa.nome}`);
+            temMaisNotas = temMaisNotas || notas.paginacao?.temMais;
 
             empresasComNotas.push({
                 ...empresa,
@@ -510,7 +737,8 @@ async function processarFluxoNotaFiscal(telefone, mensagem, messageId, megazapDa
         console.log('[MEGAZAP] Nenhum nota encontrado em nenhuma empresa');
         return await messageService.sendTextMessage(
             telefone,
-            'Você não possui notas em aberto no momento.\n\nPosso te ajudar com algo mais?'
+            //'Você não possui notas em aberto no momento.\n\nPosso te ajudar com algo mais?'
+            MENSAGENS.NFE.SEM_NFE_PERIODO(parseInt(process.env.NOTAS_PERIODO_DIAS) || 90)
         );
     }
 
@@ -520,19 +748,20 @@ async function processarFluxoNotaFiscal(telefone, mensagem, messageId, megazapDa
     estado.empresas = empresasComNotas;
     estado.etapa = 'processando_notas';
     estado.ultimaInteracao = Date.now();
-    estadosUsuarios.set(telefone, estado);
+    await estadosUsuarios.definir(telefone, estado);
 
     // 7. Gerar resposta unificada com todas as empresas e notas
-    return await gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas);
+    return await gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas, temMaisNotas);
 }
 
 /**
  * Gera resposta unificada com todos os notas e XMLs de múltiplas empresas
  * @param {string} telefone - Número do telefone
  * @param {Array} empresasComNotas - Array de empresas com seus notas
+ * @param {boolean} temMais - Há notas além da primeira página da listagem
  * @returns {Promise<Object>} Resposta com mensagem e attachments
  */
-async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas) {
+async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas, temMais = false) {
     console.log('[MEGAZAP] Gerando resposta unificada de notas para múltiplas empresas');
 
     // Contar total de notas
@@ -552,7 +781,7 @@ async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas) {
         // Adicionar nome da empresa na mensagem
         mensagem += `━━━━━━━━━━━━━━━━━━━━━━\n`;
         mensagem += `*${empresa.nomeFantasia || empresa.nome}*\n`;
-        mensagem += `CNPJ: ${empresa.cpfCnpj}\n`;
+        mensagem += `${validacaoService.rotuloDocumento(empresa.cpfCnpj)}: ${validacaoService.formatarCpfCnpj(empresa.cpfCnpj)}\n`;
         mensagem += `━━━━━━━━━━━━━━━━━━━━━━\n\n`;
 
         // Processar cada nota da empresa
@@ -596,6 +825,10 @@ async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas) {
                 mensagem += `*Chave de Acesso:* ${notaData.chaveAcesso}\n`;
             }
 
+            if (notaData.cancelada) {
+                mensagem += MENSAGENS.NFE.CANCELADA();
+            }
+
             // Verificar se existe base64 do XML
             if (!notaData.base64) {
                 console.error(`XML sem base64 para nota ${notaData.numero}`);
@@ -619,6 +852,21 @@ async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas) {
                     name: nomeArquivo,
                     base64: base64Clean
                 });
+
+                // PDF da nota (DANFSe gerado a partir do XML) ao lado do XML
+                const notaPDF = await danfseService.gerarDanfse(
+                    notaData.xmlString,
+                    danfseService.nomeArquivoPDF(nomeArquivo)
+                );
+
+                if (notaPDF.success) {
+                    attachments.push({
+                        position: "AFTER",
+                        type: "DOCUMENT",
+                        name: notaPDF.data.filename,
+                        base64: notaPDF.data.base64
+                    });
+                }
             }
 
             mensagem += '\n'; // Separador entre notas
@@ -627,12 +875,16 @@ async function gerarRespostaNotaFiscalUnificada(telefone, empresasComNotas) {
         mensagem += '\n'; // Separador entre empresas
     }
 
+    if (temMais) {
+        mensagem += MENSAGENS.NFE.MAIS_RECENTES(totalNotas) + '\n\n';
+    }
+
     mensagem += 'Posso te ajudar com algo mais?';
 
     console.log(`\n[MEGAZAP] Resumo:`);
     console.log(`   - Empresas processadas: ${empresasComNotas.length}`);
     console.log(`   - Total de notas: ${totalNotas}`);
-    console.log(`   - Total de XMLs gerados: ${attachments.length}`);
+    console.log(`   - Total de anexos gerados (XML + PDF): ${attachments.length}`);
 
     // Se não há anexos (nenhum XML foi gerado), enviar apenas texto
     if (attachments.length === 0) {
@@ -761,16 +1013,449 @@ async function gerarRespostaNotaFiscalUnificadaDesativada(telefone, notas, clien
 
 
 /**
- * Processa fluxo de Atendimento (move para o menu especifico no MegaZap)
+ * Processa fluxo unificado de certificados para Megazap
+ * Aceita o número da nota na própria mensagem ("certificado nota 1234")
  * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Mensagem recebida
+ * @param {string} messageId - ID da mensagem
+ * @param {Object} megazapData - Dados do Megazap
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object>} Resposta unificada
+ */
+async function processarFluxoCertificado(telefone, mensagem, messageId, megazapData, estado) {
+    console.log('[MEGAZAP] Processando fluxo de certificados');
+
+    const clienteAPI = await endpoint.getClienteByCelular(telefone);
+
+    if (clienteAPI.blocked) {
+        console.log('[MEGAZAP] Cliente bloqueado');
+        return await messageService.sendTextMessage(
+            telefone,
+            clienteAPI.error || 'Seu acesso está bloqueado. Entre em contato com o suporte.'
+        );
+    }
+
+    if (!clienteAPI.success || !clienteAPI.hasPermission) {
+        console.log('[MEGAZAP] Cliente sem permissão');
+        const mensagemErro = clienteAPI.error ||
+            'Telefone não autorizado. Entre em contato com o suporte para liberar seu acesso.';
+
+        return await messageService.sendTextMessage(telefone, mensagemErro);
+    }
+
+    if (!clienteAPI.data || !Array.isArray(clienteAPI.data) || clienteAPI.data.length === 0) {
+        console.log('[MEGAZAP] Nenhuma empresa válida encontrada');
+        return await messageService.sendTextMessage(
+            telefone,
+            'Nenhuma empresa encontrada. Entre em contato com o suporte.'
+        );
+    }
+
+    // "4" é a opção do menu, não um número de nota
+    const numeroNota = OPCOES_MEGAZAP[mensagem.trim()] ? null : certificadoService.extrairNumeroNota(mensagem);
+    const certificados = await certificadoService.buscarCertificados(clienteAPI.data, numeroNota);
+
+    console.log(`[MEGAZAP] ${certificados.data.length} certificado(s) encontrado(s)${numeroNota ? ` para a nota ${numeroNota}` : ''}`);
+
+    if (certificados.data.length === 0) {
+        return await messageService.sendTextMessage(
+            telefone,
+            numeroNota
+                ? MENSAGENS.CERTIFICADOS.SEM_CERTIFICADOS_NOTA(numeroNota)
+                : `${MENSAGENS.CERTIFICADOS.SEM_CERTIFICADOS()}\n\nPosso te ajudar com algo mais?`
+        );
+    }
+
+    // Com filtro de nota ou um único certificado: gerar resposta unificada diretamente
+    if (numeroNota || certificados.data.length === 1) {
+        estado.etapa = 'processando_certificados';
+        estado.ultimaInteracao = Date.now();
+        await estadosUsuarios.definir(telefone, estado);
+
+        return await gerarRespostaCertificadosUnificada(telefone, certificados.data);
+    }
+
+    // Resumo para o cliente filtrar pela nota fiscal
+    estado.certificados = certificados.data;
+    estado.etapa = 'selecionando_certificados';
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.CERTIFICADOS.RESUMO(certificados.data.length, certificadoService.montarResumoCertificados(certificados.data))
+    );
+}
+
+/**
+ * Processa resposta ao resumo de certificados (número da nota ou "todos")
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Object} estado - Estado atual do usuário (certificados listados)
+ * @returns {Promise<Object|null>} Resposta unificada ou null se não for uma seleção
+ */
+async function processarSelecaoCertificados(telefone, mensagem, estado) {
+    const certificadosDisponiveis = estado.certificados || [];
+    const selecao = certificadoService.interpretarSelecao(mensagem, certificadosDisponiveis);
+
+    if (!selecao) {
+        console.log('[MEGAZAP] Mensagem não é uma seleção de certificados - seguindo fluxo');
+        estado.etapa = 'inicial';
+        estado.certificados = null;
+        await estadosUsuarios.definir(telefone, estado);
+        return null;
+    }
+
+    if (selecao.certificados.length === 0) {
+        return await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.CERTIFICADOS.SEM_CERTIFICADOS_NOTA(selecao.numeroNota)
+        );
+    }
+
+    console.log(`[MEGAZAP] Certificados selecionados (${selecao.criterio}): ${selecao.certificados.length}`);
+
+    estado.etapa = 'processando_certificados';
+    estado.certificados = null;
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    return await gerarRespostaCertificadosUnificada(telefone, selecao.certificados);
+}
+
+/**
+ * Gera resposta unificada com os certificados (PDF em attachments ou link no texto)
+ * @param {string} telefone - Número do telefone
+ * @param {Array} certificados - Certificados a enviar
+ * @returns {Promise<Object>} Resposta com mensagem e attachments
+ */
+async function gerarRespostaCertificadosUnificada(telefone, certificados) {
+    console.log('[MEGAZAP] Gerando resposta unificada de certificados');
+
+    const variasEmpresas = new Set(certificados.map(certificado => certificado.empresa?.id)).size > 1;
+    let mensagem = `Encontrei *${certificados.length}* certificado(s).\n\n`;
+    const attachments = [];
+
+    for (const certificado of certificados) {
+        const empresa = variasEmpresas ? (certificado.empresa?.nomeFantasia || certificado.empresa?.nome) : null;
+
+        mensagem += MENSAGENS.CERTIFICADOS.DETALHE(
+            certificado,
+            certificadoService.formatarDataCertificado(certificado.dataEmissao),
+            empresa
+        );
+
+        const entrega = await certificadoService.prepararEntrega(certificado);
+
+        if (entrega.modo === certificadoService.MODOS_ENVIO.PDF) {
+            attachments.push({
+                position: "AFTER",
+                type: "DOCUMENT",
+                name: entrega.filename,
+                base64: entrega.base64
+            });
+        } else if (entrega.modo === certificadoService.MODOS_ENVIO.URL) {
+            mensagem += MENSAGENS.CERTIFICADOS.LINK(entrega.url);
+        } else {
+            mensagem += MENSAGENS.CERTIFICADOS.SEM_ARQUIVO();
+        }
+
+        mensagem += '\n\n'; // Separador entre certificados
+    }
+
+    mensagem += 'Posso te ajudar com algo mais?';
+
+    console.log(`[MEGAZAP] Certificados: ${certificados.length}, anexos PDF: ${attachments.length}`);
+
+    if (attachments.length === 0) {
+        return await messageService.sendTextMessage(telefone, mensagem);
+    }
+
+    return {
+        success: true,
+        data: {
+            type: "INFORMATION",
+            text: mensagem,
+            attachments: attachments
+        },
+        error: null
+    };
+}
+
+/**
+ * Processa fluxo de propostas comerciais para Megazap
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Mensagem recebida
+ * @param {string} messageId - ID da mensagem
+ * @param {Object} megazapData - Dados do Megazap
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object>} Resposta unificada
+ */
+async function processarFluxoProposta(telefone, mensagem, messageId, megazapData, estado) {
+    console.log('[MEGAZAP] Processando fluxo de propostas');
+
+    const clienteAPI = await endpoint.getClienteByCelular(telefone);
+
+    if (clienteAPI.blocked) {
+        console.log('[MEGAZAP] Cliente bloqueado');
+        return await messageService.sendTextMessage(
+            telefone,
+            clienteAPI.error || 'Seu acesso está bloqueado. Entre em contato com o suporte.'
+        );
+    }
+
+    if (!clienteAPI.success || !clienteAPI.hasPermission) {
+        console.log('[MEGAZAP] Cliente sem permissão');
+        const mensagemErro = clienteAPI.error ||
+            'Telefone não autorizado. Entre em contato com o suporte para liberar seu acesso.';
+
+        return await messageService.sendTextMessage(telefone, mensagemErro);
+    }
+
+    if (!clienteAPI.data || !Array.isArray(clienteAPI.data) || clienteAPI.data.length === 0) {
+        console.log('[MEGAZAP] Nenhuma empresa válida encontrada');
+        return await messageService.sendTextMessage(
+            telefone,
+            'Nenhuma empresa encontrada. Entre em contato com o suporte.'
+        );
+    }
+
+    const propostas = await propostaService.buscarPropostas(clienteAPI.data);
+    console.log(`[MEGAZAP] ${propostas.data.length} proposta(s) em aberto`);
+
+    if (propostas.data.length === 0) {
+        return await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.SEM_PROPOSTAS());
+    }
+
+    // Uma única proposta: enviar diretamente
+    if (propostas.data.length === 1) {
+        return await gerarRespostaProposta(telefone, propostas.data[0], estado);
+    }
+
+    // Resumo para o cliente escolher a proposta
+    estado.propostas = propostas.data;
+    estado.etapa = 'selecionando_proposta';
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.PROPOSTAS.RESUMO(propostas.data.length, propostaService.montarResumoPropostas(propostas.data))
+    );
+}
+
+/**
+ * Processa escolha da proposta no resumo ou resposta à proposta enviada
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object|null>} Resposta unificada ou null para seguir o fluxo
+ */
+async function processarEtapaProposta(telefone, mensagem, estado) {
+    if (mensagem.toLowerCase().trim() === 'menu') {
+        estado.etapa = 'inicial';
+        estado.propostas = null;
+        estado.propostaAtual = null;
+        await estadosUsuarios.definir(telefone, estado);
+        return null;
+    }
+
+    if (estado.etapa === 'selecionando_proposta') {
+        const proposta = propostaService.interpretarSelecao(mensagem, estado.propostas || []);
+
+        if (!proposta) {
+            console.log('[MEGAZAP] Mensagem não é uma seleção de proposta - seguindo fluxo');
+            estado.etapa = 'inicial';
+            estado.propostas = null;
+            await estadosUsuarios.definir(telefone, estado);
+            return null;
+        }
+
+        return await gerarRespostaProposta(telefone, proposta, estado);
+    }
+
+    const proposta = estado.propostaAtual;
+    const resposta = propostaService.interpretarResposta(mensagem);
+
+    // Outra opção do menu enquanto aguardava a resposta: seguir o fluxo normal
+    const outraOpcao = OPCOES_MEGAZAP[mensagem.trim()] ||
+        reconhecerIntencao(mensagem).decisao === intencaoService.DECISOES.ACEITA;
+
+    if (!proposta || (!resposta && outraOpcao)) {
+        estado.etapa = 'inicial';
+        estado.propostaAtual = null;
+        await estadosUsuarios.definir(telefone, estado);
+        return null;
+    }
+
+    if (!resposta) {
+        return await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.PROPOSTAS.RESPOSTA_INVALIDA(propostaService.numeroProposta(proposta))
+        );
+    }
+
+    await propostaService.registrarResposta({ proposta, telefone, resposta, mensagem });
+    await limparSessao(telefone);
+
+    const numero = propostaService.numeroProposta(proposta);
+    const texto = resposta === propostaService.RESPOSTAS.ACEITO
+        ? MENSAGENS.PROPOSTAS.ACEITA(numero)
+        : MENSAGENS.PROPOSTAS.DUVIDAS(numero);
+
+    // Ticket para o time comercial (departamento configurado) ou menu de atendimento
+    const ticketComercial = propostaService.getTicketComercialMegazap();
+    if (ticketComercial) {
+        console.log(`[MEGAZAP] Proposta ${numero} (${resposta}) encaminhada ao comercial`);
+        return await messageService.sendTextMessage(telefone, texto, ticketComercial);
+    }
+
+    console.log(`[MEGAZAP] Proposta ${numero} (${resposta}) - sem departamento comercial, redirecionando ao menu`);
+    return await messageService.sendDirectToMenu(telefone, process.env.MEGAZAP_MENU);
+}
+
+/**
+ * Gera resposta com o PDF da proposta e a pergunta "aceito" / "tenho dúvidas"
+ * @param {string} telefone - Número do telefone
+ * @param {Object} proposta - Proposta escolhida (com empresa)
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object>} Resposta com mensagem e attachment
+ */
+async function gerarRespostaProposta(telefone, proposta, estado) {
+    const numero = propostaService.numeroProposta(proposta);
+    const propostaPDF = await endpoint.geraPropostaPDF(proposta.idProposta);
+
+    if (!propostaPDF.success) {
+        estado.etapa = 'inicial';
+        estado.propostas = null;
+        await estadosUsuarios.definir(telefone, estado);
+        return await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.ERRO_PDF(numero));
+    }
+
+    estado.etapa = 'respondendo_proposta';
+    estado.propostas = null;
+    estado.propostaAtual = proposta;
+    estado.ultimaInteracao = Date.now();
+    await estadosUsuarios.definir(telefone, estado);
+
+    return await messageService.sendDocument(
+        telefone,
+        propostaPDF.data.base64,
+        propostaPDF.data.filename,
+        MENSAGENS.PROPOSTAS.PERGUNTA_RESPOSTA(numero)
+    );
+}
+
+/**
+ * Processa fluxo de Atendimento
+ * Com departamento configurado para o setor cria o ticket no Megazap (a fila é do Megazap:
+ * o ticket do bot é gravado como encaminhado); sem departamento move para o menu específico.
+ * Fora do horário de atendimento informa o retorno da equipe e aguarda o recado
+ * @param {string} telefone - Número do telefone
+ * @param {string} setor - Setor do ticket (ticketService.SETORES)
  * @returns {Promise<Object>} Resposta
  */
-async function processarFluxoAtendimento(telefone) {
-    console.log('[MEGAZAP] Processando fluxo de Redirecionamento Atendimento');
+async function processarFluxoAtendimento(telefone, setor = ticketService.SETORES.FINANCEIRO) {
+    console.log(`[MEGAZAP] Processando fluxo de Redirecionamento Atendimento (${setor})`);
+
+    const motivo = setor === ticketService.SETORES.SUPORTE ? 'Falar com Suporte' : 'Falar com Atendente';
+
+    // Empresa para o resumo do ticket (falha na consulta não impede a transferência)
+    const clienteAPI = await endpoint.getClienteByCelular(telefone);
+    const cliente = clienteAPI.success ? clienteAPI.data?.[0] : null;
+
+    const situacao = horarioAtendimentoService.verificar();
+    if (!situacao.aberto) {
+        console.log(`[MEGAZAP] Fora do horário de atendimento (${setor}), aguardando recado`);
+
+        const estado = await estadosUsuarios.obter(telefone) || {};
+        estado.etapa = 'aguardando_recado';
+        estado.recado = {
+            setor,
+            motivo,
+            cliente: cliente ? { id: cliente.id, nome: cliente.nome, cpfCnpj: cliente.cpfCnpj } : null
+        };
+        estado.ultimaInteracao = Date.now();
+        await estadosUsuarios.definir(telefone, estado);
+
+        return await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.ATENDIMENTO.INDISPONIVEL(
+                horarioAtendimentoService.descreverRetorno(situacao.proximaAbertura),
+                horarioAtendimentoService.descreverHorario()
+            )
+        );
+    }
+
+    const newTicket = ticketService.getTicketMegazap(setor);
+    if (!newTicket) {
+        return await messageService.sendDirectToMenu(
+            telefone,
+            process.env.MEGAZAP_MENU
+        );
+    }
+
+    const ticket = await ticketService.abrir(telefone, {
+        setor,
+        motivo,
+        cliente,
+        origem: 'megazap',
+        encaminhado: true
+    });
 
-    return await messageService.sendDirectToMenu(
+    return await messageService.sendTextMessage(
         telefone,
-        process.env.MEGAZAP_MENU
+        ticket.success
+            ? MENSAGENS.ATENDIMENTO.TICKET_ABERTO(ticket.data.numero, ticket.data.posicao)
+            : MENSAGENS.ATENDIMENTO.TRANSFERINDO(),
+        newTicket
+    );
+}
+
+/**
+ * Recebe o recado deixado fora do horário e abre o ticket ("0" volta ao menu)
+ * Com departamento configurado o ticket também é criado no Megazap
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Recado do cliente
+ * @param {string} messageId - ID da mensagem
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object>} Resposta
+ */
+async function processarRecado(telefone, mensagem, messageId, estado) {
+    const recado = estado.recado || {};
+
+    if (['0', 'menu', 'voltar'].includes(mensagem.trim().toLowerCase())) {
+        estado.etapa = 'inicial';
+        estado.recado = null;
+        estado.ultimaInteracao = Date.now();
+        await estadosUsuarios.definir(telefone, estado);
+
+        return await messageService.sendMenu(telefone, getMenu(telefone, messageId));
+    }
+
+    const ticket = await ticketService.abrir(telefone, {
+        setor: recado.setor,
+        motivo: `Recado fora do horário (${recado.motivo || 'Falar com Atendente'})`,
+        cliente: recado.cliente,
+        origem: 'megazap',
+        encaminhado: true
+    });
+
+    if (!ticket.success) {
+        return await messageService.sendTextMessage(telefone, MENSAGENS.ATENDIMENTO.RECADO_ERRO());
+    }
+
+    await limparSessao(telefone);
+
+    const situacao = horarioAtendimentoService.verificar();
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.ATENDIMENTO.RECADO_REGISTRADO(
+            ticket.data.numero,
+            situacao.aberto ? null : horarioAtendimentoService.descreverRetorno(situacao.proximaAbertura)
+        ),
+        ticketService.getTicketMegazap(recado.setor)
     );
 }
 
@@ -778,18 +1463,18 @@ async function processarFluxoAtendimento(telefone) {
  * Limpa sessão de um usuário
  * @param {string} telefone - Número do telefone
  */
-function limparSessao(telefone) {
-    estadosUsuarios.delete(telefone);
+async function limparSessao(telefone) {
+    await estadosUsuarios.remover(telefone);
     console.log(`[MEGAZAP] Sessão limpa para ${telefone}`);
 }
 
 /**
  * Obtém informações do estado atual
  * @param {string} telefone - Número do telefone
- * @returns {Object} Estado atual ou null
+ * @returns {Promise<Object|null>} Estado atual ou null
  */
-function obterEstado(telefone) {
-    return estadosUsuarios.get(telefone) || null;
+async function obterEstado(telefone) {
+    return await estadosUsuarios.obter(telefone) || null;
 }
 
 /**
@@ -846,6 +1531,34 @@ function getMenu(phoneNumber, messageId) {
                     id: messageId
                 }
             }
+        },
+        {
+            number: 4,
+            text: "Consultar Certificados",
+            callback: {
+                endpoint: webhookUrl,
+                data: {
+                    text: "certificado",
+                    contact: {
+                        key: phoneNumber
+                    },
+                    id: messageId
+                }
+            }
+        },
+        {
+            number: 5,
+            text: "Propostas Comerciais",
+            callback: {
+                endpoint: webhookUrl,
+                data: {
+                    text: "proposta",
+                    contact: {
+                        key: phoneNumber
+                    },
+                    id: messageId
+                }
+            }
         }
     ];
 
@@ -858,6 +1571,8 @@ module.exports = {
     fluxoAtendimentoMegazap,
     processarFluxoBoleto,
     processarFluxoNotaFiscal,
+    processarFluxoCertificado,
+    processarFluxoProposta,
     limparSessao,
     obterEstado,
     verificarTimeoutSessao,
@@ -4,6 +4,20 @@ const evolutionAPI = require('../config/evolution');
 const messageService = require('../config/messageService');
 const validacaoService = require('./validacaoService');
 const MENSAGENS = require('../utils/mensagens');
+const boletoService = require('./boletoService');
+const pixService = require('./pixService');
+const danfseService = require('./danfseService');
+const certificadoService = require('./certificadoService');
+const propostaService = require('./propostaService');
+const intencaoService = require('./intencaoService');
+const classificadorIntencaoService = require('./classificadorIntencaoService');
+const sessaoService = require('./sessaoService');
+const atendimentoHumanoService = require('./atendimentoHumanoService');
+const ticketService = require('./ticketService');
+const horarioAtendimentoService = require('./horarioAtendimentoService');
+const satisfacaoService = require('./satisfacaoService');
+const fluxoService = require('./fluxoService');
+const FLUXO_ATENDIMENTO = require('../fluxos/atendimentoFluxo');
 
 /**
  * Timeout de sessão (30 minutos padrão)
@@ -12,8 +26,9 @@ const TIMEOUT_SESSAO = parseInt(process.env.TIMEOUT_SESSAO) || 30 * 60 * 1000;
 
 /**
  * Gerenciador de estado do usuário
+ * Backend configurável via SESSAO_BACKEND (memoria | mysql)
  */
-const estadosUsuarios = new Map();
+const estadosUsuarios = sessaoService.criarArmazenamento('atendimento');
 
 /**
  * Menu principal de opções
@@ -27,12 +42,66 @@ const MENU_OPCOES = [
 ];
 */
 
+/*
 const MENU_OPCOES = [
     '1️⃣ Boletos em Aberto',
     '2️⃣ Informar outro CNPJ',
     '3️⃣ Falar com Atendente',
     '4️⃣ Falar com Suporte'
 ];
+*/
+
+/**
+ * Ações do fluxo de atendimento (referenciadas por nome em src/fluxos/atendimentoFluxo.js)
+ */
+const ACOES_FLUXO = {
+    etapaInicial: ({ telefone, mensagem, messageId }) => etapaInicial(telefone, mensagem, messageId),
+    validarCNPJ: ({ telefone, mensagem, messageId }) => etapaValidarCNPJ(telefone, mensagem, messageId),
+    validarNovoCNPJ: ({ telefone, mensagem, messageId }) => processarNovoCNPJ(telefone, mensagem, messageId),
+    escolherDocumento: ({ telefone, mensagem, messageId, estado }) => etapaEscolherDocumento(telefone, mensagem, messageId, estado),
+    menuPrincipal: ({ telefone, mensagem, messageId, estado, valor }) => etapaMenuPrincipal(telefone, valor || mensagem, messageId, estado),
+    encerrar: ({ telefone }) => processarEncerramentoManual(telefone),
+    escolherEmpresa: ({ telefone, mensagem, messageId, estado }) => etapaEscolherEmpresa(telefone, mensagem, messageId, estado),
+    selecionarBoletos: ({ telefone, mensagem, messageId, estado }) => etapaSelecionarBoletos(telefone, mensagem, messageId, estado),
+    boletos: ({ telefone, messageId, estado }) => processarOpcaoBoletos(telefone, obterEmpresasAtivas(estado), messageId),
+    notas: ({ telefone, messageId, estado }) => processarOpcaoNFE(telefone, obterEmpresasAtivas(estado), messageId),
+    certificados: ({ telefone, messageId, estado }) => processarOpcaoCertificados(telefone, obterEmpresasAtivas(estado), messageId),
+    selecionarCertificados: ({ telefone, mensagem, messageId, estado }) => etapaSelecionarCertificados(telefone, mensagem, messageId, estado),
+    propostas: ({ telefone, messageId, estado }) => processarOpcaoPropostas(telefone, obterEmpresasAtivas(estado), messageId),
+    selecionarProposta: ({ telefone, mensagem, messageId, estado }) => etapaSelecionarProposta(telefone, mensagem, messageId, estado),
+    responderProposta: ({ telefone, mensagem, messageId, estado }) => etapaResponderProposta(telefone, mensagem, messageId, estado),
+    alterarCNPJ: ({ telefone, messageId, estado }) => processarAlteraCNPJ(telefone, messageId, estado),
+    transferirAtendente: ({ telefone, messageId, estado }) => processarTransferenciaAtendente(telefone, estado.cliente, messageId),
+    transferirSuporte: ({ telefone, messageId, estado }) => processarTransferenciaSuporte(telefone, estado.cliente, messageId),
+    registrarRecado: ({ telefone, mensagem, messageId, estado }) => etapaRegistrarRecado(telefone, mensagem, messageId, estado)
+};
+
+/**
+ * Detectores de intenções globais (retornam a palavra-chave encontrada ou undefined)
+ */
+const DETECTORES_FLUXO = {
+    comandoSaida: (mensagem) => verificarComandoSaida(mensagem) ? 'sair' : undefined,
+    despedida: (mensagem) => verificarDespedida(mensagem) ? 'sair' : undefined,
+    palavrasChaveAtendimento: (mensagem) => verificarPalavrasChaveAtendimento(mensagem),
+    palavrasChaveBoleto: (mensagem) => verificarPalavrasChaveBoleto(mensagem)
+};
+
+/**
+ * Classificador de intenções treinado com src/dados/frasesIntencoes.json
+ * (consultado pelo intencaoService quando os termos não decidem - vale também para o Megazap)
+ */
+if (classificadorIntencaoService.inicializar().success) {
+    intencaoService.registrarClassificador(classificadorIntencaoService.classificarTexto);
+}
+
+/**
+ * Motor do fluxo de atendimento
+ */
+const motorAtendimento = fluxoService.criarMotor(FLUXO_ATENDIMENTO, {
+    acoes: ACOES_FLUXO,
+    detectores: DETECTORES_FLUXO,
+    sessoes: estadosUsuarios
+});
 
 /**
  * Envia menu principal de opções
@@ -43,11 +112,17 @@ async function enviarMenuPrincipal(phoneNumber) {
     console.log('enviarMenuPrincipal:');
     console.log('- phoneNumber', phoneNumber);
 
-    // TODO: Criar funcao em: mensagens.js
-    const mensagem = 
-        `📋 *Menu de Opções*\n\n` +
-        `Escolha uma das opções abaixo digitando o número correspondente:\n\n` +
-        MENU_OPCOES.join('\n\n');
+    /*
+        // TODO: Criar funcao em: mensagens.js
+        const mensagem = 
+            `📋 *Menu de Opções*\n\n` +
+            `Escolha uma das opções abaixo digitando o número correspondente:\n\n` +
+            MENU_OPCOES.join('\n\n');
+    */
+
+    // Menu montado a partir da definição do fluxo, com a empresa ativa no cabeçalho
+    const estado = await estadosUsuarios.obter(phoneNumber);
+    const mensagem = montarCabecalhoEmpresa(estado) + motorAtendimento.montarMenu('principal');
     
     //await whatsappService.enviarMensagem(phoneNumber, mensagem);
     //await evolutionAPI.sendTextMessage(phoneNumber, mensagem);
@@ -55,6 +130,31 @@ async function enviarMenuPrincipal(phoneNumber) {
     await whatsappService.adicionarMensagemConversa(phoneNumber, null, 'bot', mensagem);
 }
 
+/**
+ * Monta cabeçalho do menu com a empresa ativa na sessão
+ * @param {Object} estado - Estado do usuário
+ * @returns {string} Cabeçalho (vazio se não houver cliente identificado)
+ */
+function montarCabecalhoEmpresa(estado) {
+    if (!estado || !estado.cliente) {
+        return '';
+    }
+
+    const cabecalho = estado.todasEmpresas
+        ? MENSAGENS.EMPRESAS.CABECALHO_TODAS(estado.empresas.length)
+        : MENSAGENS.EMPRESAS.CABECALHO(
+            estado.cliente.nome,
+            validacaoService.formatarCpfCnpj(estado.cliente.cpfCnpj),
+            validacaoService.rotuloDocumento(estado.cliente.cpfCnpj)
+        );
+
+    if (estado.empresas?.length > 1) {
+        return cabecalho + MENSAGENS.EMPRESAS.TROCAR();
+    }
+
+    return cabecalho;
+}
+
 /**
  * Envia menu principal de opções com botões
  * @param {string} telefone - Número do telefone
@@ -71,7 +171,7 @@ async function enviarMenuPrincipalBotao(telefone) {
         { id: '5', text: '👤 Falar com Atendente', type: 'text' }
     ];*/
     
-    await evolutionAPI.sendButtonMessage(telefone, texto, botoes);
+    await messageService.sendButtonMessage(telefone, texto, botoes);
 }
 
 /**
@@ -97,11 +197,7 @@ function verificarPalavrasChaveAtendente(mensagem) {
 }
 */
 
-/**
- * Verifica se a mensagem contém palavras-chave para boleto
- * @param {string} mensagem - Mensagem recebida do cliente
- * @returns {string} palavra-chave encontrada ou undefined
- */
+/*
 function verificarPalavrasChaveBoleto(mensagem) {
     const palavrasChave = [
         'boleto',
@@ -119,13 +215,28 @@ function verificarPalavrasChaveBoleto(mensagem) {
     // O metodo 'some' retorna true assim que encontra a primeira correspondência
     // return palavrasChave.some(palavra => mensagemLower.includes(palavra));
 }
-
+*/
 
 /**
- * Verifica se a mensagem contém palavras-chave para Atendimento
+ * Verifica se a mensagem contém palavras-chave para boleto
  * @param {string} mensagem - Mensagem recebida do cliente
  * @returns {string} palavra-chave encontrada ou undefined
  */
+function verificarPalavrasChaveBoleto(mensagem) {
+    console.log('verificarPalavrasChaveBoleto: ', mensagem);
+
+    // Reconhecimento por intenção (acentos, erros de digitação e "2 boletos" sem casar "1"/"2" soltos)
+    const resultado = intencaoService.reconhecer(mensagem);
+
+    if (resultado.decisao === intencaoService.DECISOES.ACEITA && resultado.intencao === 'boleto') {
+        return resultado.termo;
+    }
+
+    return undefined;
+}
+
+
+/*
 function verificarPalavrasChaveAtendimento(mensagem) {
     // Objeto de mapeamento: [Variação digitada] : [Palavra Oficial a Retornar]
     const mapeamentoChaves = {
@@ -164,89 +275,60 @@ function verificarPalavrasChaveAtendimento(mensagem) {
     // 4. Se nada foi encontrado, retorna undefined
     return undefined;
 }
+*/
 
 /**
- * Fluxo principal de atendimento
+ * Verifica se a mensagem contém palavras-chave para Atendimento
+ * @param {string} mensagem - Mensagem recebida do cliente
+ * @returns {string} palavra-chave encontrada ou undefined
  */
-async function fluxoAtendimento(telefone, mensagem, messageId) {
-    const estado = estadosUsuarios.get(telefone) || { etapa: 'inicial' };
-    
-    console.log(`Estado atual: ${estado.etapa}`);
+function verificarPalavrasChaveAtendimento(mensagem) {
+    console.log('verificarPalavrasChaveAtendimento: ', mensagem);
 
-    // Verificação global de comando de saída
-    if (verificarComandoSaida(mensagem)) {
-        return await processarEncerramentoManual(telefone);
-    }
-
-    // Verificação global de palavras-chave para Atendimento
-    const buscaAtendimento = verificarPalavrasChaveAtendimento(mensagem);
-    if (buscaAtendimento && estado.cliente) {
-        const estadosQuePermitemAtendimento = [
-            'aguardando_novo_cnpj',
-            'aguardando_cnpj',
-            'sem_permissao',
-            'consultando_boletos',
-            'menu_principal',
-            'inicial',
-            'sem_permissao'
-        ];
-
-        console.log(`A mensagem é sobre: ${buscaAtendimento}`);
-        if (estadosQuePermitemAtendimento.includes(estado.etapa)) {
-            return await etapaMenuPrincipal(telefone, buscaAtendimento, messageId, estado);
-        }
+    // Variações e erros de digitação ("atndente", "suport", "finaceiro") tratados pelo intencaoService
+    const resultado = intencaoService.reconhecer(mensagem, { intencoes: ['atendente', 'suporte'] });
+
+    if (resultado.decisao === intencaoService.DECISOES.ACEITA) {
+        return resultado.intencao;
     }
 
-    /*
-        // Verificação global de palavras-chave para Atendente
-        if (verificarPalavrasChaveAtendente(mensagem)) {
-            const estadosQuePermitemAtendente = [
-                'aguardando_novo_cnpj',
-                'aguardando_cnpj',
-                'menu_principal',
-                'sem_permissao'
-            ];
-            
-            if (estadosQuePermitemAtendente.includes(estado.etapa)) {
-                return await processarTransferenciaAtendente(telefone, estado.cliente, messageId);
-            }
-        }
-    */
+    return undefined;
+}
 
-    // Verificação global de palavras-chave para Boleto > Somente autorizado
-    const buscaBoleto = verificarPalavrasChaveBoleto(mensagem);
-    if (buscaBoleto && estado.cliente) {
-        const estadosQuePermitemBoleto = [
-            'consultando_boletos',
-            'menu_principal'
-        ];
-
-        console.log(`A mensagem é sobre: ${buscaBoleto}`);
-        if (estadosQuePermitemBoleto.includes(estado.etapa)) {
-            return await etapaMenuPrincipal(telefone, 'boletos', messageId, estado);
+/**
+ * Fluxo principal de atendimento
+ * Etapas, intenções globais e transições definidas em src/fluxos/atendimentoFluxo.js
+ */
+async function fluxoAtendimento(telefone, mensagem, messageId) {
+    const recebidaEm = Date.now();
+
+    // Contato com a equipe: o bot não responde (exceto a palavra-chave que devolve ao bot)
+    const atendimentoHumano = await atendimentoHumanoService.obterAtivo(telefone);
+    if (atendimentoHumano) {
+        const registro = await atendimentoHumanoService.registrarMensagemCliente(telefone, mensagem);
+
+        if (!registro.encerrado) {
+            return { status: 'atendimento_humano', setor: atendimentoHumano.setor };
         }
     }
 
-    //Menu Principal    
-    switch (estado.etapa) {
-        case 'inicial':
-            return await etapaInicial(telefone, mensagem, messageId);
-            
-        case 'aguardando_cnpj':
-            return await etapaValidarCNPJ(telefone, mensagem, messageId);
+    // Resposta à pesquisa de satisfação do atendimento anterior
+    const respostaPesquisa = await satisfacaoService.processarResposta(telefone, mensagem, recebidaEm);
+    if (respostaPesquisa) {
+        return respostaPesquisa;
+    }
 
-        case 'aguardando_novo_cnpj':
-            return await processarNovoCNPJ(telefone, mensagem, messageId);
+    // Obtém a sessão atualizando o timestamp da última interação
+    const estado = await estadosUsuarios.tocar(telefone) || { etapa: 'inicial' };
+    
+    console.log(`Estado atual: ${estado.etapa}`);
 
-        case 'menu_principal':
-            return await etapaMenuPrincipal(telefone, mensagem, messageId, estado);
-            
-        case 'consultando_boletos':
-            return await etapaConsultarBoletos(telefone, mensagem, messageId, estado);
-            
-        default:
-            return await etapaInicial(telefone, mensagem, messageId);
-    }
+    return await motorAtendimento.processar({
+        telefone,
+        mensagem,
+        messageId,
+        estado
+    });
 }
 
 /**
@@ -263,7 +345,7 @@ async function etapaInicial(telefone, mensagem, messageId) {
     if (clienteAPI.blocked) {
         //await evolutionAPI.sendTextMessage(telefone, clienteAPI.error);
         await messageService.sendTextMessage(telefone, clienteAPI.error);
-        estadosUsuarios.set(telefone, { etapa: 'bloqueado' });
+        await estadosUsuarios.definir(telefone, { etapa: 'bloqueado' });
         return { status: 'bloqueado' };
     }
     
@@ -308,12 +390,13 @@ async function etapaInicial(telefone, mensagem, messageId) {
         await messageService.sendTextMessage(
             telefone,
             'Olá! Bem-vindo ao nosso atendimento.\n\n' +
-            'Para continuar, por favor, informe seu *CNPJ*:'
+            //'Para continuar, por favor, informe seu *CNPJ*:'
+            'Para continuar, por favor, informe seu *CPF ou CNPJ*:'
         );
 
 
         // Armazenar mensagem inicial para verificar palavra-chave após validação
-        estadosUsuarios.set(telefone, {
+        await estadosUsuarios.definir(telefone, {
             etapa: 'aguardando_cnpj',
             mensagemInicial: mensagem
         });
@@ -321,9 +404,31 @@ async function etapaInicial(telefone, mensagem, messageId) {
         return { status: 'aguardando_cnpj' };
     }
     
-    // Cliente encontrado e autorizado
-    const cliente = clienteAPI.data.data[0];
-    const contato = clienteAPI.contato;
+    // Cliente encontrado e autorizado (uma ou mais empresas com contato autorizado)
+    //const cliente = clienteAPI.data.data[0];
+    //const contato = clienteAPI.contato;
+    const empresas = clienteAPI.data;
+    const cliente = empresas[0];
+    const contato = cliente.contatos[0];
+
+    // Telefone associado a mais de uma empresa: solicitar seleção
+    if (empresas.length > 1) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.EMPRESAS.IDENTIFICADAS(contato.nome, empresas.length)
+        );
+
+        await estadosUsuarios.definir(telefone, {
+            etapa: 'escolhendo_empresa',
+            empresas: empresas,
+            contato: contato,
+            mensagemInicial: mensagem,
+            messageId: messageId
+        });
+
+        await enviarSelecaoEmpresa(telefone, empresas);
+        return { status: 'escolhendo_empresa', empresas };
+    }
 
     /*
         // TODO: Criar funcao em: mensagens.js
@@ -345,17 +450,20 @@ async function etapaInicial(telefone, mensagem, messageId) {
         `Olá, ${contato.nome}!\n\n` +
         `Identifiquei seu telefone associado a seguinte empresa:\n\n` +
         `Empresa: ${cliente.nome}\n` +
-        `CNPJ: ${cliente.cpfCnpj}\n\n`
+        //`CNPJ: ${cliente.cpfCnpj}\n\n`
+        `${validacaoService.rotuloDocumento(cliente.cpfCnpj)}: ${validacaoService.formatarCpfCnpj(cliente.cpfCnpj)}\n\n`
         //`Bem-vindo(a) ao nosso atendimento.`
     );
 
     // Atualizar estado com cliente autorizado
-    estadosUsuarios.set(telefone, {
+    const estadoMenu = {
         etapa: 'menu_principal',
         cliente: cliente,
         contato: contato,
+        empresas: empresas,
         messageId: messageId
-    });
+    };
+    await estadosUsuarios.definir(telefone, estadoMenu);
 
     // Verificar se mensagem inicial contém palavra-chave de boleto
     const buscaBoleto = verificarPalavrasChaveBoleto(mensagem);
@@ -374,7 +482,7 @@ async function etapaInicial(telefone, mensagem, messageId) {
         console.log('Executando transferencia automaticamente...');
 
         // Executar consulta transferencia diretamente
-        return await etapaMenuPrincipal(telefone, buscaAtendente, messageId, 'menu_principal');
+        return await etapaMenuPrincipal(telefone, buscaAtendente, messageId, estadoMenu);
     }
 
     /*
@@ -400,15 +508,27 @@ async function etapaInicial(telefone, mensagem, messageId) {
 
 /**
  * Etapa 2: Validar CNPJ informado
+ * Aceita o documento no meio do texto ("meu cnpj é 12.345.678/0001-90");
+ * com mais de um documento válido, pergunta qual usar
+ * @param {string} etapaRetorno - Etapa que receberá o documento escolhido
  */
-async function etapaValidarCNPJ(telefone, cnpj, messageId) {
+async function etapaValidarCNPJ(telefone, cnpj, messageId, etapaRetorno = 'aguardando_cnpj') {
     console.log('Etapa: Validar CNPJ');
 
-    const resultado = await processarOpcaoCNPJ(telefone, cnpj, messageId);
+    const documentos = validacaoService.extrairDocumentos(cnpj).filter(documento => documento.valido);
+
+    if (documentos.length > 1) {
+        return await solicitarEscolhaDocumento(telefone, documentos.map(documento => documento.valor), messageId, etapaRetorno);
+    }
+
+    // Sem documento válido no texto, mantém a mensagem inteira (gera a mensagem de inválido)
+    const documento = documentos.length === 1 ? documentos[0].valor : cnpj;
+
+    const resultado = await processarOpcaoCNPJ(telefone, documento, messageId);
 
     if (resultado.sucesso) {
         // Atualizar estado com cliente autorizado
-        estadosUsuarios.set(telefone, {
+        await estadosUsuarios.definir(telefone, {
             etapa: 'menu_principal',
             cliente: resultado.cliente,
             contato: resultado.contato,
@@ -416,7 +536,7 @@ async function etapaValidarCNPJ(telefone, cnpj, messageId) {
         });
 
         // Verificar se há mensagem prévia armazenada para detectar palavra-chave
-        const estado = estadosUsuarios.get(telefone);
+        const estado = await estadosUsuarios.obter(telefone);
         const mensagemInicial = estado.mensagemInicial || cnpj;
 
         // Verificar se mensagem contém palavra-chave de boleto
@@ -448,77 +568,349 @@ async function etapaValidarCNPJ(telefone, cnpj, messageId) {
         await enviarMenuPrincipal(telefone);
     } else {
         // Manter na mesma etapa para nova tentativa
-        estadosUsuarios.set(telefone, { etapa: 'aguardando_cnpj' });
+        await estadosUsuarios.definir(telefone, { etapa: 'aguardando_cnpj' });
     }
 
     return resultado;
 }
 
+/**
+ * Pergunta qual documento usar quando a mensagem tem mais de um CPF/CNPJ válido
+ * @param {string} telefone - Número do telefone
+ * @param {Array<string>} documentos - Documentos normalizados encontrados
+ * @param {string} messageId - ID da mensagem
+ * @param {string} etapaRetorno - Etapa que receberá o documento escolhido
+ * @returns {Promise<Object>} Status da etapa
+ */
+async function solicitarEscolhaDocumento(telefone, documentos, messageId, etapaRetorno) {
+    console.log(`${documentos.length} documentos encontrados na mensagem, solicitando escolha`);
+
+    const estado = await obterEstado(telefone);
+
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'escolhendo_documento',
+        documentosCandidatos: documentos,
+        etapaDocumento: etapaRetorno,
+        messageId: messageId
+    });
+
+    await enviarEscolhaDocumento(telefone, documentos);
+
+    return { status: 'escolhendo_documento', documentos };
+}
+
+/**
+ * Envia a lista numerada de documentos encontrados
+ * @param {string} telefone - Número do telefone
+ * @param {Array<string>} documentos - Documentos normalizados
+ */
+async function enviarEscolhaDocumento(telefone, documentos) {
+    const opcoes = documentos.map((documento, indice) =>
+        `${fluxoService.numeroEmoji(indice + 1)} ${validacaoService.rotuloDocumento(documento)}: ${validacaoService.formatarCpfCnpj(documento)}`
+    );
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.CNPJ.ESCOLHER_DOCUMENTO(opcoes)
+    );
+}
+
+/**
+ * Etapa 2c: Escolha do documento (mensagem com mais de um CPF/CNPJ)
+ * Aceita o número da opção ou um único documento válido digitado
+ */
+async function etapaEscolherDocumento(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Escolher Documento');
+
+    const { documentosCandidatos = [], etapaDocumento = 'aguardando_cnpj', ...restante } = estado;
+    const resposta = (mensagem || '').trim();
+    const indice = parseInt(resposta, 10);
+    const informados = validacaoService.extrairDocumentos(resposta).filter(documento => documento.valido);
+
+    let documento = null;
+    if (String(indice) === resposta && documentosCandidatos[indice - 1]) {
+        documento = documentosCandidatos[indice - 1];
+    } else if (informados.length === 1) {
+        documento = informados[0].valor;
+    }
+
+    if (!documento) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.CNPJ.DOCUMENTO_INVALIDO());
+        await enviarEscolhaDocumento(telefone, documentosCandidatos);
+        return { status: 'documento_invalido' };
+    }
+
+    console.log(`Documento escolhido: ${documento}`);
+
+    // Volta para a etapa de origem antes de validar (falhas mantêm o cliente nela)
+    await definirEstado(telefone, { ...restante, etapa: etapaDocumento });
+
+    return etapaDocumento === 'aguardando_novo_cnpj'
+        ? await processarNovoCNPJ(telefone, documento, messageId)
+        : await etapaValidarCNPJ(telefone, documento, messageId);
+}
+
+/**
+ * Envia seleção de empresas (lista do WhatsApp ou texto numerado)
+ * @param {string} telefone - Número do telefone
+ * @param {Array} empresas - Empresas associadas ao telefone
+ */
+async function enviarSelecaoEmpresa(telefone, empresas) {
+    console.log(`Enviando seleção de ${empresas.length} empresa(s)`);
+
+    // Lista interativa (SELECAO_EMPRESA_LISTA=true), com texto numerado como fallback
+    if (process.env.SELECAO_EMPRESA_LISTA === 'true') {
+        const rows = empresas.map((empresa, indice) => ({
+            rowId: String(indice + 1),
+            title: empresa.nome,
+            description: `${validacaoService.rotuloDocumento(empresa.cpfCnpj)}: ${validacaoService.formatarCpfCnpj(empresa.cpfCnpj)}`
+        }));
+
+        rows.push({ rowId: 'todas', title: MENSAGENS.EMPRESAS.OPCAO_TODAS(), description: '' });
+
+        const envio = await messageService.sendListMessage(
+            telefone,
+            MENSAGENS.EMPRESAS.LISTA_TITULO(),
+            MENSAGENS.EMPRESAS.SELECIONAR_LISTA(),
+            [{ title: MENSAGENS.EMPRESAS.LISTA_SECAO(), rows }]
+        );
+
+        if (envio.success) {
+            return envio;
+        }
+
+        console.log('Falha ao enviar lista de empresas, enviando texto:', envio.error);
+    }
+
+    const opcoes = empresas.map((empresa, indice) => MENSAGENS.EMPRESAS.OPCAO(
+        fluxoService.numeroEmoji(indice + 1),
+        empresa.nome,
+        validacaoService.rotuloDocumento(empresa.cpfCnpj),
+        validacaoService.formatarCpfCnpj(empresa.cpfCnpj)
+    ));
+
+    opcoes.push(MENSAGENS.EMPRESAS.OPCAO_TODAS(fluxoService.numeroEmoji(empresas.length + 1)));
+
+    return await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.EMPRESAS.SELECIONAR(opcoes)
+    );
+}
+
+/**
+ * Identifica a empresa escolhida pelo número, CNPJ, nome ou "todas"
+ * @param {Array} empresas - Empresas associadas ao telefone
+ * @param {string} mensagem - Resposta do cliente
+ * @returns {Object|string|null} Empresa escolhida, 'todas' ou null
+ */
+function resolverSelecaoEmpresa(empresas, mensagem) {
+    const resposta = (mensagem || '').toLowerCase().trim();
+    const opcaoTodas = String(empresas.length + 1);
+
+    if (['todas', 'todos', 'todas as empresas', opcaoTodas].includes(resposta)) {
+        return 'todas';
+    }
+
+    const indice = parseInt(resposta, 10);
+    if (String(indice) === resposta && empresas[indice - 1]) {
+        return empresas[indice - 1];
+    }
+
+    const documento = validacaoService.normalizarCpfCnpj(resposta);
+    return empresas.find(empresa =>
+        (documento.length >= 11 && validacaoService.normalizarCpfCnpj(empresa.cpfCnpj) === documento) ||
+        empresa.nome.toLowerCase().trim() === resposta
+    ) || null;
+}
+
+/**
+ * Retorna as empresas ativas na sessão (empresa selecionada ou todas)
+ * @param {Object} estado - Estado do usuário
+ * @returns {Object|Array} Cliente selecionado ou lista de empresas
+ */
+function obterEmpresasAtivas(estado) {
+    return estado.todasEmpresas ? estado.empresas : estado.cliente;
+}
+
+/**
+ * Etapa 2b: Seleção de empresa (telefone associado a mais de um CNPJ)
+ */
+async function etapaEscolherEmpresa(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Escolher Empresa');
+
+    const empresas = estado.empresas || [];
+    const selecao = resolverSelecaoEmpresa(empresas, mensagem);
+
+    if (!selecao) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.EMPRESAS.OPCAO_INVALIDA()
+        );
+        await enviarSelecaoEmpresa(telefone, empresas);
+        return { status: 'empresa_invalida' };
+    }
+
+    const todasEmpresas = selecao === 'todas';
+    const cliente = todasEmpresas ? empresas[0] : selecao;
+    const contato = cliente.contatos?.[0] || estado.contato;
+
+    console.log(`Empresa selecionada: ${todasEmpresas ? 'todas' : cliente.nome}`);
+
+    await definirEstado(telefone, {
+        etapa: 'menu_principal',
+        cliente: cliente,
+        contato: contato,
+        empresas: empresas,
+        todasEmpresas: todasEmpresas,
+        messageId: messageId
+    });
+
+    // Verificar se mensagem inicial contém palavra-chave de boleto
+    const buscaBoleto = estado.mensagemInicial && verificarPalavrasChaveBoleto(estado.mensagemInicial);
+    if (buscaBoleto) {
+        console.log(`Palavra-chave detectada na mensagem inicial: ${buscaBoleto}`);
+        console.log('Executando consulta de boletos automaticamente...');
+
+        return await processarOpcaoBoletos(telefone, todasEmpresas ? empresas : cliente, messageId);
+    }
+
+    await messageService.sendTextMessage(telefone, MENSAGENS.EMPRESAS.SELECIONADA());
+
+    await enviarMenuPrincipal(telefone);
+
+    return { status: 'empresa_selecionada', cliente, todasEmpresas };
+}
+
+/**
+ * Guarda na sessão a intenção escolhida no menu (usada no relatório de satisfação)
+ * @param {string} telefone - Número do telefone
+ * @param {Object} estado - Estado da sessão
+ * @param {Object} opcaoMenu - Opção do menu resolvida
+ */
+async function registrarIntencaoAtendimento(telefone, estado, opcaoMenu) {
+    if (!opcaoMenu.intencao) {
+        return;
+    }
+
+    estado.intencaoAtendimento = opcaoMenu.intencao;
+    await definirEstado(telefone, estado);
+}
+
 /**
  * Etapa 3: Processar opção do menu
  */
 async function etapaMenuPrincipal(telefone, opcao, messageId, estado) {
     console.log('Etapa: Menu Principal - Opção:', opcao);
+
+    if (opcao.toLowerCase().trim() === 'menu') {
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_exibido' };
+    }
+
+    // Trocar empresa ativa (telefone associado a mais de uma empresa)
+    if (['empresa', 'empresas'].includes(opcao.toLowerCase().trim()) && estado.empresas?.length > 1) {
+        await definirEstado(telefone, {
+            ...estado,
+            etapa: 'escolhendo_empresa',
+            mensagemInicial: null
+        });
+        await enviarSelecaoEmpresa(telefone, estado.empresas);
+        return { status: 'escolhendo_empresa' };
+    }
+
+    // Opção resolvida pelo número ou atalho definido no menu do fluxo
+    const opcaoMenu = motorAtendimento.resolverOpcao('principal', opcao);
+
+    if (opcaoMenu) {
+        console.log(`etapaMenuPrincipal: ${opcaoMenu.acao}`);
+        await registrarIntencaoAtendimento(telefone, estado, opcaoMenu);
+        return await motorAtendimento.executarAcao(opcaoMenu.acao, {
+            telefone,
+            mensagem: opcao,
+            messageId,
+            estado
+        });
+    }
+
+    // Texto livre: intenção reconhecida ou confirmação da intenção sugerida ("sim")
+    const opcaoIntencao = await resolverIntencaoMenu(telefone, opcao, estado);
+
+    if (opcaoIntencao?.confirmar) {
+        return { status: 'confirmando_intencao' };
+    }
+
+    if (opcaoIntencao) {
+        console.log(`etapaMenuPrincipal: ${opcaoIntencao.acao} (intenção)`);
+        await registrarIntencaoAtendimento(telefone, estado, opcaoIntencao);
+        return await motorAtendimento.executarAcao(opcaoIntencao.acao, {
+            telefone,
+            mensagem: opcao,
+            messageId,
+            estado
+        });
+    }
+
+    /*
+        // TODO: Criar funcao em: mensagens.js
+        await evolutionAPI.sendTextMessage(
+            telefone,
+            '❌ Opção inválida. Por favor, escolha uma opção do menu.'
+        );
+    */
+
+    // TODO: Criar funcao em: mensagens.js
+    await messageService.sendTextMessage(
+        telefone,
+        '❌ Opção inválida. Por favor, escolha uma opção do menu.'
+    );
     
-    const { cliente, contato } = estado;
-    
-    switch (opcao.toLowerCase()) {
-        case '1':
-        case 'boletos':
-            console.log('etapaMenuPrincipal: boletos');
-            console.log(cliente);
-            return await processarOpcaoBoletos(telefone, cliente, messageId);
-            
-        /*
-        case '2':
-        case 'nfe':
-            return await processarOpcaoNFE(telefone, cliente, messageId);
-        */
+    //await whatsappService.mostrarMenuPrincipal(telefone);
+    //await whatsappService.enviarMenuPrincipal(telefone);
+    await enviarMenuPrincipal(telefone);
+    return { status: 'opcao_invalida' };
+}
+
+/**
+ * Resolve a opção do menu principal pela intenção do texto livre
+ * Com confiança intermediária pergunta "Você quis dizer...?" e guarda a sugestão no estado
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Object} estado - Estado atual do usuário
+ * @returns {Promise<Object|null>} Opção do menu, { confirmar: true } quando perguntou, ou null
+ */
+async function resolverIntencaoMenu(telefone, mensagem, estado) {
+    const intencaoSugerida = estado?.intencaoSugerida;
 
-        case '2':
-        case 'alterar':
-        case 'cnpj':
-        case 'trocar':
-            return await processarAlteraCNPJ(telefone, messageId, estado);
+    if (intencaoSugerida) {
+        await definirEstado(telefone, { ...estado, intencaoSugerida: null });
+        estado.intencaoSugerida = null;
 
-        /*
-        case '3':
-        case 'certificados':
-            return await processarOpcaoCertificados(telefone, cliente, messageId);
-        */
+        if (intencaoService.ehConfirmacao(mensagem)) {
+            console.log(`Intenção confirmada: ${intencaoSugerida}`);
+            return motorAtendimento.resolverIntencao('principal', intencaoSugerida);
+        }
+    }
 
-        case '3':
-        case 'atendente':
-            return await processarTransferenciaAtendente(telefone, cliente, messageId);
+    const resultado = intencaoService.reconhecer(mensagem);
+    const opcaoMenu = motorAtendimento.resolverIntencao('principal', resultado.intencao);
 
-        case '4':
-        case 'suporte':
-            return await processarTransferenciaSuporte(telefone, cliente, messageId);
+    if (!opcaoMenu || resultado.decisao === intencaoService.DECISOES.DESCONHECIDA) {
+        return null;
+    }
 
-        case 'menu':
-            await enviarMenuPrincipal(telefone);
+    if (resultado.decisao === intencaoService.DECISOES.CONFIRMAR) {
+        await definirEstado(telefone, { ...estado, intencaoSugerida: resultado.intencao });
 
-        default:
-            
-            /*
-                // TODO: Criar funcao em: mensagens.js
-                await evolutionAPI.sendTextMessage(
-                    telefone,
-                    '❌ Opção inválida. Por favor, escolha uma opção do menu.'
-                );
-            */
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.MENU.CONFIRMAR_INTENCAO(opcaoMenu.rotulo)
+        );
 
-            // TODO: Criar funcao em: mensagens.js
-            await messageService.sendTextMessage(
-                telefone,
-                '❌ Opção inválida. Por favor, escolha uma opção do menu.'
-            );
-            
-            //await whatsappService.mostrarMenuPrincipal(telefone);
-            //await whatsappService.enviarMenuPrincipal(telefone);
-            await enviarMenuPrincipal(telefone);
-            return { status: 'opcao_invalida' };
+        return { confirmar: true };
     }
+
+    return opcaoMenu;
 }
 
 /**
@@ -545,13 +937,15 @@ async function processarAlteraCNPJ(telefone, messageId, estado) {
     await messageService.sendTextMessage(
         telefone,
         //'📄 *Alterar CNPJ*\n\n' +
-        '*Alterar CNPJ*\n\n' +
-        'Por favor, informe o novo CNPJ da sua empresa:\n\n' +
+        //'*Alterar CNPJ*\n\n' +
+        //'Por favor, informe o novo CNPJ da sua empresa:\n\n' +
+        '*Alterar CPF/CNPJ*\n\n' +
+        'Por favor, informe o novo CPF ou CNPJ:\n\n' +
         '_(Digite apenas os números)_'
     );
     
     // Atualizar estado para aguardar novo CNPJ
-    definirEstado(telefone, {
+    await definirEstado(telefone, {
         etapa: 'aguardando_novo_cnpj',
         messageId: messageId,
         clienteAnterior: estado.cliente,
@@ -573,11 +967,16 @@ async function processarNovoCNPJ(telefone, cnpj, messageId) {
     
     // Usar a mesma função de validação existente
     //const resultado = await validarCNPJ(telefone, cnpj, messageId);
-    const resultado = await etapaValidarCNPJ(telefone, cnpj, messageId)
+    const resultado = await etapaValidarCNPJ(telefone, cnpj, messageId, 'aguardando_novo_cnpj')
     
-    if (resultado.sucesso) {
+    // Mais de um documento na mensagem: aguarda a escolha do cliente
+    if (resultado.status === 'escolhendo_documento') {
+        return resultado;
+    }
+    
+    if (resultado.sucesso) {
         // Atualizar estado com novo cliente
-        definirEstado(telefone, {
+        await definirEstado(telefone, {
             etapa: 'menu_principal',
             cliente: resultado.cliente,
             contato: resultado.contato,
@@ -585,8 +984,8 @@ async function processarNovoCNPJ(telefone, cnpj, messageId) {
         });
     } else {
         // Manter na etapa de aguardar novo CNPJ para nova tentativa
-        const estado = obterEstado(telefone);
-        definirEstado(telefone, {
+        const estado = await obterEstado(telefone);
+        await definirEstado(telefone, {
             ...estado,
             etapa: 'aguardando_novo_cnpj'
         });
@@ -606,11 +1005,14 @@ async function processarNovoCNPJ(telefone, cnpj, messageId) {
 async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
     console.log('Validando CNPJ:', cnpj);
     
-    // Limpar CNPJ
-    const cnpjLimpo = cnpj.replace(/\D/g, '');
+    // Limpar documento (CPF, CNPJ numérico ou alfanumérico)
+    //const cnpjLimpo = cnpj.replace(/\D/g, '');
+    const cnpjLimpo = validacaoService.normalizarCpfCnpj(cnpj);
+    const rotulo = validacaoService.rotuloDocumento(cnpjLimpo);
     
     // Validar formato
-    if (!validacaoService.validarFormatoCNPJ(cnpjLimpo)) {
+    //if (!validacaoService.validarFormatoCNPJ(cnpjLimpo)) {
+    if (!validacaoService.validarFormatoCpfCnpj(cnpjLimpo)) {
         
         /*
             // TODO: Criar funcao em: mensagens.js
@@ -622,13 +1024,13 @@ async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
             );
         */
 
-        // TODO: Criar funcao em: mensagens.js
-        await messageService.sendTextMessage(
-            telefone,
-            '❌ *CNPJ Inválido*\n\n' +
-            'O CNPJ informado não é válido.\n\n' +
-            'Por favor, verifique e informe novamente.'
-        );
+        //await messageService.sendTextMessage(
+        //    telefone,
+        //    '❌ *CNPJ Inválido*\n\n' +
+        //    'O CNPJ informado não é válido.\n\n' +
+        //    'Por favor, verifique e informe novamente.'
+        //);
+        await messageService.sendTextMessage(telefone, MENSAGENS.CNPJ.INVALIDO());
         
         return { 
             sucesso: false, 
@@ -636,8 +1038,8 @@ async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
         };
     }
     
-    // Formatar CNPJ
-    const cnpjFormatado = validacaoService.formatarCNPJ(cnpjLimpo);
+    // Formatar CPF/CNPJ
+    const cnpjFormatado = validacaoService.formatarCpfCnpj(cnpjLimpo);
     
     // Buscar cliente por CNPJ via API
     const clienteAPI = await endpoint.getClienteByCNPJ(cnpjFormatado);
@@ -665,8 +1067,10 @@ async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
         // TODO: Criar funcao em: mensagens.js
         await messageService.sendTextMessage(
             telefone,
-            '❌ *CNPJ Não Encontrado*\n\n' +
-            'Não encontramos este CNPJ em nossa base de dados.\n\n' +
+            //'❌ *CNPJ Não Encontrado*\n\n' +
+            //'Não encontramos este CNPJ em nossa base de dados.\n\n' +
+            `❌ *${rotulo} Não Encontrado*\n\n` +
+            `Não encontramos este ${rotulo} em nossa base de dados.\n\n` +
             'Por favor, verifique o número e tente novamente ou ' +
             'entre em contato com nosso atendimento.'
         );
@@ -739,7 +1143,8 @@ async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
         await messageService.sendTextMessage(
             telefone,
             `⚠️ *Telefone Não Cadastrado*\n\n` +
-            `Seu telefone não está cadastrado para o CNPJ: *${cnpjFormatado}*\n\n` +
+            //`Seu telefone não está cadastrado para o CNPJ: *${cnpjFormatado}*\n\n` +
+            `Seu telefone não está cadastrado para o ${rotulo}: *${cnpjFormatado}*\n\n` +
             'Por favor, entre em contato com nosso atendimento para atualizar seu cadastro.\n\n' +
             'Deseja falar com um atendente?'
         );
@@ -801,7 +1206,8 @@ async function processarOpcaoCNPJ(telefone, cnpj, messageId) {
         `Olá, ${contatoAutorizado.nome}!\n\n` +
         `Identifiquei seu telefone associado a seguinte empresa:\n\n` +
         `Empresa: ${cliente.nome}\n` +
-        `CNPJ: ${cnpjFormatado}\n\n`
+        //`CNPJ: ${cnpjFormatado}\n\n`
+        `${rotulo}: ${cnpjFormatado}\n\n`
         //'Bem-vindo(a) ao nosso atendimento.'
     );
 
@@ -859,7 +1265,23 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
     // const boletos = await database.getBoletosByCNPJ(cliente.cpfCnpj);
 
     // Buscar boletos no endpoint (endpoint.js)
-    const boletos = await endpoint.getBoletosByCNPJ(cliente.id);
+    //const boletos = await endpoint.getBoletosByCNPJ(cliente.id);
+
+    // Uma empresa ou todas as empresas selecionadas na sessão
+    const empresas = Array.isArray(cliente) ? cliente : [cliente];
+    const boletos = { success: false, data: [] };
+
+    for (const empresa of empresas) {
+        const boletosEmpresa = await endpoint.getBoletosByCNPJ(empresa.id);
+
+        if (boletosEmpresa.success) {
+            // Boletos com linha digitável inválida não são enviados
+            const { validos } = boletoService.filtrarBoletosValidos(boletosEmpresa.data, `evolution:${telefone}`);
+
+            boletos.success = true;
+            boletos.data.push(...validos.map(boleto => ({ ...boleto, empresa })));
+        }
+    }
     
     if (!boletos.success || boletos.data.length === 0) {
         
@@ -889,7 +1311,7 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
 
     //boleto.linhaDigitavel: nao existe, mock: boleto.idConta boleto.numeroDocumento
     //boleto.url: nao existe, link mock para testes
-    const boletoLink = `https://boleto.suprasoft.net/?idConta=`;
+    //const boletoLink = `https://boleto.suprasoft.net/?idConta=`;
 
     /*
         // TODO: Criar funcao em: mensagens.js
@@ -900,18 +1322,79 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
         );
     */
 
-    // TODO: Criar funcao em: mensagens.js
+    // Um único boleto: enviar diretamente
+    if (boletos.data.length === 1) {
+        return await enviarBoletosSelecionados(telefone, boletos.data, empresas.length > 1);
+    }
+
+    // Resumo para o cliente escolher quais boletos deseja receber
     await messageService.sendTextMessage(
         telefone,
-        //`Encontrei um total de ${boletos.data.length} boleto(s).\n\n` +
-        `Encontrei *${boletos.data.length}* boleto(s).`
+        MENSAGENS.BOLETOS.RESUMO(boletos.data.length, boletoService.montarResumoBoletos(boletos.data))
     );
-    
+
+    const estado = await obterEstado(telefone) || {};
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'selecionando_boletos',
+        boletosDisponiveis: boletos.data
+    });
+
+    return { status: 'aguardando_selecao_boletos', quantidade: boletos.data.length };
+}
+
+/**
+ * Etapa: Seleção de boletos ("1,3", "todos" ou "vencidos")
+ */
+async function etapaSelecionarBoletos(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Selecionar Boletos - Resposta:', mensagem);
+
+    const boletosDisponiveis = estado.boletosDisponiveis || [];
+
+    if (mensagem.toLowerCase().trim() === 'menu') {
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', boletosDisponiveis: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_exibido' };
+    }
+
+    const selecao = boletoService.interpretarSelecao(mensagem, boletosDisponiveis);
+
+    if (!selecao) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.BOLETOS.SELECAO_INVALIDA(boletosDisponiveis.length)
+        );
+        return { status: 'selecao_boletos_invalida' };
+    }
+
+    if (selecao.boletos.length === 0) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.BOLETOS.SEM_VENCIDOS());
+        return { status: 'sem_boletos_vencidos' };
+    }
+
+    console.log(`Boletos selecionados (${selecao.criterio}): ${selecao.boletos.map(boleto => boleto.numeroDocumento).join(', ')}`);
+
+    await definirEstado(telefone, { ...estado, etapa: 'menu_principal', boletosDisponiveis: null });
+
+    const variasEmpresas = new Set(boletosDisponiveis.map(boleto => boleto.empresa?.id)).size > 1;
+    return await enviarBoletosSelecionados(telefone, selecao.boletos, variasEmpresas);
+}
+
+/**
+ * Envia detalhes, linha digitável e PDF dos boletos selecionados
+ * @param {string} telefone - Número do telefone
+ * @param {Array} boletosSelecionados - Boletos a enviar
+ * @param {boolean} variasEmpresas - Identificar a empresa em cada boleto
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function enviarBoletosSelecionados(telefone, boletosSelecionados, variasEmpresas) {
+    const boletos = { data: boletosSelecionados };
+
     // Enviar cada boleto
-    let linhaDigitavelBoleto = '';
     for (const boleto of boletos.data) {
         
         //Verifica Linha Digitavel
+        let linhaDigitavelBoleto = '';
         if(boleto.linhaDigitavelBoleto){
             //linhaDigitavelBoleto = `*Linha Digitável:*\n${boleto.linhaDigitavelBoleto}\n`;
             //linhaDigitavelBoleto = `${boleto.linhaDigitavelBoleto}`;
@@ -919,9 +1402,13 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
         }
         
         
+        // Identifica a empresa quando a consulta abrange mais de uma
+        const empresaBoleto = variasEmpresas ? MENSAGENS.BOLETOS.EMPRESA(boleto.empresa.nome) : '';
+
         // TODO: Criar funcao em: mensagens.js
         const mensagem = 
             //`📄 *Boleto: ${boleto.numeroDocumento}*\n\n` +
+            empresaBoleto +
             `*Boleto: ${boleto.numeroDocumento}*\n` +
             //`📅 Vencimento: ${formatarData(boleto.dataVencimento)}\n` +
             //`💰 Valor: R$ ${boleto.valor.toFixed(2)}\n\n${linhaDigitavelBoleto}` +
@@ -949,6 +1436,9 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
         // Envia Boleto PDF
         await enviarBoletoPDF(telefone, boleto.idConta, boleto.numeroDocumento);
 
+        // Envia PIX Copia e Cola + QR Code (se configurado)
+        await enviarPixBoleto(telefone, boleto);
+
         // Aguardar 3 segundo entre envios
         await new Promise(resolve => setTimeout(resolve, 3000));
 
@@ -979,6 +1469,43 @@ async function processarOpcaoBoletos(telefone, cliente, messageId) {
     return { status: 'boletos_enviados', quantidade: boletos.data.length };
 }
 
+/**
+ * Enviar PIX do boleto (código copia e cola + QR Code)
+ * @param {string} telefone - Número do telefone
+ * @param {Object} boleto - Boleto do ERP
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function enviarPixBoleto(telefone, boleto) {
+    if (!pixService.estaConfigurado()) {
+        return { success: false };
+    }
+
+    const pix = pixService.gerarPixBoleto(boleto);
+
+    if (!pix.success) {
+        console.error('Erro ao gerar PIX do boleto:', pix.error);
+        return { success: false };
+    }
+
+    await messageService.sendTextMessage(telefone, MENSAGENS.PIX.COPIA_E_COLA(boleto.numeroDocumento));
+
+    // Código enviado sozinho para facilitar a cópia
+    await messageService.sendTextMessage(telefone, pix.data.payload);
+
+    const qrcode = await pixService.gerarQRCode(pix.data.payload, `PIX_${pix.data.txid}.png`);
+
+    if (qrcode.success) {
+        await messageService.sendImage(
+            telefone,
+            qrcode.data.base64,
+            qrcode.data.filename,
+            MENSAGENS.PIX.QRCODE(boleto.numeroDocumento)
+        );
+    }
+
+    return { success: true };
+}
+
 /**
  * Enviar Boleto PDF
  */
@@ -1054,10 +1581,10 @@ function verificarTimeoutSessao(telefone) {
 /**
  * Verifica se a sessão ainda é válida
  * @param {string} telefone - Número do telefone
- * @returns {boolean} True se sessão válida
+ * @returns {Promise<boolean>} True se sessão válida
  */
-function verificarTimeoutSessao(telefone) {
-    const estado = estadosUsuarios.get(telefone);
+async function verificarTimeoutSessao(telefone) {
+    const estado = await estadosUsuarios.obter(telefone);
     
     if (!estado) {
         return false; // Sessão não existe
@@ -1066,7 +1593,7 @@ function verificarTimeoutSessao(telefone) {
     // Se não tem timestamp, inicializar (evita falso positivo em mudanças de estado)
     if (!estado.ultimaInteracao) {
         estado.ultimaInteracao = Date.now();
-        estadosUsuarios.set(telefone, estado);
+        await estadosUsuarios.definir(telefone, estado);
         return true;
     }
     
@@ -1076,13 +1603,13 @@ function verificarTimeoutSessao(telefone) {
     if (tempoDecorrido > TIMEOUT_SESSAO) {
         // Sessão expirada
         console.log(`⏱️ Sessão expirada para ${telefone} (${Math.floor(tempoDecorrido / 60000)} min)`);
-        estadosUsuarios.delete(telefone);
+        await estadosUsuarios.remover(telefone);
         return false;
     }
     
     // Atualizar timestamp
     estado.ultimaInteracao = agora;
-    estadosUsuarios.set(telefone, estado);
+    await estadosUsuarios.definir(telefone, estado);
     
     return true;
 }
@@ -1095,7 +1622,7 @@ function verificarTimeoutSessao(telefone) {
  * @returns {Promise<Object>} Resultado do processamento
  */
 async function processarMensagemComTimeout(telefone, mensagem, messageId) {
-    const sessaoValida = verificarTimeoutSessao(telefone);
+    const sessaoValida = await verificarTimeoutSessao(telefone);
     
     // TODO: Criar funcao em: mensagens.js
     if (!sessaoValida) {
@@ -1123,13 +1650,26 @@ async function processarMensagemComTimeout(telefone, mensagem, messageId) {
 async function processarEncerramentoManual(telefone) {
     console.log(`👋 Encerrando sessão manualmente: ${telefone}`);
     
+    const estado = await estadosUsuarios.obter(telefone);
+    
     await messageService.sendTextMessage(
         telefone,
         MENSAGENS.ENCERRAMENTO.FINALIZACAO()
     );
     
     // Limpar sessão
-    estadosUsuarios.delete(telefone);
+    await estadosUsuarios.remover(telefone);
+    
+    // Pesquisa de satisfação (apenas atendimento com cliente identificado)
+    if (estado?.cliente) {
+        await satisfacaoService.solicitar(telefone, {
+            origem: 'encerramento_manual',
+            messageId: estado.messageId,
+            cliente: estado.cliente.id,
+            intencao: estado.intencaoAtendimento,
+            agente: 'bot'
+        });
+    }
     
     return { status: 'encerrado_manual' };
 }
@@ -1145,6 +1685,17 @@ function verificarComandoSaida(mensagem) {
     return comandosSaida.some(comando => mensagemLower === comando);
 }
 
+/**
+ * Verifica se a mensagem é uma despedida ("era só isso, obrigado")
+ * Reconhecida pelo classificador: só vale nas etapas sem resposta em texto livre
+ * ("fechado" aceita uma proposta)
+ * @param {string} mensagem - Mensagem recebida do cliente
+ * @returns {boolean} True se é despedida
+ */
+function verificarDespedida(mensagem) {
+    return intencaoService.detectar(mensagem, ['sair']) === 'sair';
+}
+
 
 /**
  * Verifica bloqueio do cliente antes de ação crítica
@@ -1166,7 +1717,7 @@ async function verificarBloqueioAntesDeAcao(telefone, cnpj) {
         );
         
         // Limpar estado
-        estadosUsuarios.delete(telefone);
+        await estadosUsuarios.remover(telefone);
         
         console.log('Cliente foi bloqueado durante o atendimento');
         return false;
@@ -1180,18 +1731,18 @@ async function verificarBloqueioAntesDeAcao(telefone, cnpj) {
  * Limpa sessão do usuário
  * @param {string} telefone - Número do telefone
  */
-function limparSessao(telefone) {
+async function limparSessao(telefone) {
     console.log(`Limpando sessão: ${telefone}`);
-    estadosUsuarios.delete(telefone);
+    await estadosUsuarios.remover(telefone);
 }
 
 /**
  * Obtém estado atual do usuário
  * @param {string} telefone - Número do telefone
- * @returns {Object|null} Estado do usuário
+ * @returns {Promise<Object|null>} Estado do usuário
  */
-function obterEstado(telefone) {
-    return estadosUsuarios.get(telefone) || null;
+async function obterEstado(telefone) {
+    return await estadosUsuarios.obter(telefone) || null;
 }
 
 /**
@@ -1199,97 +1750,653 @@ function obterEstado(telefone) {
  * @param {string} telefone - Número do telefone
  * @param {Object} estado - Novo estado
  */
-function definirEstado(telefone, estado) {
+async function definirEstado(telefone, estado) {
     estado.ultimaInteracao = Date.now();
-    estadosUsuarios.set(telefone, estado);
+    await estadosUsuarios.definir(telefone, estado);
 }
 
 /**
- * Processa outras opções do menu
+ * Processa consulta de notas fiscais de serviço (NFSe)
+ * @param {string} telefone - Número do telefone
+ * @param {Object|Array} cliente - Cliente selecionado ou lista de empresas ativas
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Resultado do processamento
  */
 async function processarOpcaoNFE(telefone, cliente, messageId) {
     console.log('Processando: NFE');
     
-    // TODO: Criar funcao em: mensagens.js
-    await messageService.sendTextMessage(
-        telefone,
-        '🔍 Consultando suas notas fiscais...'
-    );
+    await messageService.sendTextMessage(telefone, MENSAGENS.NFE.CONSULTANDO());
     
-    // Implementar busca de NFE
+    /*
+        // Implementar busca de NFE
+        // TODO: Criar funcao em: mensagens.js
+        await messageService.sendTextMessage(
+            telefone,
+            '📋 *Notas Fiscais*\n\n' +
+            'Em breve disponibilizaremos suas notas fiscais por aqui.\n' +
+            'Para acessá-las agora, entre em contato com nosso atendimento.'
+        );
+    */
+
+    // Uma empresa ou todas as empresas selecionadas na sessão
+    const empresas = Array.isArray(cliente) ? cliente : [cliente];
+    const variasEmpresas = empresas.length > 1;
+    const notas = [];
+    let temMais = false;
+
+    for (const empresa of empresas) {
+        const notasEmpresa = await endpoint.getNotaByCNPJ(empresa.id);
+
+        if (notasEmpresa.success) {
+            notas.push(...notasEmpresa.data.map(nota => ({ ...nota, empresa })));
+            temMais = temMais || notasEmpresa.paginacao?.temMais;
+        }
+    }
+
+    if (notas.length === 0) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.NFE.SEM_NFE_PERIODO(parseInt(process.env.NOTAS_PERIODO_DIAS) || 90)
+        );
+
+        await enviarMenuPrincipal(telefone);
+        return { status: 'sem_notas' };
+    }
+
+    await messageService.sendTextMessage(telefone, MENSAGENS.NFE.ENCONTRADAS(notas.length));
+
+    let enviadas = 0;
+
+    // Enviar cada nota (dados e XML obtidos do ERP)
+    for (const nota of notas) {
+        const notaXML = await endpoint.geraNotaXML(nota.idNotaFiscalServico);
+
+        if (!notaXML.success || !notaXML.data) {
+            console.error(`Erro ao gerar XML da nota ID ${nota.idNotaFiscalServico}`);
+            await messageService.sendTextMessage(
+                telefone,
+                MENSAGENS.NFE.ERRO_XML(nota.numero || nota.idNotaFiscalServico)
+            );
+            continue;
+        }
+
+        const notaData = notaXML.data;
+
+        // Identifica a empresa quando a consulta abrange mais de uma
+        const empresaNota = variasEmpresas ? MENSAGENS.NFE.EMPRESA(nota.empresa.nome) : '';
+
+        let mensagem =
+            empresaNota +
+            MENSAGENS.NFE.DETALHES(notaData, formatarDataNfeERP(notaData.dataEmissao));
+
+        if (notaData.cancelada) {
+            mensagem += MENSAGENS.NFE.CANCELADA();
+        }
+
+        await messageService.sendTextMessage(telefone, mensagem);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+
+        // Envia XML da nota
+        const envio = await messageService.sendDocument(
+            telefone,
+            notaData.base64,
+            notaData.filename || `nota_${notaData.numero}.xml`,
+            MENSAGENS.NFE.LEGENDA_XML(notaData.numero)
+        );
+
+        if (envio.success !== false) {
+            enviadas++;
+        }
+
+        // Envia PDF da nota (DANFSe gerado a partir do XML)
+        const notaPDF = await danfseService.gerarDanfse(
+            notaData.xmlString,
+            danfseService.nomeArquivoPDF(notaData.filename || `nota_${notaData.numero}.xml`)
+        );
+
+        if (notaPDF.success) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            await messageService.sendDocument(
+                telefone,
+                notaPDF.data.base64,
+                notaPDF.data.filename,
+                MENSAGENS.NFE.LEGENDA_PDF(notaData.numero)
+            );
+        }
+
+        // Aguardar 3 segundo entre envios
+        await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+
+    if (temMais) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.NFE.MAIS_RECENTES(notas.length));
+    }
+
     // TODO: Criar funcao em: mensagens.js
-    await messageService.sendTextMessage(
-        telefone,
-        '📋 *Notas Fiscais*\n\n' +
-        'Em breve disponibilizaremos suas notas fiscais por aqui.\n' +
-        'Para acessá-las agora, entre em contato com nosso atendimento.'
-    );
+    await messageService.sendTextMessage(telefone, 'Posso te ajudar com algo mais?');
     
     //await whatsappService.mostrarMenuPrincipal(telefone);
     //await whatsappService.enviarMenuPrincipal(telefone);
     await enviarMenuPrincipal(telefone);
-    return { status: 'nfe_indisponivel' };
+    return { status: 'notas_enviadas', quantidade: enviadas };
 }
 
+/**
+ * Processa consulta de certificados (vw_botCertificado)
+ * @param {string} telefone - Número do telefone
+ * @param {Object|Array} cliente - Cliente selecionado ou lista de empresas ativas
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Resultado do processamento
+ */
 async function processarOpcaoCertificados(telefone, cliente, messageId) {
     console.log('Processando: Certificados');
     
-    // TODO: Criar funcao em: mensagens.js
+    //await messageService.sendTextMessage(telefone, '🔍 Consultando seus certificados...');
+    await messageService.sendTextMessage(telefone, MENSAGENS.CERTIFICADOS.CONSULTANDO());
+    
+    /*
+        // Implementar busca de certificados
+        // TODO: Criar funcao em: mensagens.js
+        await messageService.sendTextMessage(
+            telefone,
+            '🏆 *Certificados*\n\n' +
+            'Em breve disponibilizaremos seus certificados por aqui.\n' +
+            'Para acessá-los agora, entre em contato com nosso atendimento.'
+        );
+    */
+
+    // Uma empresa ou todas as empresas selecionadas na sessão
+    const certificados = await certificadoService.buscarCertificados(cliente);
+
+    if (!certificados.success || certificados.data.length === 0) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.CERTIFICADOS.SEM_CERTIFICADOS());
+        await enviarMenuPrincipal(telefone);
+        return { status: 'sem_certificados' };
+    }
+
+    // Um único certificado: enviar diretamente
+    if (certificados.data.length === 1) {
+        return await enviarCertificadosSelecionados(telefone, certificados.data);
+    }
+
+    // Resumo para o cliente filtrar pela nota fiscal
     await messageService.sendTextMessage(
         telefone,
-        '🔍 Consultando seus certificados...'
+        MENSAGENS.CERTIFICADOS.RESUMO(certificados.data.length, certificadoService.montarResumoCertificados(certificados.data))
     );
-    
-    // Implementar busca de certificados
+
+    const estado = await obterEstado(telefone) || {};
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'selecionando_certificados',
+        certificadosDisponiveis: certificados.data
+    });
+
+    return { status: 'aguardando_nota_certificado', quantidade: certificados.data.length };
+}
+
+/**
+ * Etapa: Filtro de certificados pelo número da nota ou "todos"
+ */
+async function etapaSelecionarCertificados(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Selecionar Certificados - Resposta:', mensagem);
+
+    const certificadosDisponiveis = estado.certificadosDisponiveis || [];
+
+    if (mensagem.toLowerCase().trim() === 'menu') {
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', certificadosDisponiveis: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_exibido' };
+    }
+
+    const selecao = certificadoService.interpretarSelecao(mensagem, certificadosDisponiveis);
+
+    if (!selecao) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.CERTIFICADOS.SELECAO_INVALIDA(certificadoService.listarNotas(certificadosDisponiveis))
+        );
+        return { status: 'selecao_certificados_invalida' };
+    }
+
+    if (selecao.certificados.length === 0) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.CERTIFICADOS.SEM_CERTIFICADOS_NOTA(selecao.numeroNota));
+        return { status: 'sem_certificados_nota' };
+    }
+
+    console.log(`Certificados selecionados (${selecao.criterio}${selecao.numeroNota ? ` ${selecao.numeroNota}` : ''}): ${selecao.certificados.length}`);
+
+    await definirEstado(telefone, { ...estado, etapa: 'menu_principal', certificadosDisponiveis: null });
+
+    return await enviarCertificadosSelecionados(telefone, selecao.certificados);
+}
+
+/**
+ * Envia detalhes e arquivo (PDF ou link) dos certificados selecionados
+ * @param {string} telefone - Número do telefone
+ * @param {Array} certificadosSelecionados - Certificados a enviar
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function enviarCertificadosSelecionados(telefone, certificadosSelecionados) {
+    const variasEmpresas = new Set(certificadosSelecionados.map(certificado => certificado.empresa?.id)).size > 1;
+    let enviados = 0;
+
+    for (const certificado of certificadosSelecionados) {
+        const empresa = variasEmpresas ? (certificado.empresa?.nomeFantasia || certificado.empresa?.nome) : null;
+        let mensagem = MENSAGENS.CERTIFICADOS.DETALHE(
+            certificado,
+            certificadoService.formatarDataCertificado(certificado.dataEmissao),
+            empresa
+        );
+
+        const entrega = await certificadoService.prepararEntrega(certificado);
+
+        if (entrega.modo === certificadoService.MODOS_ENVIO.PDF) {
+            await messageService.sendTextMessage(telefone, mensagem);
+            await new Promise(resolve => setTimeout(resolve, 1000));
+
+            const envio = await messageService.sendDocument(
+                telefone,
+                entrega.base64,
+                entrega.filename,
+                `✅ Segue certificado: ${certificado.numero}`
+            );
+
+            if (envio.success !== false) {
+                enviados++;
+            }
+        } else {
+            mensagem += entrega.modo === certificadoService.MODOS_ENVIO.URL
+                ? MENSAGENS.CERTIFICADOS.LINK(entrega.url)
+                : MENSAGENS.CERTIFICADOS.SEM_ARQUIVO();
+
+            await messageService.sendTextMessage(telefone, mensagem);
+
+            if (entrega.modo) {
+                enviados++;
+            }
+        }
+
+        // Aguardar entre envios
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
     // TODO: Criar funcao em: mensagens.js
+    await messageService.sendTextMessage(telefone, 'Posso te ajudar com algo mais?');
+    await enviarMenuPrincipal(telefone);
+
+    return { status: 'certificados_enviados', quantidade: enviados };
+}
+
+/**
+ * Processa consulta de propostas comerciais em aberto
+ * @param {string} telefone - Número do telefone
+ * @param {Object|Array} cliente - Cliente selecionado ou lista de empresas ativas
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Resultado do processamento
+ */
+async function processarOpcaoPropostas(telefone, cliente, messageId) {
+    console.log('Processando: Propostas Comerciais');
+
+    await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.CONSULTANDO());
+
+    // Uma empresa ou todas as empresas selecionadas na sessão
+    const propostas = await propostaService.buscarPropostas(cliente);
+
+    if (!propostas.success || propostas.data.length === 0) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.SEM_PROPOSTAS());
+        await enviarMenuPrincipal(telefone);
+        return { status: 'sem_propostas' };
+    }
+
+    // Uma única proposta: enviar diretamente
+    if (propostas.data.length === 1) {
+        return await enviarProposta(telefone, propostas.data[0]);
+    }
+
+    // Resumo para o cliente escolher a proposta
     await messageService.sendTextMessage(
         telefone,
-        '🏆 *Certificados*\n\n' +
-        'Em breve disponibilizaremos seus certificados por aqui.\n' +
-        'Para acessá-los agora, entre em contato com nosso atendimento.'
+        MENSAGENS.PROPOSTAS.RESUMO(propostas.data.length, propostaService.montarResumoPropostas(propostas.data))
     );
-    
-    //await whatsappService.mostrarMenuPrincipal(telefone);
-    //await whatsappService.enviarMenuPrincipal(telefone);
-    await enviarMenuPrincipal(telefone);
-    return { status: 'certificados_indisponivel' };
+
+    const estado = await obterEstado(telefone) || {};
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'selecionando_proposta',
+        propostasDisponiveis: propostas.data
+    });
+
+    return { status: 'aguardando_selecao_proposta', quantidade: propostas.data.length };
+}
+
+/**
+ * Etapa: Escolha da proposta (posição no resumo ou número da proposta)
+ */
+async function etapaSelecionarProposta(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Selecionar Proposta - Resposta:', mensagem);
+
+    const propostasDisponiveis = estado.propostasDisponiveis || [];
+
+    if (mensagem.toLowerCase().trim() === 'menu') {
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', propostasDisponiveis: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_exibido' };
+    }
+
+    const proposta = propostaService.interpretarSelecao(mensagem, propostasDisponiveis);
+
+    if (!proposta) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.PROPOSTAS.SELECAO_INVALIDA(propostasDisponiveis.length)
+        );
+        return { status: 'selecao_proposta_invalida' };
+    }
+
+    return await enviarProposta(telefone, proposta);
+}
+
+/**
+ * Envia PDF da proposta e pergunta se o cliente aceita ou tem dúvidas
+ * @param {string} telefone - Número do telefone
+ * @param {Object} proposta - Proposta escolhida (com empresa)
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function enviarProposta(telefone, proposta) {
+    const numero = propostaService.numeroProposta(proposta);
+    console.log('Gerando PDF da proposta:', proposta.idProposta);
+
+    const propostaPDF = await endpoint.geraPropostaPDF(proposta.idProposta);
+    const estado = await obterEstado(telefone) || {};
+
+    if (!propostaPDF.success) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.ERRO_PDF(numero));
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', propostasDisponiveis: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'erro_proposta' };
+    }
+
+    await messageService.sendDocument(
+        telefone,
+        propostaPDF.data.base64,
+        propostaPDF.data.filename,
+        `✅ Segue proposta: ${numero}`
+    );
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    await messageService.sendTextMessage(telefone, MENSAGENS.PROPOSTAS.PERGUNTA_RESPOSTA(numero));
+
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'respondendo_proposta',
+        propostasDisponiveis: null,
+        propostaAtual: proposta
+    });
+
+    return { status: 'aguardando_resposta_proposta' };
+}
+
+/**
+ * Etapa: Resposta à proposta ("aceito" ou "tenho dúvidas")
+ */
+async function etapaResponderProposta(telefone, mensagem, messageId, estado) {
+    console.log('Etapa: Responder Proposta - Resposta:', mensagem);
+
+    const proposta = estado.propostaAtual;
+
+    if (!proposta || mensagem.toLowerCase().trim() === 'menu') {
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', propostaAtual: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_exibido' };
+    }
+
+    const resposta = propostaService.interpretarResposta(mensagem);
+
+    if (!resposta) {
+        await messageService.sendTextMessage(
+            telefone,
+            MENSAGENS.PROPOSTAS.RESPOSTA_INVALIDA(propostaService.numeroProposta(proposta))
+        );
+        return { status: 'resposta_proposta_invalida' };
+    }
+
+    await propostaService.registrarResposta({ proposta, telefone, resposta, mensagem });
+
+    return await processarTransferenciaComercial(telefone, proposta, resposta, mensagem, estado.cliente, messageId);
+}
+
+/**
+ * Repassa a resposta da proposta ao time comercial: abre o ticket e coloca o contato
+ * em atendimento humano (fora do horário, oferece o recado)
+ * @param {string} telefone - Número do telefone
+ * @param {Object} proposta - Proposta respondida
+ * @param {string} resposta - propostaService.RESPOSTAS
+ * @param {string} mensagem - Texto enviado pelo cliente
+ * @param {Object} cliente - Cliente identificado (opcional)
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Resultado da transferência
+ */
+async function processarTransferenciaComercial(telefone, proposta, resposta, mensagem, cliente, messageId) {
+    console.log('Processando: Transferência para Comercial -', resposta);
+
+    const numero = propostaService.numeroProposta(proposta);
+
+    await messageService.sendTextMessage(
+        telefone,
+        resposta === propostaService.RESPOSTAS.ACEITO
+            ? MENSAGENS.PROPOSTAS.ACEITA(numero)
+            : MENSAGENS.PROPOSTAS.DUVIDAS(numero)
+    );
+
+    // Aviso ao time comercial
+    if (process.env.PROPOSTAS_TELEFONE_COMERCIAL) {
+        await messageService.sendTextMessage(
+            process.env.PROPOSTAS_TELEFONE_COMERCIAL,
+            propostaService.montarAvisoComercial(proposta, telefone, resposta, mensagem)
+        );
+    }
+
+    const motivo = resposta === propostaService.RESPOSTAS.ACEITO
+        ? `Proposta ${numero} aceita`
+        : `Dúvidas sobre a proposta ${numero}`;
+
+    // Fora do horário: resposta já registrada, o cliente deixa recado ao comercial
+    const situacao = horarioAtendimentoService.verificar();
+    if (!situacao.aberto) {
+        return await oferecerRecado(telefone, ticketService.SETORES.COMERCIAL, motivo, situacao, messageId);
+    }
+
+    const ticket = await abrirTicketTransferencia(
+        telefone,
+        proposta.empresa || cliente,
+        ticketService.SETORES.COMERCIAL,
+        motivo
+    );
+
+    await limparSessao(telefone);
+
+    // Bot em silêncio enquanto o time comercial atende
+    await atendimentoHumanoService.iniciar(telefone, {
+        origem: atendimentoHumanoService.ORIGENS.TRANSFERENCIA_COMERCIAL,
+        setor: ticketService.SETORES.COMERCIAL,
+        cliente: (proposta.empresa || cliente)?.id,
+        ticket: ticket?.numero,
+        messageId
+    });
+
+    return { status: 'transferido_comercial', resposta, ticket: ticket?.numero || null };
+}
+
+/**
+ * Abre o ticket da transferência e informa número e posição na fila ao cliente
+ * Com o atendimento humano desativado não há quem tire o ticket da fila: nada é aberto
+ * @param {string} telefone - Número do telefone
+ * @param {Object} cliente - Cliente identificado (opcional)
+ * @param {string} setor - Setor do ticket (ticketService.SETORES)
+ * @param {string} motivo - Motivo da transferência
+ * @returns {Promise<Object|null>} { numero, posicao, setor, existente } ou null
+ */
+async function abrirTicketTransferencia(telefone, cliente, setor, motivo) {
+    if (!atendimentoHumanoService.estaAtivo()) {
+        console.log(`[TICKET] Atendimento humano desativado, ticket de ${telefone} não aberto`);
+        return null;
+    }
+
+    const ticket = await ticketService.abrir(telefone, {
+        setor,
+        motivo,
+        cliente,
+        origem: 'evolution'
+    });
+
+    if (!ticket.success) {
+        return null;
+    }
+
+    await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.ATENDIMENTO.TICKET_ABERTO(ticket.data.numero, ticket.data.posicao)
+    );
+
+    return ticket.data;
+}
+
+/**
+ * Fora do horário de atendimento: informa quando a equipe volta e aguarda o recado
+ * @param {string} telefone - Número do telefone
+ * @param {string} setor - Setor da transferência (ticketService.SETORES)
+ * @param {string} motivo - Motivo da transferência
+ * @param {Object} situacao - Resultado de horarioAtendimentoService.verificar()
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>} Status da etapa
+ */
+async function oferecerRecado(telefone, setor, motivo, situacao, messageId) {
+    console.log(`Fora do horário de atendimento (${setor}), oferecendo recado`);
+
+    await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.ATENDIMENTO.INDISPONIVEL(
+            horarioAtendimentoService.descreverRetorno(situacao.proximaAbertura),
+            horarioAtendimentoService.descreverHorario()
+        )
+    );
+
+    const estado = await obterEstado(telefone) || {};
+
+    await definirEstado(telefone, {
+        ...estado,
+        etapa: 'aguardando_recado',
+        recado: { setor, motivo },
+        messageId: messageId
+    });
+
+    return { status: 'aguardando_recado', setor };
+}
+
+/**
+ * Recebe o recado deixado fora do horário e abre o ticket ("0" volta ao menu)
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Recado do cliente
+ * @param {string} messageId - ID da mensagem
+ * @param {Object} estado - Estado atual
+ * @returns {Promise<Object>} Status da etapa
+ */
+async function etapaRegistrarRecado(telefone, mensagem, messageId, estado) {
+    const recado = estado.recado || {};
+
+    if (['0', 'menu', 'voltar'].includes(mensagem.trim().toLowerCase())) {
+        await definirEstado(telefone, { ...estado, etapa: 'menu_principal', recado: null });
+        await enviarMenuPrincipal(telefone);
+        return { status: 'menu_principal' };
+    }
+
+    const ticket = await ticketService.abrir(telefone, {
+        setor: recado.setor,
+        motivo: `Recado fora do horário (${recado.motivo || 'Falar com Atendente'})`,
+        cliente: estado.cliente,
+        origem: 'evolution',
+        recado: true
+    });
+
+    if (!ticket.success) {
+        await messageService.sendTextMessage(telefone, MENSAGENS.ATENDIMENTO.RECADO_ERRO());
+        return { status: 'aguardando_recado' };
+    }
+
+    const situacao = horarioAtendimentoService.verificar();
+
+    await messageService.sendTextMessage(
+        telefone,
+        MENSAGENS.ATENDIMENTO.RECADO_REGISTRADO(
+            ticket.data.numero,
+            situacao.aberto ? null : horarioAtendimentoService.descreverRetorno(situacao.proximaAbertura)
+        )
+    );
+
+    await limparSessao(telefone);
+
+    return { status: 'recado_registrado', ticket: ticket.data.numero };
 }
 
 async function processarTransferenciaAtendente(telefone, cliente, messageId) {
     console.log('Processando: Transferência para Atendente');
     
-    // TODO: Criar funcao em: mensagens.js
+    // Fora do horário: ninguém da equipe responderia
+    const situacao = horarioAtendimentoService.verificar();
+    if (!situacao.aberto) {
+        return await oferecerRecado(telefone, ticketService.SETORES.FINANCEIRO, 'Falar com Atendente', situacao, messageId);
+    }
+    
     await messageService.sendTextMessage(
         telefone,
-        '👨‍💼 *Transferindo Atendimento*\n\n' +
-        'Estou direcionando sua mensagem para o nosso setor administrativo.\n' +
-        'Em breve, alguém do time entrará em contato por aqui para te ajudar.\n\n' +
-        'Nosso horário de atendimento:\n*Segunda à Sexta-feira*,\n*de 08hs às 17hs*'
+        MENSAGENS.ATENDIMENTO.TRANSFERINDO_SETOR('o nosso setor administrativo', horarioAtendimentoService.descreverHorario())
     );
     
-    // TODO: Implementar transferência real
-    limparSessao(telefone);
+    const ticket = await abrirTicketTransferencia(telefone, cliente, ticketService.SETORES.FINANCEIRO, 'Falar com Atendente');
+    
+    await limparSessao(telefone);
+    
+    // Bot em silêncio enquanto a equipe atende
+    await atendimentoHumanoService.iniciar(telefone, {
+        origem: atendimentoHumanoService.ORIGENS.TRANSFERENCIA_ATENDENTE,
+        setor: ticketService.SETORES.FINANCEIRO,
+        cliente: cliente?.id,
+        ticket: ticket?.numero,
+        messageId
+    });
     
-    return { status: 'transferido_atendente' };
+    return { status: 'transferido_atendente', ticket: ticket?.numero || null };
 }
 
 async function processarTransferenciaSuporte(telefone, cliente, messageId) {
     console.log('Processando: Transferência para Suporte');
     
-    // TODO: Criar funcao em: mensagens.js
+    // Fora do horário: ninguém da equipe responderia
+    const situacao = horarioAtendimentoService.verificar();
+    if (!situacao.aberto) {
+        return await oferecerRecado(telefone, ticketService.SETORES.SUPORTE, 'Falar com Suporte', situacao, messageId);
+    }
+    
     await messageService.sendTextMessage(
         telefone,
-        '👨‍💼 *Falar com Suporte*\n\n' +
-        'Para falar com o nosso Suporte, entre em contato pelo número:\n' +
-        `${process.env.API_PHONE}\n\n` +
-        'Este canal é exclusivo para emissão e envio de boletos.\n\n' +
-        'Nossa equipe irá atendê-lo(a) com excelência nesse número.'
+        MENSAGENS.ATENDIMENTO.TRANSFERINDO_SETOR('o nosso suporte', horarioAtendimentoService.descreverHorario())
     );
     
-    // TODO: Implementar transferência real
-    limparSessao(telefone);
+    const ticket = await abrirTicketTransferencia(telefone, cliente, ticketService.SETORES.SUPORTE, 'Falar com Suporte');
+    
+    await limparSessao(telefone);
+    
+    // Bot em silêncio enquanto a equipe atende
+    await atendimentoHumanoService.iniciar(telefone, {
+        origem: atendimentoHumanoService.ORIGENS.TRANSFERENCIA_SUPORTE,
+        setor: ticketService.SETORES.SUPORTE,
+        cliente: cliente?.id,
+        ticket: ticket?.numero,
+        messageId
+    });
     
-    return { status: 'transferido_atendente' };
+    return { status: 'transferido_atendente', ticket: ticket?.numero || null };
 }
 
 /**
@@ -1311,10 +2418,21 @@ function formatarDataERP(data) {
     return dataPart.replace(/-/g, '/'); // "10/09/2025"
 }
 
+/**
+ * Formatar data da NFSe (YYYY-MM-DDTHH:mm:ss) para exibição
+ */
+function formatarDataNfeERP(data) {
+    if (!data) return 'Data não disponível';
+
+    const [ano, mes, dia] = data.split('T')[0].split('-');
+    return `${dia}/${mes}/${ano}`;
+}
+
 module.exports = {
     fluxoAtendimento,
     etapaInicial,
     etapaValidarCNPJ,
+    etapaEscolherDocumento,
     etapaMenuPrincipal,
     enviarMenuPrincipal,
     processarAlteraCNPJ,
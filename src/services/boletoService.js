@@ -0,0 +1,214 @@
+/**
+ * Serviço de Boletos
+ *
+ * Resumo de boletos em aberto e seleção pelo cliente ("1,3", "todos", "vencidos"),
+ * compartilhado pelos fluxos Evolution (atendimentoService) e Megazap (atendimentoMegaZap).
+ *
+ * Boletos com linha digitável/código de barras inválidos são retidos antes do envio.
+ */
+
+const fluxoService = require('./fluxoService');
+const validacaoService = require('./validacaoService');
+const logger = require('../utils/logger');
+
+/**
+ * Palavras aceitas para selecionar todos os boletos
+ */
+const SELECAO_TODOS = ['todos', 'todas', 'tudo', 'todos os boletos'];
+
+/**
+ * Palavras aceitas para selecionar apenas os boletos vencidos
+ */
+const SELECAO_VENCIDOS = ['vencidos', 'vencido', 'atrasados', 'atrasado'];
+
+/**
+ * Converte data do ERP em Date (aceita DD-MM-YYYY H:I:S e YYYY-MM-DD)
+ * @param {string} dataERP - Data retornada pelo ERP
+ * @returns {Date|null} Data (meia-noite local) ou null se inválida
+ */
+function converterDataERP(dataERP) {
+    if (!dataERP) return null;
+
+    const data = String(dataERP).split(/[ T]/)[0];
+    const partes = data.split(/[-/]/).map(parte => parseInt(parte, 10));
+
+    if (partes.length !== 3 || partes.some(isNaN)) {
+        return null;
+    }
+
+    // YYYY-MM-DD
+    if (String(data).split(/[-/]/)[0].length === 4) {
+        return new Date(partes[0], partes[1] - 1, partes[2]);
+    }
+
+    // DD-MM-YYYY
+    return new Date(partes[2], partes[1] - 1, partes[0]);
+}
+
+/**
+ * Formata data do ERP para DD/MM/YYYY
+ * @param {string} dataERP - Data retornada pelo ERP
+ * @returns {string} Data formatada
+ */
+function formatarDataBoleto(dataERP) {
+    const data = converterDataERP(dataERP);
+
+    if (!data) {
+        return dataERP || 'Data não disponível';
+    }
+
+    return data.toLocaleDateString('pt-BR');
+}
+
+/**
+ * Verifica se o boleto está vencido (vencimento anterior a hoje)
+ * @param {Object} boleto - Boleto do ERP
+ * @param {Date} hoje - Data de referência (padrão: agora)
+ * @returns {boolean} True se vencido
+ */
+function estaVencido(boleto, hoje = new Date()) {
+    const vencimento = converterDataERP(boleto.dataVencimento);
+
+    if (!vencimento) {
+        return false;
+    }
+
+    const referencia = new Date(hoje.getFullYear(), hoje.getMonth(), hoje.getDate());
+    return vencimento < referencia;
+}
+
+/**
+ * Monta resumo numerado dos boletos (número, vencimento, valor e marcação de vencido)
+ * @param {Array} boletos - Boletos do ERP (podem conter "empresa" quando de várias empresas)
+ * @returns {string} Resumo formatado
+ */
+function montarResumoBoletos(boletos) {
+    const variasEmpresas = new Set(boletos.map(boleto => boleto.empresa?.id)).size > 1;
+
+    const linhas = boletos.map((boleto, indice) => {
+        const vencido = estaVencido(boleto) ? ' ⚠️ *Vencido*' : '';
+        const empresa = variasEmpresas && boleto.empresa
+            ? `\n   ${boleto.empresa.nomeFantasia || boleto.empresa.nome}`
+            : '';
+
+        return `${fluxoService.numeroEmoji(indice + 1)} *Boleto: ${boleto.numeroDocumento}*${empresa}\n` +
+            `   Vencimento: ${formatarDataBoleto(boleto.dataVencimento)}${vencido}\n` +
+            `   Valor: R$ ${Number(boleto.valor).toFixed(2)}`;
+    });
+
+    return linhas.join('\n\n');
+}
+
+/**
+ * Interpreta a seleção de boletos informada pelo cliente
+ * Aceita: "1,3", "1 e 3", "1-3", "1 - 3", "todos" e "vencidos"
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Array} boletos - Boletos disponíveis (na ordem do resumo)
+ * @returns {Object|null} { criterio, boletos } ou null se não reconhecida
+ */
+function interpretarSelecao(mensagem, boletos) {
+    const resposta = (mensagem || '').toLowerCase().trim();
+
+    if (!resposta) {
+        return null;
+    }
+
+    if (SELECAO_TODOS.includes(resposta)) {
+        return { criterio: 'todos', boletos: [...boletos] };
+    }
+
+    if (SELECAO_VENCIDOS.includes(resposta)) {
+        return { criterio: 'vencidos', boletos: boletos.filter(boleto => estaVencido(boleto)) };
+    }
+
+    // Apenas números, separadores (vírgula, ponto e vírgula, espaço, "e") e intervalos
+    if (!/^\d+(\s*(,|;|\se\s|\s|-)\s*\d+)*$/.test(resposta)) {
+        return null;
+    }
+
+    const indices = new Set();
+
+    // Intervalos antes dos separadores: "1 - 3" não pode virar "1" e "3"
+    const partes = resposta
+        .replace(/\s*-\s*/g, '-')
+        .split(/\s*(?:,|;|\se\s)\s*|\s+/);
+
+    for (const parte of partes) {
+        const [inicio, fim] = parte.split('-').map(numero => parseInt(numero, 10));
+        const ultimo = fim || inicio;
+
+        if (inicio < 1 || ultimo > boletos.length || inicio > ultimo) {
+            return null;
+        }
+
+        for (let numero = inicio; numero <= ultimo; numero++) {
+            indices.add(numero - 1);
+        }
+    }
+
+    return {
+        criterio: 'numeros',
+        boletos: [...indices].sort((a, b) => a - b).map(indice => boletos[indice])
+    };
+}
+
+/**
+ * Separa boletos com linha digitável/código de barras válidos dos inválidos
+ * Boletos inválidos são registrados em log e não devem ser enviados ao cliente
+ * @param {Array} boletos - Boletos do ERP
+ * @param {string} origem - Origem da consulta (para o log)
+ * @returns {Object} { validos, invalidos }
+ */
+function filtrarBoletosValidos(boletos, origem = 'boletos') {
+    const validos = [];
+    const invalidos = [];
+
+    for (const boleto of boletos || []) {
+        const resultado = validacaoService.validarBoleto({
+            linhaDigitavel: boleto.linhaDigitavelBoleto || boleto.linhaDigitavel,
+            codigoBarras: boleto.codigoBarras || boleto.codBarras,
+            valor: boleto.valor
+        });
+
+        const identificacao = boleto.numeroDocumento || boleto.numero || boleto.idConta;
+
+        if (!resultado.valido) {
+            console.warn(`⚠️ [BOLETOS] Boleto ${identificacao} retido (${origem}): ${resultado.erro}`);
+            logger.warn('Boleto com código inválido retido', {
+                origem,
+                idConta: boleto.idConta,
+                numeroDocumento: identificacao,
+                erro: resultado.erro
+            });
+            invalidos.push({ boleto, erro: resultado.erro });
+            continue;
+        }
+
+        if (resultado.alerta) {
+            console.warn(`⚠️ [BOLETOS] Boleto ${identificacao}: ${resultado.alerta}`);
+            logger.warn('Divergência no valor do boleto', {
+                origem,
+                idConta: boleto.idConta,
+                numeroDocumento: identificacao,
+                alerta: resultado.alerta
+            });
+        }
+
+        validos.push(boleto);
+    }
+
+    if (invalidos.length > 0) {
+        console.log(`[BOLETOS] ${invalidos.length} de ${(boletos || []).length} boleto(s) retido(s) por código inválido`);
+    }
+
+    return { validos, invalidos };
+}
+
+module.exports = {
+    converterDataERP,
+    formatarDataBoleto,
+    estaVencido,
+    montarResumoBoletos,
+    interpretarSelecao,
+    filtrarBoletosValidos
+};
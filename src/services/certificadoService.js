@@ -0,0 +1,259 @@
+/**
+ * Serviço de Certificados
+ *
+ * Consulta de certificados (calibração/qualidade) na view vw_botCertificado,
+ * filtro pelo número da nota fiscal e preparo da entrega (link ou PDF),
+ * compartilhado pelos fluxos Evolution (atendimentoService) e Megazap (atendimentoMegaZap).
+ *
+ * Configuração (.env):
+ * - CERTIFICADOS_ENVIO: 'pdf' (padrão) baixa o arquivo da url e envia como anexo;
+ *   'url' envia apenas o link. Se o download falhar, o link é enviado no lugar do PDF.
+ * - CERTIFICADOS_TIMEOUT: tempo máximo do download em ms (padrão 20000)
+ */
+
+const axios = require('axios');
+const database = require('../config/database');
+const validacaoService = require('./validacaoService');
+
+/**
+ * Modos de entrega do certificado
+ */
+const MODOS_ENVIO = {
+    PDF: 'pdf',
+    URL: 'url'
+};
+
+/**
+ * Palavras aceitas para receber todos os certificados listados
+ */
+const SELECAO_TODOS = ['todos', 'todas', 'tudo', 'todos os certificados'];
+
+/**
+ * Obtém o modo de entrega configurado
+ * @returns {string} 'pdf' ou 'url'
+ */
+function getModoEnvio() {
+    const modo = (process.env.CERTIFICADOS_ENVIO || MODOS_ENVIO.PDF).toLowerCase().trim();
+    return modo === MODOS_ENVIO.URL ? MODOS_ENVIO.URL : MODOS_ENVIO.PDF;
+}
+
+/**
+ * Normaliza o número da nota para comparação (apenas dígitos, sem zeros à esquerda)
+ * @param {string|number} numeroNota - Número da nota
+ * @returns {string} Número normalizado ou string vazia
+ */
+function normalizarNumeroNota(numeroNota) {
+    return String(numeroNota || '').replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Extrai o número da nota de uma mensagem ("nota 1234", "NF 001234", "1234")
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {string|null} Número normalizado ou null
+ */
+function extrairNumeroNota(mensagem) {
+    const match = String(mensagem || '').match(/\d[\d.]*/);
+    const numero = match ? normalizarNumeroNota(match[0]) : '';
+    return numero || null;
+}
+
+/**
+ * Busca os certificados de uma ou mais empresas
+ * @param {Object|Array} cliente - Empresa ou lista de empresas (cpfCnpj)
+ * @param {string} numeroNota - Filtra pelo número da nota (opcional)
+ * @returns {Promise<Object>} Resultado com certificados (cada um com a empresa de origem)
+ */
+async function buscarCertificados(cliente, numeroNota = null) {
+    const empresas = Array.isArray(cliente) ? cliente : [cliente];
+    const certificados = [];
+    let success = false;
+    let error = null;
+
+    for (const empresa of empresas) {
+        const documento = validacaoService.normalizarCpfCnpj(empresa.cpfCnpj || empresa.cnpj);
+
+        if (!documento) {
+            console.warn(`[CERTIFICADOS] Empresa ${empresa.nome} sem CPF/CNPJ - ignorada`);
+            continue;
+        }
+
+        // As views vw_bot* guardam o documento com máscara
+        const resultado = await database.getCertificadoByCNPJ(validacaoService.formatarCpfCnpj(documento));
+
+        if (!resultado.success) {
+            error = resultado.error;
+            continue;
+        }
+
+        success = true;
+        certificados.push(...resultado.data.map(certificado => ({ ...certificado, empresa })));
+    }
+
+    return {
+        success: success,
+        data: numeroNota ? filtrarPorNota(certificados, numeroNota) : certificados,
+        error: success ? null : error
+    };
+}
+
+/**
+ * Filtra certificados pelo número da nota
+ * @param {Array} certificados - Certificados
+ * @param {string} numeroNota - Número da nota
+ * @returns {Array} Certificados da nota
+ */
+function filtrarPorNota(certificados, numeroNota) {
+    const numero = normalizarNumeroNota(numeroNota);
+    return certificados.filter(certificado => normalizarNumeroNota(certificado.numeroNota) === numero);
+}
+
+/**
+ * Interpreta a resposta ao resumo: "todos" ou um número de nota
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Array} certificados - Certificados listados
+ * @returns {Object|null} { criterio, numeroNota, certificados } ou null se não reconhecida
+ */
+function interpretarSelecao(mensagem, certificados) {
+    const texto = String(mensagem || '').toLowerCase().trim();
+
+    if (SELECAO_TODOS.includes(texto)) {
+        return { criterio: 'todos', numeroNota: null, certificados: certificados };
+    }
+
+    const numeroNota = extrairNumeroNota(texto);
+    if (!numeroNota) {
+        return null;
+    }
+
+    return {
+        criterio: 'nota',
+        numeroNota: numeroNota,
+        certificados: filtrarPorNota(certificados, numeroNota)
+    };
+}
+
+/**
+ * Formata data de emissão (Date do MySQL ou string)
+ * @param {Date|string} data - Data de emissão
+ * @returns {string} Data DD/MM/YYYY
+ */
+function formatarDataCertificado(data) {
+    if (!data) return 'Data não disponível';
+
+    const d = data instanceof Date ? data : new Date(data);
+    return isNaN(d.getTime()) ? String(data) : d.toLocaleDateString('pt-BR');
+}
+
+/**
+ * Notas fiscais distintas dos certificados (ordem de aparição)
+ * @param {Array} certificados - Certificados
+ * @returns {Array<string>} Números das notas
+ */
+function listarNotas(certificados) {
+    return [...new Set(certificados.map(certificado => certificado.numeroNota).filter(Boolean).map(String))];
+}
+
+/**
+ * Monta resumo dos certificados para o cliente (um por linha)
+ * @param {Array} certificados - Certificados
+ * @returns {string} Resumo
+ */
+function montarResumoCertificados(certificados) {
+    const variasEmpresas = new Set(certificados.map(certificado => certificado.empresa?.id)).size > 1;
+
+    // Sem numeração: a resposta numérica é lida como número da nota
+    return certificados.map(certificado => {
+        const empresa = variasEmpresas && certificado.empresa ? ` - ${certificado.empresa.nomeFantasia || certificado.empresa.nome}` : '';
+        return `• Certificado *${certificado.numero}* | Nota ${certificado.numeroNota || '-'} | ${formatarDataCertificado(certificado.dataEmissao)}${empresa}`;
+    }).join('\n');
+}
+
+/**
+ * Nome do arquivo PDF do certificado
+ * @param {Object} certificado - Certificado
+ * @returns {string} Nome do arquivo
+ */
+function nomeArquivoCertificado(certificado) {
+    const nota = certificado.numeroNota ? `_NF${certificado.numeroNota}` : '';
+    return `certificado_${String(certificado.numero || certificado.idCert || certificado.id).replace(/[^\w-]/g, '')}${nota}.pdf`;
+}
+
+/**
+ * Baixa o PDF do certificado a partir da url
+ * @param {Object} certificado - Certificado (url)
+ * @returns {Promise<Object>} Resultado com base64 e nome do arquivo
+ */
+async function baixarCertificadoPDF(certificado) {
+    try {
+        const resposta = await axios.get(certificado.url, {
+            responseType: 'arraybuffer',
+            timeout: parseInt(process.env.CERTIFICADOS_TIMEOUT) || 20000
+        });
+
+        const arquivo = Buffer.from(resposta.data);
+
+        // Páginas de erro/login retornam HTML com status 200
+        if (arquivo.subarray(0, 4).toString() !== '%PDF') {
+            return {
+                success: false,
+                data: null,
+                error: `Conteúdo não é PDF (${resposta.headers['content-type'] || 'sem content-type'})`
+            };
+        }
+
+        return {
+            success: true,
+            data: {
+                base64: arquivo.toString('base64'),
+                filename: nomeArquivoCertificado(certificado)
+            },
+            error: null
+        };
+    } catch (error) {
+        return {
+            success: false,
+            data: null,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Prepara a entrega do certificado conforme CERTIFICADOS_ENVIO
+ * @param {Object} certificado - Certificado
+ * @returns {Promise<Object>} { modo: 'pdf', base64, filename } | { modo: 'url', url } | { modo: null }
+ */
+async function prepararEntrega(certificado) {
+    if (!certificado.url) {
+        console.warn(`[CERTIFICADOS] Certificado ${certificado.numero} sem url`);
+        return { modo: null };
+    }
+
+    if (getModoEnvio() === MODOS_ENVIO.URL) {
+        return { modo: MODOS_ENVIO.URL, url: certificado.url };
+    }
+
+    const pdf = await baixarCertificadoPDF(certificado);
+
+    if (!pdf.success) {
+        console.warn(`[CERTIFICADOS] Falha ao baixar certificado ${certificado.numero}, enviando link: ${pdf.error}`);
+        return { modo: MODOS_ENVIO.URL, url: certificado.url };
+    }
+
+    return { modo: MODOS_ENVIO.PDF, ...pdf.data };
+}
+
+module.exports = {
+    MODOS_ENVIO,
+    getModoEnvio,
+    normalizarNumeroNota,
+    extrairNumeroNota,
+    buscarCertificados,
+    filtrarPorNota,
+    interpretarSelecao,
+    formatarDataCertificado,
+    listarNotas,
+    montarResumoCertificados,
+    nomeArquivoCertificado,
+    prepararEntrega
+};
@@ -0,0 +1,354 @@
+/**
+ * Classificador de Intenções (Naive Bayes sobre n-gramas de caracteres)
+ *
+ * Complementa o reconhecimento por termos do intencaoService: aprende com as frases
+ * rotuladas em src/dados/frasesIntencoes.json e classifica texto livre sem depender
+ * de palavra-chave ("não recebi a cobrança desse mês" → boleto).
+ *
+ * Roda apenas em CPU e treina em milissegundos: o modelo é montado na inicialização
+ * do atendimentoService a partir do arquivo de frases. Para avaliar/retreinar:
+ * npm run treinar:intencoes
+ *
+ * O rótulo "outro" reúne frases sem intenção (saudações, agradecimentos) e nunca é
+ * retornado como intenção.
+ *
+ * Números e documentos ("123", "12.345.678/0001-90") não são considerados, e textos com
+ * poucas características conhecidas não são classificados: nesses casos o Naive Bayes
+ * dá probabilidade alta sem evidência real. O resultado informa também as palavras
+ * inteiras que apontam para o rótulo vencedor (evidências), exigidas pelo intencaoService
+ * para agir com o classificador.
+ *
+ * Configuração (.env):
+ * - INTENCOES_FRASES: caminho do arquivo de frases (padrão src/dados/frasesIntencoes.json)
+ * - INTENCAO_CLASSIFICADOR: 'false' desativa o classificador
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizarTexto } = require('./intencaoService');
+
+/**
+ * Arquivo padrão de frases rotuladas
+ */
+const ARQUIVO_FRASES = path.join(__dirname, '..', 'dados', 'frasesIntencoes.json');
+
+/**
+ * Rótulo das frases sem intenção
+ */
+const ROTULO_OUTRO = 'outro';
+
+/**
+ * Tamanhos dos n-gramas de caracteres
+ */
+const TAMANHOS_NGRAMA = [2, 3, 4, 5];
+
+/**
+ * Suavização de Laplace
+ */
+const SUAVIZACAO = 0.1;
+
+/**
+ * Mínimo de características conhecidas pelo modelo para classificar
+ */
+const MIN_CARACTERISTICAS = 8;
+
+/**
+ * Fração mínima das ocorrências de uma palavra no rótulo para contar como evidência
+ * ("boleto" só aparece em boleto; "quero" aparece em quase todos)
+ */
+const PROPORCAO_EVIDENCIA = 0.6;
+
+/**
+ * Ocorrências mínimas de uma palavra nas frases para contar como evidência
+ */
+const MIN_OCORRENCIAS_EVIDENCIA = 2;
+
+/**
+ * Palavras ignoradas: números soltos e documentos (contêm dígitos)
+ * @param {string} palavra - Palavra normalizada
+ * @returns {boolean} True se deve ser ignorada
+ */
+function ignorarPalavra(palavra) {
+    return /\d/.test(palavra);
+}
+
+/**
+ * Extrai as características do texto: palavras inteiras e n-gramas de caracteres
+ * (n-gramas toleram erros de digitação e flexões: "bolto" compartilha "bol" com "boleto")
+ * @param {string} texto - Texto original
+ * @returns {Array<string>} Características
+ */
+function extrairCaracteristicas(texto) {
+    const palavras = normalizarTexto(texto).split(' ').filter(palavra => palavra && !ignorarPalavra(palavra));
+    const caracteristicas = [];
+
+    for (const palavra of palavras) {
+        caracteristicas.push(`p:${palavra}`);
+
+        const marcada = ` ${palavra} `;
+        for (const tamanho of TAMANHOS_NGRAMA) {
+            for (let i = 0; i + tamanho <= marcada.length; i++) {
+                caracteristicas.push(marcada.substr(i, tamanho));
+            }
+        }
+    }
+
+    return caracteristicas;
+}
+
+/**
+ * Lê o arquivo de frases rotuladas ({ "intencao": ["frase", ...] })
+ * @param {string} arquivo - Caminho do arquivo (opcional)
+ * @returns {Array<Object>} Exemplos [{ texto, intencao }]
+ */
+function carregarFrases(arquivo = process.env.INTENCOES_FRASES || ARQUIVO_FRASES) {
+    const conteudo = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+
+    return Object.entries(conteudo).flatMap(([intencao, frases]) =>
+        frases.map(texto => ({ texto, intencao }))
+    );
+}
+
+/**
+ * Treina o modelo (Naive Bayes multinomial)
+ * @param {Array<Object>} exemplos - Exemplos [{ texto, intencao }]
+ * @returns {Object} Modelo { rotulos, totalExemplos, exemplosPorRotulo, contagens, totais, vocabulario, frases }
+ */
+function treinar(exemplos) {
+    const modelo = {
+        rotulos: [],
+        totalExemplos: exemplos.length,
+        exemplosPorRotulo: {},
+        contagens: {},
+        totais: {},
+        vocabulario: new Set(),
+        frases: new Map()
+    };
+
+    for (const { texto, intencao } of exemplos) {
+        if (!modelo.contagens[intencao]) {
+            modelo.rotulos.push(intencao);
+            modelo.exemplosPorRotulo[intencao] = 0;
+            modelo.contagens[intencao] = new Map();
+            modelo.totais[intencao] = 0;
+        }
+
+        modelo.exemplosPorRotulo[intencao]++;
+        modelo.frases.set(normalizarTexto(texto), intencao);
+
+        for (const caracteristica of extrairCaracteristicas(texto)) {
+            const contagens = modelo.contagens[intencao];
+            contagens.set(caracteristica, (contagens.get(caracteristica) || 0) + 1);
+            modelo.totais[intencao]++;
+            modelo.vocabulario.add(caracteristica);
+        }
+    }
+
+    return modelo;
+}
+
+/**
+ * Classifica o texto
+ * A confiança é a probabilidade posterior do rótulo vencedor (0 a 1). Frase idêntica
+ * a uma rotulada usa o próprio rótulo: mensagens curtas ("obrigado", "não") têm
+ * poucos n-gramas e o Naive Bayes fica confiante demais com pouca evidência.
+ * @param {Object} modelo - Modelo treinado
+ * @param {string} texto - Texto do cliente
+ * @returns {Object} { intencao, confianca, rotulo, probabilidades, evidencias }
+ */
+function classificar(modelo, texto) {
+    const caracteristicas = extrairCaracteristicas(texto)
+        .filter(caracteristica => modelo.vocabulario.has(caracteristica));
+
+    const rotulada = modelo.frases.get(normalizarTexto(texto));
+    if (rotulada) {
+        return {
+            intencao: rotulada === ROTULO_OUTRO ? null : rotulada,
+            confianca: 1,
+            rotulo: rotulada,
+            probabilidades: { [rotulada]: 1 },
+            evidencias: listarEvidencias(modelo, caracteristicas, rotulada)
+        };
+    }
+
+    if (caracteristicas.length < MIN_CARACTERISTICAS) {
+        return { intencao: null, confianca: 0, rotulo: null, probabilidades: {}, evidencias: [] };
+    }
+
+    const tamanhoVocabulario = modelo.vocabulario.size;
+    const logs = {};
+
+    for (const rotulo of modelo.rotulos) {
+        const contagens = modelo.contagens[rotulo];
+        const denominador = modelo.totais[rotulo] + SUAVIZACAO * tamanhoVocabulario;
+        let log = Math.log(modelo.exemplosPorRotulo[rotulo] / modelo.totalExemplos);
+
+        for (const caracteristica of caracteristicas) {
+            log += Math.log(((contagens.get(caracteristica) || 0) + SUAVIZACAO) / denominador);
+        }
+
+        logs[rotulo] = log;
+    }
+
+    // Softmax estável sobre os log-scores
+    const maximo = Math.max(...Object.values(logs));
+    const exponenciais = Object.fromEntries(Object.entries(logs).map(([rotulo, log]) => [rotulo, Math.exp(log - maximo)]));
+    const soma = Object.values(exponenciais).reduce((total, valor) => total + valor, 0);
+    const probabilidades = Object.fromEntries(Object.entries(exponenciais).map(([rotulo, valor]) => [rotulo, valor / soma]));
+
+    const [rotulo, probabilidade] = Object.entries(probabilidades).sort((a, b) => b[1] - a[1])[0];
+
+    return {
+        intencao: rotulo === ROTULO_OUTRO ? null : rotulo,
+        confianca: Number(probabilidade.toFixed(3)),
+        rotulo: rotulo,
+        probabilidades: probabilidades,
+        evidencias: listarEvidencias(modelo, caracteristicas, rotulo)
+    };
+}
+
+/**
+ * Palavras inteiras do texto que apontam para o rótulo
+ * @param {Object} modelo - Modelo treinado
+ * @param {Array<string>} caracteristicas - Características conhecidas do texto
+ * @param {string} rotulo - Rótulo vencedor
+ * @returns {Array<string>} Palavras (sem o prefixo "p:")
+ */
+function listarEvidencias(modelo, caracteristicas, rotulo) {
+    const palavras = [...new Set(caracteristicas.filter(caracteristica => caracteristica.startsWith('p:')))];
+
+    return palavras
+        .filter(palavra => {
+            const total = modelo.rotulos.reduce((soma, atual) => soma + (modelo.contagens[atual].get(palavra) || 0), 0);
+            return total >= MIN_OCORRENCIAS_EVIDENCIA &&
+                (modelo.contagens[rotulo].get(palavra) || 0) / total >= PROPORCAO_EVIDENCIA;
+        })
+        .map(palavra => palavra.substring(2));
+}
+
+/**
+ * Separa exemplos em treino e teste, mantendo a proporção de cada intenção
+ * (embaralhamento determinístico pela semente, para resultados comparáveis entre execuções)
+ * @param {Array<Object>} exemplos - Exemplos [{ texto, intencao }]
+ * @param {number} proporcaoTeste - Fração reservada para teste (padrão 0.25)
+ * @param {number} semente - Semente do embaralhamento
+ * @returns {Object} { treino, teste }
+ */
+function separarTreinoTeste(exemplos, proporcaoTeste = 0.25, semente = 42) {
+    let estado = semente;
+    const aleatorio = () => {
+        estado = (estado * 1103515245 + 12345) % 2147483648;
+        return estado / 2147483648;
+    };
+
+    const porIntencao = {};
+    for (const exemplo of exemplos) {
+        (porIntencao[exemplo.intencao] = porIntencao[exemplo.intencao] || []).push(exemplo);
+    }
+
+    const treino = [];
+    const teste = [];
+
+    for (const lista of Object.values(porIntencao)) {
+        const embaralhada = lista
+            .map(exemplo => ({ exemplo, chave: aleatorio() }))
+            .sort((a, b) => a.chave - b.chave)
+            .map(({ exemplo }) => exemplo);
+
+        const quantidadeTeste = Math.max(1, Math.round(embaralhada.length * proporcaoTeste));
+        teste.push(...embaralhada.slice(0, quantidadeTeste));
+        treino.push(...embaralhada.slice(quantidadeTeste));
+    }
+
+    return { treino, teste };
+}
+
+/**
+ * Avalia o modelo em um conjunto de teste
+ * @param {Object} modelo - Modelo treinado
+ * @param {Array<Object>} teste - Exemplos de teste [{ texto, intencao }]
+ * @returns {Object} { acuracia, total, acertos, porIntencao, erros }
+ */
+function avaliar(modelo, teste) {
+    const porIntencao = {};
+    const erros = [];
+    let acertos = 0;
+
+    for (const { texto, intencao } of teste) {
+        const previsto = classificar(modelo, texto).rotulo || ROTULO_OUTRO;
+        const metricas = porIntencao[intencao] = porIntencao[intencao] || { total: 0, acertos: 0 };
+
+        metricas.total++;
+
+        if (previsto === intencao) {
+            acertos++;
+            metricas.acertos++;
+        } else {
+            erros.push({ texto, esperado: intencao, previsto });
+        }
+    }
+
+    return {
+        acuracia: teste.length ? acertos / teste.length : 0,
+        total: teste.length,
+        acertos: acertos,
+        porIntencao: porIntencao,
+        erros: erros
+    };
+}
+
+/**
+ * Modelo em uso (carregado por inicializar)
+ */
+let modeloAtivo = null;
+
+/**
+ * Treina o modelo a partir do arquivo de frases e o mantém em memória
+ * @param {string} arquivo - Caminho do arquivo de frases (opcional)
+ * @returns {Object} { success, data: { rotulos, exemplos }, error }
+ */
+function inicializar(arquivo) {
+    if (process.env.INTENCAO_CLASSIFICADOR === 'false') {
+        console.log('[CLASSIFICADOR] Desativado (INTENCAO_CLASSIFICADOR=false)');
+        return { success: false, data: null, error: 'Classificador desativado' };
+    }
+
+    try {
+        const exemplos = carregarFrases(arquivo);
+        modeloAtivo = treinar(exemplos);
+
+        console.log(`[CLASSIFICADOR] Modelo treinado: ${exemplos.length} frases, ${modeloAtivo.rotulos.length} rótulos`);
+
+        return {
+            success: true,
+            data: { rotulos: modeloAtivo.rotulos, exemplos: exemplos.length },
+            error: null
+        };
+    } catch (error) {
+        console.error('[CLASSIFICADOR] Erro ao carregar frases:', error.message);
+        modeloAtivo = null;
+        return { success: false, data: null, error: error.message };
+    }
+}
+
+/**
+ * Classifica com o modelo em uso
+ * @param {string} texto - Texto do cliente
+ * @returns {Object|null} Resultado de classificar ou null se não inicializado
+ */
+function classificarTexto(texto) {
+    return modeloAtivo ? classificar(modeloAtivo, texto) : null;
+}
+
+module.exports = {
+    ARQUIVO_FRASES,
+    ROTULO_OUTRO,
+    extrairCaracteristicas,
+    carregarFrases,
+    treinar,
+    classificar,
+    separarTreinoTeste,
+    avaliar,
+    inicializar,
+    classificarTexto
+};
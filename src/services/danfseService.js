@@ -0,0 +1,494 @@
+/**
+ * Serviço DANFSe
+ *
+ * Gera localmente (sem serviço externo) um PDF legível da NFSe a partir do XML
+ * retornado por endpoint.geraNotaXML: prestador, tomador, serviços, valores e
+ * chave de acesso. O PDF é enviado junto com o XML nos fluxos Evolution e Megazap.
+ */
+
+const PDFDocument = require('pdfkit');
+const validacaoService = require('./validacaoService');
+const nfseService = require('./nfseService');
+
+/**
+ * Layout da página (pontos, A4)
+ */
+const LAYOUT = {
+    margem: 40,
+    largura: 595.28 - 80,
+    corBorda: '#999999',
+    corTitulo: '#333333'
+};
+
+/**
+ * Obtém o texto da primeira tag simples (sem tags filhas) encontrada, ignorando namespace
+ * @param {string} xml - Trecho do XML
+ * @param {string} tag - Nome da tag
+ * @returns {string|null} Conteúdo da tag
+ */
+function obterTag(xml, tag) {
+    if (!xml) return null;
+
+    const regex = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>((?:<!\\[CDATA\\[[\\s\\S]*?\\]\\]>|[^<])*)</(?:\\w+:)?${tag}>`, 'i');
+    const match = xml.match(regex);
+
+    return match && match[1].trim() ? decodificarEntidades(match[1].trim()) : null;
+}
+
+/**
+ * Obtém o trecho do XML contido na primeira ocorrência de um bloco (tag com filhas)
+ * @param {string} xml - Trecho do XML
+ * @param {string} tag - Nome do bloco
+ * @returns {string|null} Conteúdo do bloco
+ */
+function obterBloco(xml, tag) {
+    if (!xml) return null;
+
+    const regex = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i');
+    const match = xml.match(regex);
+
+    return match ? match[1] : null;
+}
+
+/**
+ * Obtém o primeiro bloco encontrado entre várias alternativas
+ * @param {string} xml - Trecho do XML
+ * @param {Array<string>} tags - Nomes possíveis do bloco
+ * @returns {string|null} Conteúdo do bloco
+ */
+function obterPrimeiroBloco(xml, tags) {
+    for (const tag of tags) {
+        const bloco = obterBloco(xml, tag);
+        if (bloco) return bloco;
+    }
+
+    return null;
+}
+
+/**
+ * Obtém conteúdo da primeira tag encontrada entre várias alternativas
+ * @param {string} xml - Trecho do XML
+ * @param {Array<string>} tags - Nomes possíveis da tag
+ * @returns {string|null} Conteúdo da tag
+ */
+function obterPrimeiraTag(xml, tags) {
+    for (const tag of tags) {
+        const valor = obterTag(xml, tag);
+        if (valor) return valor;
+    }
+
+    return null;
+}
+
+/**
+ * Decodifica entidades XML básicas
+ * @param {string} texto - Texto com entidades
+ * @returns {string} Texto decodificado
+ */
+function decodificarEntidades(texto) {
+    return texto
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#xD;|&#13;/gi, '')
+        .replace(/&#xA;|&#10;/gi, '\n')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extrai dados de uma parte (prestador ou tomador)
+ * @param {string} bloco - Trecho do XML da parte
+ * @returns {Object} Dados da parte
+ */
+function extrairParte(bloco) {
+    if (!bloco) return null;
+
+    const documento = obterPrimeiraTag(bloco, ['Cnpj', 'CNPJ', 'Cpf', 'CPF']);
+
+    return {
+        razaoSocial: obterPrimeiraTag(bloco, ['RazaoSocial', 'xNome', 'Nome']),
+        nomeFantasia: obterPrimeiraTag(bloco, ['NomeFantasia', 'xFant']),
+        documento: documento ? validacaoService.formatarCpfCnpj(documento) : null,
+        inscricaoMunicipal: obterPrimeiraTag(bloco, ['InscricaoMunicipal', 'IM']),
+        endereco: [
+            obterPrimeiraTag(bloco, ['Endereco', 'xLgr', 'Logradouro']),
+            obterPrimeiraTag(bloco, ['Numero', 'nro']),
+            obterPrimeiraTag(bloco, ['Complemento', 'xCpl']),
+            obterPrimeiraTag(bloco, ['Bairro', 'xBairro'])
+        ].filter(Boolean).join(', '),
+        municipio: [
+            obterPrimeiraTag(bloco, ['xMun', 'Municipio', 'CodigoMunicipio', 'cMun']),
+            obterPrimeiraTag(bloco, ['Uf', 'UF'])
+        ].filter(Boolean).join(' - '),
+        cep: obterPrimeiraTag(bloco, ['Cep', 'CEP']),
+        email: obterPrimeiraTag(bloco, ['Email', 'email']),
+        telefone: obterPrimeiraTag(bloco, ['Telefone', 'fone'])
+    };
+}
+
+/**
+ * Converte uma parte (prestador/tomador) do nfseService para o formato do DANFSe
+ * @param {Object} parte - Parte da NotaFiscalServico
+ * @returns {Object|null} Dados da parte para exibição
+ */
+function parteDaNota(parte) {
+    if (!parte || !(parte.documento || parte.razaoSocial)) return null;
+
+    const endereco = parte.endereco || {};
+
+    return {
+        razaoSocial: parte.razaoSocial,
+        nomeFantasia: parte.nomeFantasia,
+        documento: parte.documento ? validacaoService.formatarCpfCnpj(parte.documento) : null,
+        inscricaoMunicipal: parte.inscricaoMunicipal,
+        endereco: [endereco.logradouro, endereco.numero, endereco.complemento, endereco.bairro]
+            .filter(Boolean).join(', '),
+        municipio: [endereco.municipio || endereco.codigoMunicipio, endereco.uf].filter(Boolean).join(' - '),
+        cep: endereco.cep,
+        email: parte.email,
+        telefone: parte.telefone
+    };
+}
+
+/**
+ * Converte a NotaFiscalServico do nfseService para os dados do DANFSe
+ * @param {Object} nota - Nota interpretada pelo nfseService
+ * @returns {Object} Dados da nota para o PDF
+ */
+function dadosDaNota(nota) {
+    const item = nota.itens[0] || {};
+    const tributos = nota.tributos;
+
+    return {
+        numero: nota.numero,
+        codigoVerificacao: nota.codigoVerificacao,
+        dataEmissao: nota.dataEmissao,
+        competencia: nota.competencia,
+        chaveAcesso: nota.chaveAcesso,
+        outrasInformacoes: nota.outrasInformacoes,
+        cancelada: nota.cancelada,
+        prestador: parteDaNota(nota.prestador),
+        tomador: parteDaNota(nota.tomador),
+        servico: {
+            discriminacao: nota.itens.map(i => i.descricao).filter(Boolean).join('\n'),
+            itemListaServico: item.codigoServico,
+            codigoTributacao: item.codigoTributacaoMunicipio,
+            municipioPrestacao: null
+        },
+        valores: {
+            valorServicos: nota.valores.valorServicos,
+            valorDeducoes: nota.valores.valorDeducoes,
+            valorPis: tributos.valorPis,
+            valorCofins: tributos.valorCofins,
+            valorInss: tributos.valorInss,
+            valorIr: tributos.valorIr,
+            valorCsll: tributos.valorCsll,
+            baseCalculo: tributos.baseCalculo,
+            aliquota: tributos.aliquota,
+            valorIss: tributos.valorIss,
+            valorLiquido: nota.valores.valorLiquido
+        }
+    };
+}
+
+/**
+ * Extrai os dados exibidos no DANFSe
+ * Usa o nfseService; se o layout não for reconhecido, extrai por tags (regex).
+ * @param {string} xmlString - XML da NFSe
+ * @returns {Object} Dados da nota para o PDF
+ */
+function extrairDadosDanfse(xmlString) {
+    const resultado = nfseService.parseNFSe(xmlString || '');
+
+    if (resultado.success) {
+        return dadosDaNota(resultado.data);
+    }
+
+    return extrairDadosDanfsePorTags(xmlString);
+}
+
+/**
+ * Extrai do XML os dados exibidos no DANFSe buscando tags conhecidas
+ * (fallback para layouts não reconhecidos pelo nfseService)
+ * @param {string} xmlString - XML completo da NFSe
+ * @returns {Object} Dados da nota para o documento
+ */
+function extrairDadosDanfsePorTags(xmlString) {
+    const xml = xmlString || '';
+
+    const blocoPrestador = obterPrimeiroBloco(xml, ['PrestadorServico', 'Prestador', 'prest', 'emit']);
+    const blocoTomador = obterPrimeiroBloco(xml, ['TomadorServico', 'Tomador', 'toma']);
+    const blocoServico = obterPrimeiroBloco(xml, ['Servico', 'serv']) || xml;
+    const blocoValores = obterPrimeiroBloco(blocoServico, ['Valores', 'valores']) || obterBloco(xml, 'ValoresNfse') || xml;
+
+    const outrasInformacoes = obterTag(xml, 'OutrasInformacoes');
+    const chaveMatch = (outrasInformacoes || '').match(/(\d{44,50})/);
+
+    return {
+        numero: obterPrimeiraTag(xml, ['Numero', 'nNFSe']),
+        codigoVerificacao: obterPrimeiraTag(xml, ['CodigoVerificacao', 'cVerif']),
+        dataEmissao: obterPrimeiraTag(xml, ['DataEmissao', 'dhEmi', 'dhProc']),
+        competencia: obterPrimeiraTag(xml, ['Competencia', 'dCompet']),
+        chaveAcesso: obterTag(xml, 'chNFSe') || (chaveMatch ? chaveMatch[1] : null),
+        outrasInformacoes: outrasInformacoes,
+        prestador: extrairParte(blocoPrestador),
+        tomador: extrairParte(blocoTomador),
+        servico: {
+            discriminacao: obterPrimeiraTag(blocoServico, ['Discriminacao', 'xDescServ']),
+            itemListaServico: obterPrimeiraTag(blocoServico, ['ItemListaServico', 'cTribNac']),
+            codigoTributacao: obterPrimeiraTag(blocoServico, ['CodigoTributacaoMunicipio', 'cTribMun']),
+            municipioPrestacao: obterPrimeiraTag(blocoServico, ['CodigoMunicipio', 'cLocPrestacao'])
+        },
+        valores: {
+            valorServicos: obterPrimeiraTag(blocoValores, ['ValorServicos', 'vServ']),
+            valorDeducoes: obterPrimeiraTag(blocoValores, ['ValorDeducoes', 'vDR']),
+            valorPis: obterPrimeiraTag(blocoValores, ['ValorPis', 'vPis']),
+            valorCofins: obterPrimeiraTag(blocoValores, ['ValorCofins', 'vCofins']),
+            valorInss: obterPrimeiraTag(blocoValores, ['ValorInss', 'vRetCP']),
+            valorIr: obterPrimeiraTag(blocoValores, ['ValorIr', 'vRetIRRF']),
+            valorCsll: obterPrimeiraTag(blocoValores, ['ValorCsll', 'vRetCSLL']),
+            baseCalculo: obterPrimeiraTag(blocoValores, ['BaseCalculo', 'vBC']),
+            aliquota: obterPrimeiraTag(blocoValores, ['Aliquota', 'pAliqAplic']),
+            valorIss: obterPrimeiraTag(blocoValores, ['ValorIss', 'vISSQN']),
+            valorLiquido: obterPrimeiraTag(xml, ['ValorLiquidoNfse', 'vLiq'])
+        }
+    };
+}
+
+/**
+ * Verifica se os dados extraídos identificam a nota (número e prestador)
+ * @param {Object} dados - Dados da nota para o documento
+ * @returns {boolean} true se o PDF pode ser gerado
+ */
+function notaIdentificada(dados) {
+    const prestador = dados.prestador;
+
+    return Boolean(dados.numero && prestador && (prestador.razaoSocial || prestador.documento));
+}
+
+/**
+ * Formata valor monetário (R$ 0,00)
+ * @param {string|number} valor - Valor
+ * @returns {string} Valor formatado
+ */
+function formatarMoeda(valor) {
+    const numero = parseFloat(valor);
+
+    if (isNaN(numero)) {
+        return '-';
+    }
+
+    return numero.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+/**
+ * Formata data ISO (YYYY-MM-DD ou YYYY-MM-DDTHH:mm:ss) para DD/MM/YYYY
+ * @param {string} data - Data do XML
+ * @returns {string} Data formatada
+ */
+function formatarDataXML(data) {
+    if (!data) return '-';
+
+    const [ano, mes, dia] = data.split('T')[0].split('-');
+    return dia ? `${dia}/${mes}/${ano}` : data;
+}
+
+/**
+ * Desenha título de seção com borda
+ * @param {PDFDocument} doc - Documento
+ * @param {string} titulo - Título da seção
+ */
+function desenharSecao(doc, titulo) {
+    doc.moveDown(0.6);
+    const y = doc.y;
+
+    doc.rect(LAYOUT.margem, y, LAYOUT.largura, 16).fillAndStroke('#eeeeee', LAYOUT.corBorda);
+    doc.fillColor(LAYOUT.corTitulo).font('Helvetica-Bold').fontSize(9)
+        .text(titulo.toUpperCase(), LAYOUT.margem + 6, y + 4, { width: LAYOUT.largura - 12 });
+
+    doc.fillColor('black').font('Helvetica').fontSize(9);
+    doc.y = y + 22;
+}
+
+/**
+ * Escreve linha "Rótulo: valor" (ignora valores vazios)
+ * @param {PDFDocument} doc - Documento
+ * @param {string} rotulo - Rótulo
+ * @param {string} valor - Valor
+ */
+function escreverCampo(doc, rotulo, valor) {
+    if (!valor) return;
+
+    doc.font('Helvetica-Bold').text(`${rotulo}: `, LAYOUT.margem + 6, doc.y, { continued: true, width: LAYOUT.largura - 12 })
+        .font('Helvetica').text(String(valor));
+}
+
+/**
+ * Escreve dados de uma parte (prestador/tomador)
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} parte - Dados da parte
+ */
+function escreverParte(doc, parte) {
+    if (!parte) {
+        doc.text('Não informado', LAYOUT.margem + 6);
+        return;
+    }
+
+    escreverCampo(doc, 'Nome/Razão Social', parte.razaoSocial);
+    escreverCampo(doc, 'Nome Fantasia', parte.nomeFantasia);
+    escreverCampo(doc, 'CPF/CNPJ', parte.documento);
+    escreverCampo(doc, 'Inscrição Municipal', parte.inscricaoMunicipal);
+    escreverCampo(doc, 'Endereço', parte.endereco);
+    escreverCampo(doc, 'Município', parte.municipio);
+    escreverCampo(doc, 'CEP', parte.cep);
+    escreverCampo(doc, 'E-mail', parte.email);
+    escreverCampo(doc, 'Telefone', parte.telefone);
+}
+
+/**
+ * Monta o documento PDF com os dados da nota
+ * @param {PDFDocument} doc - Documento
+ * @param {Object} dados - Dados extraídos do XML
+ */
+function montarDocumento(doc, dados) {
+    // Cabeçalho
+    doc.font('Helvetica-Bold').fontSize(13)
+        .text('DOCUMENTO AUXILIAR DA NOTA FISCAL DE SERVIÇO ELETRÔNICA', { align: 'center' });
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text('Representação simplificada gerada a partir do XML da NFS-e', { align: 'center' });
+    doc.fillColor('black').fontSize(9);
+
+    desenharSecao(doc, 'Dados da NFS-e');
+    if (dados.cancelada) {
+        doc.font('Helvetica-Bold').fontSize(12).fillColor('#cc0000')
+            .text('NFS-e CANCELADA', LAYOUT.margem + 6, doc.y, { width: LAYOUT.largura - 12, align: 'center' });
+        doc.font('Helvetica').fontSize(9).fillColor('black');
+    }
+    escreverCampo(doc, 'Número', dados.numero);
+    escreverCampo(doc, 'Data de Emissão', formatarDataXML(dados.dataEmissao));
+    escreverCampo(doc, 'Competência', dados.competencia ? formatarDataXML(dados.competencia) : null);
+    escreverCampo(doc, 'Código de Verificação', dados.codigoVerificacao);
+    escreverCampo(doc, 'Chave de Acesso', dados.chaveAcesso);
+
+    desenharSecao(doc, 'Prestador de Serviços');
+    escreverParte(doc, dados.prestador);
+
+    desenharSecao(doc, 'Tomador de Serviços');
+    escreverParte(doc, dados.tomador);
+
+    desenharSecao(doc, 'Discriminação dos Serviços');
+    escreverCampo(doc, 'Item da Lista de Serviço', dados.servico.itemListaServico);
+    escreverCampo(doc, 'Código de Tributação', dados.servico.codigoTributacao);
+    doc.moveDown(0.3);
+    doc.text(dados.servico.discriminacao || 'Não informado', LAYOUT.margem + 6, doc.y, {
+        width: LAYOUT.largura - 12
+    });
+
+    desenharSecao(doc, 'Valores');
+    const valores = dados.valores;
+    escreverCampo(doc, 'Valor dos Serviços', formatarMoeda(valores.valorServicos));
+    if (valores.valorDeducoes) escreverCampo(doc, 'Deduções', formatarMoeda(valores.valorDeducoes));
+    if (valores.baseCalculo) escreverCampo(doc, 'Base de Cálculo', formatarMoeda(valores.baseCalculo));
+    if (valores.aliquota) escreverCampo(doc, 'Alíquota ISS', `${valores.aliquota}%`);
+    if (valores.valorIss) escreverCampo(doc, 'Valor ISS', formatarMoeda(valores.valorIss));
+    if (valores.valorPis) escreverCampo(doc, 'PIS', formatarMoeda(valores.valorPis));
+    if (valores.valorCofins) escreverCampo(doc, 'COFINS', formatarMoeda(valores.valorCofins));
+    if (valores.valorInss) escreverCampo(doc, 'INSS', formatarMoeda(valores.valorInss));
+    if (valores.valorIr) escreverCampo(doc, 'IR', formatarMoeda(valores.valorIr));
+    if (valores.valorCsll) escreverCampo(doc, 'CSLL', formatarMoeda(valores.valorCsll));
+
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(11)
+        .text(`VALOR LÍQUIDO DA NOTA: ${formatarMoeda(valores.valorLiquido || valores.valorServicos)}`,
+            LAYOUT.margem + 6, doc.y, { width: LAYOUT.largura - 12, align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+
+    if (dados.outrasInformacoes) {
+        desenharSecao(doc, 'Outras Informações');
+        doc.text(dados.outrasInformacoes, LAYOUT.margem + 6, doc.y, { width: LAYOUT.largura - 12 });
+    }
+}
+
+/**
+ * Gera PDF (DANFSe simplificado) a partir do XML da NFSe
+ * @param {string} xmlString - XML completo da NFSe
+ * @param {string} nomeArquivo - Nome do arquivo PDF
+ * @returns {Promise<Object>} Resultado com base64 e nome do arquivo
+ */
+async function gerarDanfse(xmlString, nomeArquivo = 'nfse.pdf') {
+    try {
+        if (!xmlString) {
+            return {
+                success: false,
+                data: null,
+                error: 'XML da nota não informado'
+            };
+        }
+
+        const dados = extrairDadosDanfse(xmlString);
+
+        // Sem número e prestador o PDF sairia só com "N/A"; melhor não enviar
+        if (!notaIdentificada(dados)) {
+            console.warn('⚠️ [DANFSE] XML sem número ou prestador da nota, PDF não gerado');
+            return {
+                success: false,
+                data: null,
+                error: 'XML da nota não reconhecido'
+            };
+        }
+
+        const buffer = await new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: LAYOUT.margem,
+                info: {
+                    Title: `NFS-e ${dados.numero || ''}`.trim(),
+                    Author: process.env.COMPANY_NAME || ''
+                }
+            });
+
+            const partes = [];
+            doc.on('data', parte => partes.push(parte));
+            doc.on('end', () => resolve(Buffer.concat(partes)));
+            doc.on('error', reject);
+
+            montarDocumento(doc, dados);
+            doc.end();
+        });
+
+        console.log(`📄 [DANFSE] PDF gerado para nota ${dados.numero || 'N/A'} (${buffer.length} bytes)`);
+
+        return {
+            success: true,
+            data: {
+                base64: buffer.toString('base64'),
+                filename: nomeArquivo
+            },
+            error: null
+        };
+    } catch (error) {
+        console.error('❌ [DANFSE] Erro ao gerar PDF da nota:', error.message);
+        return {
+            success: false,
+            data: null,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Monta nome do PDF a partir do nome do XML (mesmo nome, extensão .pdf)
+ * @param {string} nomeXML - Nome do arquivo XML
+ * @returns {string} Nome do arquivo PDF
+ */
+function nomeArquivoPDF(nomeXML) {
+    return String(nomeXML || 'nfse.xml').replace(/\.xml$/i, '') + '.pdf';
+}
+
+module.exports = {
+    gerarDanfse,
+    extrairDadosDanfse,
+    nomeArquivoPDF
+};
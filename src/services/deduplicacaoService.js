@@ -0,0 +1,266 @@
+/**
+ * Serviço de Deduplicação de Mensagens do Webhook
+ *
+ * A Evolution reenvia o messages.upsert quando o /webhook/message demora a responder
+ * (o envio de boletos é síncrono, com pausas entre os arquivos) e o cliente recebia
+ * tudo em dobro. Cada messageId é registrado ao chegar; reenvios dentro da janela
+ * são ignorados.
+ *
+ * No Megazap a resposta ao cliente vai no retorno do webhook: o reenvio significa que
+ * o retorno anterior se perdeu. A resposta de cada messageId fica guardada em memória
+ * pela mesma janela e é devolvida de novo no reenvio (em vez de ser ignorada). Como a
+ * resposta pode trazer PDFs e XMLs em base64, o cache é limitado em quantidade e em
+ * tamanho total: as mais antigas saem primeiro e uma resposta maior que o limite não é
+ * guardada (o reenvio dela é apenas ignorado, como no Evolution).
+ *
+ * Registro:
+ * - memória: Map messageId → expiração (sempre ativo)
+ * - mysql:   tabela whapi_mensagem_processada, compartilhada entre instâncias e deploys
+ *
+ * Configuração (.env):
+ * - WEBHOOK_DEDUP: 'false' desativa a deduplicação
+ * - WEBHOOK_DEDUP_BACKEND: memoria (padrão) ou mysql
+ * - WEBHOOK_DEDUP_TTL: janela em ms em que um messageId é lembrado (padrão 10 minutos)
+ * - WEBHOOK_DEDUP_RESPOSTAS_MAX: quantidade máxima de respostas guardadas (padrão 100)
+ * - WEBHOOK_DEDUP_RESPOSTAS_BYTES: tamanho máximo somado das respostas guardadas (padrão 20 MB)
+ */
+
+require('dotenv').config();
+
+const database = require('../config/database');
+
+/**
+ * Janela de deduplicação (10 minutos padrão)
+ */
+const TTL_DEDUP = parseInt(process.env.WEBHOOK_DEDUP_TTL) || 10 * 60 * 1000;
+
+/**
+ * Limites do cache de respostas (Megazap)
+ */
+const RESPOSTAS_MAX = parseInt(process.env.WEBHOOK_DEDUP_RESPOSTAS_MAX) || 100;
+const RESPOSTAS_BYTES = parseInt(process.env.WEBHOOK_DEDUP_RESPOSTAS_BYTES) || 20 * 1024 * 1024;
+
+/**
+ * messageIds recebidos (ordem de inserção = ordem de expiração)
+ */
+const recebidas = new Map();
+
+/**
+ * Respostas guardadas para reenvio (Megazap): messageId → { expiraEm, resultado, tamanho }
+ * (tamanho é conhecido quando o processamento termina; até lá vale 0)
+ */
+const respostas = new Map();
+let tamanhoRespostas = 0;
+
+let duplicadas = 0;
+let ultimaLimpezaBanco = 0;
+
+/**
+ * Verifica se a deduplicação em banco está ativa
+ * @returns {boolean} True se usa a tabela whapi_mensagem_processada
+ */
+function usaBanco() {
+    return process.env.WEBHOOK_DEDUP_BACKEND === 'mysql';
+}
+
+/**
+ * Remove da memória os messageIds fora da janela
+ * (Map mantém a ordem de inserção, então para no primeiro ainda válido)
+ */
+function limparMemoria() {
+    const agora = Date.now();
+
+    for (const [messageId, expiraEm] of recebidas) {
+        if (expiraEm > agora) {
+            break;
+        }
+        recebidas.delete(messageId);
+    }
+
+    for (const [messageId, resposta] of respostas) {
+        if (resposta.expiraEm > agora) {
+            break;
+        }
+        removerResposta(messageId);
+    }
+}
+
+/**
+ * Remove a resposta guardada e desconta seu tamanho do total
+ * @param {string} messageId - ID da mensagem
+ */
+function removerResposta(messageId) {
+    const resposta = respostas.get(messageId);
+
+    if (resposta) {
+        tamanhoRespostas -= resposta.tamanho;
+        respostas.delete(messageId);
+    }
+}
+
+/**
+ * Descarta as respostas mais antigas até caber nos limites de quantidade e tamanho
+ */
+function limitarRespostas() {
+    for (const messageId of respostas.keys()) {
+        if (respostas.size <= RESPOSTAS_MAX && tamanhoRespostas <= RESPOSTAS_BYTES) {
+            break;
+        }
+        removerResposta(messageId);
+    }
+}
+
+/**
+ * Registra o tamanho da resposta quando o processamento termina
+ * Respostas maiores que o limite total não são guardadas
+ * @param {string} messageId - ID da mensagem
+ * @param {Object} resposta - Entrada do cache
+ * @param {Object} valor - Resultado do processamento
+ */
+function medirResposta(messageId, resposta, valor) {
+    // Entrada já descartada ou substituída
+    if (respostas.get(messageId) !== resposta) {
+        return;
+    }
+
+    let tamanho;
+
+    try {
+        tamanho = Buffer.byteLength(JSON.stringify(valor) || '');
+    } catch (error) {
+        tamanho = Infinity;
+    }
+
+    if (tamanho > RESPOSTAS_BYTES) {
+        console.log(`⚠️ [DEDUP] Resposta de ${messageId} grande demais para guardar (${tamanho} bytes)`);
+        removerResposta(messageId);
+        return;
+    }
+
+    resposta.tamanho = tamanho;
+    tamanhoRespostas += tamanho;
+    limitarRespostas();
+}
+
+/**
+ * Remove do banco os registros fora da janela (no máximo uma vez por janela)
+ */
+async function limparBanco() {
+    if (Date.now() - ultimaLimpezaBanco < TTL_DEDUP) {
+        return;
+    }
+
+    ultimaLimpezaBanco = Date.now();
+    await database.removerMensagensProcessadasAntigas(new Date(Date.now() - TTL_DEDUP));
+}
+
+/**
+ * Registra o messageId e informa se ele já havia sido recebido
+ * Sem messageId não há como deduplicar: a mensagem é sempre processada
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<boolean>} True se a mensagem é duplicada
+ */
+async function registrarRecebida(messageId) {
+    if (!messageId || process.env.WEBHOOK_DEDUP === 'false') {
+        return false;
+    }
+
+    limparMemoria();
+
+    if (recebidas.has(messageId)) {
+        duplicadas++;
+        console.log(`♻️ [DEDUP] Mensagem duplicada ignorada: ${messageId}`);
+        return true;
+    }
+
+    recebidas.set(messageId, Date.now() + TTL_DEDUP);
+
+    if (usaBanco()) {
+        const result = await database.registrarMensagemProcessada(messageId);
+
+        // Falha no banco não bloqueia a mensagem (vale o registro em memória)
+        if (result.success && result.data.affectedRows === 0) {
+            duplicadas++;
+            console.log(`♻️ [DEDUP] Mensagem duplicada ignorada (banco): ${messageId}`);
+            return true;
+        }
+
+        await limparBanco();
+    }
+
+    return false;
+}
+
+/**
+ * Guarda a resposta da mensagem para devolvê-la em um reenvio
+ * @param {string} messageId - ID da mensagem
+ * @param {Promise<Object>} resultado - Processamento da mensagem (pode estar em andamento)
+ */
+function guardarResposta(messageId, resultado) {
+    if (!messageId || process.env.WEBHOOK_DEDUP === 'false') {
+        return;
+    }
+
+    removerResposta(messageId);
+
+    const resposta = { expiraEm: Date.now() + TTL_DEDUP, resultado, tamanho: 0 };
+    respostas.set(messageId, resposta);
+    limitarRespostas();
+
+    Promise.resolve(resultado).then(
+        valor => medirResposta(messageId, resposta, valor),
+        () => removerResposta(messageId)
+    );
+}
+
+/**
+ * Obtém a resposta guardada da mensagem
+ * @param {string} messageId - ID da mensagem
+ * @returns {Promise<Object>|null} Processamento da mensagem ou null se não guardado
+ */
+function obterResposta(messageId) {
+    limparMemoria();
+    return respostas.get(messageId)?.resultado || null;
+}
+
+/**
+ * Esquece o messageId (permite que o reenvio seja processado após erro)
+ * @param {string} messageId - ID da mensagem
+ */
+async function liberar(messageId) {
+    if (!messageId) {
+        return;
+    }
+
+    recebidas.delete(messageId);
+    removerResposta(messageId);
+
+    if (usaBanco()) {
+        await database.removerMensagemProcessada(messageId);
+    }
+}
+
+/**
+ * Obtém estatísticas da deduplicação
+ * @returns {Object} { ativo, backend, janela, emMemoria, respostasGuardadas, tamanhoRespostas, duplicadas }
+ */
+function obterStatus() {
+    return {
+        ativo: process.env.WEBHOOK_DEDUP !== 'false',
+        backend: usaBanco() ? 'mysql' : 'memoria',
+        janela: TTL_DEDUP / 1000 + 's',
+        emMemoria: recebidas.size,
+        respostasGuardadas: respostas.size,
+        tamanhoRespostas: tamanhoRespostas,
+        duplicadas: duplicadas
+    };
+}
+
+module.exports = {
+    TTL_DEDUP,
+    registrarRecebida,
+    guardarResposta,
+    obterResposta,
+    liberar,
+    obterStatus
+};
@@ -0,0 +1,95 @@
+/**
+ * Fila de Processamento por Contato
+ *
+ * Mensagens do mesmo telefone são processadas estritamente em ordem (uma de cada vez);
+ * telefones diferentes continuam em paralelo. Evita que "1" e "boleto" enviados com
+ * um segundo de diferença rodem dois fluxoAtendimento ao mesmo tempo, lendo e gravando
+ * o mesmo estado e intercalando as respostas.
+ *
+ * A fila é uma cadeia de Promises por telefone: cada tarefa só começa quando a anterior
+ * termina (com sucesso ou erro). A cadeia é descartada quando esvazia.
+ */
+
+/**
+ * Filas ativas: telefone → { cauda, profundidade }
+ */
+const filas = new Map();
+
+let estatisticas = {
+    processadas: 0,
+    esperaTotal: 0,
+    esperaMaxima: 0,
+    ultimaEspera: 0,
+    maiorProfundidade: 0
+};
+
+/**
+ * Executa a tarefa na fila do contato
+ * @param {string} telefone - Chave da fila (telefone do contato)
+ * @param {Function} tarefa - Função assíncrona a executar
+ * @returns {Promise<*>} Resultado da tarefa
+ */
+function executar(telefone, tarefa) {
+    const chave = String(telefone || '').replace(/\D/g, '') || 'desconhecido';
+    const fila = filas.get(chave) || { cauda: Promise.resolve(), profundidade: 0 };
+    const entrada = Date.now();
+
+    fila.profundidade++;
+    estatisticas.maiorProfundidade = Math.max(estatisticas.maiorProfundidade, fila.profundidade);
+
+    if (fila.profundidade > 1) {
+        console.log(`🚦 [FILA] ${chave}: aguardando ${fila.profundidade - 1} mensagem(ns) anterior(es)`);
+    }
+
+    const execucao = fila.cauda.then(async () => {
+        const espera = Date.now() - entrada;
+
+        estatisticas.ultimaEspera = espera;
+        estatisticas.esperaTotal += espera;
+        estatisticas.esperaMaxima = Math.max(estatisticas.esperaMaxima, espera);
+
+        return await tarefa();
+    });
+
+    // A próxima tarefa espera esta terminar, mesmo que ela falhe
+    fila.cauda = execucao.catch(() => {}).then(() => {
+        estatisticas.processadas++;
+        fila.profundidade--;
+
+        if (fila.profundidade === 0) {
+            filas.delete(chave);
+        }
+    });
+
+    filas.set(chave, fila);
+
+    return execucao;
+}
+
+/**
+ * Obtém profundidade das filas e tempos de espera
+ * @returns {Object} Status das filas
+ */
+function obterStatus() {
+    const contatos = [...filas.entries()]
+        .map(([telefone, fila]) => ({ telefone, profundidade: fila.profundidade }))
+        .sort((a, b) => b.profundidade - a.profundidade);
+
+    return {
+        contatosAtivos: contatos.length,
+        mensagensNaFila: contatos.reduce((total, contato) => total + contato.profundidade, 0),
+        maiorFila: contatos.slice(0, 10),
+        maiorProfundidade: estatisticas.maiorProfundidade,
+        processadas: estatisticas.processadas,
+        esperaMedia: estatisticas.processadas > 0
+            ? Math.round(estatisticas.esperaTotal / estatisticas.processadas) + 'ms'
+            : 'N/A',
+        esperaMaxima: estatisticas.esperaMaxima + 'ms',
+        ultimaEspera: estatisticas.ultimaEspera + 'ms'
+    };
+}
+
+module.exports = {
+    executar,
+    obterStatus
+};
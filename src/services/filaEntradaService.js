@@ -0,0 +1,188 @@
+/**
+ * Fila Local de Mensagens Recebidas (Evolution)
+ *
+ * O /webhook/message aguardava o fluxo inteiro (geração de PDF, pausas de 1 a 3s
+ * por boleto) antes de responder 200, e a Evolution reenviava ou desistia.
+ * No formato Evolution a mensagem agora é gravada em disco, o webhook responde na hora
+ * e o worker processa em segundo plano. O Megazap precisa da resposta no retorno HTTP
+ * e continua síncrono (não passa por aqui).
+ *
+ * Cada mensagem vira um arquivo JSON no diretório da fila; o arquivo só é apagado
+ * depois do processamento, então mensagens pendentes sobrevivem a reinícios e são
+ * retomadas por iniciar(). Mensagens que falham vão para a subpasta "erros".
+ *
+ * Configuração (.env):
+ * - FILA_ENTRADA: 'false' volta ao processamento síncrono também na Evolution
+ * - FILA_ENTRADA_DIR: diretório da fila (padrão logs/fila-entrada)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Diretório da fila
+ */
+const DIRETORIO_FILA = process.env.FILA_ENTRADA_DIR || path.join(process.env.LOG_DIR || './logs', 'fila-entrada');
+
+/**
+ * Subpasta das mensagens que falharam no processamento
+ */
+const DIRETORIO_ERROS = path.join(DIRETORIO_FILA, 'erros');
+
+/**
+ * Função que processa uma mensagem (definida pelo webhookController)
+ */
+let processador = null;
+
+/**
+ * Arquivos em processamento (não são retomados por iniciar)
+ */
+const emProcessamento = new Set();
+
+let sequencia = 0;
+let estatisticas = {
+    recebidas: 0,
+    processadas: 0,
+    erros: 0,
+    recuperadas: 0,
+    ultimoErro: null
+};
+
+/**
+ * Verifica se a fila está ativa
+ * @returns {boolean} True se mensagens Evolution devem ser enfileiradas
+ */
+function estaAtiva() {
+    return process.env.FILA_ENTRADA !== 'false';
+}
+
+/**
+ * Define a função que processa cada mensagem da fila
+ * @param {Function} funcao - async (mensagemAdaptada) => resultado
+ */
+function definirProcessador(funcao) {
+    processador = funcao;
+}
+
+/**
+ * Processa um item da fila e remove o arquivo ao final
+ * @param {string} arquivo - Caminho do arquivo do item
+ * @param {Object} item - { id, recebidaEm, mensagem }
+ */
+async function processarItem(arquivo, item) {
+    emProcessamento.add(arquivo);
+
+    try {
+        await processador(item.mensagem);
+
+        fs.unlinkSync(arquivo);
+        estatisticas.processadas++;
+        console.log(`✅ [FILA-ENTRADA] Mensagem processada: ${item.id} (${Date.now() - item.recebidaEm}ms desde o recebimento)`);
+    } catch (error) {
+        console.error(`❌ [FILA-ENTRADA] Erro ao processar ${item.id}:`, error.message);
+        estatisticas.erros++;
+        estatisticas.ultimoErro = {
+            message: error.message,
+            messageId: item.mensagem.messageId,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            fs.mkdirSync(DIRETORIO_ERROS, { recursive: true });
+            fs.renameSync(arquivo, path.join(DIRETORIO_ERROS, path.basename(arquivo)));
+        } catch (erroArquivo) {
+            console.error('[FILA-ENTRADA] Erro ao mover item com falha:', erroArquivo.message);
+        }
+    } finally {
+        emProcessamento.delete(arquivo);
+    }
+}
+
+/**
+ * Grava a mensagem na fila e dispara o processamento em segundo plano
+ * @param {Object} mensagemAdaptada - Mensagem no formato do messageFormatAdapter
+ * @returns {Object} { success, data: { id }, error }
+ */
+function enfileirar(mensagemAdaptada) {
+    if (!processador) {
+        return { success: false, data: null, error: 'Processador da fila não definido' };
+    }
+
+    const recebidaEm = Date.now();
+    const id = `${recebidaEm}-${String(++sequencia).padStart(6, '0')}`;
+    const arquivo = path.join(DIRETORIO_FILA, `${id}.json`);
+    const item = { id, recebidaEm, mensagem: mensagemAdaptada };
+
+    try {
+        fs.mkdirSync(DIRETORIO_FILA, { recursive: true });
+        fs.writeFileSync(arquivo, JSON.stringify(item));
+    } catch (error) {
+        console.error('[FILA-ENTRADA] Erro ao gravar mensagem:', error.message);
+        return { success: false, data: null, error: error.message };
+    }
+
+    estatisticas.recebidas++;
+    console.log(`📥 [FILA-ENTRADA] Mensagem enfileirada: ${id} (${mensagemAdaptada.telefone})`);
+
+    // Não aguarda: o webhook responde enquanto o worker processa
+    emProcessamento.add(arquivo);
+    setImmediate(() => processarItem(arquivo, item));
+
+    return { success: true, data: { id }, error: null };
+}
+
+/**
+ * Retoma as mensagens que ficaram na fila (processo reiniciado antes de concluir)
+ * @returns {number} Quantidade de mensagens retomadas
+ */
+function iniciar() {
+    if (!estaAtiva() || !processador || !fs.existsSync(DIRETORIO_FILA)) {
+        return 0;
+    }
+
+    // Nomes começam pelo timestamp: ordem alfabética = ordem de chegada
+    const arquivos = fs.readdirSync(DIRETORIO_FILA)
+        .filter(nome => nome.endsWith('.json') && !emProcessamento.has(path.join(DIRETORIO_FILA, nome)))
+        .sort();
+
+    for (const nome of arquivos) {
+        const arquivo = path.join(DIRETORIO_FILA, nome);
+
+        try {
+            const item = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+            estatisticas.recuperadas++;
+            processarItem(arquivo, item);
+        } catch (error) {
+            console.error(`[FILA-ENTRADA] Item inválido ${nome}:`, error.message);
+        }
+    }
+
+    if (arquivos.length > 0) {
+        console.log(`🔁 [FILA-ENTRADA] ${arquivos.length} mensagem(ns) pendente(s) retomada(s)`);
+    }
+
+    return arquivos.length;
+}
+
+/**
+ * Obtém o status da fila
+ * @returns {Object} Status
+ */
+function obterStatus() {
+    return {
+        ativo: estaAtiva(),
+        diretorio: DIRETORIO_FILA,
+        processando: emProcessamento.size,
+        ...estatisticas
+    };
+}
+
+module.exports = {
+    estaAtiva,
+    definirProcessador,
+    enfileirar,
+    iniciar,
+    obterStatus
+};
@@ -0,0 +1,269 @@
+/**
+ * Motor de Fluxos de Atendimento
+ *
+ * Executa fluxos definidos como dados (ver src/fluxos/). Cada definição lista:
+ * - estados: ação executada em cada etapa, intenções globais permitidas e transições
+ * - intencoesGlobais: palavras-chave verificadas antes da ação da etapa (ex: boleto, atendente)
+ * - menus: opções numeradas com atalhos e a ação de cada uma
+ *
+ * As ações e detectores são funções registradas pelo serviço que usa o motor,
+ * referenciadas por nome na definição.
+ */
+
+/**
+ * Emojis numéricos usados na montagem dos menus
+ */
+const NUMEROS_EMOJI = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+/**
+ * Retorna o número da opção em formato emoji (ex: 1️⃣)
+ * @param {number} numero - Número da opção
+ * @returns {string} Número formatado
+ */
+function numeroEmoji(numero) {
+    return NUMEROS_EMOJI[numero] || `${numero}.`;
+}
+
+/**
+ * Valida a definição do fluxo contra as ações e detectores registrados
+ * @param {Object} definicao - Definição do fluxo
+ * @param {Object} acoes - Ações registradas
+ * @param {Object} detectores - Detectores registrados
+ * @returns {Array<string>} Lista de erros encontrados
+ */
+function validarDefinicao(definicao, acoes, detectores) {
+    const erros = [];
+    const estados = definicao.estados || {};
+    const intencoes = definicao.intencoesGlobais || [];
+    const nomesIntencoes = intencoes.map(intencao => intencao.nome);
+
+    if (!estados[definicao.estadoInicial]) {
+        erros.push(`Estado inicial não definido: ${definicao.estadoInicial}`);
+    }
+
+    for (const [nome, estado] of Object.entries(estados)) {
+        if (!acoes[estado.acao]) {
+            erros.push(`Estado ${nome}: ação não registrada (${estado.acao})`);
+        }
+
+        for (const intencao of estado.intencoes || []) {
+            if (!nomesIntencoes.includes(intencao)) {
+                erros.push(`Estado ${nome}: intenção desconhecida (${intencao})`);
+            }
+        }
+
+        for (const [status, destino] of Object.entries(estado.transicoes || {})) {
+            if (!estados[destino]) {
+                erros.push(`Estado ${nome}: transição ${status} para estado inexistente (${destino})`);
+            }
+        }
+    }
+
+    for (const intencao of intencoes) {
+        if (!detectores[intencao.detector]) {
+            erros.push(`Intenção ${intencao.nome}: detector não registrado (${intencao.detector})`);
+        }
+
+        if (!acoes[intencao.acao]) {
+            erros.push(`Intenção ${intencao.nome}: ação não registrada (${intencao.acao})`);
+        }
+    }
+
+    for (const [nome, menu] of Object.entries(definicao.menus || {})) {
+        for (const opcao of menu.opcoes || []) {
+            if (!acoes[opcao.acao]) {
+                erros.push(`Menu ${nome}: ação não registrada (${opcao.acao})`);
+            }
+        }
+    }
+
+    return erros;
+}
+
+/**
+ * Cria motor de execução para uma definição de fluxo
+ * @param {Object} definicao - Definição do fluxo (estados, intenções, menus)
+ * @param {Object} registro - Funções do serviço
+ * @param {Object} registro.acoes - Ações por nome: async (contexto) => resultado
+ * @param {Object} registro.detectores - Detectores por nome: (mensagem) => valor ou undefined
+ * @param {Object} registro.sessoes - Armazenamento de sessões (sessaoService.criarArmazenamento)
+ * @returns {Object} Motor do fluxo
+ */
+function criarMotor(definicao, { acoes, detectores, sessoes }) {
+    const erros = validarDefinicao(definicao, acoes, detectores);
+
+    if (erros.length > 0) {
+        erros.forEach(erro => console.error(`❌ [FLUXO] ${definicao.nome}: ${erro}`));
+        throw new Error(`Definição de fluxo inválida: ${definicao.nome}`);
+    }
+
+    /**
+     * Obtém definição da etapa (ou do estado padrão quando desconhecida)
+     * @param {string} etapa - Etapa atual
+     * @returns {Object} Definição do estado
+     */
+    function obterDefinicaoEstado(etapa) {
+        return definicao.estados[etapa] ||
+            definicao.estados[definicao.estadoPadrao || definicao.estadoInicial];
+    }
+
+    /**
+     * Verifica as intenções globais permitidas na etapa
+     * @param {Object} contexto - Contexto da mensagem
+     * @param {Object} estadoDef - Definição do estado atual
+     * @returns {Object|null} Intenção encontrada com o valor detectado
+     */
+    function detectarIntencao(contexto, estadoDef) {
+        const permitidas = estadoDef.intencoes || [];
+
+        for (const intencao of definicao.intencoesGlobais || []) {
+            if (!permitidas.includes(intencao.nome)) {
+                continue;
+            }
+
+            if (intencao.exigeCliente && !contexto.estado.cliente) {
+                continue;
+            }
+
+            const valor = detectores[intencao.detector](contexto.mensagem);
+
+            if (valor) {
+                console.log(`[FLUXO] Intenção global detectada: ${intencao.nome} (${valor})`);
+                return { intencao, valor: intencao.valor || valor };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Executa ação registrada
+     * @param {string} nome - Nome da ação
+     * @param {Object} contexto - Contexto da mensagem
+     * @returns {Promise<Object>} Resultado da ação
+     */
+    async function executarAcao(nome, contexto) {
+        console.log(`[FLUXO] Executando ação: ${nome}`);
+        return await acoes[nome](contexto);
+    }
+
+    /**
+     * Aplica a transição declarada para o status retornado pela ação
+     * @param {string} telefone - Número do telefone
+     * @param {Object} estadoDef - Definição do estado de origem
+     * @param {Object} resultado - Resultado da ação
+     */
+    async function aplicarTransicao(telefone, estadoDef, resultado) {
+        const destino = (estadoDef.transicoes || {})[resultado?.status];
+
+        if (!destino || !sessoes) {
+            return;
+        }
+
+        const estadoAtual = await sessoes.obter(telefone);
+
+        // Sessão encerrada pela ação (ex: transferência) não é recriada
+        if (!estadoAtual || estadoAtual.etapa === destino) {
+            return;
+        }
+
+        console.log(`[FLUXO] Transição: ${estadoAtual.etapa} → ${destino} (${resultado.status})`);
+        estadoAtual.etapa = destino;
+        estadoAtual.ultimaInteracao = Date.now();
+        await sessoes.definir(telefone, estadoAtual);
+    }
+
+    /**
+     * Processa mensagem recebida conforme a etapa atual
+     * @param {Object} contexto - { telefone, mensagem, messageId, estado }
+     * @returns {Promise<Object>} Resultado da ação executada
+     */
+    async function processar(contexto) {
+        const estado = contexto.estado || { etapa: definicao.estadoInicial };
+        const etapa = estado.etapa || definicao.estadoInicial;
+        const estadoDef = obterDefinicaoEstado(etapa);
+        const ctx = { ...contexto, estado };
+
+        console.log(`[FLUXO] ${definicao.nome} - etapa: ${etapa}`);
+
+        const detectada = detectarIntencao(ctx, estadoDef);
+
+        const resultado = detectada
+            ? await executarAcao(detectada.intencao.acao, { ...ctx, valor: detectada.valor })
+            : await executarAcao(estadoDef.acao, ctx);
+
+        await aplicarTransicao(contexto.telefone, estadoDef, resultado);
+
+        return resultado;
+    }
+
+    /**
+     * Localiza opção do menu pelo número ou atalho digitado
+     * @param {string} nomeMenu - Nome do menu na definição
+     * @param {string} texto - Texto digitado pelo cliente
+     * @returns {Object|null} Opção encontrada
+     */
+    function resolverOpcao(nomeMenu, texto) {
+        const menu = definicao.menus[nomeMenu];
+        const entrada = (texto || '').toLowerCase().trim();
+
+        if (!menu || !entrada) {
+            return null;
+        }
+
+        const indice = parseInt(entrada, 10);
+        if (String(indice) === entrada && menu.opcoes[indice - 1]) {
+            return menu.opcoes[indice - 1];
+        }
+
+        return menu.opcoes.find(opcao => (opcao.atalhos || []).includes(entrada)) || null;
+    }
+
+    /**
+     * Resolve a opção do menu associada a uma intenção reconhecida em texto livre
+     * @param {string} nomeMenu - Nome do menu na definição
+     * @param {string} intencao - Nome da intenção (intencaoService)
+     * @returns {Object|null} Opção do menu ou null
+     */
+    function resolverIntencao(nomeMenu, intencao) {
+        const menu = definicao.menus[nomeMenu];
+
+        if (!menu || !intencao) {
+            return null;
+        }
+
+        return menu.opcoes.find(opcao => opcao.intencao === intencao) || null;
+    }
+
+    /**
+     * Monta texto do menu (numeração segue a ordem das opções)
+     * @param {string} nomeMenu - Nome do menu na definição
+     * @returns {string} Texto do menu
+     */
+    function montarMenu(nomeMenu) {
+        const menu = definicao.menus[nomeMenu];
+
+        const linhas = menu.opcoes.map((opcao, indice) =>
+            `${numeroEmoji(indice + 1)} ${opcao.rotulo}`
+        );
+
+        return `${menu.titulo}\n\n` +
+            `${menu.instrucao}\n\n` +
+            linhas.join('\n\n');
+    }
+
+    return {
+        definicao,
+        processar,
+        executarAcao,
+        resolverOpcao,
+        resolverIntencao,
+        montarMenu
+    };
+}
+
+module.exports = {
+    criarMotor,
+    validarDefinicao,
+    numeroEmoji
+};
@@ -0,0 +1,449 @@
+/**
+ * Serviço de Horário de Atendimento
+ *
+ * Calendário da equipe: grade semanal, feriados nacionais, datas extras e fuso horário.
+ * Consultado nas transferências para a equipe (Evolution e Megazap): fora do horário
+ * o cliente é informado de quando a equipe volta e pode deixar um recado, que vira ticket.
+ *
+ * Grade semanal (HORARIO_SEMANA): blocos separados por ";" com dias e intervalos
+ *   "seg-sex 08:00-12:00,13:00-17:00; sab 08:00-12:00"
+ *   Dias: dom, seg, ter, qua, qui, sex, sab (faixa "seg-sex" ou lista "seg,qua")
+ *
+ * Datas extras (HORARIO_FERIADOS_EXTRAS): separadas por vírgula, com nome opcional
+ *   "2026-12-24=Véspera de Natal,12-31=Véspera de Ano Novo" (MM-DD repete todo ano)
+ *
+ * Configuração (.env):
+ * - HORARIO_ATIVO: 'false' desativa a verificação (sempre aberto)
+ * - HORARIO_SEMANA: grade semanal (padrão "seg-sex 08:00-17:00")
+ * - HORARIO_TIMEZONE: fuso horário (padrão TZ ou America/Sao_Paulo)
+ * - HORARIO_FERIADOS_NACIONAIS: 'false' ignora os feriados nacionais
+ * - HORARIO_PONTOS_FACULTATIVOS: 'true' fecha também no Carnaval e Corpus Christi
+ * - HORARIO_FERIADOS_EXTRAS: datas sem atendimento
+ */
+
+require('dotenv').config();
+
+/**
+ * Grade padrão (mesmo horário informado na transferência para atendente)
+ */
+const SEMANA_PADRAO = 'seg-sex 08:00-17:00';
+
+/**
+ * Dias da semana (índice = Date.getUTCDay)
+ */
+const DIAS_SEMANA = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+
+const NOMES_DIAS = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+
+/**
+ * Feriados nacionais de data fixa (MM-DD)
+ */
+const FERIADOS_FIXOS = {
+    '01-01': 'Confraternização Universal',
+    '04-21': 'Tiradentes',
+    '05-01': 'Dia do Trabalho',
+    '09-07': 'Independência do Brasil',
+    '10-12': 'Nossa Senhora Aparecida',
+    '11-02': 'Finados',
+    '11-15': 'Proclamação da República',
+    '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+    '12-25': 'Natal'
+};
+
+/**
+ * Máximo de dias procurados para a próxima abertura
+ */
+const DIAS_BUSCA_ABERTURA = 31;
+
+/**
+ * Feriados calculados por ano
+ */
+const feriadosPorAno = new Map();
+
+/**
+ * Verifica se a verificação de horário está ativa
+ * @returns {boolean} True se ativa
+ */
+function estaAtivo() {
+    return process.env.HORARIO_ATIVO !== 'false';
+}
+
+/**
+ * Fuso horário configurado
+ * @returns {string} Fuso IANA
+ */
+function obterTimezone() {
+    return process.env.HORARIO_TIMEZONE || process.env.TZ || 'America/Sao_Paulo';
+}
+
+/**
+ * Converte "8", "8h", "08:30" em minutos do dia
+ * @param {string} hora - Hora
+ * @returns {number|null} Minutos ou null se inválida
+ */
+function converterHora(hora) {
+    const match = String(hora).trim().match(/^(\d{1,2})(?::(\d{2}))?h?$/i);
+
+    if (!match) {
+        return null;
+    }
+
+    const minutos = parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10);
+    return minutos <= 24 * 60 ? minutos : null;
+}
+
+/**
+ * Formata minutos do dia como HH:MM
+ * @param {number} minutos - Minutos do dia
+ * @returns {string} Hora formatada
+ */
+function formatarHora(minutos) {
+    return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Converte a especificação de dias ("seg-sex", "sab", "seg,qua") em índices
+ * @param {string} especificacao - Dias
+ * @returns {Array<number>} Índices dos dias
+ */
+function converterDias(especificacao) {
+    const dias = [];
+
+    for (const parte of especificacao.toLowerCase().replace(/á/g, 'a').split(',')) {
+        const [inicio, fim] = parte.split('-').map(dia => DIAS_SEMANA.indexOf(dia.trim().slice(0, 3)));
+
+        if (inicio < 0 || (fim !== undefined && fim < 0)) {
+            console.log(`⚠️ [HORARIO] Dia inválido em HORARIO_SEMANA: ${parte}`);
+            continue;
+        }
+
+        if (fim === undefined) {
+            dias.push(inicio);
+            continue;
+        }
+
+        // Faixa pode atravessar o domingo (ex.: "sex-seg")
+        for (let dia = inicio; ; dia = (dia + 1) % 7) {
+            dias.push(dia);
+            if (dia === fim) {
+                break;
+            }
+        }
+    }
+
+    return dias;
+}
+
+/**
+ * Lê a grade semanal
+ * @returns {Array<Array>} Índice do dia → lista de [inicio, fim] em minutos
+ */
+function obterSemana() {
+    const semana = DIAS_SEMANA.map(() => []);
+
+    for (const bloco of (process.env.HORARIO_SEMANA || SEMANA_PADRAO).split(';')) {
+        const [especificacao, ...resto] = bloco.trim().split(/\s+/);
+
+        if (!especificacao) {
+            continue;
+        }
+
+        const intervalos = resto.join('').split(',')
+            .map(intervalo => intervalo.split('-').map(converterHora))
+            .filter(([inicio, fim]) => inicio !== null && fim !== null && inicio < fim);
+
+        for (const dia of converterDias(especificacao)) {
+            semana[dia].push(...intervalos);
+        }
+    }
+
+    semana.forEach(intervalos => intervalos.sort((a, b) => a[0] - b[0]));
+    return semana;
+}
+
+/**
+ * Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} ano - Ano
+ * @returns {Date} Data em UTC
+ */
+function calcularPascoa(ano) {
+    const a = ano % 19;
+    const b = Math.floor(ano / 100);
+    const c = ano % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const mes = Math.floor((h + l - 7 * m + 114) / 31);
+    const dia = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(Date.UTC(ano, mes - 1, dia));
+}
+
+/**
+ * Formata data UTC como MM-DD
+ * @param {Date} data - Data
+ * @returns {string} MM-DD
+ */
+function chaveMesDia(data) {
+    return `${String(data.getUTCMonth() + 1).padStart(2, '0')}-${String(data.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Feriados nacionais do ano (fixos e móveis) e pontos facultativos
+ * @param {number} ano - Ano
+ * @returns {Object} { feriados, facultativos } com MM-DD → nome
+ */
+function obterFeriadosNacionais(ano) {
+    if (feriadosPorAno.has(ano)) {
+        return feriadosPorAno.get(ano);
+    }
+
+    const pascoa = calcularPascoa(ano);
+    const deslocar = (dias) => chaveMesDia(new Date(pascoa.getTime() + dias * 24 * 60 * 60 * 1000));
+
+    const calendario = {
+        feriados: { ...FERIADOS_FIXOS, [deslocar(-2)]: 'Sexta-feira Santa' },
+        // Considerados apenas com HORARIO_PONTOS_FACULTATIVOS=true
+        facultativos: {
+            [deslocar(-48)]: 'Carnaval',
+            [deslocar(-47)]: 'Carnaval',
+            [deslocar(60)]: 'Corpus Christi'
+        }
+    };
+
+    feriadosPorAno.set(ano, calendario);
+    return calendario;
+}
+
+/**
+ * Lê as datas extras sem atendimento
+ * @returns {Object} "YYYY-MM-DD" ou "MM-DD" → nome
+ */
+function obterFeriadosExtras() {
+    const extras = {};
+
+    for (const item of (process.env.HORARIO_FERIADOS_EXTRAS || '').split(',')) {
+        const [data, nome] = item.split('=').map(parte => parte.trim());
+
+        if (/^(\d{4}-)?\d{2}-\d{2}$/.test(data || '')) {
+            extras[data] = nome || 'Sem atendimento';
+        }
+    }
+
+    return extras;
+}
+
+/**
+ * Obtém o feriado de uma data local
+ * @param {Object} data - { ano, mes, dia }
+ * @returns {string|null} Nome do feriado ou null
+ */
+function obterFeriado({ ano, mes, dia }) {
+    const mesDia = `${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+    const extras = obterFeriadosExtras();
+
+    if (extras[`${ano}-${mesDia}`] || extras[mesDia]) {
+        return extras[`${ano}-${mesDia}`] || extras[mesDia];
+    }
+
+    if (process.env.HORARIO_FERIADOS_NACIONAIS === 'false') {
+        return null;
+    }
+
+    const nacionais = obterFeriadosNacionais(ano);
+
+    if (nacionais.feriados[mesDia]) {
+        return nacionais.feriados[mesDia];
+    }
+
+    if (process.env.HORARIO_PONTOS_FACULTATIVOS === 'true' && nacionais.facultativos[mesDia]) {
+        return nacionais.facultativos[mesDia];
+    }
+
+    return null;
+}
+
+/**
+ * Data e hora locais no fuso configurado
+ * @param {Date} data - Instante
+ * @returns {Object} { ano, mes, dia, diaSemana, minutos }
+ */
+function obterDataLocal(data) {
+    const partes = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: obterTimezone(),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(data).forEach(({ type, value }) => { partes[type] = parseInt(value, 10); });
+
+    return {
+        ano: partes.year,
+        mes: partes.month,
+        dia: partes.day,
+        diaSemana: new Date(Date.UTC(partes.year, partes.month - 1, partes.day)).getUTCDay(),
+        minutos: partes.hour * 60 + partes.minute
+    };
+}
+
+/**
+ * Avança dias em uma data local
+ * @param {Object} local - { ano, mes, dia }
+ * @param {number} dias - Dias a avançar
+ * @returns {Object} { ano, mes, dia, diaSemana }
+ */
+function avancarDias(local, dias) {
+    const data = new Date(Date.UTC(local.ano, local.mes - 1, local.dia + dias));
+
+    return {
+        ano: data.getUTCFullYear(),
+        mes: data.getUTCMonth() + 1,
+        dia: data.getUTCDate(),
+        diaSemana: data.getUTCDay()
+    };
+}
+
+/**
+ * Procura a próxima abertura da equipe
+ * @param {Object} local - Data local atual
+ * @param {Array<Array>} semana - Grade semanal
+ * @returns {Object|null} { ano, mes, dia, diaSemana, minutos, diasAdiante }
+ */
+function calcularProximaAbertura(local, semana) {
+    for (let diasAdiante = 0; diasAdiante <= DIAS_BUSCA_ABERTURA; diasAdiante++) {
+        const data = avancarDias(local, diasAdiante);
+
+        if (obterFeriado(data)) {
+            continue;
+        }
+
+        const intervalo = semana[data.diaSemana]
+            .find(([inicio]) => diasAdiante > 0 || inicio > local.minutos);
+
+        if (intervalo) {
+            return { ...data, minutos: intervalo[0], diasAdiante };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verifica se a equipe está em horário de atendimento
+ * @param {Date} data - Instante verificado (padrão agora)
+ * @returns {Object} { aberto, feriado, proximaAbertura, timezone }
+ */
+function verificar(data = new Date()) {
+    if (!estaAtivo()) {
+        return { aberto: true, feriado: null, proximaAbertura: null, timezone: obterTimezone() };
+    }
+
+    const local = obterDataLocal(data);
+    const semana = obterSemana();
+    const feriado = obterFeriado(local);
+    const intervalos = feriado ? [] : semana[local.diaSemana];
+    const aberto = intervalos.some(([inicio, fim]) => local.minutos >= inicio && local.minutos < fim);
+
+    return {
+        aberto,
+        feriado,
+        proximaAbertura: aberto ? null : calcularProximaAbertura(local, semana),
+        timezone: obterTimezone()
+    };
+}
+
+/**
+ * Descreve quando a equipe volta ("hoje às 13:00", "amanhã às 08:00", "na segunda-feira (20/10) às 08:00")
+ * @param {Object} proximaAbertura - Resultado de verificar().proximaAbertura
+ * @returns {string} Descrição
+ */
+function descreverRetorno(proximaAbertura) {
+    if (!proximaAbertura) {
+        return 'assim que possível';
+    }
+
+    const hora = formatarHora(proximaAbertura.minutos);
+
+    if (proximaAbertura.diasAdiante === 0) {
+        return `hoje às ${hora}`;
+    }
+
+    if (proximaAbertura.diasAdiante === 1) {
+        return `amanhã às ${hora}`;
+    }
+
+    const dia = NOMES_DIAS[proximaAbertura.diaSemana].toLowerCase();
+    const sufixo = proximaAbertura.diaSemana === 0 || proximaAbertura.diaSemana === 6 ? '' : '-feira';
+    const artigo = proximaAbertura.diaSemana === 0 || proximaAbertura.diaSemana === 6 ? 'no' : 'na';
+    const data = `${String(proximaAbertura.dia).padStart(2, '0')}/${String(proximaAbertura.mes).padStart(2, '0')}`;
+
+    return `${artigo} ${dia}${sufixo} (${data}) às ${hora}`;
+}
+
+/**
+ * Descreve a grade semanal, agrupando dias seguidos com o mesmo horário
+ * ("Segunda a Sexta: 08:00 às 17:00")
+ * @returns {string} Uma linha por grupo de dias
+ */
+function descreverHorario() {
+    const semana = obterSemana();
+    const ordem = [1, 2, 3, 4, 5, 6, 0];
+    const grupos = [];
+
+    for (const dia of ordem) {
+        const texto = semana[dia].map(([inicio, fim]) => `${formatarHora(inicio)} às ${formatarHora(fim)}`).join(' e ');
+        const ultimo = grupos[grupos.length - 1];
+
+        if (ultimo && ultimo.texto === texto && ordem.indexOf(dia) === ordem.indexOf(ultimo.fim) + 1) {
+            ultimo.fim = dia;
+        } else {
+            grupos.push({ inicio: dia, fim: dia, texto });
+        }
+    }
+
+    return grupos
+        .filter(grupo => grupo.texto)
+        .map(grupo => {
+            const dias = grupo.inicio === grupo.fim
+                ? NOMES_DIAS[grupo.inicio]
+                : `${NOMES_DIAS[grupo.inicio]} a ${NOMES_DIAS[grupo.fim]}`;
+            return `*${dias}*: ${grupo.texto}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Obtém status do calendário
+ * @returns {Object} Status
+ */
+function obterStatus() {
+    const situacao = verificar();
+
+    return {
+        ativo: estaAtivo(),
+        timezone: situacao.timezone,
+        aberto: situacao.aberto,
+        feriado: situacao.feriado,
+        retorno: situacao.aberto ? null : descreverRetorno(situacao.proximaAbertura),
+        horario: descreverHorario()
+    };
+}
+
+module.exports = {
+    estaAtivo,
+    verificar,
+    descreverRetorno,
+    descreverHorario,
+    obterFeriadosNacionais,
+    obterStatus
+};
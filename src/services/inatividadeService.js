@@ -0,0 +1,341 @@
+/**
+ * Serviço de Varredura de Sessões Inativas
+ *
+ * Até aqui a expiração só era percebida quando o cliente mandava a próxima mensagem
+ * (verificarTimeoutSessao) e as sessões abandonadas ficavam no armazenamento para sempre.
+ * A varredura roda em segundo plano e, para cada sessão parada há mais de TIMEOUT_SESSAO:
+ * - avisa o cliente alguns minutos antes de encerrar (opcional)
+ * - envia "atendimento encerrado por inatividade" (opcional)
+ * - finaliza o registro em whapi_atendimento (entrada com status encerrado_inatividade)
+ * - envia a pesquisa de satisfação quando o cliente foi identificado (opcional)
+ * - remove a sessão
+ * Também devolve ao bot os contatos em atendimento humano com a equipe inativa ou
+ * esperando na fila além de HUMANO_FILA_TIMEOUT (fechando o ticket) e, ao final, remove
+ * as sessões expiradas de todos os namespaces (humano, satisfacao, ...).
+ *
+ * Mensagens só são enviadas nas sessões do fluxo Evolution (atendimento): no Megazap a
+ * resposta vai no retorno do webhook e não há como falar com o cliente sem ele escrever.
+ * Demais fluxos (megazap, legado) têm apenas a limpeza. Clientes bloqueados e contatos
+ * fora do horário aguardando o recado não recebem aviso nem pesquisa.
+ *
+ * Cada sessão é tratada na fila do contato (filaContatoService) e relida antes de agir:
+ * uma mensagem que chega durante a varredura é processada antes ou depois, nunca junto.
+ *
+ * Configuração (.env):
+ * - INATIVIDADE_VARREDURA: 'false' desativa a varredura
+ * - INATIVIDADE_INTERVALO: intervalo entre varreduras em ms (padrão 60000)
+ * - INATIVIDADE_AVISO_MINUTOS: minutos antes do encerramento para avisar (padrão 5, 0 desativa)
+ * - INATIVIDADE_NOTIFICAR: 'false' encerra sem enviar mensagens ao cliente
+ * - INATIVIDADE_TEXTO_AVISO / INATIVIDADE_TEXTO_ENCERRAMENTO: textos personalizados
+ */
+
+require('dotenv').config();
+
+const sessaoService = require('./sessaoService');
+const messageService = require('../config/messageService');
+const database = require('../config/database');
+const MENSAGENS = require('../utils/mensagens');
+const atendimentoHumanoService = require('./atendimentoHumanoService');
+const satisfacaoService = require('./satisfacaoService');
+const filaContatoService = require('./filaContatoService');
+
+/**
+ * Fluxos varridos e se o cliente pode ser notificado em cada um
+ */
+const FLUXOS = [
+    { namespace: 'atendimento', notificar: true },
+    { namespace: 'megazap', notificar: false },
+    { namespace: 'legado', notificar: false }
+];
+
+/**
+ * Etapas em que o cliente não recebe aviso de inatividade nem pesquisa de satisfação
+ */
+const ETAPAS_SEM_AVISO = ['bloqueado', 'aguardando_recado'];
+
+/**
+ * Status gravado na conversa do atendimento encerrado
+ */
+const STATUS_INATIVIDADE = 'encerrado_inatividade';
+
+let intervalo = null;
+let emExecucao = false;
+let ultimaExecucao = null;
+let estatisticas = {
+    varreduras: 0,
+    avisos: 0,
+    encerradas: 0,
+    erros: 0,
+    ultimoErro: null
+};
+
+/**
+ * Lê a configuração da varredura
+ * @returns {Object} Configuração
+ */
+function obterConfiguracao() {
+    const avisoMinutos = parseInt(process.env.INATIVIDADE_AVISO_MINUTOS, 10);
+
+    return {
+        ativo: process.env.INATIVIDADE_VARREDURA !== 'false',
+        intervalo: parseInt(process.env.INATIVIDADE_INTERVALO, 10) || 60 * 1000,
+        avisoMinutos: Number.isNaN(avisoMinutos) ? 5 : avisoMinutos,
+        notificar: process.env.INATIVIDADE_NOTIFICAR !== 'false'
+    };
+}
+
+/**
+ * Envia mensagem ao cliente sem interromper a varredura em caso de falha
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Texto da mensagem
+ */
+async function notificar(telefone, mensagem) {
+    const envio = await messageService.sendTextMessage(telefone, mensagem);
+
+    if (!envio.success) {
+        console.log(`[INATIVIDADE] Falha ao notificar ${telefone}:`, envio.error);
+    }
+
+    return envio;
+}
+
+/**
+ * Finaliza o registro do atendimento em whapi_atendimento
+ * Procura pelo messageId da sessão e, se não achar, pelo último atendimento do cliente
+ * @param {Object} estado - Estado da sessão encerrada
+ * @returns {Promise<boolean>} True se algum registro foi atualizado
+ */
+async function finalizarRegistro(estado) {
+    const clienteId = estado.cliente?.id;
+
+    if (!clienteId) {
+        return false; // Cliente não identificado: nenhum atendimento registrado
+    }
+
+    let result = estado.messageId ? await database.getAtendimentoByMessageId(estado.messageId) : null;
+
+    if (!result || !result.success || result.data.length === 0) {
+        result = await database.getUltimoAtendimentoCliente(clienteId);
+    }
+
+    if (!result.success || result.data.length === 0) {
+        return false;
+    }
+
+    const atendimento = result.data[0];
+    let conversa = [];
+
+    try {
+        conversa = typeof atendimento.conversa === 'string' ? JSON.parse(atendimento.conversa) : (atendimento.conversa || []);
+    } catch (error) {
+        console.log(`[INATIVIDADE] Conversa inválida no atendimento ${atendimento.id}:`, error.message);
+    }
+
+    conversa.push({
+        tipo: 'bot',
+        data: new Date(),
+        mensagem: 'Atendimento encerrado por inatividade',
+        status: STATUS_INATIVIDADE,
+        etapa: estado.etapa
+    });
+
+    const atualizacao = await database.atualizarConversa(atendimento.messageId, conversa);
+    return atualizacao.success;
+}
+
+/**
+ * Verifica a sessão de um contato (executado na fila do contato)
+ * O estado é relido aqui: a mensagem processada antes na fila pode ter renovado a sessão
+ * @param {Object} sessoes - Armazenamento de sessões do fluxo
+ * @param {string} telefone - Número do telefone
+ * @param {Object} fluxo - { namespace, notificar }
+ * @param {Object} configuracao - Configuração da varredura
+ * @returns {Promise<string|null>} 'encerrada', 'aviso' ou null
+ */
+async function verificarSessao(sessoes, telefone, fluxo, configuracao) {
+    const estado = await sessoes.obter(telefone, { incluirExpirada: true });
+
+    if (!estado || !estado.ultimaInteracao) {
+        return null;
+    }
+
+    const notificarCliente = fluxo.notificar && configuracao.notificar;
+    const avisarCliente = notificarCliente && !ETAPAS_SEM_AVISO.includes(estado.etapa);
+    const aviso = configuracao.avisoMinutos * 60 * 1000;
+    const inativo = Date.now() - estado.ultimaInteracao;
+
+    if (sessaoService.estaExpirado(estado, sessoes.ttl)) {
+        console.log(`⏱️ [INATIVIDADE] Encerrando ${telefone} (${fluxo.namespace}) após ${Math.floor(inativo / 60000)} min`);
+
+        if (notificarCliente) {
+            await notificar(telefone, process.env.INATIVIDADE_TEXTO_ENCERRAMENTO || MENSAGENS.ENCERRAMENTO.INATIVIDADE());
+        }
+
+        await finalizarRegistro(estado);
+        await sessoes.remover(telefone);
+
+        if (avisarCliente && estado.cliente) {
+            await satisfacaoService.solicitar(telefone, {
+                origem: 'inatividade',
+                messageId: estado.messageId,
+                cliente: estado.cliente.id,
+                intencao: estado.intencaoAtendimento,
+                agente: 'bot'
+            });
+        }
+        return 'encerrada';
+    }
+
+    // Aviso único por período de inatividade (marcado com o ultimaInteracao avisado)
+    const avisoPendente = aviso > 0 && inativo > sessoes.ttl - aviso && estado.avisoInatividade !== estado.ultimaInteracao;
+
+    if (avisarCliente && avisoPendente) {
+        const minutos = Math.max(1, Math.ceil((sessoes.ttl - inativo) / 60000));
+        console.log(`⏳ [INATIVIDADE] Avisando ${telefone}: encerramento em ${minutos} min`);
+
+        await notificar(telefone, process.env.INATIVIDADE_TEXTO_AVISO || MENSAGENS.ENCERRAMENTO.AVISO_INATIVIDADE(minutos));
+
+        // Grava sem alterar ultimaInteracao (o aviso não conta como interação)
+        estado.avisoInatividade = estado.ultimaInteracao;
+        await sessoes.definir(telefone, estado);
+        return 'aviso';
+    }
+
+    return null;
+}
+
+/**
+ * Varre as sessões de um fluxo
+ * @param {Object} fluxo - { namespace, notificar }
+ * @param {Object} configuracao - Configuração da varredura
+ * @returns {Promise<Object>} { avisos, encerradas }
+ */
+async function varrerFluxo(fluxo, configuracao) {
+    const sessoes = sessaoService.criarArmazenamento(fluxo.namespace);
+    const resultado = { avisos: 0, encerradas: 0 };
+
+    for (const { telefone } of await sessoes.listar()) {
+        const acao = await filaContatoService.executar(
+            telefone,
+            () => verificarSessao(sessoes, telefone, fluxo, configuracao)
+        );
+
+        if (acao === 'encerrada') resultado.encerradas++;
+        if (acao === 'aviso') resultado.avisos++;
+    }
+
+    return resultado;
+}
+
+/**
+ * Executa uma varredura em todos os fluxos
+ * @returns {Promise<Object>} { success, data: { avisos, encerradas, humanosEncerrados, expiradasRemovidas }, error }
+ */
+async function varrer() {
+    if (emExecucao) {
+        return { success: false, data: null, error: 'Varredura já em andamento' };
+    }
+
+    emExecucao = true;
+    ultimaExecucao = new Date().toISOString();
+    estatisticas.varreduras++;
+
+    const configuracao = obterConfiguracao();
+    const total = { avisos: 0, encerradas: 0, humanosEncerrados: 0, expiradasRemovidas: 0 };
+
+    try {
+        for (const fluxo of FLUXOS) {
+            const resultado = await varrerFluxo(fluxo, configuracao);
+            total.avisos += resultado.avisos;
+            total.encerradas += resultado.encerradas;
+        }
+
+        total.humanosEncerrados = await atendimentoHumanoService.encerrarInativos();
+        total.expiradasRemovidas = await sessaoService.removerExpiradas();
+
+        estatisticas.avisos += total.avisos;
+        estatisticas.encerradas += total.encerradas;
+
+        if (total.avisos > 0 || total.encerradas > 0) {
+            console.log(`[INATIVIDADE] Varredura concluída: ${total.avisos} aviso(s), ${total.encerradas} sessão(ões) encerrada(s)`);
+        }
+
+        return { success: true, data: total, error: null };
+    } catch (error) {
+        console.error('[INATIVIDADE] Erro na varredura:', error.message);
+        estatisticas.erros++;
+        estatisticas.ultimoErro = {
+            message: error.message,
+            timestamp: new Date().toISOString()
+        };
+
+        return { success: false, data: total, error: error.message };
+    } finally {
+        emExecucao = false;
+    }
+}
+
+/**
+ * Inicia a varredura periódica
+ * @returns {boolean} True se iniciada
+ */
+function iniciar() {
+    const configuracao = obterConfiguracao();
+
+    if (!configuracao.ativo) {
+        console.log('[INATIVIDADE] Varredura desativada (INATIVIDADE_VARREDURA=false)');
+        return false;
+    }
+
+    if (intervalo) {
+        console.log('⚠️ Varredura de sessões inativas já está em execução');
+        return false;
+    }
+
+    intervalo = setInterval(() => {
+        varrer().catch(error => console.error('[INATIVIDADE] Erro na varredura:', error.message));
+    }, configuracao.intervalo);
+
+    // Não impede o encerramento do processo
+    intervalo.unref();
+
+    console.log(`✅ Varredura de sessões inativas iniciada (a cada ${configuracao.intervalo / 1000}s, aviso ${configuracao.avisoMinutos} min antes)`);
+    return true;
+}
+
+/**
+ * Para a varredura periódica
+ * @returns {boolean} True se parada
+ */
+function parar() {
+    if (!intervalo) {
+        return false;
+    }
+
+    clearInterval(intervalo);
+    intervalo = null;
+
+    console.log('⏹️ Varredura de sessões inativas parada');
+    return true;
+}
+
+/**
+ * Obtém o status da varredura
+ * @returns {Object} Status
+ */
+function obterStatus() {
+    return {
+        isRunning: Boolean(intervalo),
+        lastExecution: ultimaExecucao,
+        configuracao: obterConfiguracao(),
+        statistics: { ...estatisticas }
+    };
+}
+
+module.exports = {
+    STATUS_INATIVIDADE,
+    varrer,
+    iniciar,
+    parar,
+    obterStatus
+};
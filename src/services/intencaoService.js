@@ -0,0 +1,417 @@
+/**
+ * Serviço de Reconhecimento de Intenções
+ *
+ * Identifica a intenção do cliente em texto livre, compartilhado pelos fluxos
+ * Evolution (atendimentoService) e Megazap (atendimentoMegaZap):
+ * - normaliza acentos, caixa e pontuação ("Bolêto" → "boleto")
+ * - compara palavra a palavra (números soltos, como "2 boletos", não contam)
+ * - tolera erros de digitação por distância de edição ("bolteo", "atendnte")
+ * - palavra inteira vale mais que aproximação; termos fracos têm peso menor
+ * - retorna confiança (0 a 1); entre os limiares o bot pede confirmação
+ * - quando os termos não decidem, consulta o classificador treinado (classificadorIntencaoService),
+ *   registrado na inicialização por registrarClassificador
+ *
+ * Configuração (.env):
+ * - INTENCAO_LIMIAR_ACEITE: confiança mínima para agir direto (padrão 0.7)
+ * - INTENCAO_LIMIAR_CONFIRMACAO: confiança mínima para perguntar "Você quis dizer...?" (padrão 0.45)
+ * - INTENCAO_LIMIAR_CLASSIFICADOR: probabilidade mínima do classificador para agir direto (padrão 0.85)
+ */
+
+/**
+ * Limiares de decisão
+ */
+const LIMIARES = {
+    ACEITE: parseFloat(process.env.INTENCAO_LIMIAR_ACEITE) || 0.7,
+    CONFIRMACAO: parseFloat(process.env.INTENCAO_LIMIAR_CONFIRMACAO) || 0.45,
+    CLASSIFICADOR: parseFloat(process.env.INTENCAO_LIMIAR_CLASSIFICADOR) || 0.85
+};
+
+/**
+ * Classificador treinado (função texto → { intencao, confianca, evidencias }), opcional
+ */
+let classificador = null;
+
+/**
+ * Decisões possíveis do reconhecimento
+ */
+const DECISOES = {
+    ACEITA: 'aceita',
+    CONFIRMAR: 'confirmar',
+    DESCONHECIDA: 'desconhecida'
+};
+
+/**
+ * Peso de uma palavra reconhecida por aproximação (erro de digitação)
+ */
+const FATOR_APROXIMADO = 0.9;
+
+/**
+ * Peso de uma palavra reconhecida pelo radical (plural/flexão: "boletos", "notinha")
+ */
+const FATOR_RADICAL = 0.95;
+
+/**
+ * Intenções e termos (sem acentos). Peso padrão 1; termos genéricos têm peso menor.
+ * "ignora": intenções que deixam de concorrer quando esta é citada
+ * (ex.: "certificado da nota 123" é certificado, não nota fiscal).
+ */
+const INTENCOES = {
+    boleto: {
+        rotulo: 'Boletos em aberto',
+        termos: [
+            'boleto', 'bolto', 'segunda via', '2a via', '2 via', 'fatura', 'linha digitavel',
+            { termo: 'cobranca', peso: 0.8 },
+            { termo: 'pagamento', peso: 0.7 },
+            { termo: 'pagar', peso: 0.7 },
+            { termo: 'contas', peso: 0.6 },
+            { termo: 'em aberto', peso: 0.6 }
+        ]
+    },
+    nota: {
+        rotulo: 'Notas fiscais',
+        termos: [
+            'nota fiscal', 'notafiscal', 'nota', 'nfe', 'nfse', 'nf',
+            { termo: 'xml', peso: 0.8 },
+            { termo: 'danfe', peso: 0.9 }
+        ]
+    },
+    certificado: {
+        rotulo: 'Certificados',
+        ignora: ['nota'],
+        termos: [
+            'certificado', 'laudo', 'calibracao',
+            { termo: 'qualidade', peso: 0.6 }
+        ]
+    },
+    proposta: {
+        rotulo: 'Propostas comerciais',
+        termos: [
+            'proposta', 'orcamento', 'cotacao'
+        ]
+    },
+    trocarDocumento: {
+        rotulo: 'Informar outro CPF/CNPJ',
+        termos: [
+            'outro cnpj', 'outro cpf', 'trocar cnpj', 'trocar cpf', 'alterar cnpj', 'mudar cnpj',
+            'outra empresa', 'trocar empresa'
+        ]
+    },
+    atendente: {
+        rotulo: 'Falar com atendente',
+        termos: [
+            'atendente', 'atendimento', 'atndente', 'financeiro',
+            { termo: 'falar com alguem', peso: 0.9 }
+        ]
+    },
+    suporte: {
+        rotulo: 'Falar com suporte',
+        termos: [
+            'suporte', 'humano', 'tecnico',
+            { termo: 'sistema', peso: 0.6 }
+        ]
+    }
+};
+
+/**
+ * Respostas aceitas como confirmação da intenção sugerida
+ */
+const CONFIRMACOES = ['sim', 's', 'isso', 'isso mesmo', 'correto', 'certo', 'pode ser', 'yes', 'ok', 'claro', 'exato'];
+
+/**
+ * Normaliza texto: sem acentos, minúsculo, apenas letras/números separados por espaço
+ * @param {string} texto - Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizarTexto(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[ºª]/g, 'a')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Distância de edição (Levenshtein) com transposição de letras vizinhas
+ * @param {string} a - Primeira palavra
+ * @param {string} b - Segunda palavra
+ * @returns {number} Quantidade mínima de edições
+ */
+function distanciaEdicao(a, b) {
+    const linhas = a.length + 1;
+    const colunas = b.length + 1;
+    const d = Array.from({ length: linhas }, (_, i) => [i, ...new Array(colunas - 1).fill(0)]);
+
+    for (let j = 1; j < colunas; j++) d[0][j] = j;
+
+    for (let i = 1; i < linhas; i++) {
+        for (let j = 1; j < colunas; j++) {
+            const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + custo);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Similaridade entre a palavra do termo e a palavra digitada
+ * @param {string} esperada - Palavra do termo
+ * @param {string} digitada - Palavra da mensagem
+ * @returns {number} 1 para palavra inteira, menor para radical/aproximação, 0 sem relação
+ */
+function similaridadePalavra(esperada, digitada) {
+    if (esperada === digitada) {
+        return 1;
+    }
+
+    // Palavras curtas (nf, 2a, s) só contam quando idênticas
+    if (esperada.length < 4 || digitada.length < 3) {
+        return 0;
+    }
+
+    // Plural/flexão: "boletos", "notas", "certificados"
+    if (digitada.startsWith(esperada) && digitada.length - esperada.length <= 2) {
+        return FATOR_RADICAL;
+    }
+
+    const tolerancia = esperada.length <= 5 ? 1 : esperada.length <= 8 ? 2 : 3;
+    const distancia = distanciaEdicao(esperada, digitada);
+
+    if (distancia > tolerancia) {
+        return 0;
+    }
+
+    return (1 - distancia / Math.max(esperada.length, digitada.length)) * FATOR_APROXIMADO;
+}
+
+/**
+ * Melhor correspondência de um termo (uma ou mais palavras consecutivas) na mensagem
+ * @param {Array<string>} palavrasTermo - Palavras do termo
+ * @param {Array<string>} palavras - Palavras da mensagem
+ * @returns {number} Similaridade média da melhor janela
+ */
+function pontuarTermo(palavrasTermo, palavras) {
+    let melhor = 0;
+
+    for (let inicio = 0; inicio + palavrasTermo.length <= palavras.length; inicio++) {
+        let soma = 0;
+
+        for (let i = 0; i < palavrasTermo.length; i++) {
+            const similaridade = similaridadePalavra(palavrasTermo[i], palavras[inicio + i]);
+            if (similaridade === 0) {
+                soma = 0;
+                break;
+            }
+            soma += similaridade;
+        }
+
+        melhor = Math.max(melhor, soma / palavrasTermo.length);
+    }
+
+    return melhor;
+}
+
+/**
+ * Termos normalizados por intenção (preparados uma vez)
+ */
+const TERMOS_PREPARADOS = Object.fromEntries(
+    Object.entries(INTENCOES).map(([nome, intencao]) => [
+        nome,
+        intencao.termos.map(item => {
+            const termo = typeof item === 'string' ? item : item.termo;
+            return {
+                termo: termo,
+                palavras: normalizarTexto(termo).split(' '),
+                peso: typeof item === 'string' ? 1 : item.peso
+            };
+        })
+    ])
+);
+
+/**
+ * Pontua cada intenção para a mensagem
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Array<string>} permitidas - Restringe às intenções informadas (opcional)
+ * @returns {Array<Object>} [{ intencao, pontuacao, termo }] em ordem decrescente
+ */
+function pontuarIntencoes(mensagem, permitidas = null) {
+    const palavras = normalizarTexto(mensagem).split(' ').filter(Boolean);
+    const pontuacoes = [];
+
+    for (const [nome, termos] of Object.entries(TERMOS_PREPARADOS)) {
+        if (permitidas && !permitidas.includes(nome)) {
+            continue;
+        }
+
+        let melhor = { pontuacao: 0, termo: null };
+
+        for (const termo of termos) {
+            const pontuacao = pontuarTermo(termo.palavras, palavras) * termo.peso;
+            if (pontuacao > melhor.pontuacao) {
+                melhor = { pontuacao, termo: termo.termo };
+            }
+        }
+
+        if (melhor.pontuacao > 0) {
+            pontuacoes.push({ intencao: nome, ...melhor });
+        }
+    }
+
+    const ignoradas = pontuacoes.flatMap(({ intencao }) => INTENCOES[intencao].ignora || []);
+
+    return pontuacoes
+        .filter(({ intencao }) => !ignoradas.includes(intencao))
+        .sort((a, b) => b.pontuacao - a.pontuacao);
+}
+
+/**
+ * Reconhece a intenção pelos termos cadastrados
+ * A confiança é a pontuação da melhor intenção, reduzida quando outra intenção
+ * pontua quase igual ("nota do boleto"): nesse caso o bot confirma antes de agir.
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Array<string>} intencoes - Restringe às intenções informadas (opcional)
+ * @returns {Object} { intencao, confianca, decisao, termo, alternativas }
+ */
+function reconhecerPorTermos(mensagem, intencoes) {
+    const pontuacoes = pontuarIntencoes(mensagem, intencoes);
+    const [melhor, segunda] = pontuacoes;
+
+    if (!melhor) {
+        return { intencao: null, confianca: 0, decisao: DECISOES.DESCONHECIDA, termo: null, alternativas: [] };
+    }
+
+    const margem = segunda ? melhor.pontuacao - segunda.pontuacao : 1;
+    const confianca = Number((melhor.pontuacao * Math.min(1, 0.5 + margem * 2.5)).toFixed(3));
+
+    let decisao = DECISOES.DESCONHECIDA;
+    if (confianca >= LIMIARES.ACEITE) {
+        decisao = DECISOES.ACEITA;
+    } else if (confianca >= LIMIARES.CONFIRMACAO) {
+        decisao = DECISOES.CONFIRMAR;
+    }
+
+    return {
+        intencao: melhor.intencao,
+        confianca: confianca,
+        decisao: decisao,
+        termo: melhor.termo,
+        alternativas: pontuacoes.slice(1).map(({ intencao, pontuacao }) => ({ intencao, pontuacao: Number(pontuacao.toFixed(3)) }))
+    };
+}
+
+/**
+ * Consulta o classificador quando os termos não decidem
+ * - sem termo reconhecido: o classificador decide (aceita ou pede confirmação)
+ * - termo com confiança intermediária: aceita só se o classificador concordar
+ * Em ambos os casos alguma palavra inteira da mensagem precisa apontar para a intenção
+ * (evidências); termos de intenções diferentes ("nota do boleto") ficam para o cliente confirmar
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Object} porTermos - Resultado de reconhecerPorTermos
+ * @param {Array<string>} intencoes - Intenções permitidas (opcional)
+ * @returns {Object} Resultado combinado
+ */
+function combinarComClassificador(mensagem, porTermos, intencoes) {
+    if (!classificador || porTermos.decisao === DECISOES.ACEITA) {
+        return porTermos;
+    }
+
+    const previsto = classificador(mensagem);
+
+    if (!previsto?.intencao || (intencoes && !intencoes.includes(previsto.intencao))) {
+        return porTermos;
+    }
+
+    const concorda = porTermos.intencao === previsto.intencao;
+    const semTermo = porTermos.decisao === DECISOES.DESCONHECIDA;
+
+    // Sem palavra que aponte para a intenção ("todos", "quero"): não age
+    if (!(previsto.evidencias || []).length) {
+        return porTermos;
+    }
+
+    const semAlternativas = porTermos.alternativas.length === 0;
+
+    if ((semTermo || (concorda && semAlternativas)) && previsto.confianca >= LIMIARES.CLASSIFICADOR) {
+        return { ...porTermos, intencao: previsto.intencao, confianca: previsto.confianca, decisao: DECISOES.ACEITA, origem: 'classificador' };
+    }
+
+    if (semTermo && previsto.confianca >= LIMIARES.CONFIRMACAO) {
+        return { ...porTermos, intencao: previsto.intencao, confianca: previsto.confianca, decisao: DECISOES.CONFIRMAR, origem: 'classificador' };
+    }
+
+    return porTermos;
+}
+
+/**
+ * Reconhece a intenção da mensagem (termos e, se registrado, classificador)
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Object} opcoes - Opções
+ * @param {Array<string>} opcoes.intencoes - Restringe às intenções informadas
+ * @returns {Object} { intencao, confianca, decisao, termo, alternativas, origem }
+ */
+function reconhecer(mensagem, { intencoes = null } = {}) {
+    const porTermos = { ...reconhecerPorTermos(mensagem, intencoes), origem: 'termos' };
+    const resultado = combinarComClassificador(mensagem, porTermos, intencoes);
+
+    if (resultado.intencao) {
+        console.log(`[INTENCAO] "${mensagem}" → ${resultado.intencao} (${resultado.confianca}, ${resultado.decisao}, ${resultado.origem}${resultado.termo ? `, termo: ${resultado.termo}` : ''})`);
+    }
+
+    return resultado;
+}
+
+/**
+ * Registra o classificador treinado consultado por reconhecer
+ * @param {Function|null} funcao - (texto) => { intencao, confianca, evidencias } ou null para remover
+ */
+function registrarClassificador(funcao) {
+    classificador = funcao;
+}
+
+/**
+ * Retorna a intenção somente quando reconhecida com confiança de aceite
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {Array<string>} intencoes - Restringe às intenções informadas (opcional)
+ * @returns {string|undefined} Nome da intenção ou undefined
+ */
+function detectar(mensagem, intencoes = null) {
+    const resultado = reconhecer(mensagem, { intencoes });
+    return resultado.decisao === DECISOES.ACEITA ? resultado.intencao : undefined;
+}
+
+/**
+ * Verifica se a mensagem confirma a intenção sugerida ("sim", "isso")
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {boolean} True se confirmação
+ */
+function ehConfirmacao(mensagem) {
+    return CONFIRMACOES.includes(normalizarTexto(mensagem));
+}
+
+/**
+ * Rótulo da intenção exibido ao cliente
+ * @param {string} intencao - Nome da intenção
+ * @returns {string} Rótulo
+ */
+function rotuloIntencao(intencao) {
+    return INTENCOES[intencao]?.rotulo || intencao;
+}
+
+module.exports = {
+    LIMIARES,
+    DECISOES,
+    INTENCOES,
+    normalizarTexto,
+    distanciaEdicao,
+    reconhecer,
+    detectar,
+    registrarClassificador,
+    ehConfirmacao,
+    rotuloIntencao
+};
@@ -45,6 +45,7 @@ function adaptEvolutionFormat(webhookData) {
       message?.conversation ||
       message?.extendedTextMessage?.text ||
       message?.buttonsResponseMessage?.selectedButtonId ||
+      message?.listResponseMessage?.singleSelectReply?.selectedRowId ||
       message?.listResponseMessage?.title ||
       '';
 
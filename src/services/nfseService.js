@@ -0,0 +1,704 @@
+/**
+ * Serviço NFSe
+ *
+ * Interpreta o XML da NFSe retornado pelo ERP (endpoint.geraNotaXML) identificando o layout:
+ * - ABRASF 2.x (CompNfse > Nfse > InfNfse > DeclaracaoPrestacaoServico)
+ * - ABRASF 1.x (CompNfse > Nfse > InfNfse com Servico/Prestador/Tomador diretos)
+ * - NFSe Nacional (NFSe > infNFSe > DPS, Sefin Nacional)
+ * - Municipal São Paulo (NFe com ChaveNFe / StatusNFe)
+ *
+ * Retorna estrutura única (ver NotaFiscalServico) com prestador, tomador, itens,
+ * tributos e situação de cancelamento.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Layouts reconhecidos
+ */
+const LAYOUTS = {
+    ABRASF_2: 'abrasf-2',
+    ABRASF_1: 'abrasf-1',
+    NACIONAL: 'nacional',
+    SAO_PAULO: 'municipal-sp',
+    DESCONHECIDO: 'desconhecido'
+};
+
+/**
+ * Parser XML (sem prefixos de namespace, valores sempre como texto)
+ */
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true,
+    cdataPropName: false
+});
+
+/**
+ * @typedef {Object} Endereco
+ * @property {string|null} logradouro
+ * @property {string|null} numero
+ * @property {string|null} complemento
+ * @property {string|null} bairro
+ * @property {string|null} codigoMunicipio - Código IBGE
+ * @property {string|null} municipio - Nome do município (quando informado)
+ * @property {string|null} uf
+ * @property {string|null} cep
+ */
+
+/**
+ * @typedef {Object} Parte
+ * @property {string|null} documento - CPF/CNPJ apenas números/letras
+ * @property {string|null} tipoDocumento - 'cpf' | 'cnpj'
+ * @property {string|null} razaoSocial
+ * @property {string|null} nomeFantasia
+ * @property {string|null} inscricaoMunicipal
+ * @property {Endereco} endereco
+ * @property {string|null} email
+ * @property {string|null} telefone
+ */
+
+/**
+ * @typedef {Object} ItemServico
+ * @property {string|null} descricao - Discriminação do serviço
+ * @property {string|null} codigoServico - Item da lista de serviços / código de tributação nacional
+ * @property {string|null} codigoTributacaoMunicipio
+ * @property {string|null} codigoCnae
+ * @property {number|null} quantidade
+ * @property {number|null} valorUnitario
+ * @property {number|null} valorTotal
+ */
+
+/**
+ * @typedef {Object} Tributos
+ * @property {number|null} baseCalculo
+ * @property {number|null} aliquota - Percentual (ex: 2.5 para 2,5%)
+ * @property {number|null} valorIss
+ * @property {boolean} issRetido
+ * @property {number|null} valorPis
+ * @property {number|null} valorCofins
+ * @property {number|null} valorInss
+ * @property {number|null} valorIr
+ * @property {number|null} valorCsll
+ * @property {number|null} outrasRetencoes
+ */
+
+/**
+ * @typedef {Object} NotaFiscalServico
+ * @property {string} layout - Um dos valores de LAYOUTS
+ * @property {string|null} versao
+ * @property {string|null} numero - Número da NFSe (não do RPS/DPS)
+ * @property {string|null} codigoVerificacao
+ * @property {string|null} chaveAcesso
+ * @property {string|null} dataEmissao - ISO (YYYY-MM-DD ou YYYY-MM-DDTHH:mm:ss)
+ * @property {string|null} competencia
+ * @property {Object|null} rps - { numero, serie, tipo }
+ * @property {Parte|null} prestador
+ * @property {Parte|null} tomador
+ * @property {Array<ItemServico>} itens
+ * @property {Tributos} tributos
+ * @property {Object} valores - { valorServicos, valorDeducoes, descontoIncondicionado, descontoCondicionado, valorLiquido }
+ * @property {boolean} cancelada
+ * @property {Object|null} cancelamento - { data, codigo, motivo }
+ * @property {string|null} outrasInformacoes
+ */
+
+/**
+ * Retorna o texto de um nó (trata nós com atributos e listas)
+ * @param {*} no - Nó do XML
+ * @returns {string|null} Texto ou null
+ */
+function texto(no) {
+    if (no === undefined || no === null || no === '') return null;
+    if (Array.isArray(no)) return texto(no[0]);
+    if (typeof no === 'object') return texto(no['#text']);
+    return String(no);
+}
+
+/**
+ * Converte nó em número (aceita vírgula decimal)
+ * @param {*} no - Nó do XML
+ * @returns {number|null} Número ou null
+ */
+function numero(no) {
+    const valor = texto(no);
+    if (valor === null) return null;
+
+    const normalizado = valor.includes(',') ? valor.replace(/\./g, '').replace(',', '.') : valor;
+    const resultado = parseFloat(normalizado);
+    return isNaN(resultado) ? null : resultado;
+}
+
+/**
+ * Percorre caminho de chaves no objeto (ignora listas pegando o primeiro item)
+ * @param {Object} obj - Objeto de origem
+ * @param {...string} chaves - Caminho
+ * @returns {*} Valor encontrado ou undefined
+ */
+function caminho(obj, ...chaves) {
+    let atual = obj;
+
+    for (const chave of chaves) {
+        if (Array.isArray(atual)) atual = atual[0];
+        if (atual === undefined || atual === null || typeof atual !== 'object') return undefined;
+        atual = atual[chave];
+    }
+
+    return Array.isArray(atual) && typeof atual[0] === 'object' ? atual[0] : atual;
+}
+
+/**
+ * Busca em profundidade o primeiro nó com a chave informada
+ * @param {Object} obj - Objeto de origem
+ * @param {string} chave - Nome do nó
+ * @returns {*} Nó encontrado ou undefined
+ */
+function buscar(obj, chave) {
+    if (!obj || typeof obj !== 'object') return undefined;
+    if (Array.isArray(obj)) {
+        for (const item of obj) {
+            const encontrado = buscar(item, chave);
+            if (encontrado !== undefined) return encontrado;
+        }
+        return undefined;
+    }
+
+    if (obj[chave] !== undefined) return obj[chave];
+
+    for (const valor of Object.values(obj)) {
+        const encontrado = buscar(valor, chave);
+        if (encontrado !== undefined) return encontrado;
+    }
+
+    return undefined;
+}
+
+/**
+ * Primeiro valor não vazio entre as alternativas
+ * @param {...*} valores - Valores candidatos
+ * @returns {*} Primeiro valor definido ou null
+ */
+function primeiro(...valores) {
+    for (const valor of valores) {
+        if (valor !== undefined && valor !== null && valor !== '') return valor;
+    }
+    return null;
+}
+
+/**
+ * Identifica CPF ou CNPJ em um nó CpfCnpj / CNPJ / CPF
+ * @param {Object} no - Nó que contém Cnpj/Cpf
+ * @returns {Object} { documento, tipoDocumento }
+ */
+function documento(no) {
+    const cnpj = texto(caminho(no, 'Cnpj')) || texto(caminho(no, 'CNPJ'));
+    const cpf = texto(caminho(no, 'Cpf')) || texto(caminho(no, 'CPF'));
+
+    if (cnpj) return { documento: cnpj, tipoDocumento: 'cnpj' };
+    if (cpf) return { documento: cpf, tipoDocumento: 'cpf' };
+    return { documento: null, tipoDocumento: null };
+}
+
+/**
+ * Tributos vazios (estrutura padrão)
+ * @returns {Tributos} Tributos zerados
+ */
+function tributosVazios() {
+    return {
+        baseCalculo: null,
+        aliquota: null,
+        valorIss: null,
+        issRetido: false,
+        valorPis: null,
+        valorCofins: null,
+        valorInss: null,
+        valorIr: null,
+        valorCsll: null,
+        outrasRetencoes: null
+    };
+}
+
+/**
+ * Converte alíquota informada como fração (ABRASF 1.x e São Paulo, ex: 0.05) em percentual
+ * @param {number|null} aliquota - Alíquota em fração
+ * @returns {number|null} Percentual (ex: 5)
+ */
+function percentual(aliquota) {
+    if (aliquota === null) return null;
+    return Math.round(aliquota * 10000) / 100;
+}
+
+// ============================================================
+// ABRASF (1.x e 2.x)
+// ============================================================
+
+/**
+ * Extrai endereço no padrão ABRASF
+ * @param {Object} no - Nó Endereco
+ * @returns {Endereco} Endereço
+ */
+function enderecoAbrasf(no) {
+    return {
+        logradouro: texto(caminho(no, 'Endereco')),
+        numero: texto(caminho(no, 'Numero')),
+        complemento: texto(caminho(no, 'Complemento')),
+        bairro: texto(caminho(no, 'Bairro')),
+        codigoMunicipio: texto(caminho(no, 'CodigoMunicipio')),
+        municipio: texto(caminho(no, 'Municipio')) || texto(caminho(no, 'xMunicipio')),
+        uf: texto(caminho(no, 'Uf')),
+        cep: texto(caminho(no, 'Cep'))
+    };
+}
+
+/**
+ * Extrai parte (prestador/tomador) no padrão ABRASF
+ * @param {Object} no - Nó PrestadorServico / Tomador / TomadorServico
+ * @param {string} identificacao - Nome do nó de identificação
+ * @returns {Parte|null} Parte
+ */
+function parteAbrasf(no, identificacao) {
+    if (!no) return null;
+
+    const id = caminho(no, identificacao) || {};
+    const doc = documento(caminho(id, 'CpfCnpj') || id);
+    const contato = caminho(no, 'Contato') || {};
+
+    return {
+        ...doc,
+        razaoSocial: texto(caminho(no, 'RazaoSocial')),
+        nomeFantasia: texto(caminho(no, 'NomeFantasia')),
+        inscricaoMunicipal: texto(caminho(id, 'InscricaoMunicipal')) || texto(caminho(no, 'InscricaoMunicipal')),
+        endereco: enderecoAbrasf(caminho(no, 'Endereco')),
+        email: texto(caminho(contato, 'Email')),
+        telefone: texto(caminho(contato, 'Telefone'))
+    };
+}
+
+/**
+ * Interpreta NFSe ABRASF (1.x e 2.x)
+ * @param {Object} infNfse - Nó InfNfse
+ * @param {Object} raiz - Documento completo (para cancelamento)
+ * @returns {NotaFiscalServico} Nota
+ */
+function interpretarAbrasf(infNfse, raiz) {
+    const declaracao = caminho(infNfse, 'DeclaracaoPrestacaoServico', 'InfDeclaracaoPrestacaoServico');
+    const versao2 = !!declaracao;
+    const origem = declaracao || infNfse;
+
+    const servico = caminho(origem, 'Servico') || {};
+    const valoresServico = caminho(servico, 'Valores') || {};
+    const valoresNfse = caminho(infNfse, 'ValoresNfse') || {};
+
+    const identificacaoRps = versao2
+        ? caminho(origem, 'Rps', 'IdentificacaoRps')
+        : caminho(infNfse, 'IdentificacaoRps');
+
+    const tomador = versao2
+        ? primeiro(caminho(origem, 'TomadorServico'), caminho(origem, 'Tomador'))
+        : caminho(infNfse, 'TomadorServico');
+
+    // IssRetido: 1 = sim, 2 = não
+    const issRetido = texto(primeiro(caminho(servico, 'IssRetido'), caminho(valoresServico, 'IssRetido'))) === '1';
+
+    const outrasInformacoes = texto(caminho(infNfse, 'OutrasInformacoes'));
+
+    const valorServicos = numero(caminho(valoresServico, 'ValorServicos'));
+
+    // Cancelamento: NfseCancelamento (irmão de Nfse em CompNfse)
+    const cancelamentoNo = buscar(raiz, 'NfseCancelamento');
+    const confirmacao = caminho(cancelamentoNo, 'Confirmacao');
+    const pedidoCancelamento = caminho(confirmacao, 'Pedido', 'InfPedidoCancelamento');
+
+    return {
+        layout: versao2 ? LAYOUTS.ABRASF_2 : LAYOUTS.ABRASF_1,
+        versao: texto(caminho(buscar(raiz, 'Nfse'), '@versao')) || (versao2 ? '2' : '1'),
+        numero: texto(caminho(infNfse, 'Numero')),
+        codigoVerificacao: texto(caminho(infNfse, 'CodigoVerificacao')),
+        chaveAcesso: extrairChaveOutrasInformacoes(outrasInformacoes),
+        dataEmissao: texto(caminho(infNfse, 'DataEmissao')),
+        competencia: texto(primeiro(caminho(origem, 'Competencia'), caminho(infNfse, 'Competencia'))),
+        rps: identificacaoRps ? {
+            numero: texto(caminho(identificacaoRps, 'Numero')),
+            serie: texto(caminho(identificacaoRps, 'Serie')),
+            tipo: texto(caminho(identificacaoRps, 'Tipo'))
+        } : null,
+        prestador: parteAbrasf(
+            primeiro(caminho(infNfse, 'PrestadorServico'), caminho(origem, 'Prestador')),
+            caminho(infNfse, 'PrestadorServico') ? 'IdentificacaoPrestador' : 'CpfCnpj'
+        ),
+        tomador: parteAbrasf(tomador, 'IdentificacaoTomador'),
+        itens: [{
+            descricao: texto(caminho(servico, 'Discriminacao')),
+            codigoServico: texto(caminho(servico, 'ItemListaServico')),
+            codigoTributacaoMunicipio: texto(caminho(servico, 'CodigoTributacaoMunicipio')),
+            codigoCnae: texto(caminho(servico, 'CodigoCnae')),
+            quantidade: 1,
+            valorUnitario: valorServicos,
+            valorTotal: valorServicos
+        }],
+        tributos: {
+            ...tributosVazios(),
+            baseCalculo: numero(primeiro(caminho(valoresNfse, 'BaseCalculo'), caminho(valoresServico, 'BaseCalculo'))),
+            aliquota: versao2
+                ? numero(primeiro(caminho(valoresNfse, 'Aliquota'), caminho(valoresServico, 'Aliquota')))
+                : percentual(numero(primeiro(caminho(valoresNfse, 'Aliquota'), caminho(valoresServico, 'Aliquota')))),
+            valorIss: numero(primeiro(caminho(valoresNfse, 'ValorIss'), caminho(valoresServico, 'ValorIss'))),
+            issRetido: issRetido,
+            valorPis: numero(caminho(valoresServico, 'ValorPis')),
+            valorCofins: numero(caminho(valoresServico, 'ValorCofins')),
+            valorInss: numero(caminho(valoresServico, 'ValorInss')),
+            valorIr: numero(caminho(valoresServico, 'ValorIr')),
+            valorCsll: numero(caminho(valoresServico, 'ValorCsll')),
+            outrasRetencoes: numero(caminho(valoresServico, 'OutrasRetencoes'))
+        },
+        valores: {
+            valorServicos: valorServicos,
+            valorDeducoes: numero(caminho(valoresServico, 'ValorDeducoes')),
+            descontoIncondicionado: numero(caminho(valoresServico, 'DescontoIncondicionado')),
+            descontoCondicionado: numero(caminho(valoresServico, 'DescontoCondicionado')),
+            valorLiquido: numero(primeiro(caminho(valoresNfse, 'ValorLiquidoNfse'), caminho(valoresServico, 'ValorLiquidoNfse')))
+        },
+        cancelada: !!cancelamentoNo,
+        cancelamento: cancelamentoNo ? {
+            data: texto(primeiro(caminho(confirmacao, 'DataHora'), caminho(confirmacao, 'DataHoraCancelamento'))),
+            codigo: texto(caminho(pedidoCancelamento, 'CodigoCancelamento')),
+            motivo: texto(caminho(pedidoCancelamento, 'MotivoCancelamento'))
+        } : null,
+        outrasInformacoes: outrasInformacoes
+    };
+}
+
+// ============================================================
+// NFSe Nacional
+// ============================================================
+
+/**
+ * Extrai endereço no padrão nacional (end/enderNac)
+ * @param {Object} no - Nó end / enderNac
+ * @returns {Endereco} Endereço
+ */
+function enderecoNacional(no) {
+    const nacional = caminho(no, 'endNac') || no;
+
+    return {
+        logradouro: texto(caminho(no, 'xLgr')),
+        numero: texto(caminho(no, 'nro')),
+        complemento: texto(caminho(no, 'xCpl')),
+        bairro: texto(caminho(no, 'xBairro')),
+        codigoMunicipio: texto(caminho(nacional, 'cMun')),
+        municipio: texto(caminho(no, 'xMun')),
+        uf: texto(caminho(nacional, 'UF')) || texto(caminho(no, 'UF')),
+        cep: texto(caminho(nacional, 'CEP'))
+    };
+}
+
+/**
+ * Extrai parte no padrão nacional (emit / prest / toma)
+ * @param {Object} no - Nó da parte
+ * @returns {Parte|null} Parte
+ */
+function parteNacional(no) {
+    if (!no) return null;
+
+    return {
+        ...documento(no),
+        razaoSocial: texto(caminho(no, 'xNome')),
+        nomeFantasia: texto(caminho(no, 'xFant')),
+        inscricaoMunicipal: texto(caminho(no, 'IM')),
+        endereco: enderecoNacional(primeiro(caminho(no, 'enderNac'), caminho(no, 'end')) || {}),
+        email: texto(caminho(no, 'email')),
+        telefone: texto(caminho(no, 'fone'))
+    };
+}
+
+/**
+ * Interpreta NFSe no layout nacional
+ * @param {Object} infNFSe - Nó infNFSe
+ * @param {Object} raiz - Documento completo (para eventos de cancelamento)
+ * @returns {NotaFiscalServico} Nota
+ */
+function interpretarNacional(infNFSe, raiz) {
+    const infDPS = caminho(infNFSe, 'DPS', 'infDPS') || {};
+    const servico = caminho(infDPS, 'serv') || {};
+    const codigoServico = caminho(servico, 'cServ') || {};
+    const valoresDPS = caminho(infDPS, 'valores') || {};
+    const valoresNFSe = caminho(infNFSe, 'valores') || {};
+    const tribMun = caminho(valoresDPS, 'trib', 'tribMun') || {};
+    const tribFed = caminho(valoresDPS, 'trib', 'tribFed') || {};
+    const pisCofins = caminho(tribFed, 'piscofins') || {};
+
+    // Id = "NFS" + chave de acesso (50 dígitos)
+    const id = texto(caminho(infNFSe, '@Id'));
+    const valorServicos = numero(caminho(valoresDPS, 'vServPrest', 'vServ'));
+
+    // Cancelamento: evento e101101 (quando o XML vem acompanhado dos eventos)
+    const eventoCancelamento = buscar(raiz, 'e101101');
+    const infEvento = buscar(raiz, 'infEvento');
+
+    // prest da DPS complementa o emit (e-mail/telefone)
+    const emitente = parteNacional(caminho(infNFSe, 'emit'));
+    const prestadorDPS = parteNacional(caminho(infDPS, 'prest'));
+
+    return {
+        layout: LAYOUTS.NACIONAL,
+        versao: texto(caminho(buscar(raiz, 'NFSe'), '@versao')),
+        numero: texto(caminho(infNFSe, 'nNFSe')),
+        codigoVerificacao: null,
+        chaveAcesso: id ? id.replace(/^NFS/, '') : null,
+        dataEmissao: texto(primeiro(caminho(infDPS, 'dhEmi'), caminho(infNFSe, 'dhProc'))),
+        competencia: texto(caminho(infDPS, 'dCompet')),
+        rps: {
+            numero: texto(caminho(infDPS, 'nDPS')),
+            serie: texto(caminho(infDPS, 'serie')),
+            tipo: 'DPS'
+        },
+        prestador: emitente ? {
+            ...emitente,
+            email: emitente.email || prestadorDPS?.email || null,
+            telefone: emitente.telefone || prestadorDPS?.telefone || null
+        } : prestadorDPS,
+        tomador: parteNacional(caminho(infDPS, 'toma')),
+        itens: [{
+            descricao: texto(caminho(codigoServico, 'xDescServ')),
+            codigoServico: texto(caminho(codigoServico, 'cTribNac')),
+            codigoTributacaoMunicipio: texto(caminho(codigoServico, 'cTribMun')),
+            codigoCnae: null,
+            quantidade: 1,
+            valorUnitario: valorServicos,
+            valorTotal: valorServicos
+        }],
+        tributos: {
+            ...tributosVazios(),
+            baseCalculo: numero(caminho(valoresNFSe, 'vBC')),
+            aliquota: numero(primeiro(caminho(valoresNFSe, 'pAliqAplic'), caminho(tribMun, 'pAliq'))),
+            valorIss: numero(caminho(valoresNFSe, 'vISSQN')),
+            // tpRetISSQN: 1 = não retido, 2 = retido pelo tomador, 3 = retido pelo intermediário
+            issRetido: ['2', '3'].includes(texto(caminho(tribMun, 'tpRetISSQN'))),
+            valorPis: numero(caminho(pisCofins, 'vPis')),
+            valorCofins: numero(caminho(pisCofins, 'vCofins')),
+            valorInss: numero(caminho(tribFed, 'vRetCP')),
+            valorIr: numero(caminho(tribFed, 'vRetIRRF')),
+            valorCsll: numero(caminho(tribFed, 'vRetCSLL')),
+            outrasRetencoes: null
+        },
+        valores: {
+            valorServicos: valorServicos,
+            valorDeducoes: numero(caminho(valoresNFSe, 'vCalcDR')),
+            descontoIncondicionado: numero(caminho(valoresDPS, 'vDescCondIncond', 'vDescIncond')),
+            descontoCondicionado: numero(caminho(valoresDPS, 'vDescCondIncond', 'vDescCond')),
+            valorLiquido: numero(caminho(valoresNFSe, 'vLiq'))
+        },
+        cancelada: !!eventoCancelamento,
+        cancelamento: eventoCancelamento ? {
+            data: texto(primeiro(caminho(infEvento, 'dhProc'), buscar(raiz, 'dhEvento'))),
+            codigo: texto(caminho(eventoCancelamento, 'cMotivo')),
+            motivo: texto(caminho(eventoCancelamento, 'xMotivo'))
+        } : null,
+        outrasInformacoes: texto(caminho(infDPS, 'serv', 'infoCompl', 'xInfComp'))
+    };
+}
+
+// ============================================================
+// Municipal São Paulo
+// ============================================================
+
+/**
+ * Extrai endereço no padrão da Prefeitura de São Paulo
+ * @param {Object} no - Nó EnderecoPrestador / EnderecoTomador
+ * @returns {Endereco} Endereço
+ */
+function enderecoSaoPaulo(no) {
+    return {
+        logradouro: [texto(caminho(no, 'TipoLogradouro')), texto(caminho(no, 'Logradouro'))].filter(Boolean).join(' ') || null,
+        numero: texto(caminho(no, 'NumeroEndereco')),
+        complemento: texto(caminho(no, 'ComplementoEndereco')),
+        bairro: texto(caminho(no, 'Bairro')),
+        codigoMunicipio: texto(caminho(no, 'Cidade')),
+        municipio: null,
+        uf: texto(caminho(no, 'UF')),
+        cep: texto(caminho(no, 'CEP'))
+    };
+}
+
+/**
+ * Interpreta NFS-e da Prefeitura de São Paulo
+ * @param {Object} nfe - Nó NFe
+ * @returns {NotaFiscalServico} Nota
+ */
+function interpretarSaoPaulo(nfe) {
+    const chave = caminho(nfe, 'ChaveNFe') || {};
+    const chaveRps = caminho(nfe, 'ChaveRPS') || {};
+    const valorServicos = numero(caminho(nfe, 'ValorServicos'));
+    const status = texto(caminho(nfe, 'StatusNFe'));
+
+    const parte = (sufixo) => caminho(nfe, `RazaoSocial${sufixo}`) === undefined ? null : {
+        ...documento(caminho(nfe, `CPFCNPJ${sufixo}`)),
+        razaoSocial: texto(caminho(nfe, `RazaoSocial${sufixo}`)),
+        nomeFantasia: null,
+        inscricaoMunicipal: texto(sufixo === 'Prestador'
+            ? caminho(chave, 'InscricaoPrestador')
+            : caminho(nfe, 'InscricaoMunicipalTomador')),
+        endereco: enderecoSaoPaulo(caminho(nfe, `Endereco${sufixo}`) || {}),
+        email: texto(caminho(nfe, `Email${sufixo}`)),
+        telefone: null
+    };
+
+    return {
+        layout: LAYOUTS.SAO_PAULO,
+        versao: null,
+        numero: texto(caminho(chave, 'NumeroNFe')),
+        codigoVerificacao: texto(caminho(chave, 'CodigoVerificacao')),
+        chaveAcesso: null,
+        dataEmissao: texto(caminho(nfe, 'DataEmissaoNFe')),
+        competencia: texto(caminho(nfe, 'DataFatoGeradorNFe')),
+        rps: caminho(chaveRps, 'NumeroRPS') ? {
+            numero: texto(caminho(chaveRps, 'NumeroRPS')),
+            serie: texto(caminho(chaveRps, 'SerieRPS')),
+            tipo: texto(caminho(nfe, 'TipoRPS'))
+        } : null,
+        prestador: parte('Prestador'),
+        tomador: parte('Tomador'),
+        itens: [{
+            descricao: texto(caminho(nfe, 'Discriminacao')),
+            codigoServico: texto(caminho(nfe, 'CodigoServico')),
+            codigoTributacaoMunicipio: null,
+            codigoCnae: null,
+            quantidade: 1,
+            valorUnitario: valorServicos,
+            valorTotal: valorServicos
+        }],
+        tributos: {
+            ...tributosVazios(),
+            baseCalculo: valorServicos !== null
+                ? valorServicos - (numero(caminho(nfe, 'ValorDeducoes')) || 0)
+                : null,
+            aliquota: percentual(numero(caminho(nfe, 'AliquotaServicos'))),
+            valorIss: numero(caminho(nfe, 'ValorISS')),
+            issRetido: texto(caminho(nfe, 'ISSRetido')) === 'true',
+            valorPis: numero(caminho(nfe, 'ValorPIS')),
+            valorCofins: numero(caminho(nfe, 'ValorCOFINS')),
+            valorInss: numero(caminho(nfe, 'ValorINSS')),
+            valorIr: numero(caminho(nfe, 'ValorIR')),
+            valorCsll: numero(caminho(nfe, 'ValorCSLL'))
+        },
+        valores: {
+            valorServicos: valorServicos,
+            valorDeducoes: numero(caminho(nfe, 'ValorDeducoes')),
+            descontoIncondicionado: null,
+            descontoCondicionado: null,
+            valorLiquido: valorServicos
+        },
+        // StatusNFe: N = normal, C = cancelada, E = extraviada
+        cancelada: status === 'C',
+        cancelamento: status === 'C' ? {
+            data: texto(caminho(nfe, 'DataCancelamento')),
+            codigo: null,
+            motivo: null
+        } : null,
+        outrasInformacoes: null
+    };
+}
+
+// ============================================================
+// Interface pública
+// ============================================================
+
+/**
+ * Extrai chave de acesso (44 a 50 dígitos) do texto de OutrasInformacoes
+ * @param {string} outrasInformacoes - Texto livre da nota
+ * @returns {string|null} Chave de acesso
+ */
+function extrairChaveOutrasInformacoes(outrasInformacoes) {
+    if (!outrasInformacoes) return null;
+
+    const rotulada = outrasInformacoes.match(/Chave\s+de\s+acesso[^:]*:\s*(\d{44,50})/i);
+    if (rotulada) return rotulada[1];
+
+    const numeros = outrasInformacoes.match(/(?<!\d)(\d{44}|\d{50})(?!\d)/);
+    return numeros ? numeros[1] : null;
+}
+
+/**
+ * Identifica o layout do XML já convertido em objeto
+ * @param {Object} documentoXML - XML convertido
+ * @returns {Object} { layout, no } com o nó principal da nota
+ */
+function detectarLayout(documentoXML) {
+    const infNFSe = buscar(documentoXML, 'infNFSe');
+    if (infNFSe) {
+        return { layout: LAYOUTS.NACIONAL, no: Array.isArray(infNFSe) ? infNFSe[0] : infNFSe };
+    }
+
+    const infNfse = buscar(documentoXML, 'InfNfse');
+    if (infNfse) {
+        const no = Array.isArray(infNfse) ? infNfse[0] : infNfse;
+        const layout = caminho(no, 'DeclaracaoPrestacaoServico') ? LAYOUTS.ABRASF_2 : LAYOUTS.ABRASF_1;
+        return { layout, no };
+    }
+
+    const chaveNFe = buscar(documentoXML, 'ChaveNFe');
+    if (chaveNFe) {
+        const nfe = buscar(documentoXML, 'NFe');
+        return { layout: LAYOUTS.SAO_PAULO, no: Array.isArray(nfe) ? nfe[0] : nfe };
+    }
+
+    return { layout: LAYOUTS.DESCONHECIDO, no: null };
+}
+
+/**
+ * Interpreta o XML da NFSe
+ * @param {string} xmlString - XML completo
+ * @returns {Object} Resultado com a nota (NotaFiscalServico)
+ */
+function parseNFSe(xmlString) {
+    try {
+        if (!xmlString || !String(xmlString).trim().startsWith('<')) {
+            return {
+                success: false,
+                data: null,
+                error: 'XML não informado ou inválido'
+            };
+        }
+
+        const documentoXML = parser.parse(String(xmlString));
+        const { layout, no } = detectarLayout(documentoXML);
+
+        const interpretadores = {
+            [LAYOUTS.ABRASF_2]: () => interpretarAbrasf(no, documentoXML),
+            [LAYOUTS.ABRASF_1]: () => interpretarAbrasf(no, documentoXML),
+            [LAYOUTS.NACIONAL]: () => interpretarNacional(no, documentoXML),
+            [LAYOUTS.SAO_PAULO]: () => interpretarSaoPaulo(no)
+        };
+
+        if (!interpretadores[layout]) {
+            return {
+                success: false,
+                data: null,
+                error: 'Layout de NFSe não reconhecido'
+            };
+        }
+
+        return {
+            success: true,
+            data: interpretadores[layout](),
+            error: null
+        };
+    } catch (error) {
+        console.error('❌ [NFSE] Erro ao interpretar XML:', error.message);
+        return {
+            success: false,
+            data: null,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    LAYOUTS,
+    parseNFSe,
+    detectarLayout,
+    extrairChaveOutrasInformacoes
+};
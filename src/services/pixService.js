@@ -0,0 +1,246 @@
+/**
+ * Serviço PIX
+ *
+ * Gera o BR Code (padrão EMV do Banco Central) estático para pagamento
+ * dos boletos em aberto via PIX "copia e cola" e QR Code.
+ *
+ * Configuração (.env):
+ * - PIX_CHAVE: chave PIX do recebedor (CNPJ, e-mail, telefone ou aleatória)
+ * - PIX_NOME_RECEBEDOR: nome do recebedor (máx. 25 caracteres)
+ * - PIX_CIDADE_RECEBEDOR: cidade do recebedor (máx. 15 caracteres)
+ *
+ * Sem PIX_CHAVE configurada, a geração fica desativada.
+ */
+
+require('dotenv').config();
+
+const QRCode = require('qrcode');
+
+/**
+ * Identificadores dos campos do BR Code (Manual de Padrões para Iniciação do PIX)
+ */
+const CAMPOS = {
+    PAYLOAD_FORMAT: '00',
+    MERCHANT_ACCOUNT: '26',
+    MERCHANT_ACCOUNT_GUI: '00',
+    MERCHANT_ACCOUNT_CHAVE: '01',
+    MERCHANT_ACCOUNT_DESCRICAO: '02',
+    MERCHANT_CATEGORY: '52',
+    MOEDA: '53',
+    VALOR: '54',
+    PAIS: '58',
+    NOME_RECEBEDOR: '59',
+    CIDADE_RECEBEDOR: '60',
+    ADICIONAL: '62',
+    ADICIONAL_TXID: '05',
+    CRC16: '63'
+};
+
+/**
+ * Obtém configuração do recebedor
+ * @returns {Object} Chave, nome e cidade
+ */
+function getConfig() {
+    return {
+        chave: (process.env.PIX_CHAVE || '').trim(),
+        nome: process.env.PIX_NOME_RECEBEDOR || process.env.COMPANY_NAME || '',
+        cidade: process.env.PIX_CIDADE_RECEBEDOR || ''
+    };
+}
+
+/**
+ * Verifica se o PIX está configurado
+ * @returns {boolean} True se há chave, nome e cidade
+ */
+function estaConfigurado() {
+    const config = getConfig();
+    return !!(config.chave && config.nome && config.cidade);
+}
+
+/**
+ * Remove acentos e caracteres não permitidos, limitando o tamanho
+ * @param {string} texto - Texto original
+ * @param {number} tamanhoMaximo - Tamanho máximo
+ * @returns {string} Texto normalizado
+ */
+function normalizarTexto(texto, tamanhoMaximo) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9 .,\-\/]/g, '')
+        .trim()
+        .substring(0, tamanhoMaximo)
+        .trim();
+}
+
+/**
+ * Monta identificador da transação (alfanumérico, máx. 25 caracteres)
+ * @param {string} referencia - Referência (ex: número do documento)
+ * @returns {string} txid ou *** quando vazio
+ */
+function montarTxid(referencia) {
+    const txid = String(referencia || '').replace(/[^A-Za-z0-9]/g, '').substring(0, 25);
+    return txid || '***';
+}
+
+/**
+ * Monta campo no formato ID + tamanho (2 dígitos) + valor
+ * @param {string} id - Identificador do campo
+ * @param {string} valor - Valor do campo
+ * @returns {string} Campo formatado
+ */
+function montarCampo(id, valor) {
+    const tamanho = String(valor.length).padStart(2, '0');
+    return `${id}${tamanho}${valor}`;
+}
+
+/**
+ * Calcula CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+ * @param {string} payload - Payload incluindo "6304"
+ * @returns {string} CRC em 4 dígitos hexadecimais maiúsculos
+ */
+function calcularCRC16(payload) {
+    let crc = 0xFFFF;
+
+    for (const byte of Buffer.from(payload, 'utf8')) {
+        crc ^= byte << 8;
+
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+            crc &= 0xFFFF;
+        }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Gera payload do BR Code estático
+ * @param {Object} dados - Dados da cobrança
+ * @param {number} dados.valor - Valor (opcional; sem valor o pagador informa)
+ * @param {string} dados.txid - Identificador da transação
+ * @param {string} dados.descricao - Descrição exibida ao pagador (opcional)
+ * @returns {Object} Resultado com o payload
+ */
+function gerarPayload({ valor, txid, descricao } = {}) {
+    const config = getConfig();
+
+    if (!estaConfigurado()) {
+        return {
+            success: false,
+            data: null,
+            error: 'PIX não configurado (PIX_CHAVE, PIX_NOME_RECEBEDOR, PIX_CIDADE_RECEBEDOR)'
+        };
+    }
+
+    let contaRecebedor =
+        montarCampo(CAMPOS.MERCHANT_ACCOUNT_GUI, 'br.gov.bcb.pix') +
+        montarCampo(CAMPOS.MERCHANT_ACCOUNT_CHAVE, config.chave);
+
+    // Descrição só é incluída se couber no limite de 99 caracteres do campo 26
+    const descricaoNormalizada = normalizarTexto(descricao, 72);
+    if (descricaoNormalizada) {
+        const campoDescricao = montarCampo(CAMPOS.MERCHANT_ACCOUNT_DESCRICAO, descricaoNormalizada);
+        if (contaRecebedor.length + campoDescricao.length <= 99) {
+            contaRecebedor += campoDescricao;
+        }
+    }
+
+    let payload =
+        montarCampo(CAMPOS.PAYLOAD_FORMAT, '01') +
+        montarCampo(CAMPOS.MERCHANT_ACCOUNT, contaRecebedor) +
+        montarCampo(CAMPOS.MERCHANT_CATEGORY, '0000') +
+        montarCampo(CAMPOS.MOEDA, '986');
+
+    const valorNumerico = Number(valor);
+    if (valorNumerico > 0) {
+        payload += montarCampo(CAMPOS.VALOR, valorNumerico.toFixed(2));
+    }
+
+    payload +=
+        montarCampo(CAMPOS.PAIS, 'BR') +
+        montarCampo(CAMPOS.NOME_RECEBEDOR, normalizarTexto(config.nome, 25)) +
+        montarCampo(CAMPOS.CIDADE_RECEBEDOR, normalizarTexto(config.cidade, 15)) +
+        montarCampo(CAMPOS.ADICIONAL, montarCampo(CAMPOS.ADICIONAL_TXID, montarTxid(txid)));
+
+    // CRC calculado sobre o payload incluindo o ID e tamanho do próprio campo
+    payload += `${CAMPOS.CRC16}04`;
+    payload += calcularCRC16(payload);
+
+    return {
+        success: true,
+        data: payload,
+        error: null
+    };
+}
+
+/**
+ * Gera payload PIX para um boleto (valor e número do documento)
+ * @param {Object} boleto - Boleto do ERP (numeroDocumento/numero, valor, idConta)
+ * @returns {Object} Resultado com payload e txid
+ */
+function gerarPixBoleto(boleto) {
+    const numero = boleto.numeroDocumento || boleto.numero || boleto.idConta;
+    const txid = montarTxid(`BOL${numero}`);
+
+    const resultado = gerarPayload({
+        valor: boleto.valor,
+        txid: txid,
+        descricao: `Boleto ${numero}`
+    });
+
+    if (!resultado.success) {
+        return resultado;
+    }
+
+    return {
+        success: true,
+        data: {
+            payload: resultado.data,
+            txid: txid,
+            valor: Number(boleto.valor)
+        },
+        error: null
+    };
+}
+
+/**
+ * Gera imagem PNG do QR Code
+ * @param {string} payload - Payload do BR Code
+ * @param {string} nomeArquivo - Nome do arquivo PNG
+ * @returns {Promise<Object>} Resultado com base64 e nome do arquivo
+ */
+async function gerarQRCode(payload, nomeArquivo = 'pix.png') {
+    try {
+        const imagem = await QRCode.toBuffer(payload, {
+            type: 'png',
+            errorCorrectionLevel: 'M',
+            margin: 2,
+            width: 400
+        });
+
+        return {
+            success: true,
+            data: {
+                base64: imagem.toString('base64'),
+                filename: nomeArquivo
+            },
+            error: null
+        };
+    } catch (error) {
+        console.error('❌ [PIX] Erro ao gerar QR Code:', error.message);
+        return {
+            success: false,
+            data: null,
+            error: error.message
+        };
+    }
+}
+
+module.exports = {
+    estaConfigurado,
+    gerarPayload,
+    gerarPixBoleto,
+    gerarQRCode,
+    calcularCRC16
+};
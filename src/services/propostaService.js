@@ -0,0 +1,252 @@
+/**
+ * Serviço de Propostas Comerciais
+ *
+ * Consulta das propostas em aberto no ERP, seleção pelo cliente e registro das
+ * respostas ("aceito" / "tenho dúvidas"), compartilhado pelos fluxos Evolution
+ * (atendimentoService) e Megazap (atendimentoMegaZap).
+ *
+ * As respostas são gravadas em whapi_proposta_resposta e repassadas ao time comercial.
+ *
+ * Configuração (.env):
+ * - PROPOSTAS_STATUS: situação das propostas listadas (padrão ABERTA)
+ * - PROPOSTAS_POR_PAGINA: quantidade máxima de propostas por empresa (padrão 10)
+ * - PROPOSTAS_TELEFONE_COMERCIAL: WhatsApp do time comercial que recebe o aviso (Evolution)
+ * - MEGAZAP_DEPARTAMENTO_COMERCIAL / MEGAZAP_USUARIO_COMERCIAL: destino do ticket no Megazap
+ */
+
+const endpoint = require('../config/endpoint');
+const database = require('../config/database');
+const fluxoService = require('./fluxoService');
+const boletoService = require('./boletoService');
+const validacaoService = require('./validacaoService');
+const logger = require('../utils/logger');
+
+/**
+ * Respostas do cliente a uma proposta
+ */
+const RESPOSTAS = {
+    ACEITO: 'aceito',
+    DUVIDAS: 'duvidas'
+};
+
+/**
+ * Palavras que identificam cada resposta (sem acentos)
+ */
+const PALAVRAS_RESPOSTA = {
+    [RESPOSTAS.ACEITO]: ['aceito', 'aceita', 'aceitar', 'aceitamos', 'aprovado', 'aprovada', 'aprovo', 'de acordo', 'fechado'],
+    [RESPOSTAS.DUVIDAS]: ['duvida', 'duvidas', 'pergunta', 'perguntas', 'nao entendi', 'esclarecer']
+};
+
+/**
+ * Remove acentos e normaliza caixa
+ * @param {string} texto - Texto original
+ * @returns {string} Texto normalizado
+ */
+function normalizarTexto(texto) {
+    return String(texto || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Busca as propostas em aberto de uma ou mais empresas
+ * @param {Object|Array} cliente - Empresa ou lista de empresas (id do parceiro)
+ * @returns {Promise<Object>} Resultado com propostas (cada uma com a empresa de origem)
+ */
+async function buscarPropostas(cliente) {
+    const empresas = Array.isArray(cliente) ? cliente : [cliente];
+    const propostas = [];
+    let success = false;
+    let error = null;
+
+    for (const empresa of empresas) {
+        const resultado = await endpoint.getPropostasByCNPJ(empresa.id);
+
+        if (!resultado.success) {
+            error = resultado.error;
+            continue;
+        }
+
+        success = true;
+        propostas.push(...resultado.data.map(proposta => ({ ...proposta, empresa })));
+    }
+
+    return {
+        success: success,
+        data: propostas,
+        error: success ? null : error
+    };
+}
+
+/**
+ * Valor total da proposta
+ * @param {Object} proposta - Proposta do ERP
+ * @returns {string} Valor formatado ou '-'
+ */
+function formatarValorProposta(proposta) {
+    const valor = Number(proposta.valorTotal ?? proposta.valor);
+    return isNaN(valor) ? '-' : `R$ ${valor.toFixed(2)}`;
+}
+
+/**
+ * Número exibido ao cliente
+ * @param {Object} proposta - Proposta do ERP
+ * @returns {string} Número da proposta
+ */
+function numeroProposta(proposta) {
+    return String(proposta.numero || proposta.idProposta);
+}
+
+/**
+ * Monta resumo numerado das propostas (número, emissão, validade e valor)
+ * @param {Array} propostas - Propostas (podem conter "empresa" quando de várias empresas)
+ * @returns {string} Resumo formatado
+ */
+function montarResumoPropostas(propostas) {
+    const variasEmpresas = new Set(propostas.map(proposta => proposta.empresa?.id)).size > 1;
+
+    const linhas = propostas.map((proposta, indice) => {
+        const empresa = variasEmpresas && proposta.empresa
+            ? `\n   ${proposta.empresa.nomeFantasia || proposta.empresa.nome}`
+            : '';
+        const validade = proposta.dataValidade
+            ? `\n   Validade: ${boletoService.formatarDataBoleto(proposta.dataValidade)}`
+            : '';
+
+        return `${fluxoService.numeroEmoji(indice + 1)} *Proposta: ${numeroProposta(proposta)}*${empresa}\n` +
+            `   Emissão: ${boletoService.formatarDataBoleto(proposta.dataEmissao)}${validade}\n` +
+            `   Valor: ${formatarValorProposta(proposta)}`;
+    });
+
+    return linhas.join('\n\n');
+}
+
+/**
+ * Interpreta a escolha da proposta: posição no resumo ou número da proposta
+ * @param {string} mensagem - Resposta do cliente
+ * @param {Array} propostas - Propostas na ordem do resumo
+ * @returns {Object|null} Proposta escolhida ou null
+ */
+function interpretarSelecao(mensagem, propostas) {
+    const texto = normalizarTexto(mensagem).replace(/^proposta\s*/, '');
+
+    const porNumero = propostas.find(proposta => normalizarTexto(numeroProposta(proposta)) === texto);
+    if (porNumero) {
+        return porNumero;
+    }
+
+    if (!/^\d+$/.test(texto)) {
+        return null;
+    }
+
+    return propostas[parseInt(texto, 10) - 1] || null;
+}
+
+/**
+ * Interpreta a resposta do cliente à proposta
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {string|null} RESPOSTAS.ACEITO, RESPOSTAS.DUVIDAS ou null
+ */
+function interpretarResposta(mensagem) {
+    const texto = normalizarTexto(mensagem);
+
+    // "Não aceito" não é aceite: tratado como dúvida para o comercial retornar
+    if (/\bnao\s+aceit/.test(texto)) {
+        return RESPOSTAS.DUVIDAS;
+    }
+
+    for (const [resposta, palavras] of Object.entries(PALAVRAS_RESPOSTA)) {
+        if (palavras.some(palavra => texto.includes(palavra))) {
+            return resposta;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Registra a resposta do cliente em whapi_proposta_resposta
+ * @param {Object} dados - Dados da resposta
+ * @param {Object} dados.proposta - Proposta respondida (com empresa)
+ * @param {string} dados.telefone - Telefone do cliente
+ * @param {string} dados.resposta - RESPOSTAS.ACEITO ou RESPOSTAS.DUVIDAS
+ * @param {string} dados.mensagem - Texto enviado pelo cliente
+ * @returns {Promise<Object>} Resultado da gravação
+ */
+async function registrarResposta({ proposta, telefone, resposta, mensagem }) {
+    const empresa = proposta.empresa || {};
+
+    logger.info('[PROPOSTAS] Resposta do cliente', {
+        idProposta: proposta.idProposta,
+        numero: numeroProposta(proposta),
+        telefone: telefone,
+        resposta: resposta
+    });
+
+    const resultado = await database.registrarRespostaProposta({
+        idProposta: proposta.idProposta,
+        numero: proposta.numero,
+        idParceiro: empresa.id,
+        cnpj: validacaoService.normalizarCpfCnpj(empresa.cpfCnpj || ''),
+        telefone: telefone,
+        resposta: resposta,
+        mensagem: mensagem
+    });
+
+    if (!resultado.success) {
+        logger.warn('[PROPOSTAS] Falha ao gravar resposta', { idProposta: proposta.idProposta, error: resultado.error });
+    }
+
+    return resultado;
+}
+
+/**
+ * Monta aviso para o time comercial
+ * @param {Object} proposta - Proposta respondida
+ * @param {string} telefone - Telefone do cliente
+ * @param {string} resposta - Resposta interpretada
+ * @param {string} mensagem - Texto enviado pelo cliente
+ * @returns {string} Aviso formatado
+ */
+function montarAvisoComercial(proposta, telefone, resposta, mensagem) {
+    const empresa = proposta.empresa || {};
+    const titulo = resposta === RESPOSTAS.ACEITO ? '✅ *Proposta aceita*' : '❓ *Dúvidas sobre proposta*';
+
+    return `${titulo}\n\n` +
+        `*Proposta:* ${numeroProposta(proposta)}\n` +
+        `*Valor:* ${formatarValorProposta(proposta)}\n` +
+        `*Empresa:* ${empresa.nomeFantasia || empresa.nome || '-'}\n` +
+        (empresa.cpfCnpj ? `*${validacaoService.rotuloDocumento(empresa.cpfCnpj)}:* ${validacaoService.formatarCpfCnpj(empresa.cpfCnpj)}\n` : '') +
+        `*Telefone:* ${telefone}\n` +
+        `*Mensagem:* ${mensagem}`;
+}
+
+/**
+ * Destino do ticket comercial no Megazap (departamento/usuário configurados)
+ * @returns {Object|null} newTicket ou null quando não configurado
+ */
+function getTicketComercialMegazap() {
+    const departmentUUID = process.env.MEGAZAP_DEPARTAMENTO_COMERCIAL;
+    const userUUID = process.env.MEGAZAP_USUARIO_COMERCIAL;
+
+    if (!departmentUUID && !userUUID) {
+        return null;
+    }
+
+    return { departmentUUID, userUUID };
+}
+
+module.exports = {
+    RESPOSTAS,
+    buscarPropostas,
+    numeroProposta,
+    formatarValorProposta,
+    montarResumoPropostas,
+    interpretarSelecao,
+    interpretarResposta,
+    registrarResposta,
+    montarAvisoComercial,
+    getTicketComercialMegazap
+};
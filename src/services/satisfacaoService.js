@@ -0,0 +1,328 @@
+/**
+ * Serviço de Pesquisa de Satisfação (CSAT)
+ *
+ * Ao fim do atendimento o bot pede uma nota de 1 a 5 e, em seguida, um comentário
+ * opcional. A pesquisa é disparada quando:
+ * - o cliente encerra a conversa (processarEncerramentoManual)
+ * - a sessão é encerrada por inatividade (varredura do inatividadeService)
+ * - o atendimento humano é encerrado (atendimentoHumanoService.encerrar)
+ *
+ * A pesquisa pendente fica no armazenamento de sessões (namespace satisfacao). A
+ * próxima mensagem do cliente é tratada aqui antes do fluxo de atendimento: uma nota
+ * válida é gravada em whapi_atendimento_avaliacao (vinculada ao registro de
+ * whapi_atendimento); qualquer outra mensagem descarta a pesquisa e segue para o fluxo.
+ *
+ * Um número solto ("2") também é opção de menu: só vale como nota se a pergunta foi a
+ * última mensagem do bot para o contato ("nota 2", "2/5" e estrelas valem sempre). Na
+ * etapa do comentário, opções de menu e pedidos curtos com intenção reconhecida
+ * (ex.: "quero meu boleto") encerram a pesquisa e seguem para o fluxo.
+ *
+ * CSAT = percentual de notas 4 e 5 (relatório em /satisfacao/relatorio).
+ *
+ * Configuração (.env):
+ * - CSAT_ATIVO: 'false' desativa a pesquisa
+ * - CSAT_VALIDADE: tempo para o cliente responder em ms (padrão 30 minutos)
+ */
+
+require('dotenv').config();
+
+const sessaoService = require('./sessaoService');
+const messageService = require('../config/messageService');
+const database = require('../config/database');
+const MENSAGENS = require('../utils/mensagens');
+const intencaoService = require('./intencaoService');
+
+/**
+ * Pesquisas pendentes: telefone → { etapa, avaliacao, atendimentoId, ... }
+ */
+const pesquisas = sessaoService.criarArmazenamento('satisfacao', {
+    ttl: parseInt(process.env.CSAT_VALIDADE) || 30 * 60 * 1000
+});
+
+/**
+ * Respostas que pulam o comentário
+ */
+const SEM_COMENTARIO = ['0', 'n', 'nao', 'não', 'nada', 'pular'];
+
+/**
+ * Pedidos com até este número de palavras e intenção reconhecida não são comentário
+ */
+const PALAVRAS_PEDIDO = 6;
+
+/**
+ * Intenções que valem como pedido na etapa do comentário
+ * (atendente e suporte ficam de fora: "ótimo atendimento" é comentário)
+ */
+const INTENCOES_PEDIDO = Object.keys(intencaoService.INTENCOES)
+    .filter(intencao => !['atendente', 'suporte'].includes(intencao));
+
+/**
+ * Verifica se a pesquisa está ativa
+ * @returns {boolean} True se ativa
+ */
+function estaAtivo() {
+    return process.env.CSAT_ATIVO !== 'false';
+}
+
+/**
+ * Normaliza telefone para chave
+ * @param {string} telefone - Número do telefone
+ * @returns {string} Apenas números
+ */
+function normalizarTelefone(telefone) {
+    return String(telefone || '').replace(/\D/g, '');
+}
+
+/**
+ * Extrai a nota da resposta do cliente
+ * Aceita "4", "nota 4", "4 estrelas", "4/5" ou estrelas (⭐⭐⭐⭐)
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {number|null} Nota de 1 a 5 ou null
+ */
+function extrairNota(mensagem) {
+    const texto = String(mensagem || '').trim();
+
+    const numero = texto.match(/^(?:nota\s*)?([1-5])(?:\s*(?:estrelas?|\/\s*5))?[.!]?$/i);
+    if (numero) {
+        return parseInt(numero[1], 10);
+    }
+
+    const estrelas = texto.replace(/\s|️/g, '');
+    if (/^(?:⭐|🌟){1,5}$/u.test(estrelas)) {
+        return Array.from(estrelas).length;
+    }
+
+    return null;
+}
+
+/**
+ * Verifica se a resposta é um número solto, que também pode ser uma opção de menu
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {boolean} True se for apenas o dígito
+ */
+function ehNumeroSolto(mensagem) {
+    return /^\d[.!]?$/.test(String(mensagem || '').trim());
+}
+
+/**
+ * Verifica se a pergunta da pesquisa foi a última mensagem enviada ao contato
+ * @param {string} telefone - Número do telefone (normalizado)
+ * @param {Object} pesquisa - Pesquisa pendente
+ * @returns {boolean} True se nada foi enviado depois da pergunta
+ */
+function perguntaFoiUltimoEnvio(telefone, pesquisa) {
+    const ultimoEnvio = messageService.obterUltimoEnvioBot(telefone);
+    return !ultimoEnvio || ultimoEnvio <= pesquisa.enviadaEm;
+}
+
+/**
+ * Verifica se a mensagem da etapa do comentário é um pedido para o fluxo
+ * (opção de menu ou pedido curto com intenção reconhecida)
+ * @param {string} mensagem - Mensagem do cliente
+ * @returns {boolean} True se a mensagem deve seguir para o fluxo
+ */
+function ehPedido(mensagem) {
+    const texto = String(mensagem || '').trim();
+
+    if (ehNumeroSolto(texto) || texto.toLowerCase() === 'menu') {
+        return true;
+    }
+
+    // "nota 10" ainda é resposta à pesquisa
+    if (texto.split(/\s+/).length > PALAVRAS_PEDIDO || /^nota\s*\d/i.test(texto)) {
+        return false;
+    }
+
+    return intencaoService.reconhecer(texto, { intencoes: INTENCOES_PEDIDO }).decisao === intencaoService.DECISOES.ACEITA;
+}
+
+/**
+ * Localiza o registro de whapi_atendimento da conversa avaliada
+ * Procura pelo messageId e, se não achar, pelo último atendimento do cliente
+ * @param {Object} contexto - { messageId, cliente }
+ * @returns {Promise<Object|null>} { id, messageId } ou null
+ */
+async function localizarAtendimento(contexto) {
+    if (contexto.messageId) {
+        const result = await database.getAtendimentoByMessageId(contexto.messageId);
+        if (result.success && result.data.length > 0) {
+            return result.data[0];
+        }
+    }
+
+    if (contexto.cliente) {
+        const result = await database.getUltimoAtendimentoCliente(contexto.cliente);
+        if (result.success && result.data.length > 0) {
+            return result.data[0];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Envia a pesquisa ao cliente
+ * @param {string} telefone - Número do telefone
+ * @param {Object} contexto - { origem, messageId, cliente, intencao, agente }
+ * @returns {Promise<boolean>} True se a pesquisa foi enviada
+ */
+async function solicitar(telefone, contexto = {}) {
+    if (!estaAtivo()) {
+        return false;
+    }
+
+    const chave = normalizarTelefone(telefone);
+
+    try {
+        const atendimento = await localizarAtendimento(contexto);
+
+        const envio = await messageService.sendTextMessage(chave, MENSAGENS.SATISFACAO.PERGUNTA());
+
+        if (!envio.success) {
+            console.log(`[CSAT] Falha ao enviar pesquisa para ${chave}:`, envio.error);
+            return false;
+        }
+
+        await pesquisas.definir(chave, {
+            etapa: 'nota',
+            atendimentoId: atendimento?.id || null,
+            cliente: contexto.cliente || atendimento?.cliente || null,
+            intencao: contexto.intencao || null,
+            agente: contexto.agente || null,
+            origem: contexto.origem || null,
+            enviadaEm: Date.now(),
+            ultimaInteracao: Date.now()
+        });
+
+        console.log(`⭐ [CSAT] Pesquisa enviada para ${chave} (${contexto.origem || '-'})`);
+        return true;
+
+    } catch (error) {
+        console.error(`[CSAT] Erro ao solicitar pesquisa para ${chave}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Trata a resposta do cliente à pesquisa pendente
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Mensagem do cliente
+ * @param {number} recebidaEm - Momento em que a mensagem chegou (padrão agora)
+ * @returns {Promise<Object|null>} Resultado do processamento ou null (mensagem segue para o fluxo)
+ */
+async function processarResposta(telefone, mensagem, recebidaEm = Date.now()) {
+    const chave = normalizarTelefone(telefone);
+    const pesquisa = await pesquisas.obter(chave);
+
+    if (!pesquisa) {
+        return null;
+    }
+
+    // Mensagem escrita antes da pesquisa (ex.: a que encerrou o atendimento humano inativo)
+    if (pesquisa.enviadaEm >= recebidaEm) {
+        return null;
+    }
+
+    if (pesquisa.etapa === 'nota') {
+        let nota = extrairNota(mensagem);
+
+        // O bot falou depois da pergunta: o número responde a outra mensagem (ex.: menu)
+        if (nota && ehNumeroSolto(mensagem) && !perguntaFoiUltimoEnvio(chave, pesquisa)) {
+            nota = null;
+        }
+
+        if (!nota) {
+            // Cliente seguiu a conversa sem avaliar
+            console.log(`[CSAT] ${chave} não respondeu a pesquisa, descartando`);
+            await pesquisas.remover(chave);
+            return null;
+        }
+
+        const result = await database.registrarAvaliacao({
+            atendimentoId: pesquisa.atendimentoId,
+            telefone: chave,
+            cliente: pesquisa.cliente,
+            nota,
+            intencao: pesquisa.intencao,
+            agente: pesquisa.agente,
+            origem: pesquisa.origem
+        });
+
+        if (!result.success) {
+            console.error(`[CSAT] Erro ao gravar avaliação de ${chave}:`, result.error);
+            await pesquisas.remover(chave);
+            await messageService.sendTextMessage(chave, MENSAGENS.SATISFACAO.AGRADECIMENTO());
+            return { status: 'avaliacao_erro' };
+        }
+
+        pesquisa.etapa = 'comentario';
+        pesquisa.avaliacao = result.data.insertId;
+        pesquisa.ultimaInteracao = Date.now();
+        await pesquisas.definir(chave, pesquisa);
+
+        await messageService.sendTextMessage(chave, MENSAGENS.SATISFACAO.COMENTARIO());
+        return { status: 'avaliacao_nota', nota };
+    }
+
+    // Etapa comentario
+    const comentario = String(mensagem || '').trim();
+
+    if (!SEM_COMENTARIO.includes(comentario.toLowerCase()) && ehPedido(comentario)) {
+        // A nota já foi gravada: o pedido segue para o fluxo sem comentário
+        console.log(`[CSAT] ${chave} fez um pedido em vez de comentar, encerrando a pesquisa`);
+        await pesquisas.remover(chave);
+        return null;
+    }
+
+    if (comentario && !SEM_COMENTARIO.includes(comentario.toLowerCase())) {
+        const result = await database.atualizarComentarioAvaliacao(pesquisa.avaliacao, comentario);
+
+        if (!result.success) {
+            console.error(`[CSAT] Erro ao gravar comentário de ${chave}:`, result.error);
+        }
+    }
+
+    await pesquisas.remover(chave);
+    await messageService.sendTextMessage(chave, MENSAGENS.SATISFACAO.AGRADECIMENTO());
+
+    return { status: 'avaliacao_concluida' };
+}
+
+/**
+ * Relatório de satisfação do período
+ * @param {Date} inicio - Início do período
+ * @param {Date} fim - Fim do período (exclusivo)
+ * @returns {Promise<Object>} { success, data: { geral, porDia, porIntencao, porAgente }, error }
+ */
+async function relatorio(inicio, fim) {
+    const [geral, porDia, porIntencao, porAgente] = await Promise.all([
+        database.relatorioAvaliacoes(null, inicio, fim),
+        database.relatorioAvaliacoes('dia', inicio, fim),
+        database.relatorioAvaliacoes('intencao', inicio, fim),
+        database.relatorioAvaliacoes('agente', inicio, fim)
+    ]);
+
+    const falha = [geral, porDia, porIntencao, porAgente].find(result => !result.success);
+    if (falha) {
+        return { success: false, data: null, error: falha.error };
+    }
+
+    return {
+        success: true,
+        data: {
+            geral: geral.data[0] || { total: 0, media: null, satisfeitos: 0, csat: null },
+            porDia: porDia.data,
+            porIntencao: porIntencao.data,
+            porAgente: porAgente.data
+        },
+        error: null
+    };
+}
+
+module.exports = {
+    estaAtivo,
+    extrairNota,
+    solicitar,
+    processarResposta,
+    relatorio
+};
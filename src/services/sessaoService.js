@@ -0,0 +1,321 @@
+/**
+ * Serviço de Sessões de Atendimento
+ *
+ * Armazena o estado das conversas em andamento (etapa, cliente, contato, etc)
+ * de forma compartilhada entre os fluxos Evolution, Megazap e legado.
+ *
+ * Backends disponíveis (variável SESSAO_BACKEND do .env):
+ * - memoria: Map em memória do processo (padrão)
+ * - mysql:   tabela whapi_sessao, sobrevive a deploys e é visível por várias instâncias
+ *
+ * Os dois backends devolvem cópias: alterar o estado lido não altera a sessão até
+ * ela ser gravada com definir. As sessões expiradas de todos os namespaces são
+ * removidas pela varredura do inatividadeService (removerExpiradas).
+ *
+ * Uso:
+ *   const sessaoService = require('./sessaoService');
+ *   const sessoes = sessaoService.criarArmazenamento('atendimento');
+ *   const estado = await sessoes.obter(telefone);
+ *   await sessoes.definir(telefone, { etapa: 'menu_principal' });
+ */
+
+require('dotenv').config();
+
+const database = require('../config/database');
+
+/**
+ * Timeout de sessão (30 minutos padrão)
+ */
+const TIMEOUT_SESSAO = parseInt(process.env.TIMEOUT_SESSAO) || 30 * 60 * 1000;
+
+/**
+ * Backends disponíveis
+ */
+const BACKENDS = {
+    MEMORIA: 'memoria',
+    MYSQL: 'mysql'
+};
+
+/**
+ * Verifica se o estado ultrapassou o tempo de vida
+ * @param {Object} estado - Estado da sessão
+ * @param {number} ttl - Tempo de vida em milissegundos
+ * @returns {boolean} True se expirado
+ */
+function estaExpirado(estado, ttl) {
+    if (!estado || !estado.ultimaInteracao) {
+        return false;
+    }
+
+    return (Date.now() - estado.ultimaInteracao) > ttl;
+}
+
+/**
+ * Tempo de vida de cada namespace criado (usado em removerExpiradas)
+ */
+const namespaces = new Map();
+
+/**
+ * Backend em memória (Map por namespace)
+ * Guarda o estado serializado, como o MySQL, para leitura e gravação trabalharem com cópias
+ */
+class MemoriaBackend {
+    constructor() {
+        this.sessoes = new Map();
+    }
+
+    chave(namespace, telefone) {
+        return `${namespace}:${telefone}`;
+    }
+
+    async obter(namespace, telefone) {
+        const estado = this.sessoes.get(this.chave(namespace, telefone));
+        return estado ? JSON.parse(estado) : null;
+    }
+
+    async definir(namespace, telefone, estado) {
+        this.sessoes.set(this.chave(namespace, telefone), JSON.stringify(estado));
+        return true;
+    }
+
+    async remover(namespace, telefone) {
+        return this.sessoes.delete(this.chave(namespace, telefone));
+    }
+
+    async listar(namespace) {
+        const prefixo = `${namespace}:`;
+        const lista = [];
+
+        for (const [chave, estado] of this.sessoes.entries()) {
+            if (chave.startsWith(prefixo)) {
+                lista.push({ telefone: chave.substring(prefixo.length), estado: JSON.parse(estado) });
+            }
+        }
+
+        return lista;
+    }
+
+    async removerExpiradas(namespace, ttl) {
+        let removidas = 0;
+
+        for (const { telefone, estado } of await this.listar(namespace)) {
+            if (estaExpirado(estado, ttl)) {
+                this.sessoes.delete(this.chave(namespace, telefone));
+                removidas++;
+            }
+        }
+
+        return removidas;
+    }
+}
+
+/**
+ * Backend MySQL (tabela whapi_sessao)
+ */
+class MySQLBackend {
+    converterRegistro(registro) {
+        try {
+            return JSON.parse(registro.estado);
+        } catch (error) {
+            console.error(`[SESSAO] Estado inválido para ${registro.telefone}:`, error.message);
+            return null;
+        }
+    }
+
+    async obter(namespace, telefone) {
+        const result = await database.getSessao(namespace, telefone);
+
+        if (!result.success || result.data.length === 0) {
+            return null;
+        }
+
+        return this.converterRegistro(result.data[0]);
+    }
+
+    async definir(namespace, telefone, estado, ttl) {
+        const result = await database.salvarSessao(namespace, telefone, estado, ttl);
+        return result.success;
+    }
+
+    async remover(namespace, telefone) {
+        const result = await database.removerSessao(namespace, telefone);
+        return result.success;
+    }
+
+    async listar(namespace) {
+        const result = await database.listarSessoes(namespace);
+
+        if (!result.success) {
+            return [];
+        }
+
+        return result.data
+            .map(registro => ({ telefone: registro.telefone, estado: this.converterRegistro(registro) }))
+            .filter(item => item.estado);
+    }
+
+    async removerExpiradas(namespace) {
+        const result = await database.removerSessoesExpiradas(namespace);
+        return result.success ? result.data.affectedRows : 0;
+    }
+}
+
+/**
+ * Obtém o backend configurado
+ * @returns {string} Backend configurado (memoria ou mysql)
+ */
+function getBackend() {
+    return process.env.SESSAO_BACKEND || BACKENDS.MEMORIA;
+}
+
+/**
+ * Instância única do backend (compartilhada por todos os fluxos)
+ */
+let backendInstancia = null;
+
+/**
+ * Cria (uma vez) e retorna o backend configurado
+ * @returns {MemoriaBackend|MySQLBackend} Backend de sessões
+ */
+function getBackendInstancia() {
+    if (backendInstancia) {
+        return backendInstancia;
+    }
+
+    const backend = getBackend();
+
+    switch (backend) {
+        case BACKENDS.MYSQL:
+            console.log('[SESSAO] Usando backend MySQL (whapi_sessao)');
+            backendInstancia = new MySQLBackend();
+            break;
+
+        case BACKENDS.MEMORIA:
+            console.log('[SESSAO] Usando backend em memória');
+            backendInstancia = new MemoriaBackend();
+            break;
+
+        default:
+            console.warn(`[SESSAO] Backend desconhecido: ${backend}. Usando memória como padrão.`);
+            backendInstancia = new MemoriaBackend();
+    }
+
+    return backendInstancia;
+}
+
+/**
+ * Cria armazenamento de sessões para um fluxo
+ * @param {string} namespace - Identificador do fluxo (atendimento, megazap, legado)
+ * @param {Object} opcoes - Opções adicionais
+ * @param {number} opcoes.ttl - Tempo de vida em milissegundos (padrão: TIMEOUT_SESSAO)
+ * @returns {Object} API de sessões: obter, definir, remover, listar, removerExpiradas
+ */
+function criarArmazenamento(namespace, opcoes = {}) {
+    const ttl = opcoes.ttl || TIMEOUT_SESSAO;
+
+    // Mesmo namespace criado em mais de um módulo: a limpeza respeita o maior TTL
+    namespaces.set(namespace, Math.max(ttl, namespaces.get(namespace) || 0));
+
+    return {
+        namespace,
+        ttl,
+
+        /**
+         * Obtém sessão válida (sessões expiradas são descartadas)
+         * @param {string} telefone - Número do telefone
+         * @param {Object} opcoes - Opções adicionais
+         * @param {boolean} opcoes.incluirExpirada - Devolve a sessão mesmo expirada, sem removê-la (varredura)
+         * @returns {Promise<Object|null>} Estado da sessão
+         */
+        async obter(telefone, { incluirExpirada = false } = {}) {
+            const estado = await getBackendInstancia().obter(namespace, telefone);
+
+            if (!incluirExpirada && estaExpirado(estado, ttl)) {
+                console.log(`⏱️ [SESSAO] Sessão expirada para ${telefone} (${namespace})`);
+                await getBackendInstancia().remover(namespace, telefone);
+                return null;
+            }
+
+            return estado;
+        },
+
+        /**
+         * Grava sessão (inicializa ultimaInteracao se ausente)
+         * @param {string} telefone - Número do telefone
+         * @param {Object} estado - Estado da sessão
+         * @returns {Promise<boolean>} True se gravado
+         */
+        async definir(telefone, estado) {
+            if (!estado.ultimaInteracao) {
+                estado.ultimaInteracao = Date.now();
+            }
+
+            return await getBackendInstancia().definir(namespace, telefone, estado, ttl);
+        },
+
+        /**
+         * Atualiza timestamp da última interação
+         * @param {string} telefone - Número do telefone
+         * @returns {Promise<Object|null>} Estado atualizado
+         */
+        async tocar(telefone) {
+            const estado = await this.obter(telefone);
+
+            if (!estado) {
+                return null;
+            }
+
+            estado.ultimaInteracao = Date.now();
+            await getBackendInstancia().definir(namespace, telefone, estado, ttl);
+            return estado;
+        },
+
+        /**
+         * Remove sessão
+         * @param {string} telefone - Número do telefone
+         * @returns {Promise<boolean>} True se removido
+         */
+        async remover(telefone) {
+            return await getBackendInstancia().remover(namespace, telefone);
+        },
+
+        /**
+         * Lista todas as sessões do fluxo (inclusive expiradas ainda não removidas)
+         * @returns {Promise<Array>} Lista de { telefone, estado }
+         */
+        async listar() {
+            return await getBackendInstancia().listar(namespace);
+        },
+
+        /**
+         * Remove sessões expiradas do fluxo
+         * @returns {Promise<number>} Quantidade removida
+         */
+        async removerExpiradas() {
+            return await getBackendInstancia().removerExpiradas(namespace, ttl);
+        }
+    };
+}
+
+/**
+ * Remove as sessões expiradas de todos os namespaces criados
+ * @returns {Promise<number>} Quantidade removida
+ */
+async function removerExpiradas() {
+    let removidas = 0;
+
+    for (const [namespace, ttl] of namespaces) {
+        removidas += await getBackendInstancia().removerExpiradas(namespace, ttl);
+    }
+
+    return removidas;
+}
+
+module.exports = {
+    BACKENDS,
+    TIMEOUT_SESSAO,
+    getBackend,
+    criarArmazenamento,
+    removerExpiradas,
+    estaExpirado
+};
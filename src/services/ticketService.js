@@ -0,0 +1,310 @@
+/**
+ * Serviço de Tickets de Atendimento
+ *
+ * A transferência para a equipe ("Falar com Atendente" / "Falar com Suporte" / resposta a
+ * uma proposta) abre um ticket em whapi_ticket com empresa, telefone, motivo, últimas
+ * mensagens do cliente e setor (financeiro, suporte ou comercial). O ticket é anunciado no grupo de WhatsApp da equipe
+ * e o cliente recebe o número do ticket e a posição na fila do setor.
+ *
+ * Fila: tickets com status "aberto". Quando um agente responde o ticket passa a
+ * "em_atendimento" (sai da fila) e é fechado quando o atendimento humano termina
+ * (inclusive quando ninguém responde dentro de HUMANO_FILA_TIMEOUT). Um cliente com
+ * ticket em andamento não abre outro: recebe o número do atual.
+ *
+ * O recado deixado fora do horário é gravado como "recado": não há atendimento humano
+ * por trás, então ele não entra na fila nem é reaproveitado; a equipe retorna o contato.
+ *
+ * No Megazap a fila é do próprio Megazap: o ticket é gravado como "encaminhado" (fica só
+ * como registro e aviso no grupo), não entra na fila do bot e não é reaproveitado.
+ *
+ * Configuração (.env):
+ * - TICKET_ATIVO: 'false' desativa a abertura de tickets
+ * - TICKET_GRUPO_EQUIPE: JID do grupo da equipe (ex: 120363000000000000@g.us)
+ * - TICKET_ULTIMAS_MENSAGENS: mensagens do cliente guardadas no ticket (padrão 5)
+ * - MEGAZAP_DEPARTAMENTO_FINANCEIRO / MEGAZAP_USUARIO_FINANCEIRO: destino do ticket no Megazap
+ * - MEGAZAP_DEPARTAMENTO_SUPORTE / MEGAZAP_USUARIO_SUPORTE: destino do ticket no Megazap
+ * - MEGAZAP_DEPARTAMENTO_COMERCIAL / MEGAZAP_USUARIO_COMERCIAL: destino do ticket no Megazap
+ */
+
+require('dotenv').config();
+
+const database = require('../config/database');
+const evolutionAPI = require('../config/evolution');
+const validacaoService = require('./validacaoService');
+
+/**
+ * Setores (departamentos) dos tickets
+ */
+const SETORES = {
+    FINANCEIRO: 'financeiro',
+    SUPORTE: 'suporte',
+    COMERCIAL: 'comercial'
+};
+
+/**
+ * Rótulo e sufixo das variáveis MEGAZAP_* de cada setor
+ */
+const ROTULOS_SETOR = {
+    [SETORES.FINANCEIRO]: 'Financeiro',
+    [SETORES.SUPORTE]: 'Suporte',
+    [SETORES.COMERCIAL]: 'Comercial'
+};
+
+/**
+ * Status dos tickets
+ */
+const STATUS = {
+    ABERTO: 'aberto',
+    EM_ATENDIMENTO: 'em_atendimento',
+    FECHADO: 'fechado',
+    ENCAMINHADO: 'encaminhado',
+    RECADO: 'recado'
+};
+
+/**
+ * Tempo que as mensagens do cliente ficam guardadas para o ticket (30 minutos)
+ */
+const JANELA_MENSAGENS = 30 * 60 * 1000;
+
+/**
+ * Últimas mensagens recebidas por telefone: telefone → [{ data, mensagem }]
+ */
+const mensagensRecentes = new Map();
+
+/**
+ * Verifica se a abertura de tickets está ativa
+ * @returns {boolean} True se ativa
+ */
+function estaAtivo() {
+    return process.env.TICKET_ATIVO !== 'false';
+}
+
+/**
+ * Normaliza telefone para chave
+ * @param {string} telefone - Número do telefone
+ * @returns {string} Apenas números
+ */
+function normalizarTelefone(telefone) {
+    return String(telefone || '').replace(/\D/g, '');
+}
+
+/**
+ * Guarda mensagem do cliente (usada no resumo do ticket)
+ * @param {string} telefone - Número do telefone
+ * @param {string} mensagem - Texto da mensagem
+ */
+function registrarMensagem(telefone, mensagem) {
+    if (!mensagem || !String(mensagem).trim()) {
+        return;
+    }
+
+    const chave = normalizarTelefone(telefone);
+    const limite = parseInt(process.env.TICKET_ULTIMAS_MENSAGENS) || 5;
+    const mensagens = obterUltimasMensagens(chave);
+
+    mensagens.push({ data: Date.now(), mensagem: String(mensagem).trim() });
+
+    // Reinsere no fim para manter a ordem de expiração
+    mensagensRecentes.delete(chave);
+    mensagensRecentes.set(chave, mensagens.slice(-limite));
+
+    for (const [telefoneAntigo, lista] of mensagensRecentes) {
+        if (Date.now() - lista[lista.length - 1].data <= JANELA_MENSAGENS) {
+            break;
+        }
+        mensagensRecentes.delete(telefoneAntigo);
+    }
+}
+
+/**
+ * Obtém as últimas mensagens do cliente dentro da janela
+ * @param {string} telefone - Número do telefone
+ * @returns {Array} Lista de { data, mensagem }
+ */
+function obterUltimasMensagens(telefone) {
+    const lista = mensagensRecentes.get(normalizarTelefone(telefone)) || [];
+    return lista.filter(item => Date.now() - item.data <= JANELA_MENSAGENS);
+}
+
+/**
+ * Rótulo do setor para mensagens
+ * @param {string} setor - Setor do ticket
+ * @returns {string} Rótulo
+ */
+function rotuloSetor(setor) {
+    return ROTULOS_SETOR[setor] || ROTULOS_SETOR[SETORES.FINANCEIRO];
+}
+
+/**
+ * Monta o resumo do ticket para o grupo da equipe
+ * @param {Object} ticket - Dados do ticket
+ * @param {number|null} posicao - Posição na fila (null para recado ou fila do Megazap)
+ * @returns {string} Resumo formatado
+ */
+function montarResumo(ticket, posicao) {
+    const mensagens = (ticket.ultimasMensagens || [])
+        .map(item => `› ${item.mensagem}`)
+        .join('\n');
+
+    return `🎫 *Novo ticket nº ${ticket.numero}* (${rotuloSetor(ticket.setor)})\n\n` +
+        `*Empresa:* ${ticket.empresa || 'Não identificada'}\n` +
+        (ticket.documento ? `*${validacaoService.rotuloDocumento(ticket.documento)}:* ${validacaoService.formatarCpfCnpj(ticket.documento)}\n` : '') +
+        `*Telefone:* ${ticket.telefone}\n` +
+        `*Motivo:* ${ticket.motivo || '-'}\n` +
+        (posicao
+            ? `*Posição na fila:* ${posicao}\n`
+            : ticket.status === STATUS.RECADO ? '*Fila:* Recado (retornar o contato)\n' : '*Fila:* Megazap\n') +
+        (mensagens ? `\n*Últimas mensagens:*\n${mensagens}` : '');
+}
+
+/**
+ * Anuncia o ticket no grupo da equipe
+ * O envio é sempre pela instância Evolution: no formato Megazap o messageService apenas
+ * monta a resposta do webhook e não consegue enviar mensagens para outro chat
+ * @param {Object} ticket - Dados do ticket
+ * @param {number|null} posicao - Posição na fila
+ */
+async function anunciar(ticket, posicao) {
+    const grupo = process.env.TICKET_GRUPO_EQUIPE;
+
+    if (!grupo) {
+        console.log('[TICKET] TICKET_GRUPO_EQUIPE não configurado, ticket não anunciado');
+        return;
+    }
+
+    const envio = await evolutionAPI.sendTextMessage(grupo, montarResumo(ticket, posicao));
+
+    if (!envio.success) {
+        console.error(`[TICKET] Falha ao anunciar ticket ${ticket.numero} no grupo:`, envio.error);
+    }
+}
+
+/**
+ * Obtém a posição do ticket na fila do setor
+ * @param {number} numero - Número do ticket
+ * @param {string} setor - Setor
+ * @returns {Promise<number>} Posição (1 = próximo)
+ */
+async function obterPosicao(numero, setor) {
+    const result = await database.getPosicaoTicket(numero, setor);
+    return result.success ? Math.max(1, Number(result.data[0]?.posicao) || 1) : 1;
+}
+
+/**
+ * Abre ticket para o contato (ou devolve o ticket em andamento)
+ * Com dados.encaminhado (fila do Megazap) ou dados.recado (fora do horário) o ticket
+ * é sempre novo e não tem posição
+ * @param {string} telefone - Número do telefone
+ * @param {Object} dados - { setor, motivo, cliente, origem, encaminhado, recado }
+ * @returns {Promise<Object>} { success, data: { numero, posicao, setor, existente }, error }
+ */
+async function abrir(telefone, dados = {}) {
+    if (!estaAtivo()) {
+        return { success: false, data: null, error: 'Tickets desativados' };
+    }
+
+    const chave = normalizarTelefone(telefone);
+    const setor = dados.setor || SETORES.FINANCEIRO;
+    const status = dados.encaminhado ? STATUS.ENCAMINHADO : dados.recado ? STATUS.RECADO : STATUS.ABERTO;
+    const naFila = status === STATUS.ABERTO;
+
+    const emAndamento = !naFila
+        ? { success: true, data: [] }
+        : await database.getTicketEmAndamento(chave);
+
+    if (emAndamento.success && emAndamento.data.length > 0) {
+        const atual = emAndamento.data[0];
+        const posicao = atual.status === STATUS.ABERTO ? await obterPosicao(atual.id, atual.setor) : 1;
+
+        console.log(`🎫 [TICKET] ${chave} já possui o ticket ${atual.id} (${atual.status})`);
+        return { success: true, data: { numero: atual.id, posicao, setor: atual.setor, existente: true }, error: null };
+    }
+
+    const cliente = dados.cliente || {};
+    const ticket = {
+        telefone: chave,
+        cliente: cliente.id || null,
+        empresa: cliente.nomeFantasia || cliente.nome || null,
+        documento: cliente.cpfCnpj ? String(cliente.cpfCnpj).replace(/\D/g, '') : null,
+        setor,
+        motivo: dados.motivo || null,
+        ultimasMensagens: obterUltimasMensagens(chave).map(item => ({
+            data: new Date(item.data),
+            mensagem: item.mensagem
+        })),
+        origem: dados.origem || null,
+        status
+    };
+
+    const result = await database.registrarTicket(ticket);
+
+    if (!result.success) {
+        console.error(`[TICKET] Erro ao abrir ticket para ${chave}:`, result.error);
+        return { success: false, data: null, error: result.error };
+    }
+
+    ticket.numero = result.data.insertId;
+    const posicao = naFila ? await obterPosicao(ticket.numero, setor) : null;
+
+    console.log(`🎫 [TICKET] Ticket ${ticket.numero} (${status}) para ${chave} (${setor}${posicao ? `, posição ${posicao}` : ''})`);
+
+    await anunciar(ticket, posicao);
+
+    return { success: true, data: { numero: ticket.numero, posicao, setor, existente: false }, error: null };
+}
+
+/**
+ * Marca os tickets do contato como em atendimento (saem da fila)
+ * @param {string} telefone - Número do telefone
+ * @param {string} agente - Agente que assumiu
+ */
+async function assumir(telefone, agente) {
+    const result = await database.atualizarStatusTickets(normalizarTelefone(telefone), STATUS.EM_ATENDIMENTO, agente);
+
+    if (!result.success) {
+        console.error(`[TICKET] Erro ao assumir ticket de ${telefone}:`, result.error);
+    }
+}
+
+/**
+ * Fecha os tickets em andamento do contato
+ * @param {string} telefone - Número do telefone
+ * @param {string} agente - Agente que encerrou (opcional)
+ */
+async function fechar(telefone, agente = null) {
+    const result = await database.atualizarStatusTickets(normalizarTelefone(telefone), STATUS.FECHADO, agente);
+
+    if (!result.success) {
+        console.error(`[TICKET] Erro ao fechar ticket de ${telefone}:`, result.error);
+    }
+}
+
+/**
+ * Destino do ticket no Megazap (departamento/usuário configurados para o setor)
+ * @param {string} setor - Setor do ticket
+ * @returns {Object|null} newTicket ou null quando não configurado
+ */
+function getTicketMegazap(setor) {
+    const sufixo = rotuloSetor(setor).toUpperCase();
+    const departmentUUID = process.env[`MEGAZAP_DEPARTAMENTO_${sufixo}`];
+    const userUUID = process.env[`MEGAZAP_USUARIO_${sufixo}`];
+
+    if (!departmentUUID) {
+        return null;
+    }
+
+    return { departmentUUID, userUUID };
+}
+
+module.exports = {
+    SETORES,
+    STATUS,
+    estaAtivo,
+    registrarMensagem,
+    obterUltimasMensagens,
+    montarResumo,
+    abrir,
+    assumir,
+    fechar,
+    getTicketMegazap
+};
@@ -5,58 +5,217 @@ const endpoint = require('../config/endpoint');
  * Contém todas as funções de validação do sistema
  */
 
+/**
+ * Padrão do CNPJ alfanumérico (IN RFB 2.229/2024):
+ * 12 primeiras posições com letras maiúsculas ou números e 2 dígitos verificadores numéricos
+ * O CNPJ numérico tradicional continua válido (caso particular do mesmo padrão)
+ */
+const REGEX_CNPJ = /^[0-9A-Z]{12}\d{2}$/;
+
+/**
+ * Normaliza CNPJ numérico ou alfanumérico (remove pontuação e converte para maiúsculas)
+ * Quando o texto não forma um CNPJ alfanumérico, mantém apenas os números (comportamento anterior)
+ * @param {string} cnpj - CNPJ informado (com ou sem formatação)
+ * @returns {string} CNPJ normalizado
+ */
+function normalizarCNPJ(cnpj) {
+    const texto = String(cnpj || '').toUpperCase();
+    const alfanumerico = texto.replace(/[^0-9A-Z]/g, '');
+
+    if (REGEX_CNPJ.test(alfanumerico)) {
+        return alfanumerico;
+    }
+
+    return texto.replace(/\D/g, '');
+}
+
+/**
+ * Verifica se o CNPJ é alfanumérico (contém letras)
+ * @param {string} cnpj - CNPJ a ser verificado
+ * @returns {boolean} True se alfanumérico
+ */
+function ehCNPJAlfanumerico(cnpj) {
+    return /[A-Z]/.test(normalizarCNPJ(cnpj));
+}
+
+/**
+ * Calcula dígito verificador do CNPJ (módulo 11, pesos 2 a 9)
+ * Cada caractere vale seu código ASCII menos 48 (0-9 = 0-9, A = 17 ... Z = 42)
+ * @param {string} base - Base do CNPJ (12 ou 13 caracteres)
+ * @returns {number} Dígito verificador
+ */
+function calcularDigitoCNPJ(base) {
+    let soma = 0;
+    let peso = 2;
+
+    for (let i = base.length - 1; i >= 0; i--) {
+        soma += (base.charCodeAt(i) - 48) * peso;
+        peso = peso === 9 ? 2 : peso + 1;
+    }
+
+    const resto = soma % 11;
+    return resto < 2 ? 0 : 11 - resto;
+}
+
 /**
  * Valida se um CNPJ é válido (apenas formato)
+ * Aceita CNPJ numérico e alfanumérico
  * @param {string} cnpj - CNPJ a ser validado
  * @returns {boolean} True se válido
  */
 function validarFormatoCNPJ(cnpj) {
-    const cnpjLimpo = cnpj.replace(/\D/g, '');
+    const cnpjLimpo = normalizarCNPJ(cnpj);
     
-    if (cnpjLimpo.length !== 14) {
+    if (!REGEX_CNPJ.test(cnpjLimpo)) {
         return false;
     }
     
-    // Verifica se todos os dígitos são iguais
-    if (/^(\d)\1{13}$/.test(cnpjLimpo)) {
+    // Verifica se todos os caracteres são iguais
+    if (/^(.)\1{13}$/.test(cnpjLimpo)) {
         return false;
     }
     
     // Validação dos dígitos verificadores
-    let tamanho = cnpjLimpo.length - 2;
-    let numeros = cnpjLimpo.substring(0, tamanho);
-    const digitos = cnpjLimpo.substring(tamanho);
-    let soma = 0;
-    let pos = tamanho - 7;
-    
-    for (let i = tamanho; i >= 1; i--) {
-        soma += numeros.charAt(tamanho - i) * pos--;
-        if (pos < 2) pos = 9;
+    const primeiroDigito = calcularDigitoCNPJ(cnpjLimpo.substring(0, 12));
+    if (primeiroDigito !== parseInt(cnpjLimpo.charAt(12))) {
+        return false;
     }
     
-    let resultado = soma % 11 < 2 ? 0 : 11 - soma % 11;
-    if (resultado != digitos.charAt(0)) {
+    const segundoDigito = calcularDigitoCNPJ(cnpjLimpo.substring(0, 13));
+    if (segundoDigito !== parseInt(cnpjLimpo.charAt(13))) {
         return false;
     }
     
-    tamanho = tamanho + 1;
-    numeros = cnpjLimpo.substring(0, tamanho);
-    soma = 0;
-    pos = tamanho - 7;
+    return true;
+}
+
+/**
+ * Valida se um CPF é válido (dígitos verificadores módulo 11)
+ * @param {string} cpf - CPF a ser validado
+ * @returns {boolean} True se válido
+ */
+function validarFormatoCPF(cpf) {
+    const cpfLimpo = String(cpf || '').replace(/\D/g, '');
     
-    for (let i = tamanho; i >= 1; i--) {
-        soma += numeros.charAt(tamanho - i) * pos--;
-        if (pos < 2) pos = 9;
+    if (cpfLimpo.length !== 11) {
+        return false;
     }
     
-    resultado = soma % 11 < 2 ? 0 : 11 - soma % 11;
-    if (resultado != digitos.charAt(1)) {
+    // Verifica se todos os dígitos são iguais
+    if (/^(\d)\1{10}$/.test(cpfLimpo)) {
         return false;
     }
     
+    for (const tamanho of [9, 10]) {
+        let soma = 0;
+        
+        for (let i = 0; i < tamanho; i++) {
+            soma += parseInt(cpfLimpo.charAt(i)) * (tamanho + 1 - i);
+        }
+        
+        const digito = (soma * 10) % 11 % 10;
+        if (digito !== parseInt(cpfLimpo.charAt(tamanho))) {
+            return false;
+        }
+    }
+    
     return true;
 }
 
+/**
+ * Normaliza documento informado (CPF com 11 dígitos ou CNPJ numérico/alfanumérico)
+ * @param {string} documento - CPF ou CNPJ (com ou sem formatação)
+ * @returns {string} Documento normalizado
+ */
+function normalizarCpfCnpj(documento) {
+    return normalizarCNPJ(documento);
+}
+
+/**
+ * Identifica o tipo do documento informado
+ * @param {string} documento - CPF ou CNPJ
+ * @returns {string|null} 'cpf', 'cnpj' ou null se não reconhecido
+ */
+function tipoDocumento(documento) {
+    const documentoLimpo = normalizarCpfCnpj(documento);
+    
+    if (/^\d{11}$/.test(documentoLimpo)) {
+        return 'cpf';
+    }
+    
+    if (REGEX_CNPJ.test(documentoLimpo)) {
+        return 'cnpj';
+    }
+    
+    return null;
+}
+
+/**
+ * Valida CPF ou CNPJ conforme o tamanho informado
+ * @param {string} documento - CPF ou CNPJ
+ * @returns {boolean} True se válido
+ */
+function validarFormatoCpfCnpj(documento) {
+    const tipo = tipoDocumento(documento);
+    
+    if (tipo === 'cpf') {
+        return validarFormatoCPF(documento);
+    }
+    
+    if (tipo === 'cnpj') {
+        return validarFormatoCNPJ(documento);
+    }
+
+    return false;
+}
+
+/**
+ * Padrões de CPF/CNPJ dentro de texto livre (com ou sem pontuação)
+ * Os lookarounds evitam recortar documentos de sequências maiores (telefones, códigos de barras)
+ */
+const REGEX_CNPJ_TEXTO = /(?<![0-9A-Z])[0-9A-Z]{2}\.?[0-9A-Z]{3}\.?[0-9A-Z]{3}\/?[0-9A-Z]{4}-?\d{2}(?![0-9A-Z])/g;
+const REGEX_CPF_TEXTO = /(?<![0-9A-Z])\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![0-9A-Z])/g;
+
+/**
+ * Extrai CPFs e CNPJs de uma mensagem em texto livre
+ * Ex.: "meu cnpj é 12.345.678/0001-90 da filial" → [{ tipo: 'cnpj', valor: '12345678000190', valido }]
+ * @param {string} texto - Mensagem do cliente
+ * @returns {Array<Object>} Candidatos sem repetição { tipo, valor, original, valido }
+ */
+function extrairDocumentos(texto) {
+    const maiusculo = String(texto || '').toUpperCase();
+    const candidatos = [];
+    const encontrados = new Set();
+
+    const adicionar = (tipo, original) => {
+        const valor = normalizarCNPJ(original);
+
+        // Sequência alfanumérica só conta como CNPJ se tiver letras e dígitos verificadores válidos
+        // (evita palavras comuns com dois números no final)
+        if (encontrados.has(valor) || (tipo === 'cnpj' && ehCNPJAlfanumerico(valor) && !validarFormatoCNPJ(valor))) {
+            return;
+        }
+
+        encontrados.add(valor);
+        candidatos.push({
+            tipo: tipo,
+            valor: valor,
+            original: original,
+            valido: tipo === 'cnpj' ? validarFormatoCNPJ(valor) : validarFormatoCPF(valor)
+        });
+    };
+
+    for (const [original] of maiusculo.matchAll(REGEX_CNPJ_TEXTO)) {
+        adicionar('cnpj', original);
+    }
+
+    for (const [original] of maiusculo.matchAll(REGEX_CPF_TEXTO)) {
+        adicionar('cpf', original);
+    }
+
+    return candidatos;
+}
+
 /**
  * Valida formato de telefone brasileiro
  * @param {string} telefone - Telefone a ser validado
@@ -352,18 +511,53 @@ function validarPermissaoFaturamento(contato) {
 }
 
 /**
- * Formata CNPJ para padrão XX.XXX.XXX/XXXX-XX
- * @param {string} cnpj - CNPJ apenas números
+ * Formata CNPJ para padrão XX.XXX.XXX/XXXX-XX (numérico ou alfanumérico)
+ * @param {string} cnpj - CNPJ sem formatação
  * @returns {string} CNPJ formatado
  */
 function formatarCNPJ(cnpj) {
-    const cnpjLimpo = cnpj.replace(/\D/g, '');
+    const cnpjLimpo = normalizarCNPJ(cnpj);
     
-    if (cnpjLimpo.length !== 14) {
+    if (!REGEX_CNPJ.test(cnpjLimpo)) {
         return cnpj; // Retorna original se inválido
     }
     
-    return cnpjLimpo.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+    return cnpjLimpo.replace(/^(\w{2})(\w{3})(\w{3})(\w{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+}
+
+/**
+ * Formata CPF para padrão XXX.XXX.XXX-XX
+ * @param {string} cpf - CPF apenas números
+ * @returns {string} CPF formatado
+ */
+function formatarCPF(cpf) {
+    const cpfLimpo = String(cpf || '').replace(/\D/g, '');
+    
+    if (cpfLimpo.length !== 11) {
+        return cpf; // Retorna original se inválido
+    }
+    
+    return cpfLimpo.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+}
+
+/**
+ * Formata CPF ou CNPJ conforme o tipo do documento
+ * @param {string} documento - CPF ou CNPJ
+ * @returns {string} Documento formatado
+ */
+function formatarCpfCnpj(documento) {
+    return tipoDocumento(documento) === 'cpf'
+        ? formatarCPF(documento)
+        : formatarCNPJ(documento);
+}
+
+/**
+ * Retorna o rótulo do documento para exibição (CPF ou CNPJ)
+ * @param {string} documento - CPF ou CNPJ
+ * @returns {string} 'CPF' ou 'CNPJ'
+ */
+function rotuloDocumento(documento) {
+    return tipoDocumento(documento) === 'cpf' ? 'CPF' : 'CNPJ';
 }
 
 /**
@@ -442,6 +636,234 @@ function validarDadosCliente(clienteData) {
     };
 }
 
+/**
+ * Data base do fator de vencimento (FEBRABAN)
+ * Fator 1000 = 03/07/2000; a partir de 22/02/2025 o fator reinicia em 1000
+ */
+const DATA_BASE_FATOR = new Date(1997, 9, 7);
+const DATA_BASE_FATOR_2025 = new Date(2025, 1, 22);
+
+/**
+ * Calcula dígito verificador módulo 10 (campos da linha digitável)
+ * @param {string} numero - Sequência numérica
+ * @returns {number} Dígito verificador
+ */
+function calcularModulo10(numero) {
+    let soma = 0;
+    let peso = 2;
+
+    for (let i = numero.length - 1; i >= 0; i--) {
+        let produto = parseInt(numero[i]) * peso;
+        if (produto > 9) {
+            produto = Math.floor(produto / 10) + (produto % 10);
+        }
+        soma += produto;
+        peso = peso === 2 ? 1 : 2;
+    }
+
+    return (10 - (soma % 10)) % 10;
+}
+
+/**
+ * Calcula dígito verificador geral módulo 11 (código de barras)
+ * @param {string} numero - 43 dígitos do código de barras sem o DV
+ * @returns {number} Dígito verificador (0, 10 e 11 resultam em 1)
+ */
+function calcularModulo11Boleto(numero) {
+    let soma = 0;
+    let peso = 2;
+
+    for (let i = numero.length - 1; i >= 0; i--) {
+        soma += parseInt(numero[i]) * peso;
+        peso = peso === 9 ? 2 : peso + 1;
+    }
+
+    const digito = 11 - (soma % 11);
+    return [0, 10, 11].includes(digito) ? 1 : digito;
+}
+
+/**
+ * Converte linha digitável (47 dígitos) em código de barras (44 dígitos)
+ * @param {string} linhaDigitavel - Linha digitável (com ou sem formatação)
+ * @returns {string|null} Código de barras ou null se tamanho inválido
+ */
+function linhaDigitavelParaCodigoBarras(linhaDigitavel) {
+    const linha = limparApenasNumeros(linhaDigitavel || '');
+
+    if (linha.length !== 47) {
+        return null;
+    }
+
+    return linha.substring(0, 4) +      // Banco + moeda
+        linha.substring(32, 33) +       // DV geral
+        linha.substring(33, 47) +       // Fator de vencimento + valor
+        linha.substring(4, 9) +         // Campo livre (1ª parte)
+        linha.substring(10, 20) +       // Campo livre (2ª parte)
+        linha.substring(21, 31);        // Campo livre (3ª parte)
+}
+
+/**
+ * Converte código de barras (44 dígitos) em linha digitável (47 dígitos)
+ * @param {string} codigoBarras - Código de barras
+ * @returns {string|null} Linha digitável ou null se tamanho inválido
+ */
+function codigoBarrasParaLinhaDigitavel(codigoBarras) {
+    const codigo = limparApenasNumeros(codigoBarras || '');
+
+    if (codigo.length !== 44) {
+        return null;
+    }
+
+    const campo1 = codigo.substring(0, 4) + codigo.substring(19, 24);
+    const campo2 = codigo.substring(24, 34);
+    const campo3 = codigo.substring(34, 44);
+
+    return campo1 + calcularModulo10(campo1) +
+        campo2 + calcularModulo10(campo2) +
+        campo3 + calcularModulo10(campo3) +
+        codigo.substring(4, 5) +
+        codigo.substring(5, 19);
+}
+
+/**
+ * Converte fator de vencimento em data
+ * Considera o reinício do fator em 22/02/2025 escolhendo a data mais próxima de hoje
+ * @param {number} fator - Fator de vencimento (4 dígitos)
+ * @param {Date} hoje - Data de referência
+ * @returns {Date|null} Data de vencimento ou null se fator zerado
+ */
+function converterFatorVencimento(fator, hoje = new Date()) {
+    if (!fator) {
+        return null;
+    }
+
+    const umDia = 24 * 60 * 60 * 1000;
+    const dataAntiga = new Date(DATA_BASE_FATOR.getTime() + fator * umDia);
+    const dataNova = new Date(DATA_BASE_FATOR_2025.getTime() + (fator - 1000) * umDia);
+
+    if (fator < 1000) {
+        return dataAntiga;
+    }
+
+    return Math.abs(dataNova - hoje) < Math.abs(dataAntiga - hoje) ? dataNova : dataAntiga;
+}
+
+/**
+ * Extrai dados do código de barras (banco, moeda, fator de vencimento e valor)
+ * @param {string} codigoBarras - Código de barras (44 dígitos)
+ * @returns {Object|null} Dados do boleto ou null se tamanho inválido
+ */
+function extrairDadosBoleto(codigoBarras) {
+    const codigo = limparApenasNumeros(codigoBarras || '');
+
+    if (codigo.length !== 44) {
+        return null;
+    }
+
+    const fatorVencimento = parseInt(codigo.substring(5, 9));
+
+    return {
+        banco: codigo.substring(0, 3),
+        moeda: codigo.substring(3, 4),
+        digitoGeral: parseInt(codigo.substring(4, 5)),
+        fatorVencimento: fatorVencimento,
+        dataVencimento: converterFatorVencimento(fatorVencimento),
+        valor: parseInt(codigo.substring(9, 19)) / 100,
+        campoLivre: codigo.substring(19, 44)
+    };
+}
+
+/**
+ * Valida código de barras de boleto bancário (DV geral módulo 11)
+ * @param {string} codigoBarras - Código de barras (44 dígitos)
+ * @returns {Object} Resultado da validação
+ */
+function validarCodigoBarras(codigoBarras) {
+    const codigo = limparApenasNumeros(codigoBarras || '');
+
+    if (codigo.length !== 44) {
+        return { valido: false, erro: `Código de barras deve ter 44 dígitos (recebido: ${codigo.length})` };
+    }
+
+    if (codigo[0] === '8') {
+        return { valido: false, erro: 'Código de arrecadação/convênio não suportado' };
+    }
+
+    const digitoInformado = parseInt(codigo[4]);
+    const digitoCalculado = calcularModulo11Boleto(codigo.substring(0, 4) + codigo.substring(5));
+
+    if (digitoInformado !== digitoCalculado) {
+        return { valido: false, erro: `DV geral inválido (informado: ${digitoInformado}, calculado: ${digitoCalculado})` };
+    }
+
+    return {
+        valido: true,
+        codigoBarras: codigo,
+        linhaDigitavel: codigoBarrasParaLinhaDigitavel(codigo),
+        dados: extrairDadosBoleto(codigo)
+    };
+}
+
+/**
+ * Valida linha digitável de boleto bancário (DVs módulo 10 dos campos e DV geral módulo 11)
+ * @param {string} linhaDigitavel - Linha digitável (47 dígitos, com ou sem formatação)
+ * @returns {Object} Resultado da validação
+ */
+function validarLinhaDigitavel(linhaDigitavel) {
+    const linha = limparApenasNumeros(linhaDigitavel || '');
+
+    if (linha.length !== 47) {
+        return { valido: false, erro: `Linha digitável deve ter 47 dígitos (recebido: ${linha.length})` };
+    }
+
+    const campos = [
+        { numero: 1, dados: linha.substring(0, 9), digito: linha[9] },
+        { numero: 2, dados: linha.substring(10, 20), digito: linha[20] },
+        { numero: 3, dados: linha.substring(21, 31), digito: linha[31] }
+    ];
+
+    for (const campo of campos) {
+        const digitoCalculado = calcularModulo10(campo.dados);
+        if (parseInt(campo.digito) !== digitoCalculado) {
+            return { valido: false, erro: `DV do campo ${campo.numero} inválido (informado: ${campo.digito}, calculado: ${digitoCalculado})` };
+        }
+    }
+
+    return validarCodigoBarras(linhaDigitavelParaCodigoBarras(linha));
+}
+
+/**
+ * Valida boleto com os dados disponíveis (linha digitável e/ou código de barras)
+ * Quando ambos são informados, verifica se correspondem ao mesmo boleto
+ * @param {Object} boleto - { linhaDigitavel, codigoBarras, valor }
+ * @returns {Object} Resultado da validação
+ */
+function validarBoleto({ linhaDigitavel, codigoBarras, valor } = {}) {
+    if (!linhaDigitavel && !codigoBarras) {
+        return { valido: true, semCodigo: true };
+    }
+
+    const resultado = linhaDigitavel
+        ? validarLinhaDigitavel(linhaDigitavel)
+        : validarCodigoBarras(codigoBarras);
+
+    if (!resultado.valido) {
+        return resultado;
+    }
+
+    if (linhaDigitavel && codigoBarras && limparApenasNumeros(codigoBarras) !== resultado.codigoBarras) {
+        return { valido: false, erro: 'Linha digitável não corresponde ao código de barras' };
+    }
+
+    // Divergência de valor apenas registrada (valor zerado = valor em aberto no boleto)
+    const valorBoleto = parseFloat(valor);
+    if (resultado.dados.valor > 0 && !isNaN(valorBoleto) && Math.abs(resultado.dados.valor - valorBoleto) >= 0.01) {
+        resultado.alerta = `Valor do código (${resultado.dados.valor.toFixed(2)}) difere do valor do boleto (${valorBoleto.toFixed(2)})`;
+    }
+
+    return resultado;
+}
+
 /**
  * Valida se mensagem é um comando válido
  * @param {string} mensagem - Mensagem recebida
@@ -479,9 +901,11 @@ function validarComando(mensagem) {
         };
     }
     
-    // Comando de CNPJ
-    const cnpjLimpo = limparApenasNumeros(mensagemLimpa);
-    if (cnpjLimpo.length === 14) {
+    // Comando de CNPJ (numérico ou alfanumérico)
+    //const cnpjLimpo = limparApenasNumeros(mensagemLimpa);
+    const cnpjLimpo = normalizarCNPJ(mensagemLimpa);
+    // Alfanumérico exige dígitos verificadores válidos para não confundir com texto comum
+    if (REGEX_CNPJ.test(cnpjLimpo) && (!ehCNPJAlfanumerico(cnpjLimpo) || validarFormatoCNPJ(cnpjLimpo))) {
         return {
             valido: true,
             tipo: 'cnpj',
@@ -489,6 +913,34 @@ function validarComando(mensagem) {
         };
     }
     
+    // Comando de CPF (apenas com dígitos verificadores válidos)
+    if (/^\d{11}$/.test(cnpjLimpo) && validarFormatoCPF(cnpjLimpo)) {
+        return {
+            valido: true,
+            tipo: 'cpf',
+            valor: cnpjLimpo
+        };
+    }
+    
+    // CPF/CNPJ no meio do texto (apenas com dígitos verificadores válidos)
+    const documentos = extrairDocumentos(mensagem).filter(documento => documento.valido);
+    
+    if (documentos.length === 1) {
+        return {
+            valido: true,
+            tipo: documentos[0].tipo,
+            valor: documentos[0].valor
+        };
+    }
+    
+    if (documentos.length > 1) {
+        return {
+            valido: true,
+            tipo: 'documentos',
+            valores: documentos.map(documento => documento.valor)
+        };
+    }
+    
     // Comandos de confirmação
     const comandosConfirmacao = ['sim', 's', 'yes', 'ok'];
     const comandosNegacao = ['nao', 'não', 'n', 'no'];
@@ -520,6 +972,13 @@ function validarComando(mensagem) {
 module.exports = {
     // Validações de formato
     validarFormatoCNPJ,
+    normalizarCNPJ,
+    ehCNPJAlfanumerico,
+    validarFormatoCPF,
+    validarFormatoCpfCnpj,
+    extrairDocumentos,
+    normalizarCpfCnpj,
+    tipoDocumento,
     validarFormatoTelefone,
 	normalizarTelefoneWhatsApp,
     normalizarTelefoneApi,
@@ -533,8 +992,21 @@ module.exports = {
     validarDadosCliente,
     validarComando,
     
+    // Boletos
+    calcularModulo10,
+    calcularModulo11Boleto,
+    validarCodigoBarras,
+    validarLinhaDigitavel,
+    validarBoleto,
+    linhaDigitavelParaCodigoBarras,
+    codigoBarrasParaLinhaDigitavel,
+    extrairDadosBoleto,
+    
     // Formatadores
     formatarCNPJ,
+    formatarCPF,
+    formatarCpfCnpj,
+    rotuloDocumento,
     formatarTelefone,
     limparApenasNumeros
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const logger = require('../utils/logger');
 const evolutionAPI = require('../config/evolution');
+const messageService = require('../config/messageService');
 const database = require('../config/database');
 const moment = require('moment');
 
@@ -631,7 +632,11 @@ async function enviarMensagem(phoneNumber, message) {
     console.log('- phoneNumber', phoneNumber);
     console.log('- message', message);
     
-    return await evolutionAPI.sendTextMessage(phoneNumber, message);
+    messageService.registrarEnvioBot(phoneNumber, message);
+    const resultado = await evolutionAPI.sendTextMessage(phoneNumber, message);
+    messageService.registrarEnvioBot(phoneNumber, null, resultado);
+    
+    return resultado;
 }
 
 /**
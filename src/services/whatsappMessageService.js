@@ -1,4 +1,5 @@
 const evolutionAPI = require('../config/evolution');
+const messageService = require('../config/messageService');
 
 /**
  * Serviço específico para envio de mensagens via WhatsApp
@@ -94,7 +95,10 @@ class WhatsAppMessageService {
         try {
             console.log(`📝 Enviando texto para: ${numero}`);
             
+            // Registrado como envio do bot para o eco "fromMe" não ser tratado como resposta da equipe
+            messageService.registrarEnvioBot(numero, texto);
             const resultado = await evolutionAPI.sendTextMessage(numero, texto);
+            messageService.registrarEnvioBot(numero, null, resultado);
             
             return resultado;
 
@@ -197,10 +201,12 @@ class WhatsAppMessageService {
 
             // Simular envio baseado na estrutura do evolutionAPI existente
             // TODO: Ajustar conforme método real da Evolution API para imagens
+            messageService.registrarEnvioBot(numero, imagemPayload.caption);
             const response = await evolutionAPI.evolutionAPI.post(
                 `/message/sendMedia/${process.env.EVOLUTION_INSTANCE_NAME}`,
                 payload
             );
+            messageService.registrarEnvioBot(numero, null, { data: response.data });
 
             return {
                 success: true,
@@ -1,14 +1,17 @@
 const logger = require('../utils/logger');
 const evolutionAPI = require('../config/evolution');
+const messageService = require('../config/messageService');
 const database = require('../config/database');
 const atendimento = require('./atendimentoService');
+const sessaoService = require('./sessaoService');
 const moment = require('moment');
 
 /**
- * Cache de conversas ativas em memória
+ * Cache de conversas ativas
  * Estrutura: { phoneNumber: { estado, dados, conversa, messageId } }
+ * Backend configurável via SESSAO_BACKEND (memoria | mysql)
  */
-const conversasAtivas = new Map();
+const conversasAtivas = sessaoService.criarArmazenamento('legado');
 
 /**
  * Estados possíveis da conversa
@@ -115,7 +118,7 @@ async function processarMensagem(messageData) {
         await adicionarMensagemConversa(phoneNumber, messageId, 'cliente', messageText);
         console.log('✅ [DEBUG] Mensagem adicionada');
 
-        let conversaAtual = conversasAtivas.get(phoneNumber);
+        let conversaAtual = await conversasAtivas.obter(phoneNumber);
         console.log('🔍 [DEBUG] Conversa atual:', conversaAtual ? 'EXISTE' : 'NÃO EXISTE');
         
         if (!conversaAtual) {
@@ -202,7 +205,7 @@ async function iniciarNovaConversa(phoneNumber, messageId, messageText) {
         await enviarSolicitacaoCNPJ(phoneNumber);
     }
 
-    conversasAtivas.set(phoneNumber, conversaAtual);
+    await conversasAtivas.definir(phoneNumber, conversaAtual);
     return conversaAtual;
 }
 
@@ -268,8 +271,7 @@ async function processarCNPJ(conversa, cnpj) {
 
         // Cliente encontrado
         const clienteData = clienteResult.data[0];
-        conversa.dados = clienteData;
-        conversa.estado = ESTADOS.MENU_PRINCIPAL;
+        await atualizarEstadoConversa(conversa, { dados: clienteData, estado: ESTADOS.MENU_PRINCIPAL });
         
         // Registra atendimento no banco
         await registrarAtendimentoInicial(conversa);
@@ -290,7 +292,7 @@ async function processarCNPJ(conversa, cnpj) {
         );
 
         await enviarOpcaoAtendente(conversa.phoneNumber);
-        conversa.estado = ESTADOS.FINALIZADA;
+        await atualizarEstadoConversa(conversa, { estado: ESTADOS.FINALIZADA });
     }
 }
 
@@ -519,7 +521,7 @@ async function processarAtendimento(conversa) {
     // Implementar chamada para endpoint de transferência
     await transferirParaAtendente(conversa);
     
-    conversa.estado = ESTADOS.FINALIZADA;
+    await atualizarEstadoConversa(conversa, { estado: ESTADOS.FINALIZADA });
 }
 
 /**
@@ -640,7 +642,11 @@ async function enviarMensagem(phoneNumber, message) {
     console.log('- phoneNumber', phoneNumber);
     console.log('- message', message);
     
-    return await evolutionAPI.sendTextMessage(phoneNumber, message);
+    messageService.registrarEnvioBot(phoneNumber, message);
+    const resultado = await evolutionAPI.sendTextMessage(phoneNumber, message);
+    messageService.registrarEnvioBot(phoneNumber, null, resultado);
+    
+    return resultado;
 }
 
 /**
@@ -651,7 +657,7 @@ async function enviarMensagem(phoneNumber, message) {
  * @param {string} mensagem - Conteúdo da mensagem
  */
 async function adicionarMensagemConversa(phoneNumber, messageId, tipo, mensagem) {
-    const conversa = conversasAtivas.get(phoneNumber);
+    const conversa = await conversasAtivas.obter(phoneNumber);
 
     console.log('adicionarMensagemConversa:');
     console.log('- phoneNumber', phoneNumber);
@@ -667,6 +673,7 @@ async function adicionarMensagemConversa(phoneNumber, messageId, tipo, mensagem)
         };
         
         conversa.conversa.push(novaMensagem);
+        await salvarConversa(conversa);
         
         // Atualiza conversa no banco se já existe registro
         if (conversa.messageId) {
@@ -725,11 +732,33 @@ function formatarCNPJ(cnpj) {
 }
 
 /**
- * Limpa conversa da memória após finalização
+ * Grava conversa no armazenamento de sessões
+ * @param {Object} conversa - Dados da conversa
+ */
+async function salvarConversa(conversa) {
+    conversa.ultimaInteracao = Date.now();
+    await conversasAtivas.definir(conversa.phoneNumber, conversa);
+}
+
+/**
+ * Aplica alterações na conversa e grava sobre a versão armazenada
+ * (a armazenada pode ter recebido mensagens depois que esta cópia foi lida)
+ * @param {Object} conversa - Dados da conversa
+ * @param {Object} alteracoes - Campos alterados (estado, dados)
+ */
+async function atualizarEstadoConversa(conversa, alteracoes) {
+    Object.assign(conversa, alteracoes);
+
+    const armazenada = await conversasAtivas.obter(conversa.phoneNumber);
+    await salvarConversa({ ...(armazenada || conversa), ...alteracoes });
+}
+
+/**
+ * Limpa conversa do armazenamento após finalização
  * @param {string} phoneNumber - Número do telefone
  */
-function limparConversa(phoneNumber) {
-    conversasAtivas.delete(phoneNumber);
+async function limparConversa(phoneNumber) {
+    await conversasAtivas.remover(phoneNumber);
 }
 
 module.exports = {
@@ -0,0 +1,125 @@
+/**
+ * Verificação de regressão dos dígitos verificadores
+ *
+ * Confere o CRC16 do BR Code PIX (pixService.js) contra o exemplo do Manual de
+ * Padrões para Iniciação do PIX (BCB) e os dígitos do CPF e do CNPJ numérico e
+ * alfanumérico (validacaoService.js). Encerra com código 1 em caso de falha.
+ *
+ * Para executar:
+ * npm run test:digitos
+ */
+
+const assert = require('assert');
+
+// Recebedor do exemplo do BCB (definido antes do require: o serviço lê o .env)
+process.env.PIX_CHAVE = '123e4567-e12b-12d1-a456-426655440000';
+process.env.PIX_NOME_RECEBEDOR = 'Fulano de Tal';
+process.env.PIX_CIDADE_RECEBEDOR = 'BRASILIA';
+
+const pixService = require('../services/pixService');
+const validacaoService = require('../services/validacaoService');
+
+/**
+ * Payload de referência do BCB (chave aleatória, sem valor, txid ***)
+ */
+const PAYLOAD_BCB =
+    '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+    '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+/**
+ * [documento, tipo esperado, válido]
+ */
+const DOCUMENTOS = [
+    // Exemplo da Receita Federal para o CNPJ alfanumérico
+    ['12.ABC.345/01DE-35', 'cnpj', true],
+    ['12ABC34501DE35', 'cnpj', true],
+    ['12abc34501de35', 'cnpj', true],
+    ['12.ABC.345/01DE-36', 'cnpj', false],
+
+    // CNPJ numérico
+    ['11.222.333/0001-81', 'cnpj', true],
+    ['11222333000181', 'cnpj', true],
+    ['11.222.333/0001-82', 'cnpj', false],
+    ['00.000.000/0000-00', 'cnpj', false],
+
+    // CPF
+    ['529.982.247-25', 'cpf', true],
+    ['52998224725', 'cpf', true],
+    ['529.982.247-24', 'cpf', false],
+    ['111.111.111-11', 'cpf', false]
+];
+
+/**
+ * Confere o CRC16 e o payload gerado
+ * @returns {number} Quantidade de falhas
+ */
+function testarPix() {
+    let falhas = 0;
+
+    const verificacoes = [
+        ['CRC16 do payload de referência', () => {
+            assert.strictEqual(pixService.calcularCRC16(PAYLOAD_BCB.slice(0, -4)), '1D3D');
+        }],
+        ['payload gerado igual ao de referência', () => {
+            const resultado = pixService.gerarPayload({});
+            assert.ok(resultado.success, resultado.error);
+            assert.strictEqual(resultado.data, PAYLOAD_BCB);
+        }],
+        ['CRC16 do payload com valor e txid', () => {
+            const resultado = pixService.gerarPayload({ valor: 150.5, txid: 'BOL-12345' });
+            assert.ok(resultado.success, resultado.error);
+            assert.ok(resultado.data.includes('5406150.50'), 'valor');
+            assert.strictEqual(resultado.data.slice(-4), pixService.calcularCRC16(resultado.data.slice(0, -4)));
+        }]
+    ];
+
+    for (const [descricao, verificar] of verificacoes) {
+        try {
+            verificar();
+            console.log(`✅ PIX: ${descricao}`);
+        } catch (error) {
+            falhas++;
+            console.log(`❌ PIX: ${descricao}: ${error.message}`);
+        }
+    }
+
+    return falhas;
+}
+
+/**
+ * Confere tipo e dígitos verificadores dos documentos
+ * @returns {number} Quantidade de falhas
+ */
+function testarDocumentos() {
+    let falhas = 0;
+
+    for (const [documento, tipo, valido] of DOCUMENTOS) {
+        const tipoObtido = validacaoService.tipoDocumento(documento);
+        const validoObtido = validacaoService.validarFormatoCpfCnpj(documento);
+
+        if (tipoObtido === tipo && validoObtido === valido) {
+            console.log(`✅ "${documento}" → ${tipo} ${valido ? 'válido' : 'inválido'}`);
+        } else {
+            falhas++;
+            console.log(`❌ "${documento}": esperado ${tipo} ${valido}, obtido ${tipoObtido} ${validoObtido}`);
+        }
+    }
+
+    return falhas;
+}
+
+/**
+ * Executa todos os casos
+ */
+function executar() {
+    console.log('\n==========================================');
+    console.log('🔢 TESTANDO DÍGITOS VERIFICADORES');
+    console.log('==========================================\n');
+
+    const falhas = testarPix() + testarDocumentos();
+
+    console.log(`\n${falhas === 0 ? '✅ Todos os casos passaram' : `❌ ${falhas} caso(s) com falha`}\n`);
+    process.exit(falhas === 0 ? 0 : 1);
+}
+
+executar();
@@ -0,0 +1,98 @@
+/**
+ * Verificação de regressão do reconhecimento de intenções (intencaoService.js)
+ *
+ * Confere frases reais de clientes contra a intenção e a decisão esperadas, com o
+ * classificador treinado registrado (como no atendimentoService).
+ * Encerra com código 1 em caso de falha.
+ *
+ * Para executar:
+ * npm run test:intencao
+ */
+
+const intencaoService = require('../services/intencaoService');
+const classificadorIntencaoService = require('../services/classificadorIntencaoService');
+
+const { ACEITA, CONFIRMAR, DESCONHECIDA } = intencaoService.DECISOES;
+
+/**
+ * [mensagem, intenção esperada, decisão esperada]
+ */
+const CASOS = [
+    // Palavras inteiras, acentos e plurais
+    ['boleto', 'boleto', ACEITA],
+    ['2 boletos', 'boleto', ACEITA],
+    ['Bolêto', 'boleto', ACEITA],
+    ['segunda via', 'boleto', ACEITA],
+    ['preciso da 2ª via', 'boleto', ACEITA],
+    ['notas fiscais', 'nota', ACEITA],
+    ['quero o xml', 'nota', ACEITA],
+    ['certificado da nota 123', 'certificado', ACEITA],
+    ['orçamento', 'proposta', ACEITA],
+    ['outro cnpj', 'trocarDocumento', ACEITA],
+    ['financeiro', 'atendente', ACEITA],
+
+    // Erros de digitação
+    ['boelto', 'boleto', ACEITA],
+    ['atendnte', 'atendente', ACEITA],
+    ['suport', 'suporte', ACEITA],
+    ['certificdo', 'certificado', ACEITA],
+
+    // Confiança intermediária: bot pergunta "Você quis dizer...?"
+    ['contas', 'boleto', CONFIRMAR],
+    ['not', 'nota', CONFIRMAR],
+    ['nota do boleto', 'boleto', CONFIRMAR],
+
+    // Sem intenção: números soltos e textos sem relação
+    ['1', null, DESCONHECIDA],
+    ['bom dia', null, DESCONHECIDA],
+    ['obrigado', null, DESCONHECIDA],
+
+    // Classificador: números, documentos e palavras sem evidência não viram intenção
+    ['2', null, DESCONHECIDA],
+    ['123', null, DESCONHECIDA],
+    ['12.345.678/0001-90', null, DESCONHECIDA],
+    ['52998224725', null, DESCONHECIDA],
+    ['todos', null, DESCONHECIDA],
+    ['quero', null, DESCONHECIDA],
+    ['voltar', null, DESCONHECIDA],
+
+    // Classificador: texto livre com palavras que apontam para a intenção
+    ['não recebi a cobrança desse mês', 'boleto', ACEITA],
+    ['meu sistema travou', 'suporte', ACEITA],
+    ['preciso do laudo', 'certificado', ACEITA]
+];
+
+/**
+ * Executa todos os casos
+ */
+function executar() {
+    console.log('\n==========================================');
+    console.log('🧠 TESTANDO RECONHECIMENTO DE INTENÇÕES');
+    console.log('==========================================\n');
+
+    if (!classificadorIntencaoService.inicializar().success) {
+        console.log('❌ Classificador não inicializado');
+        process.exit(1);
+    }
+
+    intencaoService.registrarClassificador(classificadorIntencaoService.classificarTexto);
+
+    let falhas = 0;
+
+    for (const [mensagem, intencao, decisao] of CASOS) {
+        const resultado = intencaoService.reconhecer(mensagem);
+        const intencaoObtida = resultado.decisao === DESCONHECIDA ? null : resultado.intencao;
+
+        if (intencaoObtida === intencao && resultado.decisao === decisao) {
+            console.log(`✅ "${mensagem}" → ${intencao || '-'} (${decisao})`);
+        } else {
+            falhas++;
+            console.log(`❌ "${mensagem}": esperado ${intencao} (${decisao}), obtido ${intencaoObtida} (${resultado.decisao}, ${resultado.confianca})`);
+        }
+    }
+
+    console.log(`\n${falhas === 0 ? '✅ Todos os casos passaram' : `❌ ${falhas} caso(s) com falha`}\n`);
+    process.exit(falhas === 0 ? 0 : 1);
+}
+
+executar();
@@ -0,0 +1,147 @@
+/**
+ * Verificação de regressão do parser de NFSe (nfseService.js)
+ *
+ * Interpreta os XMLs de exemplo em testes/fixtures/nfse e confere os
+ * campos principais de cada layout. Encerra com código 1 em caso de falha.
+ *
+ * Para executar:
+ * npm run test:nfse
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const nfseService = require('../services/nfseService');
+
+const PASTA_FIXTURES = path.join(__dirname, 'fixtures', 'nfse');
+
+/**
+ * Resultado esperado por arquivo de exemplo
+ */
+const CASOS = {
+    'abrasf-2.02.xml': {
+        layout: nfseService.LAYOUTS.ABRASF_2,
+        numero: '1234',
+        codigoVerificacao: 'AB12CD34',
+        chaveAcesso: '31062002112223330001810000000000123426091234567890',
+        rps: '55',
+        prestador: { documento: '11222333000181', tipoDocumento: 'cnpj' },
+        tomador: { documento: '12ABC34501DE35', tipoDocumento: 'cnpj' },
+        tributos: { aliquota: 2, valorIss: 20, issRetido: false, valorPis: 6.5 },
+        valorLiquido: 965,
+        cancelada: false
+    },
+    'abrasf-2.02-cancelada.xml': {
+        layout: nfseService.LAYOUTS.ABRASF_2,
+        numero: '1240',
+        codigoVerificacao: 'ZZ99',
+        chaveAcesso: null,
+        rps: null,
+        prestador: { documento: '11222333000181', tipoDocumento: 'cnpj' },
+        tomador: { documento: '52998224725', tipoDocumento: 'cpf' },
+        tributos: { issRetido: true },
+        valorLiquido: 500,
+        cancelada: true
+    },
+    'abrasf-1.00.xml': {
+        layout: nfseService.LAYOUTS.ABRASF_1,
+        numero: '201',
+        codigoVerificacao: 'X1Y2Z3',
+        chaveAcesso: null,
+        rps: '9001',
+        prestador: { documento: '11222333000181', tipoDocumento: 'cnpj' },
+        tomador: { documento: '52998224725', tipoDocumento: 'cpf' },
+        tributos: { aliquota: 5, valorIss: 12.5, issRetido: true },
+        valorLiquido: 237.5,
+        cancelada: false
+    },
+    'nacional.xml': {
+        layout: nfseService.LAYOUTS.NACIONAL,
+        numero: '52',
+        codigoVerificacao: null,
+        chaveAcesso: '31062002211222333000181000000000000526091234567891',
+        rps: '52',
+        prestador: { documento: '11222333000181', tipoDocumento: 'cnpj' },
+        tomador: { documento: '52998224725', tipoDocumento: 'cpf' },
+        tributos: { aliquota: 3, valorIss: 45, issRetido: true, valorIr: 22.5 },
+        valorLiquido: 1455,
+        cancelada: false
+    },
+    'sao-paulo.xml': {
+        layout: nfseService.LAYOUTS.SAO_PAULO,
+        numero: '4105',
+        codigoVerificacao: 'IJMNKHPQ',
+        chaveAcesso: null,
+        rps: '4105',
+        prestador: { documento: '11222333000181', tipoDocumento: 'cnpj' },
+        tomador: { documento: '12ABC34501DE35', tipoDocumento: 'cnpj' },
+        tributos: { aliquota: 2, valorIss: 16, issRetido: false },
+        valorLiquido: 800,
+        cancelada: true
+    }
+};
+
+/**
+ * Confere uma nota interpretada contra o resultado esperado
+ * @param {Object} nota - Nota retornada pelo parser
+ * @param {Object} esperado - Resultado esperado
+ */
+function conferirNota(nota, esperado) {
+    assert.strictEqual(nota.layout, esperado.layout, 'layout');
+    assert.strictEqual(nota.numero, esperado.numero, 'numero');
+    assert.strictEqual(nota.codigoVerificacao, esperado.codigoVerificacao, 'codigoVerificacao');
+    assert.strictEqual(nota.chaveAcesso, esperado.chaveAcesso, 'chaveAcesso');
+    assert.strictEqual(nota.rps ? nota.rps.numero : null, esperado.rps, 'rps.numero');
+    assert.strictEqual(nota.prestador.documento, esperado.prestador.documento, 'prestador.documento');
+    assert.strictEqual(nota.prestador.tipoDocumento, esperado.prestador.tipoDocumento, 'prestador.tipoDocumento');
+    assert.strictEqual(nota.tomador.documento, esperado.tomador.documento, 'tomador.documento');
+    assert.strictEqual(nota.tomador.tipoDocumento, esperado.tomador.tipoDocumento, 'tomador.tipoDocumento');
+
+    for (const [campo, valor] of Object.entries(esperado.tributos)) {
+        assert.strictEqual(nota.tributos[campo], valor, `tributos.${campo}`);
+    }
+
+    assert.strictEqual(nota.valores.valorLiquido, esperado.valorLiquido, 'valores.valorLiquido');
+    assert.strictEqual(nota.cancelada, esperado.cancelada, 'cancelada');
+    assert.ok(nota.itens.length > 0 && nota.itens[0].descricao, 'itens[0].descricao');
+}
+
+/**
+ * Executa todos os casos
+ */
+function executar() {
+    console.log('\n==========================================');
+    console.log('🧾 TESTANDO PARSER DE NFSe');
+    console.log('==========================================\n');
+
+    let falhas = 0;
+
+    for (const [arquivo, esperado] of Object.entries(CASOS)) {
+        try {
+            const xml = fs.readFileSync(path.join(PASTA_FIXTURES, arquivo), 'utf8');
+            const resultado = nfseService.parseNFSe(xml);
+
+            assert.ok(resultado.success, resultado.error);
+            conferirNota(resultado.data, esperado);
+
+            console.log(`✅ ${arquivo} (${resultado.data.layout})`);
+        } catch (error) {
+            falhas++;
+            console.log(`❌ ${arquivo}: ${error.message}`);
+        }
+    }
+
+    // XML inválido deve retornar erro, sem exceção
+    const invalido = nfseService.parseNFSe('<html><body>erro</body></html>');
+    if (invalido.success) {
+        falhas++;
+        console.log('❌ XML sem NFSe deveria retornar erro');
+    } else {
+        console.log(`✅ XML sem NFSe rejeitado: ${invalido.error}`);
+    }
+
+    console.log(`\n${falhas === 0 ? '✅ Todos os casos passaram' : `❌ ${falhas} caso(s) com falha`}\n`);
+    process.exit(falhas === 0 ? 0 : 1);
+}
+
+executar();
@@ -0,0 +1,73 @@
+/**
+ * Verificação de regressão da seleção de boletos (boletoService.interpretarSelecao)
+ *
+ * Confere respostas de clientes ao resumo de boletos contra os boletos esperados.
+ * Encerra com código 1 em caso de falha.
+ *
+ * Para executar:
+ * npm run test:boletos
+ */
+
+const boletoService = require('../services/boletoService');
+
+/**
+ * Boletos do resumo (o 1º e o 2º vencidos)
+ */
+const BOLETOS = [
+    { numeroDocumento: 'A', dataVencimento: '2020-01-10' },
+    { numeroDocumento: 'B', dataVencimento: '2020-02-10' },
+    { numeroDocumento: 'C', dataVencimento: '2999-03-10' },
+    { numeroDocumento: 'D', dataVencimento: '2999-04-10' },
+    { numeroDocumento: 'E', dataVencimento: '2999-05-10' }
+];
+
+/**
+ * [mensagem, documentos esperados (null = seleção não reconhecida)]
+ */
+const CASOS = [
+    ['1', ['A']],
+    ['1,3', ['A', 'C']],
+    ['1; 3', ['A', 'C']],
+    ['1 e 3', ['A', 'C']],
+    ['1 3', ['A', 'C']],
+    ['1-3', ['A', 'B', 'C']],
+    ['1 - 3', ['A', 'B', 'C']],
+    ['1 -3', ['A', 'B', 'C']],
+    ['1 - 2, 4 e 5', ['A', 'B', 'D', 'E']],
+    ['todos', ['A', 'B', 'C', 'D', 'E']],
+    ['vencidos', ['A', 'B']],
+
+    // Inválidos
+    ['6', null],
+    ['3 - 1', null],
+    ['0', null],
+    ['boleto', null]
+];
+
+/**
+ * Executa todos os casos
+ */
+function executar() {
+    console.log('\n==========================================');
+    console.log('💰 TESTANDO SELEÇÃO DE BOLETOS');
+    console.log('==========================================\n');
+
+    let falhas = 0;
+
+    for (const [mensagem, esperado] of CASOS) {
+        const selecao = boletoService.interpretarSelecao(mensagem, BOLETOS);
+        const obtido = selecao ? selecao.boletos.map(boleto => boleto.numeroDocumento) : null;
+
+        if (JSON.stringify(obtido) === JSON.stringify(esperado)) {
+            console.log(`✅ "${mensagem}" → ${esperado ? esperado.join(', ') : '-'}`);
+        } else {
+            falhas++;
+            console.log(`❌ "${mensagem}": esperado ${JSON.stringify(esperado)}, obtido ${JSON.stringify(obtido)}`);
+        }
+    }
+
+    console.log(`\n${falhas === 0 ? '✅ Todos os casos passaram' : `❌ ${falhas} caso(s) com falha`}\n`);
+    process.exit(falhas === 0 ? 0 : 1);
+}
+
+executar();
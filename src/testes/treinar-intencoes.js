@@ -0,0 +1,163 @@
+/**
+ * Retreina e avalia o classificador de intenções (classificadorIntencaoService.js)
+ *
+ * Separa as frases de src/dados/frasesIntencoes.json em treino e teste (mesma
+ * proporção por intenção), treina com o treino e mostra a acurácia no teste.
+ * Encerra com código 1 se a acurácia ficar abaixo de --minimo.
+ *
+ * Com --transcricoes, lê as mensagens de clientes em whapi_atendimento, classifica
+ * com o modelo completo e grava as frases ainda não rotuladas para revisão
+ * (copie as corretas para frasesIntencoes.json e rode novamente).
+ *
+ * Para executar:
+ * npm run treinar:intencoes
+ * npm run treinar:intencoes -- --teste 0.3 --semente 7 --minimo 0.8
+ * npm run treinar:intencoes -- --transcricoes 500 --saida logs/frases-candidatas.json
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const classificador = require('../services/classificadorIntencaoService');
+
+/**
+ * Lê os argumentos da linha de comando (--nome valor)
+ * @returns {Object} Opções
+ */
+function lerArgumentos() {
+    const argumentos = process.argv.slice(2);
+    const valor = (nome, padrao) => {
+        const indice = argumentos.indexOf(`--${nome}`);
+        return indice >= 0 && argumentos[indice + 1] !== undefined ? argumentos[indice + 1] : padrao;
+    };
+
+    return {
+        frases: valor('frases', classificador.ARQUIVO_FRASES),
+        teste: parseFloat(valor('teste', '0.25')),
+        semente: parseInt(valor('semente', '42'), 10),
+        minimo: parseFloat(valor('minimo', '0')),
+        transcricoes: parseInt(valor('transcricoes', '0'), 10),
+        saida: valor('saida', path.join(process.env.LOG_DIR || './logs', 'frases-candidatas.json'))
+    };
+}
+
+/**
+ * Treina com parte das frases e avalia no restante
+ * @param {Array<Object>} exemplos - Frases rotuladas
+ * @param {Object} opcoes - Opções da linha de comando
+ * @returns {Object} Resultado da avaliação
+ */
+function avaliarHoldout(exemplos, opcoes) {
+    console.log('\n==========================================');
+    console.log('🧠 TREINANDO CLASSIFICADOR DE INTENÇÕES');
+    console.log('==========================================\n');
+
+    const { treino, teste } = classificador.separarTreinoTeste(exemplos, opcoes.teste, opcoes.semente);
+    const modelo = classificador.treinar(treino);
+    const resultado = classificador.avaliar(modelo, teste);
+
+    console.log(`Frases: ${exemplos.length} (treino ${treino.length}, teste ${teste.length})`);
+    console.log(`Rótulos: ${modelo.rotulos.join(', ')}\n`);
+
+    for (const [intencao, metricas] of Object.entries(resultado.porIntencao)) {
+        const percentual = ((metricas.acertos / metricas.total) * 100).toFixed(0);
+        console.log(`  ${intencao.padEnd(16)} ${metricas.acertos}/${metricas.total} (${percentual}%)`);
+    }
+
+    if (resultado.erros.length > 0) {
+        console.log('\nErros no conjunto de teste:');
+        for (const erro of resultado.erros) {
+            console.log(`  ❌ "${erro.texto}" → ${erro.previsto} (esperado ${erro.esperado})`);
+        }
+    }
+
+    console.log(`\n📊 Acurácia no teste: ${(resultado.acuracia * 100).toFixed(1)}% (${resultado.acertos}/${resultado.total})\n`);
+
+    return resultado;
+}
+
+/**
+ * Extrai frases de clientes das conversas registradas e sugere a intenção
+ * @param {Array<Object>} exemplos - Frases já rotuladas
+ * @param {Object} opcoes - Opções da linha de comando
+ */
+async function exportarTranscricoes(exemplos, opcoes) {
+    const database = require('../config/database');
+
+    console.log('==========================================');
+    console.log('📥 EXTRAINDO FRASES DE whapi_atendimento');
+    console.log('==========================================\n');
+
+    const resultado = await database.listarConversasAtendimento(opcoes.transcricoes);
+
+    if (!resultado.success) {
+        console.log(`❌ Erro ao consultar atendimentos: ${resultado.error}`);
+        await database.closePool();
+        return;
+    }
+
+    const modelo = classificador.treinar(exemplos);
+    const rotuladas = new Set(exemplos.map(({ texto }) => classificador.extrairCaracteristicas(texto).join('|')));
+    const candidatas = {};
+    let total = 0;
+
+    for (const atendimento of resultado.data) {
+        let conversa = atendimento.conversa;
+        try {
+            conversa = typeof conversa === 'string' ? JSON.parse(conversa) : conversa;
+        } catch (error) {
+            continue;
+        }
+
+        for (const item of Array.isArray(conversa) ? conversa : []) {
+            const texto = String(item.mensagem || '').trim();
+            const chave = classificador.extrairCaracteristicas(texto).join('|');
+
+            if (item.tipo !== 'cliente' || !chave || rotuladas.has(chave)) {
+                continue;
+            }
+
+            rotuladas.add(chave);
+            const previsto = classificador.classificar(modelo, texto);
+            const rotulo = previsto.rotulo || classificador.ROTULO_OUTRO;
+
+            (candidatas[rotulo] = candidatas[rotulo] || []).push({ texto, confianca: previsto.confianca });
+            total++;
+        }
+    }
+
+    // Menor confiança primeiro: são as frases que mais ensinam ao modelo depois de rotuladas
+    for (const lista of Object.values(candidatas)) {
+        lista.sort((a, b) => a.confianca - b.confianca);
+    }
+
+    fs.mkdirSync(path.dirname(opcoes.saida), { recursive: true });
+    fs.writeFileSync(opcoes.saida, JSON.stringify(candidatas, null, 4));
+
+    console.log(`✅ ${total} frase(s) nova(s) de ${resultado.data.length} atendimento(s) gravadas em ${opcoes.saida}`);
+    console.log('Revise o rótulo sugerido e copie as frases para src/dados/frasesIntencoes.json\n');
+
+    await database.closePool();
+}
+
+/**
+ * Executa treino, avaliação e (opcional) exportação das transcrições
+ */
+async function executar() {
+    const opcoes = lerArgumentos();
+    const exemplos = classificador.carregarFrases(opcoes.frases);
+    const resultado = avaliarHoldout(exemplos, opcoes);
+
+    if (opcoes.transcricoes > 0) {
+        await exportarTranscricoes(exemplos, opcoes);
+    }
+
+    if (resultado.acuracia < opcoes.minimo) {
+        console.log(`❌ Acurácia abaixo do mínimo (${(opcoes.minimo * 100).toFixed(0)}%)\n`);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+executar();
@@ -34,27 +34,78 @@ const MENSAGENS = {
             'Este telefone não possui permissão para solicitar boletos.\n\n' +
             'Deseja ser transferido para atendimento humano?',
         
-        TELEFONE_NAO_CADASTRADO: (cnpj) =>
+        TELEFONE_NAO_CADASTRADO: (cnpj, rotulo = 'CNPJ') =>
             '⚠️ *Telefone Não Cadastrado*\n\n' +
-            `Seu telefone não está cadastrado para o CNPJ: *${cnpj}*\n\n` +
+            `Seu telefone não está cadastrado para o ${rotulo}: *${cnpj}*\n\n` +
             'Por favor, entre em contato para atualizar seu cadastro.'
     },
     
     CNPJ: {
         SOLICITAR: () =>
             '🏢 *Identificação*\n\n' +
-            'Para continuar, por favor, informe o *CNPJ* da sua empresa:\n\n' +
+            'Para continuar, por favor, informe o *CPF ou CNPJ* do cadastro:\n\n' +
             '_(Digite apenas os números)_',
         
         NAO_ENCONTRADO: () =>
-            '❌ *CNPJ Não Encontrado*\n\n' +
-            'Não encontramos este CNPJ em nossa base de dados.\n\n' +
+            '❌ *CPF/CNPJ Não Encontrado*\n\n' +
+            'Não encontramos este CPF ou CNPJ em nossa base de dados.\n\n' +
             'Por favor, verifique o número e tente novamente.',
         
         INVALIDO: () =>
-            '❌ *CNPJ Inválido*\n\n' +
-            'O CNPJ informado não é válido.\n\n' +
-            'Por favor, verifique e informe novamente.'
+            '❌ *CPF/CNPJ Inválido*\n\n' +
+            'O CPF ou CNPJ informado não é válido.\n\n' +
+            'Por favor, verifique e informe novamente.',
+
+        ESCOLHER_DOCUMENTO: (opcoes) =>
+            '🔎 *Encontrei mais de um documento na sua mensagem*\n\n' +
+            'Qual deles devo usar? Digite o número correspondente:\n\n' +
+            opcoes.join('\n'),
+
+        DOCUMENTO_INVALIDO: () =>
+            '❌ Opção inválida. Por favor, escolha um dos documentos da lista.'
+    },
+    
+    EMPRESAS: {
+        IDENTIFICADAS: (nome, quantidade) =>
+            `Olá, ${nome}!\n\n` +
+            `Identifiquei seu telefone associado a *${quantidade}* empresas.`,
+
+        SELECIONAR: (opcoes) =>
+            '🏢 *Selecione a empresa*\n\n' +
+            'Escolha uma das opções abaixo digitando o número correspondente:\n\n' +
+            opcoes.join('\n\n'),
+
+        SELECIONAR_LISTA: () =>
+            'Escolha a empresa para este atendimento ou selecione todas.',
+
+        LISTA_TITULO: () =>
+            'Selecione a empresa',
+
+        LISTA_SECAO: () =>
+            'Empresas',
+
+        OPCAO: (numero, nome, rotulo, documento) =>
+            `${numero} ${nome}\n` +
+            `${rotulo}: ${documento}`,
+
+        OPCAO_TODAS: (numero = '') =>
+            `${numero ? `${numero} ` : ''}Todas as empresas`,
+
+        SELECIONADA: () =>
+            'Como posso te ajudar hoje?',
+
+        OPCAO_INVALIDA: () =>
+            '❌ Opção inválida. Por favor, escolha uma das empresas da lista.',
+
+        CABECALHO: (nome, cnpj, rotulo = 'CNPJ') =>
+            `🏢 *Empresa:* ${nome}\n` +
+            `*${rotulo}:* ${cnpj}\n\n`,
+
+        CABECALHO_TODAS: (quantidade) =>
+            `🏢 *Empresas:* todas (${quantidade})\n\n`,
+
+        TROCAR: () =>
+            '_Digite *empresa* para trocar a empresa selecionada._\n\n'
     },
     
     MENU: {
@@ -65,7 +116,12 @@ const MENSAGENS = {
         
         OPCAO_INVALIDA: () =>
             '❌ Opção inválida.\n\n' +
-            'Por favor, escolha uma opção válida do menu.'
+            'Por favor, escolha uma opção válida do menu.',
+
+        CONFIRMAR_INTENCAO: (rotulo) =>
+            '🤔 Não tenho certeza se entendi.\n\n' +
+            `Você quis dizer *${rotulo}*?\n\n` +
+            'Responda *sim* para continuar ou escolha uma opção do menu.'
     },
     
     BOLETOS: {
@@ -78,7 +134,34 @@ const MENSAGENS = {
         
         ENCONTRADOS: (quantidade) =>
             `📊 Encontrei *${quantidade}* boleto(s) em aberto.\n\n` +
-            'Enviarei os detalhes de cada um:'
+            'Enviarei os detalhes de cada um:',
+
+        EMPRESA: (nome) =>
+            `*Empresa:* ${nome}\n`,
+
+        RESUMO: (quantidade, resumo) =>
+            `Encontrei *${quantidade}* boleto(s) em aberto:\n\n` +
+            `${resumo}\n\n` +
+            'Quais boletos deseja receber?\n' +
+            'Responda com os números (ex: *1,3*), *todos* ou *vencidos*.',
+
+        SELECAO_INVALIDA: (quantidade) =>
+            '❌ Não entendi quais boletos você deseja.\n\n' +
+            `Responda com números de 1 a ${quantidade} (ex: *1,3*), *todos* ou *vencidos*.\n` +
+            'Para voltar ao menu, digite *menu*.',
+
+        SEM_VENCIDOS: () =>
+            'Você não possui boletos vencidos no momento.\n\n' +
+            'Responda com os números dos boletos desejados ou *todos*.'
+    },
+    
+    PIX: {
+        COPIA_E_COLA: (numero) =>
+            `*PIX Copia e Cola - Boleto ${numero}:*\n` +
+            'Copie o código abaixo e cole na opção PIX do app do seu banco.',
+
+        QRCODE: (numero) =>
+            `QR Code PIX - Boleto ${numero}`
     },
     
     NFE: {
@@ -90,7 +173,37 @@ const MENSAGENS = {
         
         ENCONTRADAS: (quantidade) =>
             `📊 Encontrei *${quantidade}* nota(s) fiscal(is).\n\n` +
-            'Enviarei os detalhes de cada uma:'
+            'Enviarei os detalhes de cada uma:',
+
+        SEM_NFE_PERIODO: (dias) =>
+            `Você não possui notas fiscais emitidas nos últimos ${dias} dias.\n\n` +
+            'Posso te ajudar com algo mais?',
+
+        EMPRESA: (nome) =>
+            `*Empresa:* ${nome}\n`,
+
+        DETALHES: (nota, emissao) =>
+            `*Nota Fiscal: ${nota.numero || 'N/A'}*\n` +
+            `*Emissão:* ${emissao}\n` +
+            (nota.valorLiquidoNfse ? `*Valor:* R$ ${parseFloat(nota.valorLiquidoNfse).toFixed(2)}\n` : '') +
+            (nota.codigoVerificacao ? `*Código Verificação:* ${nota.codigoVerificacao}\n` : '') +
+            (nota.chaveAcesso ? `*Chave de Acesso:* ${nota.chaveAcesso}\n` : ''),
+
+        LEGENDA_XML: (numero) =>
+            `✅ Segue XML da nota: ${numero || ''}`,
+
+        LEGENDA_PDF: (numero) =>
+            `✅ Segue PDF da nota: ${numero || ''}`,
+
+        MAIS_RECENTES: (quantidade) =>
+            `_Exibindo as ${quantidade} notas mais recentes. ` +
+            'Para notas anteriores, fale com nosso atendimento._',
+
+        CANCELADA: () =>
+            '⚠️ *Situação:* Cancelada\n',
+
+        ERRO_XML: (numero) =>
+            `❌ Não foi possível obter o XML da nota ${numero}. Tente novamente mais tarde, por favor.`
     },
     
     CERTIFICADOS: {
@@ -102,7 +215,75 @@ const MENSAGENS = {
         
         ENCONTRADOS: (quantidade) =>
             `📊 Encontrei *${quantidade}* certificado(s).\n\n` +
-            'Enviarei os detalhes de cada um:'
+            'Enviarei os detalhes de cada um:',
+
+        RESUMO: (quantidade, resumo) =>
+            `Encontrei *${quantidade}* certificado(s):\n\n` +
+            `${resumo}\n\n` +
+            'Informe o *número da nota fiscal* para receber os certificados dela, ou *todos*.',
+
+        SELECAO_INVALIDA: (notas) =>
+            '❌ Não entendi qual nota fiscal você deseja.\n\n' +
+            (notas.length > 0 ? `Notas com certificado: ${notas.join(', ')}\n` : '') +
+            'Informe o número da nota ou *todos*. Para voltar ao menu, digite *menu*.',
+
+        SEM_CERTIFICADOS_NOTA: (numeroNota) =>
+            `Não encontrei certificados para a nota fiscal *${numeroNota}*.\n\n` +
+            'Confira o número e tente novamente, ou digite *menu* para voltar.',
+
+        DETALHE: (certificado, dataEmissao, empresa = null) =>
+            (empresa ? `*Empresa:* ${empresa}\n` : '') +
+            `🏆 *Certificado ${certificado.numero}*\n` +
+            `📅 Data Emissão: ${dataEmissao}\n` +
+            `📄 Nota: ${certificado.numeroNota || '-'}`,
+
+        LINK: (url) =>
+            `\n\n📎 Link:\n${url}`,
+
+        SEM_ARQUIVO: () =>
+            '\n\n⚠️ Arquivo indisponível no momento. Fale com nosso atendimento para recebê-lo.'
+    },
+    
+    PROPOSTAS: {
+        CONSULTANDO: () =>
+            '🔍 Consultando suas propostas comerciais...',
+
+        SEM_PROPOSTAS: () =>
+            'Você não possui propostas comerciais em aberto no momento.\n\n' +
+            'Posso te ajudar com algo mais?',
+
+        RESUMO: (quantidade, resumo) =>
+            `Encontrei *${quantidade}* proposta(s) em aberto:\n\n` +
+            `${resumo}\n\n` +
+            'Qual proposta deseja receber? Responda com o número da opção.',
+
+        SELECAO_INVALIDA: (quantidade) =>
+            '❌ Não entendi qual proposta você deseja.\n\n' +
+            `Responda com um número de 1 a ${quantidade}.\n` +
+            'Para voltar ao menu, digite *menu*.',
+
+        PERGUNTA_RESPOSTA: (numero) =>
+            `Sobre a proposta *${numero}*, responda:\n\n` +
+            '✅ *aceito* para aprovar a proposta\n' +
+            '❓ *tenho dúvidas* para falar com nosso time comercial\n\n' +
+            'Ou digite *menu* para voltar.',
+
+        RESPOSTA_INVALIDA: (numero) =>
+            `Não entendi sua resposta sobre a proposta *${numero}*.\n\n` +
+            'Responda *aceito* ou *tenho dúvidas*, ou digite *menu* para voltar.',
+
+        ACEITA: (numero) =>
+            `✅ *Proposta ${numero} aceita!*\n\n` +
+            'Registramos sua aprovação e nosso time comercial entrará em contato por aqui ' +
+            'para dar andamento ao pedido.',
+
+        DUVIDAS: (numero) =>
+            `👨‍💼 *Proposta ${numero}*\n\n` +
+            'Registramos suas dúvidas e direcionamos sua mensagem para o nosso time comercial.\n' +
+            'Em breve, alguém entrará em contato por aqui para te ajudar.',
+
+        ERRO_PDF: (numero) =>
+            `❌ Não foi possível gerar o PDF da proposta ${numero}. Tente novamente mais tarde, por favor.`
     },
     
     ATENDIMENTO: {
@@ -110,15 +291,83 @@ const MENSAGENS = {
             '👨‍💼 *Transferindo para Atendimento*\n\n' +
             'Sua solicitação será direcionada para um de nossos atendentes.\n' +
             'Aguarde que em breve alguém entrará em contato com você.',
+
+        TRANSFERINDO_SETOR: (destino, horario) =>
+            '👨‍💼 *Transferindo Atendimento*\n\n' +
+            `Estou direcionando sua mensagem para ${destino}.\n` +
+            'Em breve, alguém do time entrará em contato por aqui para te ajudar.\n\n' +
+            'Nosso horário de atendimento:\n' +
+            horario,
         
+        /*
         INDISPONIVEL: () =>
             '⚠️ *Atendimento Indisponível*\n\n' +
             'Nosso horário de atendimento é:\n' +
             'Segunda a Sexta: 8h às 18h\n\n' +
             'Por favor, retorne neste horário ou deixe sua mensagem ' +
-            'que responderemos assim que possível.'
+            'que responderemos assim que possível.',
+        */
+
+        INDISPONIVEL: (retorno, horario) =>
+            '🕐 *Fora do Horário de Atendimento*\n\n' +
+            `Nossa equipe volta *${retorno}*.\n\n` +
+            'Nosso horário de atendimento é:\n' +
+            `${horario}\n\n` +
+            'Se quiser, escreva agora a sua mensagem: ela será registrada em um ticket ' +
+            'e respondida assim que a equipe voltar.\n\n' +
+            'Ou envie *0* para voltar ao menu.',
+
+        RECADO_REGISTRADO: (numero, retorno) =>
+            '📝 *Mensagem registrada*\n\n' +
+            `Abrimos o ticket nº *${numero}* com a sua mensagem.\n` +
+            (retorno
+                ? `Nossa equipe responderá por aqui *${retorno}*.`
+                : 'Nossa equipe responderá por aqui em breve.'),
+
+        RECADO_ERRO: () =>
+            '⚠️ Não foi possível registrar a sua mensagem agora.\n\n' +
+            'Por favor, tente novamente em instantes.',
+
+        TICKET_ABERTO: (numero, posicao) =>
+            `🎫 *Ticket nº ${numero}*\n\n` +
+            (!posicao
+                ? ''
+                : posicao > 1
+                    ? `Você é o *${posicao}º* da fila. `
+                    : 'Você é o *próximo* da fila. ') +
+            'Assim que um atendente estiver disponível, ele falará com você por aqui.',
+
+        HUMANO_ENCERRADO: () =>
+            '🤖 *Atendimento com a equipe encerrado*\n\n' +
+            'Se precisar de algo mais, é só enviar uma mensagem que o assistente virtual te ajuda.',
+
+        FILA_EXPIRADA: (numero) =>
+            '⏱️ *Não conseguimos te atender a tempo*\n\n' +
+            (numero ? `Seu ticket nº *${numero}* foi encerrado sem resposta da equipe. ` : 'Sua solicitação foi encerrada sem resposta da equipe. ') +
+            'Pedimos desculpas!\n\n' +
+            'Envie uma mensagem quando quiser que o assistente virtual te ajuda ou te coloca na fila novamente.'
     },
     
+    SATISFACAO: {
+        PERGUNTA: () =>
+            '⭐ *Pesquisa de Satisfação*\n\n' +
+            'De *1* a *5*, como você avalia este atendimento?\n\n' +
+            '1 - Muito insatisfeito\n' +
+            '2 - Insatisfeito\n' +
+            '3 - Regular\n' +
+            '4 - Satisfeito\n' +
+            '5 - Muito satisfeito',
+
+        COMENTARIO: () =>
+            '📝 Obrigado pela nota!\n\n' +
+            'Se quiser, escreva um comentário sobre o atendimento.\n' +
+            'Ou envie *0* para finalizar.',
+
+        AGRADECIMENTO: () =>
+            '🙏 Obrigado pela sua avaliação!\n\n' +
+            'Ela nos ajuda a melhorar o atendimento.'
+    },
+
     ENCERRAMENTO: {
         CANCELAMENTO: () =>
             '👋 Atendimento cancelado.\n\n' +
@@ -132,7 +381,17 @@ const MENSAGENS = {
         FINALIZACAO: () =>
             '✅ *Atendimento Finalizado*\n\n' +
             'Obrigado por utilizar nosso atendimento!\n\n' +
-            'Se precisar de algo mais, estamos à disposição.'
+            'Se precisar de algo mais, estamos à disposição.',
+
+        AVISO_INATIVIDADE: (minutos) =>
+            '⏳ *Ainda está por aí?*\n\n' +
+            `Seu atendimento será encerrado por inatividade em *${minutos} minuto(s)*.\n\n` +
+            'Envie qualquer mensagem para continuar.',
+
+        INATIVIDADE: () =>
+            '⏱️ *Atendimento encerrado por inatividade*\n\n' +
+            'Como não recebemos resposta, finalizamos este atendimento.\n\n' +
+            'Envie qualquer mensagem para iniciar um novo atendimento.'
     },
     
     ERROS: {